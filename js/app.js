@@ -11,13 +11,28 @@ const App = {
         isOnline: navigator.onLine,
         currentScreen: 'home',
         courses: [],
+        players: [],
+        selectedPlayerIds: [],
         currentRound: null,
         currentHoleIndex: 0,
-        holeStats: {},
-        courseStats: null,
-        editingSettings: false
+        currentPlayerIndex: 0,
+        playerStats: {},
+        editingSettings: false,
+        editingCourse: null,
+        layoutChoice: null,
+        viewingRound: null,
+        importPlan: null
     },
 
+    // Timer that hides the header sync indicator
+    syncStatusTimer: null,
+
+    // Service worker version that is installed and waiting for the user to update
+    waitingWorker: null,
+
+    // Whether the user chose to update later
+    updateDismissed: false,
+
     /**
      * Initialize the application
      */
@@ -34,41 +49,12 @@ const App = {
             // Check online status
             this.updateOnlineStatus();
 
-            // Check for existing spreadsheet connection
-            const spreadsheetId = Storage.getSpreadsheetId();
-
-            if (!spreadsheetId) {
-                // No connection - show setup wizard
-                Utils.hideLoading();
-                this.showScreen('setup');
-                console.log('No spreadsheet configured - showing setup wizard');
-                return;
-            }
-
-            // Configure API client with stored ID
-            SheetsAPI.setSpreadsheetId(spreadsheetId);
-
-            // Try to sync data if online
-            if (this.state.isOnline) {
-                try {
-                    await SheetsAPI.health();
-                    await SheetsAPI.syncFromSheets();
-                } catch (syncError) {
-                    console.warn('Failed to sync on startup:', syncError);
-                    // Continue with cached data
-                }
-            }
-
-            // Load cached data
-            await this.loadCachedData();
-
-            // Check for incomplete round
-            this.checkIncompleteRound();
+            await this.openProfile();
 
-            Utils.hideLoading();
+            // Keep syncing in the background while the app is open
+            SyncScheduler.start(() => this.runScheduledSync());
 
-            // Show home screen
-            this.showScreen('home');
+            this.registerServiceWorker();
 
             console.log('App initialized successfully');
         } catch (error) {
@@ -78,6 +64,49 @@ const App = {
         }
     },
 
+    /**
+     * Load the active profile: sync with its backend and show the home
+     * screen, or the setup wizard if it has no backend yet
+     */
+    async openProfile() {
+        this.renderProfileSwitcher();
+
+        // Configure backends from saved settings
+        Backend.loadSettings();
+        this.showServiceAccountEmail();
+
+        if (!Backend.isConfigured()) {
+            // No connection - show setup wizard
+            Utils.hideLoading();
+            this.showScreen('setup');
+            console.log('No backend configured - showing setup wizard');
+            return;
+        }
+
+        // Try to sync data if online
+        if (this.state.isOnline && Backend.isRemote()) {
+            try {
+                await Backend.getAdapter().health();
+                await Backend.sync();
+            } catch (syncError) {
+                console.warn('Failed to sync on startup:', syncError);
+                // Continue with cached data
+            }
+        }
+
+        // Load cached data
+        await this.loadCachedData();
+
+        // Check for incomplete round
+        this.checkIncompleteRound();
+
+        Utils.hideLoading();
+
+        // Show home screen
+        this.showScreen('home');
+        this.showSyncConflicts();
+    },
+
     /**
      * Set up all event listeners
      */
@@ -85,25 +114,85 @@ const App = {
         // Online/offline status
         window.addEventListener('online', () => this.updateOnlineStatus());
         window.addEventListener('offline', () => this.updateOnlineStatus());
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (e) => this.handleServiceWorkerMessage(e.data));
+        }
 
         // Header buttons
         document.getElementById('back-btn').addEventListener('click', () => this.handleBack());
 
+        // Update banner
+        document.getElementById('update-now-btn').addEventListener('click', () => this.handleUpdateNow());
+        document.getElementById('update-later-btn').addEventListener('click', () => this.handleUpdateLater());
+
         // Setup wizard
         document.getElementById('setup-connect-btn').addEventListener('click', () => this.handleSetupConnect());
+        document.getElementById('setup-api-url').addEventListener('change', (e) => {
+            this.handleApiUrlChange(e.target, (message, type) => this.showSetupStatus(message, type));
+        });
+        document.getElementById('setup-rest-btn').addEventListener('click', () => this.handleSetupRest());
+        document.getElementById('setup-local-btn').addEventListener('click', () => this.handleSetupLocal());
+
+        // Profiles
+        document.querySelectorAll('.profile-select').forEach(select => {
+            select.addEventListener('change', () => this.handleProfileChange(select));
+        });
+        document.getElementById('new-profile-form').addEventListener('submit', (e) => this.handleNewProfileSubmit(e));
+        document.getElementById('close-profile-btn').addEventListener('click', () => this.hideProfileModal());
 
         // Home screen buttons
         document.getElementById('new-round-btn').addEventListener('click', () => this.handleNewRound());
         document.getElementById('resume-round-btn').addEventListener('click', () => this.handleResumeRound());
         document.getElementById('settings-btn').addEventListener('click', () => this.showScreen('settings'));
+        document.getElementById('history-btn').addEventListener('click', () => this.showHistory());
+        document.getElementById('dashboard-btn').addEventListener('click', () => this.showDashboard());
+
+        // Statistics dashboard
+        document.getElementById('dashboard-player').addEventListener('change', () => this.renderDashboard());
+        document.getElementById('dashboard-course').addEventListener('change', () => this.renderDashboard());
+
+        // History screen
+        ['history-course', 'history-from', 'history-to'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderHistoryList());
+        });
+        document.getElementById('edit-round-btn').addEventListener('click', () => this.handleEditRound());
+        document.getElementById('delete-round-btn').addEventListener('click', () => this.handleDeleteRound());
 
         // Settings screen
         document.getElementById('change-sheet-btn').addEventListener('click', () => this.handleStartEditSettings());
         document.getElementById('settings-cancel-btn').addEventListener('click', () => this.handleCancelEditSettings());
         document.getElementById('settings-save-btn').addEventListener('click', () => this.handleSaveSettings());
+        document.getElementById('settings-api-url').addEventListener('change', (e) => {
+            this.handleApiUrlChange(e.target, (message, type) => this.showSettingsStatus(message, type));
+        });
+        document.getElementById('full-resync-btn').addEventListener('click', () => this.handleFullResync());
+        document.getElementById('settings-backend').addEventListener('change', () => this.handleBackendChange());
+        document.getElementById('settings-backend-save-btn').addEventListener('click', () => this.handleSaveBackend());
+        document.getElementById('export-scorecards-btn').addEventListener('click', () => this.handleExport('scorecards'));
+        document.querySelectorAll('.export-entity-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.handleExport(btn.dataset.entity));
+        });
+        document.getElementById('import-file').addEventListener('change', (e) => this.handleImportFile(e));
+        document.getElementById('confirm-import-btn').addEventListener('click', () => this.handleConfirmImport());
+        document.getElementById('cancel-import-btn').addEventListener('click', () => this.hideImportPreview());
+        document.getElementById('backup-btn').addEventListener('click', () => this.handleBackup());
+        document.querySelectorAll('.conflict-choice-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.handleResolveConflict(btn.dataset.choice));
+        });
+        document.getElementById('restore-file').addEventListener('change', (e) => this.handleRestoreFile(e));
 
         // Course selection
         document.getElementById('create-course-btn').addEventListener('click', () => this.showScreen('new-course'));
+        document.getElementById('new-player-form').addEventListener('submit', (e) => this.handleAddPlayer(e));
+
+        // Layout picker
+        document.getElementById('new-layout-form').addEventListener('submit', (e) => this.handleNewLayoutSubmit(e));
+        document.getElementById('close-layout-btn').addEventListener('click', () => this.hideLayoutPicker());
+
+        // Course editor
+        document.getElementById('course-edit-form').addEventListener('submit', (e) => this.handleCourseEditSubmit(e));
+        document.getElementById('edit-hole-count').addEventListener('input', () => this.handleEditHoleCountChange());
+        document.getElementById('edit-layout').addEventListener('change', (e) => this.loadLayoutIntoEditor(e.target.value));
 
         // New course form
         document.getElementById('new-course-form').addEventListener('submit', (e) => this.handleNewCourseSubmit(e));
@@ -161,6 +250,101 @@ const App = {
         input.dispatchEvent(new Event('input'));
     },
 
+    // ===================
+    // App Updates
+    // ===================
+
+    /**
+     * Register the service worker and offer new versions as they install
+     */
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        let registration;
+        try {
+            registration = await navigator.serviceWorker.register('/sw.js');
+            console.log('ServiceWorker registered:', registration.scope);
+        } catch (error) {
+            console.log('ServiceWorker registration failed:', error);
+            return;
+        }
+
+        // Without a controller this is the first install; there is nothing to update
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.offerUpdate(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.offerUpdate(worker);
+                }
+            });
+        });
+
+        // The new version takes over once the user agrees (here or in another
+        // tab); load its files, unless this tab is in the middle of a round
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.waitingWorker && !this.state.currentRound && !reloading) {
+                reloading = true;
+                window.location.reload();
+            }
+        });
+
+        // An app left open for days still hears about new versions
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                registration.update().catch(() => {});
+            }
+        });
+    },
+
+    /**
+     * Remember a new version that is waiting, and show the update banner
+     * @param {ServiceWorker} worker - The waiting service worker
+     */
+    offerUpdate(worker) {
+        this.waitingWorker = worker;
+        this.updateDismissed = false;
+        this.renderUpdateBanner();
+    },
+
+    /**
+     * Show or hide the update banner
+     * During a round the update is only announced: switching versions then
+     * could reload the page between holes.
+     */
+    renderUpdateBanner() {
+        const inRound = !!this.state.currentRound;
+        document.getElementById('update-banner-message').textContent = inRound
+            ? 'A new version is available. You can update after this round.'
+            : 'A new version is available.';
+        Utils.toggleElement('update-now-btn', !inRound);
+        Utils.toggleElement('update-banner', !!this.waitingWorker && !this.updateDismissed);
+    },
+
+    /**
+     * Switch to the waiting version, which reloads the app
+     */
+    handleUpdateNow() {
+        if (!this.waitingWorker || this.state.currentRound) {
+            this.renderUpdateBanner();
+            return;
+        }
+
+        document.getElementById('update-now-btn').disabled = true;
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    },
+
+    /**
+     * Hide the update banner until the app is opened again
+     */
+    handleUpdateLater() {
+        this.updateDismissed = true;
+        this.renderUpdateBanner();
+    },
+
     /**
      * Update online/offline status
      */
@@ -170,7 +354,7 @@ const App = {
 
         if (this.state.isOnline) {
             Utils.toggleElement(indicator, false);
-            if (SheetsAPI.isConfigured()) {
+            if (Backend.isConfigured()) {
                 this.processPendingSync();
             }
         } else {
@@ -178,6 +362,121 @@ const App = {
         }
     },
 
+    // ===================
+    // Profile Handlers
+    // ===================
+
+    /**
+     * Fill the profile switchers with the saved profiles
+     */
+    renderProfileSwitcher() {
+        const profiles = Storage.getProfiles();
+        const activeId = Storage.getActiveProfile().id;
+
+        document.querySelectorAll('.profile-select').forEach(select => {
+            select.innerHTML = '';
+            profiles.forEach(profile => {
+                select.appendChild(new Option(profile.name, profile.id, false, profile.id === activeId));
+            });
+            select.appendChild(new Option('+ New profile...', 'new'));
+        });
+    },
+
+    /**
+     * Switch to the profile picked in a switcher, or start creating one
+     * @param {HTMLSelectElement} select - The switcher that changed
+     */
+    handleProfileChange(select) {
+        const profileId = select.value;
+        // Keep showing the active profile until the switch is done
+        select.value = Storage.getActiveProfile().id;
+
+        if (profileId === 'new') {
+            this.showProfileModal();
+        } else {
+            this.switchProfile(profileId);
+        }
+    },
+
+    /**
+     * Show the new profile form
+     */
+    showProfileModal() {
+        document.getElementById('profile-name').value = '';
+        document.getElementById('profile-name-error').textContent = '';
+        document.getElementById('profile-modal').classList.remove('hidden');
+        document.getElementById('profile-name').focus();
+    },
+
+    /**
+     * Hide the new profile form
+     */
+    hideProfileModal() {
+        document.getElementById('profile-modal').classList.add('hidden');
+    },
+
+    /**
+     * Create a profile from the form and switch to it
+     * @param {Event} event - The submit event
+     */
+    async handleNewProfileSubmit(event) {
+        event.preventDefault();
+
+        const name = document.getElementById('profile-name').value.trim();
+        const errorEl = document.getElementById('profile-name-error');
+
+        const validation = Utils.validateProfileName(name);
+        if (!validation.isValid) {
+            errorEl.textContent = validation.message;
+            return;
+        }
+        if (Storage.getProfiles().some(p => p.name.toLowerCase() === name.toLowerCase())) {
+            errorEl.textContent = 'A profile with this name already exists';
+            return;
+        }
+
+        const profile = Storage.addProfile(name);
+        this.hideProfileModal();
+        await this.switchProfile(profile.id);
+    },
+
+    /**
+     * Switch to another profile and load its data
+     * A round in progress stays with its profile and can be resumed there.
+     * @param {string} profileId - The profile ID
+     */
+    async switchProfile(profileId) {
+        if (profileId === Storage.getActiveProfile().id) return;
+
+        Utils.showLoading('Switching profile...');
+        try {
+            // Let a running sync finish, so it settles into the profile it started in
+            await SyncScheduler.running;
+            await Backend.pendingSyncRun?.catch(() => {});
+            await Storage.switchProfile(profileId);
+
+            this.state.courses = [];
+            this.state.players = [];
+            this.state.selectedPlayerIds = [];
+            this.state.currentRound = null;
+            this.state.playerStats = {};
+            this.state.editingSettings = false;
+            this.state.layoutChoice = null;
+            this.state.viewingRound = null;
+            this.state.importPlan = null;
+            Utils.toggleElement('resume-round-btn', false);
+
+            await this.openProfile();
+            SyncScheduler.renderStatus();
+            Utils.showToast(`Switched to ${Storage.getActiveProfile().name}`, 'success');
+        } catch (error) {
+            console.error('Profile switch error:', error);
+            Utils.hideLoading();
+            this.renderProfileSwitcher();
+            Utils.showToast('Could not switch profile', 'error');
+        }
+    },
+
     // ===================
     // Setup Wizard Handlers
     // ===================
@@ -187,12 +486,15 @@ const App = {
      */
     async handleSetupConnect() {
         const sheetIdInput = document.getElementById('setup-sheet-id');
-        const sheetId = sheetIdInput.value.trim();
+        const sheetId = Utils.parseSpreadsheetId(sheetIdInput.value);
+        const apiUrl = document.getElementById('setup-api-url').value;
 
-        if (!sheetId) {
-            this.showSetupStatus('Please enter a Sheet ID', 'error');
+        const validation = Utils.validateSpreadsheetId(sheetId);
+        if (!validation.isValid) {
+            this.showSetupStatus(validation.message, 'error');
             return;
         }
+        sheetIdInput.value = sheetId;
 
         this.showSetupStatus('Connecting...', 'info');
         const connectBtn = document.getElementById('setup-connect-btn');
@@ -200,11 +502,12 @@ const App = {
         connectBtn.textContent = 'Connecting...';
 
         try {
-            // Set the spreadsheet ID
+            // Set the API and spreadsheet ID
+            SheetsAPI.setBaseUrl(apiUrl);
             SheetsAPI.setSpreadsheetId(sheetId);
 
             // Test the connection
-            await SheetsAPI.health();
+            const health = await SheetsAPI.health();
 
             // Initialize sheets (create if they don't exist, set up headers if empty)
             this.showSetupStatus('Initializing sheets...', 'info');
@@ -216,14 +519,20 @@ const App = {
             if (result.initialized && result.initialized.length > 0) {
                 console.log('Initialized headers for existing sheets:', result.initialized);
             }
+            if (result.upgraded && result.upgraded.length > 0) {
+                console.log('Added new columns to existing sheets:', result.upgraded);
+            }
 
-            // Save the spreadsheet ID
+            // Save the API and spreadsheet ID
+            this.saveSheetsApiSettings(health);
             Storage.setSpreadsheetId(sheetId);
+            Backend.setAdapter('sheets');
+            Sync.reset();
 
             this.showSetupStatus('Connected! Loading data...', 'success');
 
             // Sync data
-            await SheetsAPI.syncFromSheets();
+            await Backend.sync();
             await this.loadCachedData();
 
             // Navigate to home
@@ -232,14 +541,81 @@ const App = {
 
         } catch (error) {
             console.error('Setup connection error:', error);
-            this.showSetupStatus('Connection failed. Check the Sheet ID and make sure you shared it with the service account.', 'error');
-            SheetsAPI.setSpreadsheetId(null);
+            this.showSetupStatus(this.describeConnectError(error), 'error');
+            Backend.loadSettings();
         } finally {
             connectBtn.disabled = false;
             connectBtn.textContent = 'Connect';
         }
     },
 
+    /**
+     * Handle setup with a self-hosted REST API
+     */
+    async handleSetupRest() {
+        const url = document.getElementById('setup-rest-url').value.trim();
+
+        if (!url) {
+            this.showSetupStatus('Please enter the API URL', 'error');
+            return;
+        }
+
+        this.showSetupStatus('Connecting...', 'info');
+        const connectBtn = document.getElementById('setup-rest-btn');
+        connectBtn.disabled = true;
+
+        try {
+            await this.connectBackend('rest', url);
+            Utils.showToast('Successfully connected!', 'success');
+            this.showScreen('home');
+        } catch (error) {
+            console.error('Setup connection error:', error);
+            this.showSetupStatus('Connection failed. Check the API URL and that the server is running.', 'error');
+        } finally {
+            connectBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Handle setup without a backend - data stays on this device
+     */
+    async handleSetupLocal() {
+        const localBtn = document.getElementById('setup-local-btn');
+        localBtn.disabled = true;
+
+        try {
+            await this.connectBackend('local');
+            this.showScreen('home');
+        } catch (error) {
+            console.error('Setup error:', error);
+            this.showSetupStatus(`Could not set up this device: ${error.message}`, 'error');
+        } finally {
+            localBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Explain why connecting to a spreadsheet failed
+     * @param {Error} error - Error from SheetsAPI (an ApiError when the API was involved)
+     * @returns {string} Message for the user
+     */
+    describeConnectError(error) {
+        switch (error.code) {
+            case 'network':
+            case 'timeout':
+            case 'server':
+                return 'The sheets API is not responding. Check your connection and the API server, or try again later.';
+            case 'rate_limited':
+                return 'The sheets API is busy. Wait a minute, then try again.';
+            case 'forbidden':
+                return 'This sheet is not shared with the service account. Share it with the address above (Editor access), then try again.';
+            case 'not_found':
+                return 'No spreadsheet has this ID. Check the URL or ID you pasted.';
+            default:
+                return `Connection failed: ${error.message}`;
+        }
+    },
+
     /**
      * Show status message in setup wizard
      */
@@ -261,6 +637,7 @@ const App = {
         this.state.editingSettings = true;
         const currentId = Storage.getSpreadsheetId();
         document.getElementById('settings-sheet-id').value = currentId || '';
+        document.getElementById('settings-api-url').value = Storage.getApiBaseUrl() || '';
         Utils.toggleElement('settings-connected', false);
         Utils.toggleElement('settings-edit', true);
     },
@@ -270,6 +647,7 @@ const App = {
      */
     handleCancelEditSettings() {
         this.state.editingSettings = false;
+        this.showServiceAccountEmail();
         Utils.toggleElement('settings-connected', true);
         Utils.toggleElement('settings-edit', false);
         Utils.toggleElement('settings-status', false);
@@ -280,12 +658,15 @@ const App = {
      */
     async handleSaveSettings() {
         const sheetIdInput = document.getElementById('settings-sheet-id');
-        const sheetId = sheetIdInput.value.trim();
+        const sheetId = Utils.parseSpreadsheetId(sheetIdInput.value);
+        const apiUrl = document.getElementById('settings-api-url').value;
 
-        if (!sheetId) {
-            this.showSettingsStatus('Please enter a Sheet ID', 'error');
+        const validation = Utils.validateSpreadsheetId(sheetId);
+        if (!validation.isValid) {
+            this.showSettingsStatus(validation.message, 'error');
             return;
         }
+        sheetIdInput.value = sheetId;
 
         this.showSettingsStatus('Connecting...', 'info');
         const saveBtn = document.getElementById('settings-save-btn');
@@ -293,23 +674,34 @@ const App = {
         saveBtn.textContent = 'Connecting...';
 
         try {
-            // Set the spreadsheet ID
+            // Set the API and spreadsheet ID
+            const previousApiUrl = SheetsAPI.resolveBaseUrl(Storage.getApiBaseUrl());
+            SheetsAPI.setBaseUrl(apiUrl);
             SheetsAPI.setSpreadsheetId(sheetId);
 
             // Test the connection
-            await SheetsAPI.health();
+            const health = await SheetsAPI.health();
 
             // Initialize sheets
             this.showSettingsStatus('Initializing sheets...', 'info');
             await SheetsAPI.initializeSheets();
 
-            // Save the spreadsheet ID
+            // A different spreadsheet has nothing in common with the last sync
+            if (sheetId !== Storage.getSpreadsheetId() || SheetsAPI.getBaseUrl() !== previousApiUrl ||
+                Backend.getAdapterId() !== 'sheets') {
+                Sync.reset();
+            }
+
+            // Save the API and spreadsheet ID
+            this.saveSheetsApiSettings(health);
             Storage.setSpreadsheetId(sheetId);
+            Backend.setAdapter('sheets');
 
             // Sync data
             this.showSettingsStatus('Syncing data...', 'info');
-            await SheetsAPI.syncFromSheets();
+            await Backend.sync();
             await this.loadCachedData();
+            this.showSyncConflicts();
 
             // Update UI
             this.state.editingSettings = false;
@@ -322,13 +714,56 @@ const App = {
 
         } catch (error) {
             console.error('Settings save error:', error);
-            this.showSettingsStatus('Connection failed. Check the Sheet ID and sharing.', 'error');
+            this.showSettingsStatus(this.describeConnectError(error), 'error');
+            Backend.loadSettings();
         } finally {
             saveBtn.disabled = false;
             saveBtn.textContent = 'Save & Connect';
         }
     },
 
+    /**
+     * Save the sheets API that was just connected to, with its service account
+     * @param {Object} health - Response from SheetsAPI.health()
+     */
+    saveSheetsApiSettings(health) {
+        const baseUrl = SheetsAPI.getBaseUrl();
+        Storage.setApiBaseUrl(baseUrl === CONFIG.api.baseUrl ? null : baseUrl);
+        Storage.setServiceAccountEmail(SheetsAPI.getServiceAccountEmail(health));
+        this.showServiceAccountEmail();
+    },
+
+    /**
+     * Show the service account spreadsheets must be shared with
+     * @param {string} [email] - Email to show, defaults to the saved one
+     */
+    showServiceAccountEmail(email = Storage.getServiceAccountEmail() ?? SheetsAPI.getServiceAccountEmail()) {
+        const text = email || 'Not reported by this API. Ask whoever runs it which account to share with.';
+        document.querySelectorAll('.service-email').forEach(el => {
+            el.textContent = text;
+        });
+    },
+
+    /**
+     * Look up the service account of an API URL as it is typed in
+     * @param {HTMLInputElement} input - The API URL field
+     * @param {Function} showStatus - Shows a status message next to the field
+     */
+    async handleApiUrlChange(input, showStatus) {
+        const url = SheetsAPI.resolveBaseUrl(input.value);
+
+        try {
+            const health = await SheetsAPI.health(url);
+            if (SheetsAPI.resolveBaseUrl(input.value) !== url) return;
+            this.showServiceAccountEmail(SheetsAPI.getServiceAccountEmail(health, url));
+        } catch (error) {
+            console.warn('API health check failed:', error);
+            if (SheetsAPI.resolveBaseUrl(input.value) !== url) return;
+            this.showServiceAccountEmail(SheetsAPI.getServiceAccountEmail(null, url));
+            showStatus('Could not reach that API. Check the URL.', 'error');
+        }
+    },
+
     /**
      * Show status message in settings
      */
@@ -340,52 +775,466 @@ const App = {
     },
 
     /**
-     * Update settings UI with current connection info
+     * Show the API URL field only when the REST backend is chosen
      */
-    updateSettingsUI() {
-        const spreadsheetId = Storage.getSpreadsheetId();
-        if (spreadsheetId) {
-            const sheetLink = document.getElementById('settings-sheet-link');
-            sheetLink.href = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`;
-        }
+    handleBackendChange() {
+        const isRest = document.getElementById('settings-backend').value === 'rest';
+        Utils.toggleElement('settings-rest-group', isRest);
+        Utils.toggleElement('settings-backend-status', false);
     },
 
     /**
-     * Load cached data from local storage
+     * Switch to the backend chosen in Settings
      */
-    async loadCachedData() {
-        this.state.courses = await Storage.getAll('courses');
+    async handleSaveBackend() {
+        const id = document.getElementById('settings-backend').value;
+        const url = document.getElementById('settings-rest-url').value.trim();
+
+        if (id === 'rest' && !url) {
+            this.showBackendStatus('Please enter the API URL', 'error');
+            return;
+        }
+
+        // Google Sheets needs a spreadsheet, which is connected from its own section
+        if (id === 'sheets' && !Storage.getSpreadsheetId()) {
+            Utils.toggleElement('settings-sheets-section', true);
+            this.handleStartEditSettings();
+            this.showBackendStatus('Enter a Google Sheet ID below to connect', 'info');
+            return;
+        }
+
+        this.showBackendStatus('Connecting...', 'info');
+        const saveBtn = document.getElementById('settings-backend-save-btn');
+        saveBtn.disabled = true;
+
+        try {
+            await this.connectBackend(id, url);
+            this.showSyncConflicts();
+            this.updateSettingsUI();
+            Utils.toggleElement('settings-backend-status', false);
+            Utils.showToast(`Now using ${Backend.getAdapter().name}`, 'success');
+        } catch (error) {
+            console.error('Backend switch error:', error);
+            this.showBackendStatus('Connection failed. Check the API URL and that the server is running.', 'error');
+        } finally {
+            saveBtn.disabled = false;
+        }
     },
 
     /**
-     * Check for incomplete round
+     * Connect to a backend, make it the selected one and sync with it
+     * Restores the saved settings if the backend cannot be reached.
+     * @param {string} id - The adapter ID
+     * @param {string} [url] - Base URL, for the REST backend
+     * @returns {Promise<void>}
      */
-    checkIncompleteRound() {
-        const savedRound = Storage.getCurrentRound();
-        if (savedRound && !savedRound.completed) {
-            // Ensure holes are sorted by hole_number
-            if (savedRound.holes && savedRound.holes.length > 0) {
-                savedRound.holes.sort((a, b) => a.hole_number - b.hole_number);
+    async connectBackend(id, url) {
+        const adapter = Backend.adapters[id];
+        const previousUrl = Storage.getRestBaseUrl();
+
+        try {
+            if (id === 'rest') {
+                RestAPI.setBaseUrl(url);
             }
-            this.state.currentRound = savedRound;
-            Utils.toggleElement('resume-round-btn', true);
+            if (adapter.remote) {
+                await adapter.health();
+                await adapter.initialize();
+            }
+        } catch (error) {
+            Backend.loadSettings();
+            throw error;
+        }
+
+        // A different backend has nothing in common with the last sync
+        if (id !== Storage.getBackendId() || (id === 'rest' && RestAPI.getBaseUrl() !== previousUrl)) {
+            Sync.reset();
+        }
+
+        if (id === 'rest') {
+            Storage.setRestBaseUrl(RestAPI.getBaseUrl());
+        }
+        Backend.setAdapter(id);
+
+        if (adapter.remote) {
+            await Backend.sync();
+        } else {
+            await Backend.processPendingSync();
         }
+        await this.loadCachedData();
     },
 
     /**
-     * Show a screen
+     * Show status message in the backend section of settings
      */
-    showScreen(screenName) {
-        this.state.currentScreen = screenName;
+    showBackendStatus(message, type) {
+        const statusEl = document.getElementById('settings-backend-status');
+        statusEl.textContent = message;
+        statusEl.className = `setup-status ${type}`;
+        Utils.toggleElement(statusEl, true);
+    },
 
-        // Update screens
-        document.querySelectorAll('.screen').forEach(screen => {
-            screen.classList.remove('active');
-        });
-        document.getElementById(`screen-${screenName}`).classList.add('active');
+    /**
+     * Update settings UI with current connection info
+     */
+    updateSettingsUI() {
+        const backendId = Backend.getAdapterId();
+        document.getElementById('settings-backend').value = backendId;
+        document.getElementById('settings-rest-url').value = Storage.getRestBaseUrl() || '';
+        Utils.toggleElement('settings-rest-group', backendId === 'rest');
+        Utils.toggleElement('settings-sheets-section', backendId === 'sheets');
+        Utils.toggleElement('settings-sync-info', Backend.isRemote());
+        Utils.toggleElement('settings-pending-section', Backend.isRemote());
+        this.renderPendingOperations();
+
+        const apiUrl = Storage.getApiBaseUrl();
+        const endpointEl = document.getElementById('settings-api-endpoint');
+        endpointEl.textContent = apiUrl ? `API server: ${apiUrl}` : '';
+        Utils.toggleElement(endpointEl, !!apiUrl);
 
-        // Update header
-        switch (screenName) {
+        const spreadsheetId = Storage.getSpreadsheetId();
+        if (spreadsheetId) {
+            const sheetLink = document.getElementById('settings-sheet-link');
+            sheetLink.href = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`;
+        }
+
+        const lastSync = Storage.getLastSync();
+        document.getElementById('settings-last-sync').textContent = lastSync
+            ? `Last synced ${Utils.formatDateTime(lastSync)}`
+            : 'Not synced yet';
+    },
+
+    /**
+     * Show how many changes are waiting to upload, and list the ones that keep failing
+     */
+    async renderPendingOperations() {
+        const pending = await Storage.getPendingSync();
+        const stuck = pending.filter(op => (op.attempts || 0) >= CONFIG.sync.stuckAfterAttempts);
+
+        const summary = pending.length === 0
+            ? 'Everything on this device has been uploaded.'
+            : `${pending.length} change${pending.length === 1 ? '' : 's'} waiting to upload.`;
+        document.getElementById('pending-summary').textContent = stuck.length === 0 ? summary
+            : `${summary} ${stuck.length} keep${stuck.length === 1 ? 's' : ''} failing; retry or discard ${stuck.length === 1 ? 'it' : 'them'} below.`;
+
+        const list = document.getElementById('stuck-ops-list');
+        list.innerHTML = '';
+        stuck.forEach(op => {
+            const item = document.createElement('li');
+            item.className = 'stuck-op';
+            item.innerHTML = `
+                <div class="stuck-op-title"></div>
+                <div class="stuck-op-details"></div>
+                <div class="stuck-op-error"></div>
+                <div class="settings-actions">
+                    <button type="button" class="btn btn-outline stuck-op-retry">Retry</button>
+                    <button type="button" class="btn btn-danger stuck-op-discard">Discard</button>
+                </div>
+            `;
+            // Error messages come from the server, so they are set as text
+            item.querySelector('.stuck-op-title').textContent = this.describePendingOperation(op);
+            item.querySelector('.stuck-op-details').textContent =
+                `Queued ${Utils.formatDateTime(op.timestamp)} · ${op.attempts} failed attempt${op.attempts === 1 ? '' : 's'}`;
+            item.querySelector('.stuck-op-error').textContent = op.lastError || '';
+            item.querySelector('.stuck-op-retry').addEventListener('click', () => this.handleRetryOperation(op.id));
+            item.querySelector('.stuck-op-discard').addEventListener('click', () => this.handleDiscardOperation(op));
+            list.appendChild(item);
+        });
+    },
+
+    /**
+     * Describe a queued operation for the pending uploads list
+     * @param {Object} operation - Pending operation
+     * @returns {string} e.g. "Upsert scores (18 records)"
+     */
+    describePendingOperation(operation) {
+        const words = operation.type.replace(/([A-Z])/g, ' $1').toLowerCase();
+        const label = words.charAt(0).toUpperCase() + words.slice(1);
+        return Array.isArray(operation.data)
+            ? `${label} (${operation.data.length} record${operation.data.length === 1 ? '' : 's'})`
+            : label;
+    },
+
+    /**
+     * Try a stuck operation again now
+     * @param {string} id - The operation ID
+     */
+    async handleRetryOperation(id) {
+        await Storage.retryPendingSync(id);
+        await this.processPendingSync({ quiet: true });
+        await this.renderPendingOperations();
+    },
+
+    /**
+     * Remove a stuck operation from the queue, so its change is never uploaded
+     * @param {Object} operation - The pending operation
+     */
+    async handleDiscardOperation(operation) {
+        if (!confirm(`Discard "${this.describePendingOperation(operation)}"? This change stays on this device but will not be uploaded.`)) {
+            return;
+        }
+
+        await Storage.removePendingSync(operation.id);
+        await this.renderPendingOperations();
+        Utils.showToast('Change discarded', 'success');
+    },
+
+    /**
+     * Download every record from the backend, including deletions and
+     * spreadsheet edits that incremental syncs skip
+     */
+    async handleFullResync() {
+        if (!this.state.isOnline) {
+            Utils.showToast('Full resync needs a connection', 'warning');
+            return;
+        }
+
+        try {
+            await Backend.sync({ full: true });
+            await this.loadCachedData();
+            this.updateSettingsUI();
+            Utils.showToast('All data resynced', 'success');
+            this.showSyncConflicts();
+        } catch (error) {
+            console.error('Full resync error:', error);
+            Utils.showToast('Resync failed. Try again when the connection is better.', 'error');
+        }
+    },
+
+    /**
+     * Download a CSV export built from local data
+     * @param {string} entity - 'scorecards' or a store name from Export.entities
+     */
+    async handleExport(entity) {
+        try {
+            const count = entity === 'scorecards'
+                ? await Export.exportScorecards()
+                : await Export.exportEntity(entity);
+            Utils.showToast(`Exported ${count} ${count === 1 ? 'row' : 'rows'}`, 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            Utils.showToast('Export failed', 'error');
+        }
+    },
+
+    /**
+     * Read a UDisc CSV and show what importing it would do
+     * @param {Event} event - The file input change event
+     */
+    async handleImportFile(event) {
+        const input = event.target;
+        const file = input.files && input.files[0];
+        if (!file) return;
+
+        Utils.showLoading('Reading scorecards...');
+
+        try {
+            const { rounds, errors } = Import.parseUDiscCSV(await file.text());
+            const plan = Import.buildImportPlan(rounds, {
+                courses: await Storage.getAll('courses'),
+                holes: await Storage.getAll('holes'),
+                rounds: await Storage.getAll('rounds'),
+                players: await Storage.getAll('players')
+            });
+            plan.skipped = [...errors, ...plan.skipped];
+
+            Utils.hideLoading();
+
+            if (plan.rounds.length === 0) {
+                Utils.showToast(plan.skipped[0] || 'No new rounds found in this file', 'warning');
+                return;
+            }
+
+            this.state.importPlan = plan;
+            this.showImportPreview(plan);
+        } catch (error) {
+            console.error('Import error:', error);
+            Utils.hideLoading();
+            Utils.showToast('Could not read this file', 'error');
+        } finally {
+            // Allow choosing the same file again
+            input.value = '';
+        }
+    },
+
+    /**
+     * Show the import preview modal
+     * @param {Object} plan - Plan from Import.buildImportPlan
+     */
+    showImportPreview(plan) {
+        const newPlayers = plan.players.length;
+        document.getElementById('import-totals').textContent =
+            `${plan.rounds.length} round${plan.rounds.length === 1 ? '' : 's'}, ` +
+            `${plan.scores.length} score${plan.scores.length === 1 ? '' : 's'}` +
+            (newPlayers > 0 ? `, ${newPlayers} new player${newPlayers === 1 ? '' : 's'}` : '');
+
+        document.getElementById('import-course-list').innerHTML = plan.summary.map(course => `
+            <li>
+                <span>${course.course_name} &middot; ${course.roundCount} round${course.roundCount === 1 ? '' : 's'}</span>
+                <span class="import-course-action ${course.isNew ? 'new' : ''}">${course.isNew
+                    ? 'New course'
+                    : `Merge${course.newHoleCount > 0 ? ` (+${course.newHoleCount} holes)` : ''}`}</span>
+            </li>
+        `).join('');
+
+        const skippedList = document.getElementById('import-skipped-list');
+        skippedList.innerHTML = '';
+        plan.skipped.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            skippedList.appendChild(item);
+        });
+        Utils.toggleElement('import-skipped', plan.skipped.length > 0);
+
+        document.getElementById('import-modal').classList.remove('hidden');
+    },
+
+    /**
+     * Hide the import preview and drop the pending plan
+     */
+    hideImportPreview() {
+        document.getElementById('import-modal').classList.add('hidden');
+        this.state.importPlan = null;
+    },
+
+    /**
+     * Write the previewed import and queue it for Google Sheets
+     */
+    async handleConfirmImport() {
+        const plan = this.state.importPlan;
+        if (!plan) return;
+
+        this.hideImportPreview();
+        Utils.showLoading('Importing rounds...');
+
+        try {
+            await Import.applyImportPlan(plan);
+            await this.loadCachedData();
+
+            Utils.hideLoading();
+            Utils.showToast(`Imported ${plan.rounds.length} round${plan.rounds.length === 1 ? '' : 's'}`, 'success');
+
+            // Anything that fails stays queued for the next sync
+            await this.processPendingSync();
+        } catch (error) {
+            console.error('Import error:', error);
+            Utils.hideLoading();
+            Utils.showToast('Import failed', 'error');
+        }
+    },
+
+    /**
+     * Download a JSON backup of all local data
+     */
+    async handleBackup() {
+        try {
+            const backup = await Backup.downloadBackup();
+            const roundCount = backup.stores.rounds.length;
+            Utils.showToast(`Backup saved (${roundCount} round${roundCount === 1 ? '' : 's'})`, 'success');
+        } catch (error) {
+            console.error('Backup error:', error);
+            Utils.showToast('Backup failed', 'error');
+        }
+    },
+
+    /**
+     * Restore a JSON backup chosen in Settings
+     * @param {Event} event - The file input change event
+     */
+    async handleRestoreFile(event) {
+        const input = event.target;
+        const file = input.files && input.files[0];
+        if (!file) return;
+
+        try {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (parseError) {
+                Utils.showToast('This file is not valid JSON', 'error');
+                return;
+            }
+
+            const validation = Backup.validateBackup(data);
+            if (!validation.isValid) {
+                Utils.showToast(validation.message, 'error');
+                return;
+            }
+
+            if (!confirm(`Restore backup from ${Utils.formatDateTime(data.created_at)}? Records already on this device are kept.`)) {
+                return;
+            }
+
+            // A sync since the backup may already have uploaded its queued changes
+            const stale = await Backup.getStalePendingSync(data);
+            const includeStale = stale.length > 0 && confirm(
+                `${stale.length} pending change${stale.length === 1 ? ' in this backup was' : 's in this backup were'} made before this device last synced and may already be uploaded. ` +
+                'Upload again? Choose Cancel to skip them.'
+            );
+
+            Utils.showLoading('Restoring backup...');
+            const result = await Backup.restoreBackup(data, { includeStale });
+            await this.loadCachedData();
+            Utils.hideLoading();
+
+            const added = Backup.stores.reduce((sum, storeName) => sum + result[storeName], 0);
+            Utils.showToast(
+                `Restored ${added} record${added === 1 ? '' : 's'} and ${result.pendingSync} pending change${result.pendingSync === 1 ? '' : 's'}`,
+                'success',
+                CONFIG.toast.longDuration
+            );
+
+            if (result.currentRound) {
+                this.checkIncompleteRound();
+            }
+            await this.processPendingSync();
+        } catch (error) {
+            console.error('Restore error:', error);
+            Utils.hideLoading();
+            Utils.showToast('Restore failed', 'error');
+        } finally {
+            // Allow choosing the same file again
+            input.value = '';
+        }
+    },
+
+    /**
+     * Load cached data from local storage
+     */
+    async loadCachedData() {
+        this.state.courses = await Storage.getAll('courses');
+        this.state.players = await Storage.getAll('players');
+    },
+
+    /**
+     * Check for incomplete round
+     */
+    checkIncompleteRound() {
+        const savedRound = Storage.getCurrentRound();
+        if (savedRound && !savedRound.completed) {
+            // Ensure holes are sorted by hole_number
+            if (savedRound.holes && savedRound.holes.length > 0) {
+                savedRound.holes.sort((a, b) => a.hole_number - b.hole_number);
+            }
+            this.state.currentRound = savedRound;
+            Utils.toggleElement('resume-round-btn', true);
+        }
+    },
+
+    /**
+     * Show a screen
+     */
+    showScreen(screenName) {
+        this.state.currentScreen = screenName;
+        this.renderUpdateBanner();
+
+        // Update screens
+        document.querySelectorAll('.screen').forEach(screen => {
+            screen.classList.remove('active');
+        });
+        document.getElementById(`screen-${screenName}`).classList.add('active');
+
+        // Update header
+        switch (screenName) {
             case 'setup':
                 Utils.setHeaderTitle('Disc Golf Tracker');
                 Utils.showBackButton(false);
@@ -407,14 +1256,26 @@ const App = {
                 Utils.setHeaderTitle('New Course');
                 Utils.showBackButton(true);
                 break;
+            case 'course-edit':
+                Utils.setHeaderTitle('Edit Course');
+                Utils.showBackButton(true);
+                break;
             case 'scoring':
-                Utils.setHeaderTitle(this.state.currentRound?.courseName || 'Scoring');
+                Utils.setHeaderTitle(this.state.currentRound ? this.getRoundTitle(this.state.currentRound) : 'Scoring');
                 Utils.showBackButton(true);
                 break;
             case 'summary':
                 Utils.setHeaderTitle('Round Summary');
                 Utils.showBackButton(false);
                 break;
+            case 'history':
+                Utils.setHeaderTitle('Round History');
+                Utils.showBackButton(true);
+                break;
+            case 'dashboard':
+                Utils.setHeaderTitle('Statistics');
+                Utils.showBackButton(true);
+                break;
         }
     },
 
@@ -427,8 +1288,15 @@ const App = {
             case 'course-select':
             case 'new-course':
             case 'settings':
+            case 'history':
+            case 'dashboard':
                 this.showScreen('home');
                 break;
+            case 'course-edit':
+                this.state.editingCourse = null;
+                this.showScreen('course-select');
+                this.renderCourseList();
+                break;
             case 'scoring':
                 if (confirm('Leave round? Your progress will be saved.')) {
                     this.saveCurrentRoundState();
@@ -452,6 +1320,7 @@ const App = {
         }
 
         this.showScreen('course-select');
+        this.renderPlayerList();
         this.renderCourseList();
     },
 
@@ -467,6 +1336,7 @@ const App = {
             }
             this.state.currentRound = savedRound;
             this.state.currentHoleIndex = savedRound.currentHoleIndex || 0;
+            this.state.currentPlayerIndex = savedRound.currentPlayerIndex || 0;
             this.loadRoundData();
             this.showScreen('scoring');
             this.renderScoringScreen();
@@ -481,7 +1351,7 @@ const App = {
         const message = document.getElementById('incomplete-round-message');
         const savedRound = Storage.getCurrentRound();
 
-        message.textContent = `You have an incomplete round at ${savedRound.courseName}. Would you like to continue or start a new round?`;
+        message.textContent = `You have an incomplete round at ${this.getRoundTitle(savedRound)}. Would you like to continue or start a new round?`;
         modal.classList.remove('hidden');
     },
 
@@ -498,13 +1368,194 @@ const App = {
      */
     handleAbandonRound() {
         document.getElementById('incomplete-round-modal').classList.add('hidden');
+
+        const round = Storage.getCurrentRound();
+        if (round && !round.isEditing) {
+            this.discardRoundProgress(round);
+        }
+
         Storage.clearCurrentRound();
         this.state.currentRound = null;
         Utils.toggleElement('resume-round-btn', false);
         this.showScreen('course-select');
+        this.renderPlayerList();
         this.renderCourseList();
     },
 
+    // ===================
+    // Player Roster
+    // ===================
+
+    /**
+     * Render saved players as selectable chips for the card
+     */
+    renderPlayerList() {
+        const container = document.getElementById('player-list');
+        container.innerHTML = '';
+
+        // Drop selections for players that no longer exist
+        const knownIds = this.state.players.map(p => p.player_id);
+        this.state.selectedPlayerIds = this.state.selectedPlayerIds.filter(id => knownIds.includes(id));
+
+        Utils.toggleElement('no-players-message', this.state.players.length === 0);
+
+        Utils.sortBy(this.state.players, 'player_name').forEach(player => {
+            const selected = this.state.selectedPlayerIds.includes(player.player_id);
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = `player-chip${selected ? ' selected' : ''}`;
+            chip.setAttribute('aria-pressed', selected ? 'true' : 'false');
+            chip.textContent = player.player_name;
+            chip.addEventListener('click', () => this.togglePlayerSelection(player.player_id));
+            container.appendChild(chip);
+        });
+
+        const count = this.state.selectedPlayerIds.length;
+        document.getElementById('roster-summary').textContent = count === 0
+            ? 'Solo round'
+            : `${count} player${count === 1 ? '' : 's'} on the card`;
+    },
+
+    /**
+     * Add or remove a player from the card
+     * @param {string} playerId - The player ID
+     */
+    togglePlayerSelection(playerId) {
+        const selected = this.state.selectedPlayerIds;
+        const index = selected.indexOf(playerId);
+
+        if (index >= 0) {
+            selected.splice(index, 1);
+        } else if (selected.length >= CONFIG.validation.cardSize.max) {
+            Utils.showToast(`A card can have at most ${CONFIG.validation.cardSize.max} players`, 'warning');
+            return;
+        } else {
+            selected.push(playerId);
+        }
+
+        this.renderPlayerList();
+    },
+
+    /**
+     * Get the selected players in the order they were added to the card
+     * @returns {Array} Roster entries with player_id and player_name
+     */
+    getSelectedPlayers() {
+        return this.state.selectedPlayerIds
+            .map(id => this.state.players.find(p => p.player_id === id))
+            .filter(Boolean)
+            .map(player => ({ player_id: player.player_id, player_name: player.player_name }));
+    },
+
+    /**
+     * Handle new player form submission
+     */
+    async handleAddPlayer(event) {
+        event.preventDefault();
+
+        const nameInput = document.getElementById('player-name');
+        const errorEl = document.getElementById('player-name-error');
+        const name = nameInput.value.trim();
+
+        const validation = Utils.validatePlayerName(name);
+        if (!validation.isValid) {
+            errorEl.textContent = validation.message;
+            nameInput.classList.add('error');
+            return;
+        }
+
+        errorEl.textContent = '';
+        nameInput.classList.remove('error');
+        nameInput.value = '';
+
+        // Reuse an existing player with the same name rather than creating a duplicate
+        const existing = this.state.players.find(
+            p => p.player_name.toLowerCase() === name.toLowerCase()
+        );
+        if (existing) {
+            if (!this.state.selectedPlayerIds.includes(existing.player_id)) {
+                this.togglePlayerSelection(existing.player_id);
+            }
+            return;
+        }
+
+        const now = Utils.formatDateForStorage();
+        const player = {
+            player_id: Utils.generateId(),
+            player_name: name,
+            created_date: now,
+            updated_at: now
+        };
+
+        await Storage.put('players', player);
+        this.state.players.push(player);
+
+        try {
+            if (this.state.isOnline && Backend.isConfigured()) {
+                await Backend.getAdapter().savePlayer(player);
+            } else {
+                await Storage.addPendingSync({ type: 'savePlayer', data: player });
+            }
+        } catch (error) {
+            console.error('Error saving player:', error);
+            await Storage.addPendingSync({ type: 'savePlayer', data: player });
+        }
+
+        this.togglePlayerSelection(player.player_id);
+    },
+
+    /**
+     * Get the players on a round's card
+     * Solo rounds have no roster and are scored under a single unnamed player.
+     * @param {Object} round - The round state
+     * @returns {Array} Players with player_id and player_name
+     */
+    getRoundPlayers(round) {
+        if (round && round.players && round.players.length > 0) {
+            return round.players;
+        }
+        return [{ player_id: '', player_name: 'You' }];
+    },
+
+    /**
+     * Check whether a round is being scored for more than one player
+     * @param {Object} round - The round state
+     * @returns {boolean} Whether the card has multiple players
+     */
+    isMultiPlayerRound(round) {
+        return !!(round && round.players && round.players.length > 1);
+    },
+
+    /**
+     * Get the player whose score is currently being entered
+     * @returns {Object} The active player
+     */
+    getActivePlayer() {
+        const players = this.getRoundPlayers(this.state.currentRound);
+        return players[this.state.currentPlayerIndex] || players[0];
+    },
+
+    /**
+     * Get historical statistics for a player on the current course
+     * @param {string} playerId - The player ID ('' for solo rounds)
+     * @returns {Object} Hole and course statistics
+     */
+    getPlayerStats(playerId) {
+        return this.state.playerStats[playerId || ''] || { holeStats: {}, courseStats: null, holeTrends: {} };
+    },
+
+    /**
+     * Find a player's score for a hole in the current round
+     * @param {Object} round - The round state
+     * @param {number} holeNumber - The hole number
+     * @param {string} playerId - The player ID
+     * @returns {Object|undefined} The score
+     */
+    findHoleScore(round, holeNumber, playerId) {
+        return Statistics.filterScoresByPlayer(round.scores, playerId)
+            .find(s => s.hole_number === holeNumber);
+    },
+
     /**
      * Render course list
      */
@@ -531,14 +1582,27 @@ const App = {
             card.setAttribute('tabindex', '0');
             card.setAttribute('aria-label', `${course.course_name}, ${course.hole_count} holes${course.last_played ? `, last played ${Utils.formatDate(course.last_played)}` : ''}`);
             card.innerHTML = `
-                <div class="course-card-name">${course.course_name}</div>
+                <div class="course-card-header">
+                    <div class="course-card-name">${course.course_name}</div>
+                    <button type="button" class="btn-icon course-card-edit" aria-label="Edit ${course.course_name}">
+                        <svg viewBox="0 0 24 24" width="20" height="20" aria-hidden="true">
+                            <path fill="currentColor" d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+                        </svg>
+                    </button>
+                </div>
                 <div class="course-card-details">
                     <span>${course.hole_count} holes</span>
                     ${course.last_played ? `<span>Last played: ${Utils.formatDate(course.last_played)}</span>` : ''}
                 </div>
             `;
+            card.querySelector('.course-card-edit').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showCourseEditor(course);
+            });
             card.addEventListener('click', () => this.selectCourse(course));
             card.addEventListener('keydown', (e) => {
+                // Ignore keys aimed at the edit button inside the card
+                if (e.target !== card) return;
                 if (e.key === 'Enter' || e.key === ' ') {
                     e.preventDefault();
                     this.selectCourse(course);
@@ -555,61 +1619,238 @@ const App = {
         Utils.showLoading('Loading course...');
 
         try {
-            // Load holes for this course
-            let holes = await Storage.getByIndex('holes', 'course_id', course.course_id);
+            const holes = await this.loadCourseHoles(course.course_id);
+            const layouts = await Storage.getByIndex('layouts', 'course_id', course.course_id);
 
-            if (holes.length === 0 && this.state.isOnline && SheetsAPI.isConfigured()) {
-                // Try loading from sheets
-                holes = await SheetsAPI.loadHolesForCourse(course.course_id);
-                await Storage.putMany('holes', holes);
-            }
+            this.state.layoutChoice = { course, holes, layouts };
 
-            // Sort holes by hole_number to ensure correct order
-            holes.sort((a, b) => a.hole_number - b.hole_number);
+            Utils.hideLoading();
+            this.showLayoutPicker();
+        } catch (error) {
+            console.error('Error loading course:', error);
+            Utils.hideLoading();
+            Utils.showToast('Failed to load course', 'error');
+        }
+    },
 
-            // Load historical data
-            let rounds = await Storage.getByIndex('rounds', 'course_id', course.course_id);
-            let scores = [];
+    /**
+     * Load every hole for a course (all layouts), falling back to the backend when none are cached
+     * @param {string} courseId - The course ID
+     * @returns {Promise<Array>} Holes sorted by hole_number
+     */
+    async loadCourseHoles(courseId) {
+        let holes = await Storage.getByIndex('holes', 'course_id', courseId);
 
-            if (rounds.length > 0) {
-                const roundIds = rounds.filter(r => r.completed).map(r => r.round_id);
-                scores = await Storage.getAll('scores');
-                scores = scores.filter(s => roundIds.includes(s.round_id));
-            }
+        if (holes.length === 0 && this.state.isOnline && Backend.isRemote() && Backend.isConfigured()) {
+            // Try loading from the backend
+            holes = await Backend.getAdapter().loadHolesForCourse(courseId);
+            await Storage.putMany('holes', holes);
+        }
 
-            // Calculate statistics
-            this.state.holeStats = Statistics.calculateCourseHoleStats(holes, scores);
-            this.state.courseStats = Statistics.calculateCourseStats(
-                course.course_id, rounds, scores, holes
-            );
+        // Sort holes by hole_number to ensure correct order
+        holes.sort((a, b) => a.hole_number - b.hole_number);
+        return holes;
+    },
+
+    /**
+     * Get the layouts for a course, starting with its default layout
+     * @param {Object} course - The course
+     * @param {Array} layouts - Named layouts for the course
+     * @returns {Array} Layouts with layout_id, layout_name and hole_count
+     */
+    getCourseLayouts(course, layouts) {
+        const defaultLayout = {
+            layout_id: '',
+            course_id: course.course_id,
+            layout_name: CONFIG.layouts.defaultName,
+            hole_count: course.hole_count
+        };
+        return [defaultLayout, ...Utils.sortBy(layouts, 'layout_name')];
+    },
+
+    /**
+     * Get a display title for a round ("Course" or "Course - Layout")
+     * @param {Object} round - The round state
+     * @returns {string} The title
+     */
+    getRoundTitle(round) {
+        return round.layoutName ? `${round.courseName} - ${round.layoutName}` : round.courseName;
+    },
+
+    /**
+     * Check whether the holes of a round are still being set up (new course or new layout)
+     * @param {Object} round - The round state
+     * @returns {boolean} Whether par and distance are entered during play
+     */
+    isSettingUpHoles(round) {
+        return !!(round && (round.isNewCourse || round.isNewLayout));
+    },
+
+    /**
+     * Show the layout picker for the chosen course
+     */
+    showLayoutPicker() {
+        const { course, holes, layouts } = this.state.layoutChoice;
+        const container = document.getElementById('layout-list');
+
+        document.getElementById('layout-modal-course').textContent = course.course_name;
+        document.getElementById('layout-name').value = '';
+        document.getElementById('layout-hole-count').value = course.hole_count;
+        document.getElementById('layout-name-error').textContent = '';
+        container.innerHTML = '';
+
+        this.getCourseLayouts(course, layouts).forEach(layout => {
+            const layoutHoles = Statistics.filterByLayout(holes, layout.layout_id);
+            const totalPar = layoutHoles.reduce((sum, hole) => sum + (hole.par || 3), 0);
+
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'layout-card';
+            item.setAttribute('role', 'listitem');
+            item.innerHTML = `
+                <span class="layout-card-name">${layout.layout_name}</span>
+                <span class="layout-card-details">${layout.hole_count} holes${layoutHoles.length > 0 ? ` &middot; Par ${totalPar}` : ''}</span>
+            `;
+            item.addEventListener('click', () => this.startRoundOnLayout(layout));
+            container.appendChild(item);
+        });
+
+        document.getElementById('layout-modal').classList.remove('hidden');
+    },
+
+    /**
+     * Hide the layout picker
+     */
+    hideLayoutPicker() {
+        document.getElementById('layout-modal').classList.add('hidden');
+    },
+
+    /**
+     * Start a round on an existing layout of the chosen course
+     * @param {Object} layout - The layout being played
+     */
+    async startRoundOnLayout(layout) {
+        const { course, holes: courseHoles } = this.state.layoutChoice;
+
+        this.hideLayoutPicker();
+        Utils.showLoading('Loading course...');
+
+        try {
+            const holes = Statistics.filterByLayout(courseHoles, layout.layout_id);
+            const players = this.getSelectedPlayers();
+
+            // Calculate statistics from historical data on this layout
+            await this.loadCourseStatistics(course.course_id, layout.layout_id, holes, players);
 
             // Create new round
             this.state.currentRound = {
                 round_id: Utils.generateId(),
                 course_id: course.course_id,
                 courseName: course.course_name,
+                layout_id: layout.layout_id,
+                layoutName: layout.layout_id ? layout.layout_name : null,
                 round_date: Utils.formatDateForStorage(),
                 completed: false,
                 holes: holes,
                 scores: [],
+                players: players,
                 isNewCourse: false,
                 currentHoleIndex: 0,
-                holeCount: course.hole_count
+                currentPlayerIndex: 0,
+                holeCount: layout.hole_count
             };
 
             this.state.currentHoleIndex = 0;
+            this.state.currentPlayerIndex = 0;
             this.saveCurrentRoundState();
+            this.persistRoundStart(this.state.currentRound);
 
             Utils.hideLoading();
             this.showScreen('scoring');
             this.renderScoringScreen();
         } catch (error) {
-            console.error('Error loading course:', error);
+            console.error('Error loading layout:', error);
             Utils.hideLoading();
             Utils.showToast('Failed to load course', 'error');
         }
     },
 
+    /**
+     * Handle new layout form submission - start a round that sets up the layout's holes
+     */
+    handleNewLayoutSubmit(event) {
+        event.preventDefault();
+
+        const { course } = this.state.layoutChoice;
+        const nameInput = document.getElementById('layout-name');
+        const holeCountInput = document.getElementById('layout-hole-count');
+        const errorEl = document.getElementById('layout-name-error');
+        const name = nameInput.value.trim();
+        const holeCount = parseInt(holeCountInput.value, 10);
+
+        const validation = Utils.validateLayoutName(name);
+        if (!validation.isValid) {
+            errorEl.textContent = validation.message;
+            return;
+        }
+
+        const { min, max } = CONFIG.validation.holeCount;
+        if (!Utils.isValidNumber(holeCount, min, max)) {
+            errorEl.textContent = `Hole count must be between ${min} and ${max}`;
+            return;
+        }
+
+        const layout = {
+            layout_id: Utils.generateId(),
+            course_id: course.course_id,
+            layout_name: name,
+            hole_count: holeCount,
+            created_date: Utils.formatDateForStorage()
+        };
+
+        // Create empty holes for the layout
+        const holes = [];
+        for (let i = 1; i <= holeCount; i++) {
+            holes.push({
+                hole_id: Utils.generateId(),
+                course_id: course.course_id,
+                layout_id: layout.layout_id,
+                hole_number: i,
+                par: 3,
+                distance: null
+            });
+        }
+
+        this.state.currentRound = {
+            round_id: Utils.generateId(),
+            course_id: course.course_id,
+            courseName: course.course_name,
+            layout_id: layout.layout_id,
+            layoutName: layout.layout_name,
+            round_date: Utils.formatDateForStorage(),
+            completed: false,
+            holes: holes,
+            scores: [],
+            players: this.getSelectedPlayers(),
+            isNewCourse: false,
+            isNewLayout: true,
+            currentHoleIndex: 0,
+            currentPlayerIndex: 0,
+            holeCount: holeCount,
+            layoutData: layout
+        };
+
+        this.state.currentHoleIndex = 0;
+        this.state.currentPlayerIndex = 0;
+        this.state.playerStats = {};
+        this.saveCurrentRoundState();
+        this.persistRoundStart(this.state.currentRound);
+
+        this.hideLayoutPicker();
+        this.showScreen('scoring');
+        this.renderScoringScreen();
+    },
+
     /**
      * Handle new course form submission
      */
@@ -666,16 +1907,19 @@ const App = {
             completed: false,
             holes: holes,
             scores: [],
+            players: this.getSelectedPlayers(),
             isNewCourse: true,
             currentHoleIndex: 0,
+            currentPlayerIndex: 0,
             holeCount: holeCount,
             courseData: course
         };
 
         this.state.currentHoleIndex = 0;
-        this.state.holeStats = {};
-        this.state.courseStats = null;
+        this.state.currentPlayerIndex = 0;
+        this.state.playerStats = {};
         this.saveCurrentRoundState();
+        this.persistRoundStart(this.state.currentRound);
 
         // Clear form
         nameInput.value = '';
@@ -685,32 +1929,397 @@ const App = {
         this.renderScoringScreen();
     },
 
+    // ===================
+    // Course Editor
+    // ===================
+
     /**
-     * Load round data for resuming
+     * Open the course editor for an existing course
+     * @param {Object} course - The course to edit
      */
-    async loadRoundData() {
-        if (!this.state.currentRound) return;
+    async showCourseEditor(course) {
+        Utils.showLoading('Loading course...');
+
+        try {
+            const allHoles = await this.loadCourseHoles(course.course_id);
+            const layouts = this.getCourseLayouts(
+                course, await Storage.getByIndex('layouts', 'course_id', course.course_id)
+            );
+
+            this.state.editingCourse = {
+                course: Utils.deepClone(course),
+                allHoles,
+                layouts
+            };
+
+            // Only offer a layout picker when the course has named layouts
+            const layoutSelect = document.getElementById('edit-layout');
+            layoutSelect.innerHTML = layouts.map(layout =>
+                `<option value="${layout.layout_id}">${layout.layout_name}</option>`
+            ).join('');
+            layoutSelect.value = '';
+            document.getElementById('edit-layout-group').classList.toggle('hidden', layouts.length < 2);
+
+            document.getElementById('edit-course-name').value = course.course_name;
+            document.getElementById('edit-course-name-error').textContent = '';
+            document.getElementById('edit-course-name').classList.remove('error');
+
+            this.loadLayoutIntoEditor('');
+
+            Utils.hideLoading();
+            this.showScreen('course-edit');
+        } catch (error) {
+            console.error('Error loading course for editing:', error);
+            Utils.hideLoading();
+            Utils.showToast('Failed to load course', 'error');
+        }
+    },
+
+    /**
+     * Load one layout's holes into the course editor, discarding unsaved hole edits
+     * @param {string} layoutId - The layout ID ('' for the default layout)
+     */
+    loadLayoutIntoEditor(layoutId) {
+        const editing = this.state.editingCourse;
+        if (!editing) return;
+
+        const layout = editing.layouts.find(l => l.layout_id === layoutId) || editing.layouts[0];
+        const holes = Statistics.filterByLayout(editing.allHoles, layout.layout_id);
+
+        editing.layout = layout;
+        editing.originalHoles = holes;
+        editing.holes = Utils.deepClone(holes);
+
+        document.getElementById('edit-hole-count').value = holes.length || layout.hole_count;
+        ['edit-hole-count-error', 'edit-holes-error'].forEach(id => {
+            document.getElementById(id).textContent = '';
+        });
+        document.getElementById('edit-hole-count').classList.remove('error');
+
+        this.handleEditHoleCountChange();
+    },
+
+    /**
+     * Read the par and distance inputs back into the working copy of the holes
+     */
+    collectHoleEditorValues() {
+        const editing = this.state.editingCourse;
+        if (!editing) return;
+
+        document.querySelectorAll('#hole-editor-list .hole-editor-row').forEach(row => {
+            const hole = editing.holes[parseInt(row.dataset.index, 10)];
+            if (!hole) return;
+            hole.par = row.querySelector('.hole-editor-par').value;
+            hole.distance = row.querySelector('.hole-editor-distance').value;
+        });
+    },
+
+    /**
+     * Add or remove hole rows when the hole count changes
+     */
+    handleEditHoleCountChange() {
+        const editing = this.state.editingCourse;
+        if (!editing) return;
+
+        this.collectHoleEditorValues();
+
+        const holeCount = parseInt(document.getElementById('edit-hole-count').value, 10);
+        if (!Utils.isValidNumber(holeCount, CONFIG.validation.holeCount.min, CONFIG.validation.holeCount.max)) {
+            return;
+        }
+
+        // Grow with default holes, restoring any that were removed earlier in this edit
+        editing.holes = CourseEditor.resizeHoles(editing.holes, holeCount, editing.originalHoles, holeNumber => ({
+            hole_id: Utils.generateId(),
+            course_id: editing.course.course_id,
+            layout_id: editing.layout.layout_id,
+            hole_number: holeNumber,
+            par: CONFIG.validation.par.default,
+            distance: null
+        }));
+
+        this.renderHoleEditor();
+    },
+
+    /**
+     * Render the per-hole par and distance inputs
+     */
+    renderHoleEditor() {
+        const { holes } = this.state.editingCourse;
+        const container = document.getElementById('hole-editor-list');
+        const { par, distance } = CONFIG.validation;
+
+        container.innerHTML = holes.map((hole, index) => `
+            <div class="hole-editor-row" data-index="${index}">
+                <span class="hole-editor-number">${hole.hole_number}</span>
+                <input type="number" class="hole-editor-par" value="${hole.par ?? ''}"
+                       min="${par.min}" max="${par.max}" aria-label="Par for hole ${hole.hole_number}">
+                <input type="number" class="hole-editor-distance" value="${hole.distance ?? ''}"
+                       min="${distance.min}" max="${distance.max}" placeholder="--" aria-label="Distance in feet for hole ${hole.hole_number}">
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Handle course editor form submission
+     */
+    async handleCourseEditSubmit(event) {
+        event.preventDefault();
+
+        const editing = this.state.editingCourse;
+        if (!editing) return;
+
+        this.collectHoleEditorValues();
+
+        const nameInput = document.getElementById('edit-course-name');
+        const holeCountInput = document.getElementById('edit-hole-count');
+        const holesError = document.getElementById('edit-holes-error');
+        const name = nameInput.value.trim();
+        const holeCount = parseInt(holeCountInput.value, 10);
+
+        // Validate
+        const validation = Utils.validateCourseName(name);
+        if (!validation.isValid) {
+            document.getElementById('edit-course-name-error').textContent = validation.message;
+            nameInput.classList.add('error');
+            return;
+        }
+        document.getElementById('edit-course-name-error').textContent = '';
+        nameInput.classList.remove('error');
+
+        if (!Utils.isValidNumber(holeCount, CONFIG.validation.holeCount.min, CONFIG.validation.holeCount.max)) {
+            document.getElementById('edit-hole-count-error').textContent = 'Hole count must be between 1 and 27';
+            holeCountInput.classList.add('error');
+            return;
+        }
+        document.getElementById('edit-hole-count-error').textContent = '';
+        holeCountInput.classList.remove('error');
+
+        const { par, distance } = CONFIG.validation;
+        const invalidPar = editing.holes.find(h => !Utils.isValidNumber(h.par, par.min, par.max));
+        if (invalidPar) {
+            holesError.textContent = `Par for hole ${invalidPar.hole_number} must be between ${par.min} and ${par.max}`;
+            return;
+        }
+        const invalidDistance = editing.holes.find(
+            h => h.distance !== '' && h.distance !== null && !Utils.isValidNumber(h.distance, distance.min, distance.max)
+        );
+        if (invalidDistance) {
+            holesError.textContent = `Distance for hole ${invalidDistance.hole_number} must be between ${distance.min} and ${distance.max} ft`;
+            return;
+        }
+        holesError.textContent = '';
+
+        const holes = editing.holes.map(hole => ({
+            ...hole,
+            par: parseInt(hole.par, 10),
+            distance: hole.distance !== '' && hole.distance !== null ? parseInt(hole.distance, 10) : null
+        }));
+
+        const isNamedLayout = !!editing.layout.layout_id;
+        const { newHoles, changedHoles, removedHoles } = CourseEditor.diffHoles(editing.originalHoles, holes);
+        if (removedHoles.length > 0) {
+            const droppedScores = this.getScoresOnRemovedHoles(editing.course.course_id, editing.layout.layout_id, holes.length);
+            const message = `Remove ${removedHoles.length} hole${removedHoles.length === 1 ? '' : 's'} from this ${isNamedLayout ? 'layout' : 'course'}? Past scores on them stay in your history.` +
+                (droppedScores.length > 0
+                    ? ` The ${droppedScores.length} score${droppedScores.length === 1 ? '' : 's'} already entered on them in the round in progress will be deleted.`
+                    : '');
+            if (!confirm(message)) {
+                return;
+            }
+        }
 
-        const courseId = this.state.currentRound.course_id;
+        // The hole count belongs to the course for the default layout and to the layout otherwise
+        const course = {
+            ...editing.course,
+            course_name: name,
+            hole_count: isNamedLayout ? editing.course.hole_count : holeCount
+        };
+        const courseChanged = course.course_name !== editing.course.course_name ||
+            course.hole_count !== editing.course.hole_count;
+        const now = Utils.formatDateForStorage();
+        const layout = isNamedLayout && editing.layout.hole_count !== holeCount
+            ? { ...editing.layout, hole_count: holeCount, updated_at: now }
+            : null;
+
+        // Stamp what changed so sync can tell which side is newer
+        if (courseChanged) course.updated_at = now;
+        [...newHoles, ...changedHoles].forEach(hole => {
+            hole.updated_at = now;
+        });
 
-        // Load statistics if not a new course
-        if (!this.state.currentRound.isNewCourse) {
-            let rounds = await Storage.getByIndex('rounds', 'course_id', courseId);
-            let scores = [];
+        Utils.showLoading('Saving course...');
 
-            if (rounds.length > 0) {
-                const roundIds = rounds.filter(r => r.completed).map(r => r.round_id);
-                scores = await Storage.getAll('scores');
-                scores = scores.filter(s => roundIds.includes(s.round_id));
+        try {
+            // Save locally first
+            await Storage.put('courses', course);
+            if (layout) {
+                await Storage.put('layouts', layout);
+            }
+            await Storage.putMany('holes', holes);
+            for (const hole of removedHoles) {
+                await Storage.delete('holes', hole.hole_id);
             }
 
-            this.state.holeStats = Statistics.calculateCourseHoleStats(
-                this.state.currentRound.holes, scores
-            );
-            this.state.courseStats = Statistics.calculateCourseStats(
-                courseId, rounds, scores, this.state.currentRound.holes
+            // Queued before the uploads start, so a deleted score goes out with the holes
+            await this.applyCourseEditsToCurrentRound(course, editing.layout.layout_id, holes);
+            await this.syncCourseEdits(course, courseChanged, layout, changedHoles, newHoles, removedHoles);
+
+            this.state.editingCourse = null;
+            await this.loadCachedData();
+
+            Utils.hideLoading();
+            Utils.showToast('Course updated', 'success');
+            this.showScreen('course-select');
+            this.renderCourseList();
+        } catch (error) {
+            console.error('Error saving course:', error);
+            Utils.hideLoading();
+            Utils.showToast('Failed to save course', 'error');
+        }
+    },
+
+    /**
+     * Queue course edits for Google Sheets and push them right away when online
+     * @param {Object} course - The updated course
+     * @param {boolean} courseChanged - Whether the course row changed
+     * @param {Object|null} layout - The updated layout, or null when its row is unchanged
+     * @param {Array} changedHoles - Existing holes with a new par or distance
+     * @param {Array} newHoles - Holes added by increasing the hole count
+     * @param {Array} removedHoles - Holes removed by decreasing the hole count
+     */
+    async syncCourseEdits(course, courseChanged, layout, changedHoles, newHoles, removedHoles) {
+        if (courseChanged) {
+            await Storage.addPendingSync({ type: 'updateCourse', data: course });
+        }
+        if (layout) {
+            await Storage.addPendingSync({ type: 'updateLayout', data: layout });
+        }
+        for (const hole of changedHoles) {
+            await Storage.addPendingSync({ type: 'updateHole', data: hole });
+        }
+        if (newHoles.length > 0) {
+            await Storage.addPendingSync({ type: 'saveHoles', data: newHoles });
+        }
+        for (const hole of removedHoles) {
+            await Storage.addPendingSync({ type: 'deleteHole', data: { holeId: hole.hole_id } });
+        }
+
+        // Anything that fails stays queued for the next sync
+        await this.processPendingSync();
+    },
+
+    /**
+     * Get the scores of the round in progress that shrinking a layout would delete
+     * @param {string} courseId - The course being edited
+     * @param {string} layoutId - The layout being edited
+     * @param {number} holeCount - The layout's new hole count
+     * @returns {Array} Scores on holes past the new count
+     */
+    getScoresOnRemovedHoles(courseId, layoutId, holeCount) {
+        const round = Storage.getCurrentRound();
+        if (!round || round.completed || this.isSettingUpHoles(round) ||
+            round.course_id !== courseId || (round.layout_id || '') !== layoutId) {
+            return [];
+        }
+        return round.scores.filter(s => s.hole_number > holeCount);
+    },
+
+    /**
+     * Carry course edits into an in-progress round on the same course
+     * so a wrong par can be fixed mid-round. Scores on removed holes are
+     * deleted, and the round's uploaded scores are replaced to match.
+     * @param {Object} course - The updated course
+     * @param {string} layoutId - The layout whose holes were edited
+     * @param {Array} holes - The updated holes
+     * @returns {Promise<void>}
+     */
+    async applyCourseEditsToCurrentRound(course, layoutId, holes) {
+        const round = Storage.getCurrentRound();
+        if (!round || round.completed || this.isSettingUpHoles(round) || round.course_id !== course.course_id) {
+            return;
+        }
+
+        const droppedScores = this.getScoresOnRemovedHoles(course.course_id, layoutId, holes.length);
+        round.courseName = course.course_name;
+
+        // Hole edits only apply when the round is on the edited layout
+        if ((round.layout_id || '') === layoutId) {
+            round.holes = holes;
+            round.holeCount = holes.length;
+            round.scores = round.scores.filter(s => s.hole_number <= holes.length);
+            round.currentHoleIndex = Math.min(round.currentHoleIndex || 0, holes.length - 1);
+        }
+
+        if (droppedScores.length > 0) {
+            await Storage.addPendingSync({ type: 'replaceScores', data: { roundId: round.round_id, scores: round.scores } });
+        }
+
+        Storage.saveCurrentRound(round);
+        if (this.state.currentRound && this.state.currentRound.round_id === round.round_id) {
+            this.state.currentRound = round;
+            this.state.currentHoleIndex = round.currentHoleIndex;
+        }
+    },
+
+    /**
+     * Load round data for resuming
+     */
+    async loadRoundData() {
+        if (!this.state.currentRound) return;
+
+        const round = this.state.currentRound;
+
+        // Load statistics if the holes already exist
+        if (!this.isSettingUpHoles(round)) {
+            await this.loadCourseStatistics(
+                round.course_id, round.layout_id, round.holes, this.getRoundPlayers(round)
             );
+        } else {
+            this.state.playerStats = {};
+        }
+    },
+
+    /**
+     * Calculate historical hole and course statistics for each player on the card
+     * @param {string} courseId - The course ID
+     * @param {string} layoutId - The layout being played ('' for the default layout)
+     * @param {Array} holes - Holes for the layout
+     * @param {Array} players - Players on the card (empty for a solo round)
+     */
+    async loadCourseStatistics(courseId, layoutId, holes, players) {
+        const courseRounds = await Storage.getByIndex('rounds', 'course_id', courseId);
+        const rounds = Statistics.filterByLayout(courseRounds, layoutId);
+        let scores = [];
+
+        if (rounds.length > 0) {
+            const roundIds = rounds.filter(r => r.completed).map(r => r.round_id);
+            scores = await Storage.getAll('scores');
+            scores = scores.filter(s => roundIds.includes(s.round_id));
         }
+
+        const playerStats = {};
+        const roster = players.length > 0 ? players : this.getRoundPlayers(null);
+
+        roster.forEach(player => {
+            // Only count rounds this player actually played
+            const playerScores = Statistics.filterScoresByPlayer(scores, player.player_id);
+            const playedRoundIds = playerScores.map(s => s.round_id);
+            const playerRounds = rounds.filter(r => playedRoundIds.includes(r.round_id));
+
+            const holeTrends = {};
+            holes.forEach(hole => {
+                holeTrends[hole.hole_id] = Statistics.getHoleTrend(hole.hole_id, playerScores, playerRounds);
+            });
+
+            playerStats[player.player_id || ''] = {
+                holeStats: Statistics.calculateCourseHoleStats(holes, playerScores),
+                courseStats: Statistics.calculateCourseStats(courseId, playerRounds, playerScores, holes),
+                holeTrends
+            };
+        });
+
+        this.state.playerStats = playerStats;
     },
 
     /**
@@ -720,7 +2329,10 @@ const App = {
         const round = this.state.currentRound;
         const holeIndex = this.state.currentHoleIndex;
         const hole = round.holes[holeIndex];
-        const isNewCourse = round.isNewCourse;
+        const isNewCourse = this.isSettingUpHoles(round);
+        const players = this.getRoundPlayers(round);
+        const player = this.getActivePlayer();
+        const isLastPlayer = this.state.currentPlayerIndex >= players.length - 1;
 
         // Update hole navigation
         document.getElementById('current-hole-label').textContent = `Hole ${holeIndex + 1}`;
@@ -733,7 +2345,9 @@ const App = {
 
         // Update save button text
         const saveBtn = document.getElementById('save-hole-btn');
-        if (holeIndex === round.holeCount - 1) {
+        if (!isLastPlayer) {
+            saveBtn.innerHTML = `Next Player <svg viewBox="0 0 24 24" width="24" height="24"><path fill="currentColor" d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/></svg>`;
+        } else if (holeIndex === round.holeCount - 1) {
             saveBtn.innerHTML = `Finish Round <svg viewBox="0 0 24 24" width="24" height="24"><path fill="currentColor" d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg>`;
         } else {
             saveBtn.innerHTML = `Next Hole <svg viewBox="0 0 24 24" width="24" height="24"><path fill="currentColor" d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/></svg>`;
@@ -764,7 +2378,7 @@ const App = {
             }
 
             // Show statistics
-            const stats = this.state.holeStats[hole.hole_id];
+            const stats = this.getPlayerStats(player.player_id).holeStats[hole.hole_id];
             if (stats && stats.hasData) {
                 Utils.toggleElement(statsSection, true);
                 document.getElementById('avg-score').textContent = stats.avgScore ? stats.avgScore.toFixed(1) : '--';
@@ -782,10 +2396,26 @@ const App = {
                 document.getElementById('avg-approaches').textContent = '--';
                 document.getElementById('avg-putts').textContent = '--';
             }
+
+            // Score trend for this hole
+            const trend = this.getPlayerStats(player.player_id).holeTrends[hole.hole_id] || [];
+            const chart = Charts.trendChart(trend, {
+                referenceValue: hole.par || 3,
+                referenceLabel: 'Par',
+                label: `Score trend for hole ${holeIndex + 1}`
+            });
+            document.getElementById('hole-trend').innerHTML = chart;
+            Utils.toggleElement('hole-trend', chart !== '');
         }
 
+        // Card roster
+        this.renderPlayerTabs();
+        document.getElementById('score-entry-title').textContent = this.isMultiPlayerRound(round)
+            ? `${player.player_name}'s Score`
+            : 'Your Score';
+
         // Load existing score for this hole
-        const existingScore = round.scores.find(s => s.hole_number === holeIndex + 1);
+        const existingScore = this.findHoleScore(round, holeIndex + 1, player.player_id);
         if (existingScore) {
             document.getElementById('score-throws').value = existingScore.throws;
             document.getElementById('score-approaches').value = existingScore.approaches || '';
@@ -801,33 +2431,93 @@ const App = {
     },
 
     /**
-     * Update the score relative to par display
+     * Render the player tabs for a multi-player card
      */
-    updateScoreRelative() {
-        const throws = parseInt(document.getElementById('score-throws').value, 10) || 0;
-        let par;
+    renderPlayerTabs() {
+        const round = this.state.currentRound;
+        const container = document.getElementById('player-tabs');
+        container.innerHTML = '';
 
-        if (this.state.currentRound.isNewCourse) {
-            par = parseInt(document.getElementById('setup-par').value, 10) || 3;
-        } else {
-            const hole = this.state.currentRound.holes[this.state.currentHoleIndex];
-            par = hole.par || 3;
+        if (!this.isMultiPlayerRound(round)) {
+            Utils.toggleElement(container, false);
+            return;
         }
 
-        const relative = Utils.getRelativeScore(throws, par);
-        const scoreClass = Utils.getScoreClass(throws, par);
-
-        const relativeEl = document.getElementById('score-relative');
-        relativeEl.textContent = relative;
-        relativeEl.className = `score-relative ${scoreClass}`;
+        Utils.toggleElement(container, true);
+        const holeNumber = this.state.currentHoleIndex + 1;
+        const totals = Statistics.calculatePlayerTotals(round.scores, round.holes, round.players);
+
+        totals.forEach((total, index) => {
+            const holeScore = this.findHoleScore(round, holeNumber, total.player_id);
+            const isActive = index === this.state.currentPlayerIndex;
+            const relative = total.holesCompleted > 0
+                ? Utils.getRelativeScore(total.totalScore, total.totalPar)
+                : 'E';
+
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = `player-tab${isActive ? ' active' : ''}${holeScore ? ' scored' : ''}`;
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            tab.innerHTML = `
+                <span class="player-tab-name">${total.player_name}</span>
+                <span class="player-tab-score">${holeScore ? holeScore.throws : '-'}</span>
+                <span class="player-tab-total ${Utils.getTotalScoreClass(total.totalScore, total.totalPar)}">${relative}</span>
+            `;
+            tab.addEventListener('click', () => this.selectPlayer(index));
+            container.appendChild(tab);
+        });
     },
 
     /**
-     * Validate all score entry fields
-     * @returns {Object} Validation result with isValid and errors array
+     * Switch score entry to another player on the card
+     * @param {number} index - The player's position on the card
      */
-    validateScoreEntry() {
-        const errors = [];
+    selectPlayer(index) {
+        if (index === this.state.currentPlayerIndex) return;
+
+        const validation = this.validateScoreEntry();
+        if (!validation.isValid) {
+            this.showValidationErrors(validation.errors);
+            return;
+        }
+        this.clearValidationErrors();
+
+        this.saveCurrentHoleScore();
+        this.state.currentPlayerIndex = index;
+        this.state.currentRound.currentPlayerIndex = index;
+        this.saveCurrentRoundState();
+        this.renderScoringScreen();
+    },
+
+    /**
+     * Update the score relative to par display
+     */
+    updateScoreRelative() {
+        const throws = parseInt(document.getElementById('score-throws').value, 10) || 0;
+        let par;
+
+        if (this.isSettingUpHoles(this.state.currentRound)) {
+            par = parseInt(document.getElementById('setup-par').value, 10) || 3;
+        } else {
+            const hole = this.state.currentRound.holes[this.state.currentHoleIndex];
+            par = hole.par || 3;
+        }
+
+        const relative = Utils.getRelativeScore(throws, par);
+        const scoreClass = Utils.getScoreClass(throws, par);
+
+        const relativeEl = document.getElementById('score-relative');
+        relativeEl.textContent = relative;
+        relativeEl.className = `score-relative ${scoreClass}`;
+    },
+
+    /**
+     * Validate all score entry fields
+     * @returns {Object} Validation result with isValid and errors array
+     */
+    validateScoreEntry() {
+        const errors = [];
         const throwsInput = document.getElementById('score-throws');
         const approachesInput = document.getElementById('score-approaches');
         const puttsInput = document.getElementById('score-putts');
@@ -975,6 +2665,8 @@ const App = {
         if (newIndex >= 0 && newIndex < this.state.currentRound.holeCount) {
             this.state.currentHoleIndex = newIndex;
             this.state.currentRound.currentHoleIndex = newIndex;
+            this.state.currentPlayerIndex = 0;
+            this.state.currentRound.currentPlayerIndex = 0;
             this.saveCurrentRoundState();
             this.renderScoringScreen();
         }
@@ -987,20 +2679,22 @@ const App = {
         const round = this.state.currentRound;
         const holeIndex = this.state.currentHoleIndex;
         const hole = round.holes[holeIndex];
+        const player = this.getActivePlayer();
 
         // Get values
         const throws = parseInt(document.getElementById('score-throws').value, 10) || 0;
         const approaches = document.getElementById('score-approaches').value;
         const putts = document.getElementById('score-putts').value;
 
-        // Update hole info if new course
-        if (round.isNewCourse) {
+        // Update hole info if new course or layout
+        if (this.isSettingUpHoles(round)) {
             hole.par = parseInt(document.getElementById('setup-par').value, 10) || 3;
             const distance = document.getElementById('setup-distance').value;
             hole.distance = distance ? parseInt(distance, 10) : null;
         }
 
         // Create or update score
+        const now = Utils.formatDateForStorage();
         const scoreData = {
             score_id: Utils.generateId(),
             round_id: round.round_id,
@@ -1009,11 +2703,15 @@ const App = {
             throws: throws,
             approaches: approaches ? parseInt(approaches, 10) : 0,
             putts: putts ? parseInt(putts, 10) : 0,
-            created_at: Utils.formatDateForStorage()
+            created_at: now,
+            player_id: player.player_id,
+            updated_at: now
         };
 
         // Update or add to scores array
-        const existingIndex = round.scores.findIndex(s => s.hole_number === holeIndex + 1);
+        const existingIndex = round.scores.findIndex(
+            s => s.hole_number === holeIndex + 1 && (s.player_id || '') === (player.player_id || '')
+        );
         if (existingIndex >= 0) {
             scoreData.score_id = round.scores[existingIndex].score_id;
             round.scores[existingIndex] = scoreData;
@@ -1040,14 +2738,27 @@ const App = {
 
         const round = this.state.currentRound;
         const holeIndex = this.state.currentHoleIndex;
+        const players = this.getRoundPlayers(round);
 
-        if (holeIndex === round.holeCount - 1) {
+        if (!round.isEditing) {
+            this.persistHoleProgress(round, holeIndex);
+        }
+
+        if (this.state.currentPlayerIndex < players.length - 1) {
+            // Next player on the card for this hole
+            this.state.currentPlayerIndex++;
+            round.currentPlayerIndex = this.state.currentPlayerIndex;
+            this.saveCurrentRoundState();
+            this.renderScoringScreen();
+        } else if (holeIndex === round.holeCount - 1) {
             // Last hole - finish round
             this.finishRound();
         } else {
             // Go to next hole
             this.state.currentHoleIndex++;
+            this.state.currentPlayerIndex = 0;
             this.state.currentRound.currentHoleIndex = this.state.currentHoleIndex;
+            this.state.currentRound.currentPlayerIndex = 0;
             this.saveCurrentRoundState();
             this.renderScoringScreen();
         }
@@ -1059,8 +2770,12 @@ const App = {
     finishRound() {
         const round = this.state.currentRound;
 
-        // Calculate totals
-        const totals = Statistics.calculateRunningTotal(round.scores, round.holes);
+        // Round totals reflect the first player on the card; per-player
+        // totals are always derived from the Scores rows
+        const [leadPlayer] = this.getRoundPlayers(round);
+        const totals = Statistics.calculateRunningTotal(
+            Statistics.filterScoresByPlayer(round.scores, leadPlayer.player_id), round.holes
+        );
         round.total_score = totals.totalScore;
         round.total_par = totals.totalPar;
         round.completed = true;
@@ -1075,14 +2790,19 @@ const App = {
      */
     renderSummary() {
         const round = this.state.currentRound;
-        const totals = Statistics.calculateRunningTotal(round.scores, round.holes);
+        const isMultiPlayer = this.isMultiPlayerRound(round);
+        const [leadPlayer] = this.getRoundPlayers(round);
+        const leadScores = Statistics.filterScoresByPlayer(round.scores, leadPlayer.player_id);
+        const totals = Statistics.calculateRunningTotal(leadScores, round.holes);
+        const { holeStats, courseStats } = this.getPlayerStats(leadPlayer.player_id);
 
         // Basic info
-        document.getElementById('summary-course').textContent = round.courseName;
+        document.getElementById('summary-course').textContent = this.getRoundTitle(round);
         document.getElementById('summary-date').textContent = Utils.formatDateTime(round.round_date);
         document.getElementById('summary-total-score').textContent = totals.totalScore;
-        document.getElementById('summary-holes').textContent = round.scores.length;
+        document.getElementById('summary-holes').textContent = new Set(round.scores.map(s => s.hole_number)).size;
         document.getElementById('summary-par').textContent = totals.totalPar;
+        document.getElementById('finish-round-btn').textContent = round.isEditing ? 'Save Changes' : 'Save & Finish';
 
         // Relative score
         const relativeEl = document.getElementById('summary-relative-score');
@@ -1090,10 +2810,14 @@ const App = {
         relativeEl.textContent = relativeScore;
         relativeEl.className = `relative-score ${Utils.getTotalScoreClass(totals.totalScore, totals.totalPar)}`;
 
+        // Multi-player cards show every player side-by-side instead of a single score
+        Utils.toggleElement('summary-score', !isMultiPlayer);
+        this.renderSummaryPlayers();
+
         // Comparison to average (if not new course)
         const comparisonSection = document.getElementById('summary-comparison');
-        if (this.state.courseStats && this.state.courseStats.hasData) {
-            const comparison = Statistics.compareToAverage(totals.totalScore, this.state.courseStats);
+        if (!isMultiPlayer && courseStats && courseStats.hasData) {
+            const comparison = Statistics.compareToAverage(totals.totalScore, courseStats);
             Utils.toggleElement(comparisonSection, true);
 
             const resultEl = document.getElementById('comparison-result');
@@ -1105,8 +2829,8 @@ const App = {
 
         // Highlights
         const highlightsSection = document.getElementById('summary-highlights');
-        if (Object.keys(this.state.holeStats).length > 0) {
-            const highlights = Statistics.getHighlightHoles(round.scores, round.holes, this.state.holeStats);
+        if (!isMultiPlayer && Object.keys(holeStats).length > 0) {
+            const highlights = Statistics.getHighlightHoles(leadScores, round.holes, holeStats);
 
             if (highlights.best.length > 0 || highlights.worst.length > 0) {
                 Utils.toggleElement(highlightsSection, true);
@@ -1129,19 +2853,81 @@ const App = {
         }
     },
 
+    /**
+     * Render every player's total side-by-side on the summary card
+     */
+    renderSummaryPlayers() {
+        const round = this.state.currentRound;
+        const container = document.getElementById('summary-players');
+
+        if (!this.isMultiPlayerRound(round)) {
+            container.innerHTML = '';
+            Utils.toggleElement(container, false);
+            return;
+        }
+
+        const totals = Statistics.calculatePlayerTotals(round.scores, round.holes, round.players);
+
+        container.innerHTML = totals.map(total => {
+            const { courseStats } = this.getPlayerStats(total.player_id);
+            const comparison = courseStats && courseStats.hasData
+                ? Statistics.compareToAverage(total.totalScore, courseStats)
+                : null;
+
+            return `
+                <div class="summary-player">
+                    <div class="summary-player-name">${total.player_name}</div>
+                    <div class="summary-player-total">${total.totalScore}</div>
+                    <div class="relative-score ${Utils.getTotalScoreClass(total.totalScore, total.totalPar)}">${Utils.getRelativeScore(total.totalScore, total.totalPar)}</div>
+                    ${comparison ? `<div class="summary-player-comparison ${comparison.isBetter ? 'better' : 'worse'}">${comparison.message}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        Utils.toggleElement(container, true);
+    },
+
     /**
      * Show the scorecard modal
+     * @param {Object} round - The round to show (defaults to the current round)
      */
-    showScorecard() {
+    showScorecard(round = this.state.currentRound) {
         const modal = document.getElementById('scorecard-modal');
+
+        if (this.isMultiPlayerRound(round)) {
+            this.renderMultiPlayerScorecard(round);
+        } else {
+            this.renderSoloScorecard(round);
+        }
+
+        modal.classList.remove('hidden');
+    },
+
+    /**
+     * Build the scorecard table for a single player
+     * @param {Object} round - The round state
+     */
+    renderSoloScorecard(round) {
+        const thead = document.getElementById('scorecard-head');
         const tbody = document.getElementById('scorecard-body');
         const tfoot = document.getElementById('scorecard-footer');
+        const [player] = this.getRoundPlayers(round);
+        const scores = Statistics.filterScoresByPlayer(round.scores, player.player_id);
 
-        const round = this.state.currentRound;
+        thead.innerHTML = `
+            <tr>
+                <th>Hole</th>
+                <th>Par</th>
+                <th>Score</th>
+                <th>+/-</th>
+                <th>App</th>
+                <th>Putts</th>
+            </tr>
+        `;
 
         // Build table body
         tbody.innerHTML = round.holes.map((hole, index) => {
-            const score = round.scores.find(s => s.hole_number === index + 1);
+            const score = scores.find(s => s.hole_number === index + 1);
             const throws = score ? score.throws : '-';
             const par = hole.par || 3;
             const relative = score ? Utils.getRelativeScore(score.throws, par) : '-';
@@ -1161,7 +2947,7 @@ const App = {
         }).join('');
 
         // Build totals
-        const totals = Statistics.calculateRunningTotal(round.scores, round.holes);
+        const totals = Statistics.calculateRunningTotal(scores, round.holes);
         tfoot.innerHTML = `
             <tr>
                 <td>Total</td>
@@ -1172,8 +2958,59 @@ const App = {
                 <td>${totals.totalPutts || '-'}</td>
             </tr>
         `;
+    },
 
-        modal.classList.remove('hidden');
+    /**
+     * Build the scorecard table with one column per player and running totals
+     * @param {Object} round - The round state
+     */
+    renderMultiPlayerScorecard(round) {
+        const thead = document.getElementById('scorecard-head');
+        const tbody = document.getElementById('scorecard-body');
+        const tfoot = document.getElementById('scorecard-footer');
+        const players = round.players;
+
+        thead.innerHTML = `
+            <tr>
+                <th>Hole</th>
+                <th>Par</th>
+                ${players.map(p => `<th>${p.player_name}</th>`).join('')}
+            </tr>
+        `;
+
+        // Running strokes relative to par, per player
+        const running = players.map(() => 0);
+
+        tbody.innerHTML = round.holes.map((hole, index) => {
+            const par = hole.par || 3;
+            const cells = players.map((player, playerIndex) => {
+                const score = this.findHoleScore(round, index + 1, player.player_id);
+                if (!score) {
+                    return '<td>-</td>';
+                }
+                running[playerIndex] += score.throws - par;
+                const runningLabel = Utils.getRelativeScore(running[playerIndex], 0);
+                return `<td class="${Utils.getScoreClass(score.throws, par)}">${score.throws}<span class="running-total">${runningLabel}</span></td>`;
+            }).join('');
+
+            return `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${par}</td>
+                    ${cells}
+                </tr>
+            `;
+        }).join('');
+
+        const totals = Statistics.calculatePlayerTotals(round.scores, round.holes, players);
+        const totalPar = round.holes.reduce((sum, hole) => sum + (hole.par || 3), 0);
+        tfoot.innerHTML = `
+            <tr>
+                <td>Total</td>
+                <td>${totalPar}</td>
+                ${totals.map(t => `<td class="${Utils.getTotalScoreClass(t.totalScore, t.totalPar)}">${t.totalScore}<span class="running-total">${Utils.getRelativeScore(t.totalScore, t.totalPar)}</span></td>`).join('')}
+            </tr>
+        `;
     },
 
     /**
@@ -1181,6 +3018,326 @@ const App = {
      */
     hideScorecard() {
         document.getElementById('scorecard-modal').classList.add('hidden');
+        Utils.toggleElement('scorecard-actions', false);
+        document.getElementById('scorecard-modal-title').textContent = 'Scorecard';
+        this.state.viewingRound = null;
+    },
+
+    // ===================
+    // Statistics Dashboard
+    // ===================
+
+    /**
+     * Show the statistics dashboard
+     */
+    async showDashboard() {
+        await this.loadCachedData();
+
+        // Solo rounds are scored without a roster player
+        const select = document.getElementById('dashboard-player');
+        const selected = select.value;
+        const options = [{ player_id: '', player_name: 'You (solo rounds)' }, ...Utils.sortBy(this.state.players, 'player_name')];
+        select.innerHTML = options.map(player =>
+            `<option value="${player.player_id}">${player.player_name}</option>`
+        ).join('');
+        select.value = options.some(p => p.player_id === selected) ? selected : '';
+
+        const courseSelect = document.getElementById('dashboard-course');
+        const selectedCourse = courseSelect.value;
+        const courses = Utils.sortBy(this.state.courses, 'last_played', false);
+        courseSelect.innerHTML = courses.map(course =>
+            `<option value="${course.course_id}">${course.course_name}</option>`
+        ).join('');
+        if (courses.some(c => c.course_id === selectedCourse)) {
+            courseSelect.value = selectedCourse;
+        }
+
+        this.showScreen('dashboard');
+        await this.renderDashboard();
+    },
+
+    /**
+     * Render the dashboard for the selected player
+     */
+    async renderDashboard() {
+        const playerId = document.getElementById('dashboard-player').value;
+        const data = {
+            rounds: await Storage.getAll('rounds'),
+            scores: await Storage.getAll('scores'),
+            holes: await Storage.getAll('holes'),
+            courses: this.state.courses
+        };
+        const stats = Statistics.calculateDashboardStats(data, playerId);
+
+        Utils.toggleElement('dashboard-empty', !stats.hasData);
+        Utils.toggleElement('dashboard-content', stats.hasData);
+        if (!stats.hasData) return;
+
+        document.getElementById('dashboard-rounds').textContent = stats.roundsPlayed;
+        document.getElementById('dashboard-holes').textContent = stats.holesPlayed;
+        document.getElementById('dashboard-putts').textContent = stats.avgPutts !== null ? stats.avgPutts : '--';
+
+        // Score distribution bars, in the buckets used to color scores
+        const { distribution } = stats;
+        const buckets = [
+            ['eagle', 'Eagle+'],
+            ['birdie', 'Birdie'],
+            ['par', 'Par'],
+            ['bogey', 'Bogey'],
+            ['double-bogey', 'Double+']
+        ];
+        document.getElementById('dashboard-distribution').innerHTML = buckets.map(([key, label]) => {
+            const percent = distribution.total > 0 ? Math.round((distribution[key] / distribution.total) * 100) : 0;
+            return `
+                <div class="distribution-row">
+                    <span class="distribution-label">${label}</span>
+                    <div class="distribution-bar"><div class="distribution-fill ${key}" style="width: ${percent}%"></div></div>
+                    <span class="distribution-value">${distribution[key]} (${percent}%)</span>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('dashboard-par').innerHTML = [3, 4, 5].map(par => {
+            const { holeCount, avgRelative } = stats.relativeByPar[par];
+            const value = avgRelative === null ? '--' : `${avgRelative > 0 ? '+' : ''}${avgRelative.toFixed(2)}`;
+            return `
+                <div class="stat-item">
+                    <span class="stat-label">Par ${par} (${holeCount})</span>
+                    <span class="stat-value">${value}</span>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('dashboard-best').innerHTML = stats.bestRounds.length > 0
+            ? stats.bestRounds.map(best => `
+                <div class="best-round-row">
+                    <div>
+                        <div class="best-round-course">${best.course_name}</div>
+                        <div class="best-round-date">${Utils.formatDate(best.date)}</div>
+                    </div>
+                    <span class="best-round-score ${Utils.getTotalScoreClass(best.totalScore, best.totalPar)}">${best.totalScore} (${Utils.getRelativeScore(best.totalScore, best.totalPar)})</span>
+                </div>
+            `).join('')
+            : '<p class="best-round-empty">No complete rounds yet.</p>';
+
+        this.renderCourseTrend(data, playerId);
+    },
+
+    /**
+     * Render total score vs par over time for the course picked on the dashboard
+     * @param {Object} data - All rounds, scores, holes and courses
+     * @param {string} playerId - The selected player ID
+     */
+    renderCourseTrend(data, playerId) {
+        const courseId = document.getElementById('dashboard-course').value;
+        const course = data.courses.find(c => c.course_id === courseId);
+        const container = document.getElementById('dashboard-course-trend');
+
+        const trend = Statistics.getCourseTrend(
+            data.rounds.filter(r => r.course_id === courseId),
+            Statistics.filterScoresByPlayer(data.scores, playerId),
+            data.holes
+        );
+        const chart = Charts.trendChart(trend, {
+            referenceValue: 0,
+            referenceLabel: 'Par',
+            formatValue: value => Utils.getRelativeScore(value, 0),
+            label: course ? `Score vs par over time at ${course.course_name}` : 'Score vs par over time'
+        });
+
+        container.innerHTML = chart ||
+            `<p class="best-round-empty">Play at least ${CONFIG.statistics.minDataPointsForTrend} complete rounds here to see a trend.</p>`;
+    },
+
+    // ===================
+    // Round History
+    // ===================
+
+    /**
+     * Show the round history screen
+     */
+    async showHistory() {
+        await this.loadCachedData();
+
+        const select = document.getElementById('history-course');
+        const selected = select.value;
+        select.innerHTML = '<option value="">All courses</option>' +
+            Utils.sortBy(this.state.courses, 'course_name').map(course =>
+                `<option value="${course.course_id}">${course.course_name}</option>`
+            ).join('');
+        select.value = this.state.courses.some(c => c.course_id === selected) ? selected : '';
+
+        this.showScreen('history');
+        await this.renderHistoryList();
+    },
+
+    /**
+     * Render the list of saved rounds matching the history filters
+     */
+    async renderHistoryList() {
+        const container = document.getElementById('history-list');
+        const noRoundsMsg = document.getElementById('no-history-message');
+
+        // Rounds still being played are saved too, but only finished ones are history
+        const allRounds = (await Storage.getAll('rounds')).filter(r => r.completed);
+        const rounds = Statistics.filterRounds(allRounds, {
+            courseId: document.getElementById('history-course').value,
+            fromDate: document.getElementById('history-from').value,
+            toDate: document.getElementById('history-to').value
+        });
+        const layouts = await Storage.getAll('layouts');
+
+        container.innerHTML = '';
+        Utils.toggleElement(noRoundsMsg, rounds.length === 0);
+
+        rounds.forEach(round => {
+            const course = this.state.courses.find(c => c.course_id === round.course_id);
+            const layout = round.layout_id ? layouts.find(l => l.layout_id === round.layout_id) : null;
+            const courseName = course ? course.course_name : 'Unknown course';
+            const playerCount = round.player_ids ? round.player_ids.split(',').length : 1;
+            const relative = Utils.getRelativeScore(round.total_score, round.total_par);
+
+            const item = document.createElement('div');
+            item.className = 'history-card';
+            item.setAttribute('role', 'listitem');
+            item.setAttribute('tabindex', '0');
+            item.innerHTML = `
+                <div class="history-card-info">
+                    <div class="history-card-course">${layout ? `${courseName} - ${layout.layout_name}` : courseName}</div>
+                    <div class="history-card-details">${Utils.formatDate(round.round_date)}${playerCount > 1 ? ` &middot; ${playerCount} players` : ''}</div>
+                </div>
+                <div class="history-card-score ${Utils.getTotalScoreClass(round.total_score, round.total_par)}">
+                    <span>${round.total_score}</span>
+                    <span class="history-card-relative">${relative}</span>
+                </div>
+            `;
+
+            item.addEventListener('click', () => this.showRoundDetail(round));
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.showRoundDetail(round);
+                }
+            });
+
+            container.appendChild(item);
+        });
+    },
+
+    /**
+     * Rebuild a round state (holes, scores, players) from a saved round
+     * @param {Object} roundRecord - Round from the rounds store
+     * @returns {Promise<Object>} Round state in the shape used while scoring
+     */
+    async buildRoundState(roundRecord) {
+        const course = this.state.courses.find(c => c.course_id === roundRecord.course_id);
+        const layoutId = roundRecord.layout_id || '';
+        const layout = layoutId ? await Storage.getById('layouts', layoutId) : null;
+        const holes = Statistics.filterByLayout(await this.loadCourseHoles(roundRecord.course_id), layoutId);
+        const scores = await Storage.getByIndex('scores', 'round_id', roundRecord.round_id);
+
+        const playerIds = roundRecord.player_ids ? roundRecord.player_ids.split(',') : [];
+        const players = playerIds.map(id =>
+            this.state.players.find(p => p.player_id === id) || { player_id: id, player_name: 'Unknown' }
+        );
+
+        return {
+            ...roundRecord,
+            courseName: course ? course.course_name : 'Unknown course',
+            layout_id: layoutId,
+            layoutName: layout ? layout.layout_name : null,
+            holes,
+            scores,
+            players,
+            isNewCourse: false,
+            currentHoleIndex: 0,
+            currentPlayerIndex: 0,
+            holeCount: holes.length
+        };
+    },
+
+    /**
+     * Open the scorecard for a saved round with edit and delete actions
+     * @param {Object} roundRecord - Round from the rounds store
+     */
+    async showRoundDetail(roundRecord) {
+        Utils.showLoading('Loading round...');
+
+        try {
+            const round = await this.buildRoundState(roundRecord);
+            Utils.hideLoading();
+
+            this.showScorecard(round);
+            this.state.viewingRound = round;
+            document.getElementById('scorecard-modal-title').textContent =
+                `${this.getRoundTitle(round)} - ${Utils.formatDate(round.round_date)}`;
+            Utils.toggleElement('scorecard-actions', true);
+        } catch (error) {
+            console.error('Error loading round:', error);
+            Utils.hideLoading();
+            Utils.showToast('Failed to load round', 'error');
+        }
+    },
+
+    /**
+     * Reopen the round being viewed on the scoring screen to correct it
+     */
+    handleEditRound() {
+        const round = this.state.viewingRound;
+        if (!round) return;
+
+        const savedRound = Storage.getCurrentRound();
+        if (savedRound && !savedRound.completed) {
+            Utils.showToast('Finish or abandon your current round first', 'warning');
+            return;
+        }
+
+        this.hideScorecard();
+
+        round.completed = false;
+        round.isEditing = true;
+        this.state.currentRound = round;
+        this.state.currentHoleIndex = 0;
+        this.state.currentPlayerIndex = 0;
+        this.saveCurrentRoundState();
+
+        this.loadRoundData();
+        this.showScreen('scoring');
+        this.renderScoringScreen();
+    },
+
+    /**
+     * Delete the round being viewed, locally and from Google Sheets
+     */
+    async handleDeleteRound() {
+        const round = this.state.viewingRound;
+        if (!round) return;
+
+        if (!confirm(`Delete your round at ${this.getRoundTitle(round)} on ${Utils.formatDate(round.round_date)}? This cannot be undone.`)) {
+            return;
+        }
+
+        this.hideScorecard();
+        Utils.showLoading('Deleting round...');
+
+        try {
+            // Delete locally first
+            await Storage.delete('rounds', round.round_id);
+            for (const score of round.scores) {
+                await Storage.delete('scores', score.score_id);
+            }
+
+            await Storage.addPendingSync({ type: 'deleteRound', data: { roundId: round.round_id } });
+            await this.processPendingSync();
+
+            Utils.hideLoading();
+            Utils.showToast('Round deleted', 'success');
+            await this.renderHistoryList();
+        } catch (error) {
+            console.error('Error deleting round:', error);
+            Utils.hideLoading();
+            Utils.showToast('Failed to delete round', 'error');
+        }
     },
 
     /**
@@ -1191,47 +3348,48 @@ const App = {
 
         try {
             const round = this.state.currentRound;
+            const now = Utils.formatDateForStorage();
 
-            // Save course if new
+            // Save course if new (saving again is a no-op once the round start was uploaded)
             if (round.isNewCourse && round.courseData) {
-                round.courseData.last_played = Utils.formatDateForStorage();
+                round.courseData.last_played = now;
+                round.courseData.updated_at = now;
                 await Storage.put('courses', round.courseData);
-                await Storage.putMany('holes', round.holes);
+                await Storage.addPendingSync({ type: 'saveCourse', data: round.courseData });
+            }
 
-                if (this.state.isOnline && SheetsAPI.isConfigured()) {
-                    await SheetsAPI.saveCourse(round.courseData);
-                    await SheetsAPI.saveHoles(round.holes);
-                } else {
-                    await Storage.addPendingSync({ type: 'saveCourse', data: round.courseData });
-                    await Storage.addPendingSync({ type: 'saveHoles', data: round.holes });
-                }
+            // Save layout if new
+            if (round.isNewLayout && round.layoutData) {
+                round.layoutData.updated_at = now;
+                await Storage.put('layouts', round.layoutData);
+                await Storage.addPendingSync({ type: 'saveLayout', data: round.layoutData });
             }
 
-            // Save round
-            const roundData = {
-                round_id: round.round_id,
-                course_id: round.course_id,
-                round_date: round.round_date,
-                completed: true,
-                total_score: round.total_score,
-                total_par: round.total_par
-            };
+            const roundData = { ...this.getRoundRow(round, true), updated_at: now };
+
+            if (round.isEditing) {
+                await this.saveEditedRound(roundData, round.scores);
+                return;
+            }
 
             await Storage.put('rounds', roundData);
             await Storage.putMany('scores', round.scores);
 
-            if (this.state.isOnline && SheetsAPI.isConfigured()) {
-                await SheetsAPI.saveRound(roundData);
-                await SheetsAPI.saveScores(round.scores);
-                await SheetsAPI.updateCourseLastPlayed(round.course_id, round.round_date);
-            } else {
-                await Storage.addPendingSync({ type: 'saveRound', data: roundData });
-                await Storage.addPendingSync({ type: 'saveScores', data: round.scores });
-                await Storage.addPendingSync({
-                    type: 'updateCourseLastPlayed',
-                    data: { courseId: round.course_id, date: round.round_date }
+            // Hole-by-hole uploads still queued are replaced by the finished round
+            await this.dropQueuedRoundProgress(round.round_id);
+            if (this.isSettingUpHoles(round)) {
+                round.holes.forEach(hole => {
+                    hole.updated_at = now;
                 });
+                await Storage.putMany('holes', round.holes);
+                await Storage.addPendingSync({ type: 'upsertHoles', data: round.holes });
             }
+            await Storage.addPendingSync({ type: 'upsertRound', data: roundData });
+            await Storage.addPendingSync({ type: 'upsertScores', data: round.scores });
+            await Storage.addPendingSync({
+                type: 'updateCourseLastPlayed',
+                data: { courseId: round.course_id, date: round.round_date }
+            });
 
             // Clear current round
             Storage.clearCurrentRound();
@@ -1240,6 +3398,7 @@ const App = {
 
             // Reload courses
             await this.loadCachedData();
+            await this.processPendingSync({ quiet: true });
 
             Utils.hideLoading();
             Utils.showToast('Round saved successfully!', 'success');
@@ -1253,6 +3412,149 @@ const App = {
         }
     },
 
+    /**
+     * Build the Rounds row for a round being played
+     * @param {Object} round - The round state
+     * @param {boolean} completed - Whether the round is finished
+     * @returns {Object} The round row
+     */
+    getRoundRow(round, completed) {
+        return {
+            round_id: round.round_id,
+            course_id: round.course_id,
+            round_date: round.round_date,
+            completed,
+            total_score: completed ? round.total_score : null,
+            total_par: completed ? round.total_par : null,
+            player_ids: (round.players || []).map(p => p.player_id).join(','),
+            layout_id: round.layout_id || ''
+        };
+    },
+
+    /**
+     * Save a round that just started as an unfinished row, along with a new
+     * course or layout, so the spreadsheet has it even if the phone is lost
+     * Callers don't wait for the upload; failures are reported here.
+     * @param {Object} round - The round state
+     * @returns {Promise<void>} Never rejects
+     */
+    async persistRoundStart(round) {
+        const now = Utils.formatDateForStorage();
+
+        try {
+            if (round.isNewCourse && round.courseData) {
+                round.courseData.updated_at = now;
+                await Storage.put('courses', round.courseData);
+                await Storage.addPendingSync({ type: 'saveCourse', data: round.courseData });
+            }
+            if (round.isNewLayout && round.layoutData) {
+                round.layoutData.updated_at = now;
+                await Storage.put('layouts', round.layoutData);
+                await Storage.addPendingSync({ type: 'saveLayout', data: round.layoutData });
+            }
+            if (this.isSettingUpHoles(round)) {
+                round.holes.forEach(hole => {
+                    hole.updated_at = now;
+                });
+                await Storage.putMany('holes', round.holes);
+                await Storage.addPendingSync({ type: 'upsertHoles', data: round.holes });
+            }
+
+            await Storage.addPendingSync({ type: 'upsertRound', data: { ...this.getRoundRow(round, false), updated_at: now } });
+            await this.processPendingSync({ quiet: true });
+        } catch (error) {
+            console.error('Error saving round start:', error);
+            Utils.showToast('Could not queue the new round for upload', 'error');
+        }
+    },
+
+    /**
+     * Upload the scores of a hole just saved, and its par and distance when setting up holes
+     * Offline, the upload waits in the pending sync queue. Callers don't wait
+     * for the upload; failures are reported here.
+     * @param {Object} round - The round state
+     * @param {number} holeIndex - Index of the saved hole
+     * @returns {Promise<void>} Never rejects
+     */
+    async persistHoleProgress(round, holeIndex) {
+        try {
+            const hole = round.holes[holeIndex];
+            const scores = round.scores.filter(s => s.hole_number === holeIndex + 1);
+
+            if (this.isSettingUpHoles(round)) {
+                hole.updated_at = Utils.formatDateForStorage();
+                await Storage.addPendingSync({ type: 'upsertHoles', data: [hole] });
+            }
+            await Storage.addPendingSync({ type: 'upsertScores', data: scores });
+            await this.processPendingSync({ quiet: true });
+        } catch (error) {
+            console.error('Error saving hole:', error);
+            Utils.showToast('Could not queue this hole for upload', 'error');
+        }
+    },
+
+    /**
+     * Drop queued hole-by-hole uploads of a round
+     * @param {string} roundId - The round ID
+     * @returns {Promise<void>}
+     */
+    async dropQueuedRoundProgress(roundId) {
+        await Storage.removePendingSyncWhere(op =>
+            (op.type === 'upsertRound' && op.data.round_id === roundId) ||
+            (op.type === 'upsertScores' && op.data.some(score => score.round_id === roundId))
+        );
+    },
+
+    /**
+     * Remove an abandoned round, including the parts already saved to the spreadsheet
+     * @param {Object} round - The abandoned round state
+     */
+    async discardRoundProgress(round) {
+        await this.dropQueuedRoundProgress(round.round_id);
+
+        try {
+            await Storage.delete('rounds', round.round_id);
+            for (const score of await Storage.getByIndex('scores', 'round_id', round.round_id)) {
+                await Storage.delete('scores', score.score_id);
+            }
+            await Storage.addPendingSync({ type: 'deleteRound', data: { roundId: round.round_id } });
+            await this.processPendingSync({ quiet: true });
+        } catch (error) {
+            console.error('Error discarding round:', error);
+        }
+    },
+
+    /**
+     * Save corrections to a round reopened from history
+     * @param {Object} roundData - The round row
+     * @param {Array} scores - The round's scores
+     */
+    async saveEditedRound(roundData, scores) {
+        // Drop local scores that are no longer part of the round
+        const oldScores = await Storage.getByIndex('scores', 'round_id', roundData.round_id);
+        for (const score of oldScores) {
+            if (!scores.some(s => s.score_id === score.score_id)) {
+                await Storage.delete('scores', score.score_id);
+            }
+        }
+        await Storage.put('rounds', roundData);
+        await Storage.putMany('scores', scores);
+
+        await Storage.addPendingSync({ type: 'updateRound', data: roundData });
+        await Storage.addPendingSync({ type: 'replaceScores', data: { roundId: roundData.round_id, scores } });
+
+        Storage.clearCurrentRound();
+        this.state.currentRound = null;
+        this.state.currentHoleIndex = 0;
+
+        await this.processPendingSync();
+
+        Utils.hideLoading();
+        Utils.showToast('Round updated', 'success');
+        Utils.toggleElement('resume-round-btn', false);
+        await this.showHistory();
+    },
+
     /**
      * Save current round state to local storage
      */
@@ -1264,36 +3566,159 @@ const App = {
 
     /**
      * Process pending sync operations
+     * @param {Object} options - Options
+     * @param {boolean} [options.quiet] - Skip the success toast, for background saves during a round
      */
-    async processPendingSync() {
-        if (!this.state.isOnline || !SheetsAPI.isConfigured()) return;
+    async processPendingSync(options = {}) {
+        if (!Backend.isRemote()) {
+            // Nothing leaves the device; the queue waits for a remote backend
+            return;
+        }
+        if (!this.state.isOnline || !Backend.isConfigured()) {
+            // Show the change waiting in the header count
+            SyncScheduler.renderStatus();
+            return;
+        }
 
-        const pending = Storage.getPendingSync();
+        const pending = await Storage.getPendingSync();
         if (pending.length === 0) return;
 
-        const syncStatus = document.getElementById('sync-status');
-        syncStatus.classList.remove('hidden');
-        syncStatus.classList.add('syncing');
+        this.showSyncStatus('syncing');
 
         try {
-            const success = await SheetsAPI.processPendingSync();
-            syncStatus.classList.remove('syncing');
+            const success = await Backend.processPendingSync();
+            this.showSyncStatus(success ? 'success' : 'error');
 
-            if (success) {
-                syncStatus.classList.add('success');
+            if (success && !options.quiet) {
                 Utils.showToast('Data synced successfully', 'success');
-            } else {
-                syncStatus.classList.add('error');
             }
+        } catch (error) {
+            console.error('Sync error:', error);
+            this.showSyncStatus('error');
+        }
+
+        if (this.state.currentScreen === 'settings') {
+            this.renderPendingOperations();
+        }
+    },
+
+    /**
+     * Show the header sync indicator
+     * @param {string} status - 'syncing', or 'success'/'error', which hide after a few seconds
+     */
+    showSyncStatus(status) {
+        const syncStatus = document.getElementById('sync-status');
+        clearTimeout(this.syncStatusTimer);
+        syncStatus.classList.remove('hidden', 'syncing', 'success', 'error');
+        syncStatus.classList.add(status);
 
-            setTimeout(() => {
-                syncStatus.classList.add('hidden');
+        if (status !== 'syncing') {
+            this.syncStatusTimer = setTimeout(() => {
                 syncStatus.classList.remove('success', 'error');
+                SyncScheduler.renderStatus();
             }, 3000);
+        }
+    },
+
+    /**
+     * Run one sync for SyncScheduler: pull remote changes and upload the queue
+     * During a round only the queue is uploaded, so nothing changes under the
+     * scorecard and no conflict prompt interrupts scoring.
+     * @returns {Promise<boolean>} Whether every queued upload succeeded; rejects
+     *     when the backend could not be reached
+     */
+    async runScheduledSync() {
+        if (this.state.currentRound) {
+            return Backend.processPendingSync();
+        }
+
+        const { uploaded } = await Backend.sync({ quiet: true });
+        await this.loadCachedData();
+        this.showSyncConflicts();
+        if (this.state.currentScreen === 'settings') {
+            this.updateSettingsUI();
+        }
+        return uploaded;
+    },
+
+    /**
+     * Show progress of uploads the service worker runs in the background
+     * @param {Object} message - {type: 'SYNC_STARTED'|'SYNC_COMPLETE', profileId, success}
+     */
+    handleServiceWorkerMessage(message) {
+        if (!message || message.profileId !== Storage.profileId) return;
+
+        if (message.type === 'SYNC_STARTED') {
+            this.showSyncStatus('syncing');
+        } else if (message.type === 'SYNC_COMPLETE') {
+            this.showSyncStatus(message.success ? 'success' : 'error');
+            if (this.state.currentScreen === 'settings') {
+                this.renderPendingOperations();
+            }
+        }
+    },
+
+    /**
+     * Show the first sync conflict waiting for the user, if any
+     */
+    showSyncConflicts() {
+        const conflicts = Sync.getConflicts();
+        const modal = document.getElementById('conflict-modal');
+
+        if (conflicts.length === 0) {
+            modal.classList.add('hidden');
+            return;
+        }
+
+        const conflict = conflicts[0];
+        let label;
+        if (conflict.entity === 'courses') {
+            label = `the course "${conflict.local.course_name}"`;
+        } else {
+            const course = this.state.courses.find(c => c.course_id === conflict.local.course_id);
+            label = `the round at ${course ? course.course_name : 'an unknown course'} on ${Utils.formatDate(conflict.local.round_date)}`;
+        }
+
+        document.getElementById('conflict-progress').textContent =
+            conflicts.length > 1 ? `1 of ${conflicts.length}` : '';
+        document.getElementById('conflict-message').textContent =
+            `${label.charAt(0).toUpperCase()}${label.slice(1)} was changed on this device and in the spreadsheet. ` +
+            'Merge keeps each side\'s changes, preferring this device where both changed the same field.';
+
+        const tbody = document.getElementById('conflict-fields');
+        tbody.innerHTML = '';
+        Sync.getConflictFields(conflict).forEach(({ field, local, sheet }) => {
+            const row = document.createElement('tr');
+            [field, local || '(empty)', sheet || '(empty)'].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+
+        modal.classList.remove('hidden');
+    },
+
+    /**
+     * Resolve the conflict shown in the conflict modal
+     * @param {string} choice - 'local', 'sheet' or 'merge'
+     */
+    async handleResolveConflict(choice) {
+        const conflict = Sync.getConflicts()[0];
+        if (!conflict) return;
+
+        try {
+            await Sync.applyResolution(conflict, choice);
+            await this.loadCachedData();
+            this.showSyncConflicts();
+
+            if (Sync.getConflicts().length === 0) {
+                await this.processPendingSync();
+            }
         } catch (error) {
-            console.error('Sync error:', error);
-            syncStatus.classList.remove('syncing');
-            syncStatus.classList.add('error');
+            console.error('Conflict resolution error:', error);
+            Utils.showToast('Could not save your choice', 'error');
         }
     }
 };
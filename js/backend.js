@@ -0,0 +1,369 @@
+/**
+ * Disc Golf Tracker - Backend Module
+ *
+ * Chooses where data is synced. Every backend is an adapter object with:
+ *
+ *   id, name, remote          Identity; remote is false when nothing leaves the device
+ *   isConfigured()            Whether the adapter has what it needs to connect
+ *   health(), initialize()    Check the connection and prepare storage
+ *   pull({updatedSince})      Records by store name, for Sync.mergeFromSheets
+ *   processPendingSync()      Upload the pending queue once; true if all succeeded
+ *   loadCourses(), loadHolesForCourse(id), loadRoundsForCourse(id), loadScoresForRounds(ids)
+ *   saveCourse(), saveHoles(), saveRound(), saveScores(), savePlayer()
+ *
+ * SheetsAPI (Google Sheets via sheets-db-api), RestAPI (self-hosted JSON
+ * API) and LocalBackend (this device only) are registered below.
+ */
+
+/**
+ * Adapter that keeps everything on this device and never syncs
+ */
+const LocalBackend = {
+    id: 'local',
+    name: 'This device only',
+    remote: false,
+
+    /**
+     * Always ready; there is nothing to connect to
+     * @returns {boolean} True
+     */
+    isConfigured() {
+        return true;
+    },
+
+    /**
+     * Report a healthy backend
+     * @returns {Promise<{status: string}>} Health status
+     */
+    async health() {
+        return { status: 'ok' };
+    },
+
+    /**
+     * Nothing to prepare
+     * @returns {Promise<{success: boolean, created: string[], initialized: string[]}>}
+     */
+    async initialize() {
+        return { success: true, created: [], initialized: [] };
+    },
+
+    /**
+     * Nothing to download
+     * @returns {Promise<Object>} No records
+     */
+    async pull() {
+        return {};
+    },
+
+    /**
+     * Leave queued uploads alone, so switching to a remote backend still sends them
+     * @returns {Promise<boolean>} True
+     */
+    async processPendingSync() {
+        return true;
+    },
+
+    /**
+     * Load all courses from this device
+     * @returns {Promise<Array>} Array of courses
+     */
+    async loadCourses() {
+        return Storage.getAll('courses');
+    },
+
+    /**
+     * Load holes for a specific course from this device
+     * @param {string} courseId - The course ID
+     * @returns {Promise<Array>} Holes sorted by hole_number
+     */
+    async loadHolesForCourse(courseId) {
+        const holes = await Storage.getByIndex('holes', 'course_id', courseId);
+        return holes.sort((a, b) => a.hole_number - b.hole_number);
+    },
+
+    /**
+     * Load all completed rounds for a course from this device
+     * @param {string} courseId - The course ID
+     * @returns {Promise<Array>} Array of rounds
+     */
+    async loadRoundsForCourse(courseId) {
+        const rounds = await Storage.getByIndex('rounds', 'course_id', courseId);
+        return rounds.filter(round => round.completed);
+    },
+
+    /**
+     * Load scores for specific rounds from this device
+     * @param {Array<string>} roundIds - Array of round IDs
+     * @returns {Promise<Array>} Array of scores
+     */
+    async loadScoresForRounds(roundIds) {
+        const scores = await Storage.getAll('scores');
+        return scores.filter(score => roundIds.includes(score.round_id));
+    },
+
+    /**
+     * Save a course (already stored locally by the app)
+     * @returns {Promise<void>}
+     */
+    async saveCourse() {},
+
+    /**
+     * Save holes (already stored locally by the app)
+     * @returns {Promise<void>}
+     */
+    async saveHoles() {},
+
+    /**
+     * Save a round (already stored locally by the app)
+     * @returns {Promise<void>}
+     */
+    async saveRound() {},
+
+    /**
+     * Save scores (already stored locally by the app)
+     * @returns {Promise<void>}
+     */
+    async saveScores() {},
+
+    /**
+     * Save a player (already stored locally by the app)
+     * @returns {Promise<void>}
+     */
+    async savePlayer() {}
+};
+
+const Backend = {
+    // Registered adapters by ID
+    adapters: {},
+
+    // Adapter used until the user picks another
+    defaultId: 'sheets',
+
+    // Upload pass in progress, so passes never overlap
+    pendingSyncRun: null,
+
+    /**
+     * Register a backend adapter
+     * @param {Object} adapter - Object implementing the adapter interface
+     */
+    register(adapter) {
+        this.adapters[adapter.id] = adapter;
+    },
+
+    /**
+     * Get the ID of the selected adapter
+     * @returns {string} The adapter ID
+     */
+    getAdapterId() {
+        const id = Storage.getBackendId();
+        return this.adapters[id] ? id : this.defaultId;
+    },
+
+    /**
+     * Get the selected adapter
+     * @returns {Object} The adapter
+     */
+    getAdapter() {
+        return this.adapters[this.getAdapterId()];
+    },
+
+    /**
+     * Select the adapter data is synced with
+     * @param {string} id - The adapter ID
+     */
+    setAdapter(id) {
+        if (!this.adapters[id]) {
+            throw new Error(`Unknown backend: ${id}`);
+        }
+        Storage.setBackendId(id);
+    },
+
+    /**
+     * Configure the adapters from saved settings
+     */
+    loadSettings() {
+        SheetsAPI.setBaseUrl(Storage.getApiBaseUrl());
+        SheetsAPI.setSpreadsheetId(Storage.getSpreadsheetId());
+        RestAPI.setBaseUrl(Storage.getRestBaseUrl());
+    },
+
+    /**
+     * Check whether the selected adapter is ready to use
+     * @returns {boolean} Whether configured
+     */
+    isConfigured() {
+        return this.getAdapter().isConfigured();
+    },
+
+    /**
+     * Check whether the selected adapter sends data off the device
+     * @returns {boolean} Whether remote
+     */
+    isRemote() {
+        return this.getAdapter().remote;
+    },
+
+    /**
+     * Check whether the next sync should download every record
+     * @returns {boolean} True when there has been no full sync recently
+     */
+    needsFullSync() {
+        const lastFullSync = Storage.getLastFullSync();
+        return !Storage.getLastSync() || !lastFullSync ||
+            Date.now() - new Date(lastFullSync).getTime() > CONFIG.sync.fullSyncInterval;
+    },
+
+    /**
+     * Two-way sync between the selected backend and local storage
+     * Backend changes are merged in first so queued uploads cannot overwrite
+     * edits made elsewhere, then the pending queue is uploaded. Between full
+     * syncs only records stamped since the last sync are pulled; a full sync
+     * also picks up deletions and hand edits that kept their updated_at.
+     * @param {Object} options - Options
+     * @param {boolean} [options.full] - Download every record even if a delta would do
+     * @param {boolean} [options.quiet] - Skip the loading overlay, for background syncs
+     * @returns {Promise<{conflicts: Array, uploaded: boolean}>} Conflicts waiting
+     *     for the user, and whether every queued upload succeeded
+     */
+    async sync(options = {}) {
+        const adapter = this.getAdapter();
+        if (!adapter.remote) return { conflicts: [], uploaded: true };
+
+        try {
+            if (!options.quiet) {
+                Utils.showLoading('Syncing data...');
+            }
+
+            const full = options.full || this.needsFullSync();
+            const startedAt = Date.now();
+            const pullOptions = full ? {} : {
+                // Overlap the window to allow for clock differences between devices
+                updatedSince: new Date(new Date(Storage.getLastSync()).getTime() - CONFIG.sync.deltaOverlap).toISOString()
+            };
+
+            const data = await adapter.pull(pullOptions);
+            const conflicts = await Sync.mergeFromSheets(data, { partial: !full });
+            const uploaded = await this.processPendingSync();
+
+            Storage.updateLastSync(startedAt);
+            if (full) {
+                Storage.updateLastFullSync(startedAt);
+            }
+            return { conflicts, uploaded };
+        } catch (error) {
+            console.error('Sync error:', error);
+            throw error;
+        } finally {
+            if (!options.quiet) {
+                Utils.hideLoading();
+            }
+        }
+    },
+
+    /**
+     * Get which records a queued operation writes and which must reach the backend first
+     * Keys name a course (its row, layouts and holes) or a round, so a
+     * course's holes sync before its rounds, and a round before its scores.
+     * @param {Object} operation - Pending operation
+     * @returns {{provides: string[], requires: string[]}} Keys written, and keys depended on
+     */
+    getDependencies(operation) {
+        const data = operation.data || {};
+        const records = Array.isArray(data) ? data : [data];
+        const keys = (prefix, field) => [...new Set(records.map(r => r[field]).filter(Boolean))]
+            .map(id => `${prefix}:${id}`);
+
+        switch (operation.type) {
+            case 'saveCourse':
+            case 'updateCourse':
+            case 'saveLayout':
+            case 'updateLayout':
+            case 'saveHoles':
+            case 'upsertHoles':
+            case 'updateHole':
+                return { provides: keys('course', 'course_id'), requires: [] };
+            case 'saveRound':
+            case 'upsertRound':
+            case 'updateRound':
+                return { provides: keys('round', 'round_id'), requires: keys('course', 'course_id') };
+            case 'saveScores':
+            case 'upsertScores':
+                return { provides: [], requires: keys('round', 'round_id') };
+            case 'replaceScores':
+                return { provides: [], requires: [`round:${data.roundId}`] };
+            case 'updateCourseLastPlayed':
+                return { provides: [], requires: [`course:${data.courseId}`] };
+            default:
+                return { provides: [], requires: [] };
+        }
+    },
+
+    /**
+     * Track an upload pass, so operations wait for the ones they depend on
+     * Adapters call hold() for every operation that failed or had to wait.
+     * @returns {{isHeld: Function, hold: Function}} isHeld(op): whether op must
+     *     wait; hold(op): make operations that depend on op wait
+     */
+    createUploadGate() {
+        const blocked = new Set();
+        return {
+            isHeld: op => this.getDependencies(op).requires.some(key => blocked.has(key)),
+            hold: op => this.getDependencies(op).provides.forEach(key => blocked.add(key))
+        };
+    },
+
+    /**
+     * Upload the pending queue with the selected adapter
+     * Runs one pass at a time: a call made during a pass waits for it, then
+     * uploads whatever is queued by then.
+     * @param {Object} [adapter] - Adapter to upload with, defaults to the selected one
+     * @returns {Promise<boolean>} Whether every operation succeeded
+     */
+    processPendingSync(adapter) {
+        const previous = this.pendingSyncRun || Promise.resolve();
+        this.pendingSyncRun = previous.catch(() => {}).then(() =>
+            this.withUploadLock(() => (adapter || this.getAdapter()).processPendingSync()));
+        return this.pendingSyncRun;
+    },
+
+    /**
+     * Run an upload pass while holding the profile's upload lock
+     * The lock is shared with other tabs and the service worker, so they
+     * never upload the same queue at once. Without the Web Locks API the
+     * pass runs straight away.
+     * @param {Function} fn - The upload pass
+     * @returns {Promise<*>} What fn returns
+     */
+    withUploadLock(fn) {
+        if (typeof navigator === 'undefined' || !navigator.locks) {
+            return fn();
+        }
+        return navigator.locks.request(`${Storage.getDbName()}-upload`, fn);
+    },
+
+    /**
+     * Upload the queue using settings saved by Storage.saveBackgroundSyncSettings
+     * Used by the service worker, which cannot read the app's localStorage.
+     * @param {Object} settings - {backend, apiBaseUrl, spreadsheetId, restBaseUrl}
+     * @returns {Promise<boolean>} Whether every operation succeeded (true when there is nowhere to upload to)
+     */
+    async processPendingSyncWith(settings) {
+        const adapter = this.adapters[settings.backend] || this.adapters[this.defaultId];
+
+        SheetsAPI.setBaseUrl(settings.apiBaseUrl);
+        SheetsAPI.setSpreadsheetId(settings.spreadsheetId);
+        RestAPI.setBaseUrl(settings.restBaseUrl);
+
+        // The app uploads the queue itself once a remote backend is set up
+        if (!adapter.remote || !adapter.isConfigured()) return true;
+        return this.processPendingSync(adapter);
+    }
+};
+
+Backend.register(SheetsAPI);
+Backend.register(RestAPI);
+Backend.register(LocalBackend);
+
+// Make Backend globally available
+window.Backend = Backend;
+window.LocalBackend = LocalBackend;
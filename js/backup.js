@@ -0,0 +1,215 @@
+/**
+ * Disc Golf Tracker - Backup Module
+ *
+ * Creates and restores versioned JSON backups of everything kept on the
+ * device: the IndexedDB stores, the in-progress round and the pending
+ * sync queue. Restores merge by primary key instead of overwriting.
+ */
+
+const Backup = {
+    // Identifies backup files written by this app
+    format: 'disc-golf-tracker-backup',
+
+    // Current backup schema version; bump when the file layout changes
+    version: 1,
+
+    // Stores included in a backup
+    stores: ['courses', 'holes', 'layouts', 'rounds', 'scores', 'players'],
+
+    /**
+     * Get the primary key field of a store (e.g. 'course_id' for courses)
+     * @param {string} storeName - The store name
+     * @returns {string} The key field
+     */
+    getKeyField(storeName) {
+        return `${storeName.slice(0, -1)}_id`;
+    },
+
+    /**
+     * Build a backup of all local data
+     * @returns {Promise<Object>} The backup object
+     */
+    async createBackup() {
+        const stores = {};
+        for (const storeName of this.stores) {
+            stores[storeName] = await Storage.getAll(storeName);
+        }
+
+        return {
+            format: this.format,
+            version: this.version,
+            created_at: Utils.formatDateForStorage(),
+            stores,
+            currentRound: Storage.getCurrentRound(),
+            pendingSync: await Storage.getPendingSync()
+        };
+    },
+
+    /**
+     * Check that parsed JSON is a backup this version can restore
+     * @param {*} data - Parsed backup file
+     * @returns {{isValid: boolean, message: string}} Validation result
+     */
+    validateBackup(data) {
+        if (!data || typeof data !== 'object' || data.format !== this.format) {
+            return { isValid: false, message: 'This is not a Disc Golf Tracker backup' };
+        }
+
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            return { isValid: false, message: 'Backup version is missing' };
+        }
+
+        if (data.version > this.version) {
+            return { isValid: false, message: 'This backup was made by a newer version of the app. Update the app first.' };
+        }
+
+        if (!data.stores || typeof data.stores !== 'object') {
+            return { isValid: false, message: 'Backup has no data' };
+        }
+
+        for (const storeName of this.stores) {
+            const records = data.stores[storeName];
+            if (records === undefined) continue;
+
+            const keyField = this.getKeyField(storeName);
+            if (!Array.isArray(records) || records.some(r => !r || typeof r[keyField] !== 'string' || !r[keyField])) {
+                return { isValid: false, message: `Backup data for ${storeName} is damaged` };
+            }
+        }
+
+        if (data.pendingSync !== undefined && !Array.isArray(data.pendingSync)) {
+            return { isValid: false, message: 'Backup pending sync queue is damaged' };
+        }
+
+        return { isValid: true, message: '' };
+    },
+
+    /**
+     * Merge backup records into local records by primary key
+     * Records already on the device are kept as they are.
+     * @param {Array} existing - Local records
+     * @param {Array} incoming - Records from the backup
+     * @param {string} keyField - The primary key field
+     * @returns {{records: Array, added: number}} Merged records and how many were new
+     */
+    mergeRecords(existing, incoming, keyField) {
+        const keys = new Set(existing.map(r => r[keyField]));
+        const added = incoming.filter(r => !keys.has(r[keyField]));
+        return { records: [...existing, ...added], added: added.length };
+    },
+
+    /**
+     * Merge backed-up pending operations into the local queue, skipping duplicates
+     * @param {Array} existing - Local pending operations
+     * @param {Array} incoming - Pending operations from the backup
+     * @returns {{operations: Array, added: number}} Merged queue and how many were new
+     */
+    mergePendingSync(existing, incoming) {
+        // Operations are matched by ID; ones from before IDs existed by content
+        const identify = op => op.id || JSON.stringify(op);
+        const seen = new Set(existing.map(identify));
+        const added = incoming.filter(op => op && op.type && !seen.has(identify(op)));
+
+        // Keep the queue in the order operations were made
+        const operations = [...existing, ...added]
+            .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+        return { operations, added: added.length };
+    },
+
+    /**
+     * Check whether a backed-up operation may already have been uploaded
+     * One made before this device last synced was either uploaded then or
+     * came from another device; only the user can tell which.
+     * @param {Object} op - Pending operation from the backup
+     * @param {string|null} lastSync - This device's last sync time
+     * @returns {boolean} Whether the operation may be stale
+     */
+    isStaleOperation(op, lastSync) {
+        return Boolean(lastSync) && !(Date.parse(op.timestamp) > Date.parse(lastSync));
+    },
+
+    /**
+     * Get backed-up pending operations that restoring would queue again
+     * despite being made before this device last synced
+     * @param {Object} data - The backup object
+     * @returns {Promise<Array>} Operations missing from the local queue that may be stale
+     */
+    async getStalePendingSync(data) {
+        const lastSync = Storage.getLastSync();
+        const existing = await Storage.getPendingSync();
+        const existingIds = new Set(existing.map(op => op.id));
+        return this.mergePendingSync(existing, data.pendingSync || []).operations
+            .filter(op => !existingIds.has(op.id) && this.isStaleOperation(op, lastSync));
+    },
+
+    /**
+     * Restore a validated backup into local storage
+     * Pending operations made before this device last synced are skipped,
+     * since the sync may already have uploaded them, unless includeStale is set.
+     * @param {Object} data - The backup object
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.includeStale] - Queue operations that may already be uploaded too
+     * @returns {Promise<Object>} Counts of records added per store, plus pendingSync and currentRound
+     */
+    async restoreBackup(data, options = {}) {
+        const validation = this.validateBackup(data);
+        if (!validation.isValid) {
+            throw new Error(validation.message);
+        }
+
+        const result = {};
+        for (const storeName of this.stores) {
+            const incoming = data.stores[storeName] || [];
+            const existing = await Storage.getAll(storeName);
+            const { records, added } = this.mergeRecords(existing, incoming, this.getKeyField(storeName));
+
+            if (added > 0) {
+                await Storage.putMany(storeName, records);
+            }
+            result[storeName] = added;
+        }
+
+        const lastSync = Storage.getLastSync();
+        const incomingPending = (data.pendingSync || [])
+            .filter(op => options.includeStale || !this.isStaleOperation(op, lastSync));
+        const existingPending = await Storage.getPendingSync();
+        const existingIds = new Set(existingPending.map(op => op.id));
+        const pending = this.mergePendingSync(existingPending, incomingPending);
+        // Queue positions are time-based, so older backups are placed by when each operation was made
+        const restored = pending.operations
+            .filter(op => !existingIds.has(op.id))
+            .map((op, i) => ({
+                attempts: 0,
+                lastError: null,
+                ...op,
+                id: op.id || Utils.generateId(),
+                seq: op.seq || (Date.parse(op.timestamp) || 0) * 1000 + i
+            }));
+        await Storage.changePendingSync(() => ({ put: restored }));
+        result.pendingSync = pending.added;
+
+        // Only bring back the in-progress round when none is open here
+        const localRound = Storage.getCurrentRound();
+        result.currentRound = false;
+        if (data.currentRound && !data.currentRound.completed && (!localRound || localRound.completed)) {
+            Storage.saveCurrentRound(data.currentRound);
+            result.currentRound = true;
+        }
+
+        return result;
+    },
+
+    /**
+     * Download a backup of all local data as a JSON file
+     * @returns {Promise<Object>} The backup that was downloaded
+     */
+    async downloadBackup() {
+        const backup = await this.createBackup();
+        const filename = `disc-golf-backup-${backup.created_at.slice(0, 10)}.json`;
+        Export.download(filename, JSON.stringify(backup, null, 2), 'application/json');
+        return backup;
+    }
+};
+
+// Make Backup globally available
+window.Backup = Backup;
@@ -0,0 +1,125 @@
+/**
+ * Disc Golf Tracker - Charts Module
+ *
+ * Builds small dependency-free SVG trend charts from the date-sorted
+ * series produced by the Statistics module.
+ */
+
+const Charts = {
+    // Default chart size and padding (SVG user units)
+    defaults: {
+        width: 300,
+        height: 140,
+        padding: { top: 12, right: 12, bottom: 22, left: 34 }
+    },
+
+    /**
+     * Build a line chart of scores over time with a rolling average line
+     * @param {Array<{date: string, score: number}>} series - Points sorted by date
+     * @param {Object} options - Chart options
+     * @param {number} [options.referenceValue] - Value to draw a dashed reference line at (e.g. par)
+     * @param {string} [options.referenceLabel] - Label for the reference line
+     * @param {Function} [options.formatValue] - Formats y-axis values
+     * @param {string} [options.label] - Accessible description of the chart
+     * @returns {string} SVG markup, or '' when there are too few points
+     */
+    trendChart(series, options = {}) {
+        if (!series || series.length < CONFIG.statistics.minDataPointsForTrend) {
+            return '';
+        }
+
+        const { width, height, padding } = this.defaults;
+        const formatValue = options.formatValue || (value => String(value));
+        const values = series.map(point => point.score);
+        const averages = Statistics.calculateRollingAverage(values);
+        const hasReference = typeof options.referenceValue === 'number';
+
+        // Y range covers every value and the reference line
+        const bounds = hasReference ? [...values, options.referenceValue] : values;
+        let min = Math.min(...bounds);
+        let max = Math.max(...bounds);
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+
+        const box = {
+            left: padding.left,
+            top: padding.top,
+            width: width - padding.left - padding.right,
+            height: height - padding.top - padding.bottom,
+            min,
+            max
+        };
+
+        const x = index => this.scaleX(index, series.length, box);
+        const y = value => this.scaleY(value, box);
+        const bottom = box.top + box.height;
+        const right = box.left + box.width;
+
+        const parts = [
+            `<svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${options.label || 'Score trend'}">`,
+            `<line class="trend-axis" x1="${box.left}" y1="${bottom}" x2="${right}" y2="${bottom}"/>`,
+            `<text class="trend-axis-label" x="${box.left - 4}" y="${y(max) + 4}" text-anchor="end">${formatValue(max)}</text>`,
+            `<text class="trend-axis-label" x="${box.left - 4}" y="${y(min) + 4}" text-anchor="end">${formatValue(min)}</text>`
+        ];
+
+        if (hasReference) {
+            const refY = y(options.referenceValue);
+            parts.push(`<line class="trend-reference" x1="${box.left}" y1="${refY}" x2="${right}" y2="${refY}"/>`);
+            if (options.referenceLabel) {
+                parts.push(`<text class="trend-reference-label" x="${right}" y="${refY - 3}" text-anchor="end">${options.referenceLabel}</text>`);
+            }
+        }
+
+        parts.push(`<text class="trend-legend" x="${box.left}" y="${box.top - 3}">- - ${CONFIG.statistics.trendWindow}-round average</text>`);
+        parts.push(`<polyline class="trend-line" points="${this.toPoints(values, x, y)}"/>`);
+        parts.push(`<polyline class="trend-average" points="${this.toPoints(averages, x, y)}"/>`);
+        values.forEach((value, index) => {
+            parts.push(`<circle class="trend-point" cx="${x(index)}" cy="${y(value)}" r="3"/>`);
+        });
+
+        // First and last dates along the bottom
+        parts.push(`<text class="trend-axis-label" x="${box.left}" y="${height - 6}">${Utils.formatDate(series[0].date)}</text>`);
+        parts.push(`<text class="trend-axis-label" x="${right}" y="${height - 6}" text-anchor="end">${Utils.formatDate(series[series.length - 1].date)}</text>`);
+        parts.push('</svg>');
+
+        return parts.join('');
+    },
+
+    /**
+     * Map a point index to an x coordinate
+     * @param {number} index - Point index
+     * @param {number} count - Number of points
+     * @param {Object} box - Plot area
+     * @returns {number} X coordinate
+     */
+    scaleX(index, count, box) {
+        if (count <= 1) return Utils.roundTo(box.left + box.width / 2, 1);
+        return Utils.roundTo(box.left + (index * box.width) / (count - 1), 1);
+    },
+
+    /**
+     * Map a value to a y coordinate (higher values are drawn higher)
+     * @param {number} value - Data value
+     * @param {Object} box - Plot area with min and max
+     * @returns {number} Y coordinate
+     */
+    scaleY(value, box) {
+        return Utils.roundTo(box.top + ((box.max - value) / (box.max - box.min)) * box.height, 1);
+    },
+
+    /**
+     * Build an SVG points attribute
+     * @param {Array<number>} values - Data values
+     * @param {Function} x - Index to x coordinate
+     * @param {Function} y - Value to y coordinate
+     * @returns {string} Space separated "x,y" pairs
+     */
+    toPoints(values, x, y) {
+        return values.map((value, index) => `${x(index)},${y(value)}`).join(' ');
+    }
+};
+
+// Make Charts globally available
+window.Charts = Charts;
@@ -6,7 +6,8 @@
 
 const CONFIG = {
     // Sheets DB API Configuration
-    // Backend API that handles Google Sheets operations via service account
+    // Default backend API that handles Google Sheets operations via service
+    // account; Settings can point the app at another deployment
     api: {
         baseUrl: 'https://us-central1-kinetic-object-322814.cloudfunctions.net/sheetsApi',
         serviceAccountEmail: 'sheets-db-api@kinetic-object-322814.iam.gserviceaccount.com'
@@ -17,15 +18,19 @@ const CONFIG = {
         courses: 'Courses',
         holes: 'Holes',
         rounds: 'Rounds',
-        scores: 'Scores'
+        scores: 'Scores',
+        players: 'Players',
+        layouts: 'Layouts'
     },
 
     // Sheet headers for each tab
     sheetHeaders: {
-        courses: ['course_id', 'course_name', 'hole_count', 'created_date', 'last_played'],
-        holes: ['hole_id', 'course_id', 'hole_number', 'par', 'distance'],
-        rounds: ['round_id', 'course_id', 'round_date', 'completed', 'total_score', 'total_par'],
-        scores: ['score_id', 'round_id', 'hole_id', 'hole_number', 'throws', 'approaches', 'putts', 'created_at']
+        courses: ['course_id', 'course_name', 'hole_count', 'created_date', 'last_played', 'updated_at'],
+        holes: ['hole_id', 'course_id', 'hole_number', 'par', 'distance', 'layout_id', 'updated_at'],
+        rounds: ['round_id', 'course_id', 'round_date', 'completed', 'total_score', 'total_par', 'player_ids', 'layout_id', 'updated_at'],
+        scores: ['score_id', 'round_id', 'hole_id', 'hole_number', 'throws', 'approaches', 'putts', 'created_at', 'player_id', 'updated_at'],
+        players: ['player_id', 'player_name', 'created_date', 'updated_at'],
+        layouts: ['layout_id', 'course_id', 'layout_name', 'hole_count', 'created_date', 'updated_at']
     },
 
     // Validation rules
@@ -35,6 +40,29 @@ const CONFIG = {
             maxLength: 100,
             pattern: /^[a-zA-Z0-9\s\-']+$/
         },
+        layoutName: {
+            minLength: 1,
+            maxLength: 40,
+            pattern: /^[a-zA-Z0-9\s\-'.()]+$/
+        },
+        playerName: {
+            minLength: 1,
+            maxLength: 40,
+            pattern: /^[a-zA-Z0-9\s\-'.]+$/
+        },
+        spreadsheetId: {
+            minLength: 20,
+            maxLength: 128,
+            pattern: /^[a-zA-Z0-9_-]+$/
+        },
+        profileName: {
+            minLength: 1,
+            maxLength: 40,
+            pattern: /^[a-zA-Z0-9\s\-'.()&]+$/
+        },
+        cardSize: {
+            max: 6
+        },
         holeCount: {
             min: 1,
             max: 27,
@@ -68,19 +96,35 @@ const CONFIG = {
         // Minimum rounds needed to show averages
         minRoundsForAverage: 1,
         // Minimum data points for detailed stats
-        minDataPointsForDetailedStats: 3
+        minDataPointsForDetailedStats: 3,
+        // Minimum data points before a trend chart is drawn
+        minDataPointsForTrend: 2,
+        // Number of rounds in the trend chart's rolling average
+        trendWindow: 5
     },
 
     // Local storage keys
+    // Every key except profiles and activeProfile is kept per profile
     storageKeys: {
+        profiles: 'dgtracker_profiles',
+        activeProfile: 'dgtracker_active_profile',
         spreadsheetId: 'dgtracker_spreadsheet_id',
+        apiBaseUrl: 'dgtracker_api_base_url',
+        serviceAccountEmail: 'dgtracker_service_account_email',
+        backend: 'dgtracker_backend',
+        restBaseUrl: 'dgtracker_rest_base_url',
         courses: 'dgtracker_courses',
         holes: 'dgtracker_holes',
         rounds: 'dgtracker_rounds',
         scores: 'dgtracker_scores',
+        players: 'dgtracker_players',
+        layouts: 'dgtracker_layouts',
         currentRound: 'dgtracker_current_round',
         pendingSync: 'dgtracker_pending_sync',
         lastSync: 'dgtracker_last_sync',
+        lastFullSync: 'dgtracker_last_full_sync',
+        syncBase: 'dgtracker_sync_base',
+        syncConflicts: 'dgtracker_sync_conflicts',
         userInfo: 'dgtracker_user_info'
     },
 
@@ -88,10 +132,38 @@ const CONFIG = {
     sync: {
         // How often to attempt sync when online (in milliseconds)
         interval: 30000, // 30 seconds
-        // Retry delay after failed sync (in milliseconds)
+        // Delay before the first retry of a failed request, doubled for each
+        // further retry (in milliseconds)
         retryDelay: 5000, // 5 seconds
+        // Longest delay between retries (in milliseconds)
+        maxRetryDelay: 60000, // 1 minute
         // Maximum retry attempts
-        maxRetries: 3
+        maxRetries: 3,
+        // Upload passes a queued operation may fail before Settings lists it as stuck
+        stuckAfterAttempts: 3,
+        // Background Sync tag the service worker uploads the queue on (profiles add `:<id>`)
+        backgroundSyncTag: 'sync-pending-data',
+        // Give up on a request that has not answered after this long (in milliseconds)
+        requestTimeout: 20000, // 20 seconds
+        // Rows sent per batch request
+        batchSize: 50,
+        // Download every row at least this often (in milliseconds)
+        fullSyncInterval: 7 * 24 * 60 * 60 * 1000, // 7 days
+        // Incremental syncs re-read rows this far before the last sync (in milliseconds)
+        deltaOverlap: 15 * 60 * 1000 // 15 minutes
+    },
+
+    // Course layouts
+    layouts: {
+        // Name shown for a course's original holes (rounds and holes without a layout_id)
+        defaultName: 'Main'
+    },
+
+    // Profiles: separate data sets (own backend, spreadsheet and local database) on one device
+    profiles: {
+        // Profile that uses the original, unsuffixed storage keys and database
+        defaultId: 'default',
+        defaultName: 'My Rounds'
     },
 
     // Toast notification settings
@@ -112,4 +184,6 @@ Object.freeze(CONFIG.validation);
 Object.freeze(CONFIG.statistics);
 Object.freeze(CONFIG.storageKeys);
 Object.freeze(CONFIG.sync);
+Object.freeze(CONFIG.layouts);
+Object.freeze(CONFIG.profiles);
 Object.freeze(CONFIG.toast);
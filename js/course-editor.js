@@ -0,0 +1,50 @@
+/**
+ * Disc Golf Tracker - Course Editor Module
+ *
+ * Hole bookkeeping for the course editor in App: resizing a layout's holes
+ * when its hole count changes, and working out what an edit changed so
+ * only that is saved and uploaded.
+ */
+
+const CourseEditor = {
+    /**
+     * Resize a layout's holes to a new hole count
+     * Holes past the count are dropped. Missing holes come back from the
+     * saved ones, so undoing a shrink keeps their IDs, or are made new.
+     * @param {Array} holes - Holes being edited, by hole_number
+     * @param {number} holeCount - The new hole count
+     * @param {Array} originalHoles - The holes as saved
+     * @param {Function} createHole - Makes a hole for a hole number
+     * @returns {Array} The resized holes
+     */
+    resizeHoles(holes, holeCount, originalHoles, createHole) {
+        const resized = holes.slice(0, holeCount);
+        for (let i = resized.length + 1; i <= holeCount; i++) {
+            const original = originalHoles.find(h => h.hole_number === i);
+            resized.push(original ? Utils.deepClone(original) : createHole(i));
+        }
+        return resized;
+    },
+
+    /**
+     * Work out which holes an edit added, changed and removed
+     * @param {Array} originalHoles - The holes as saved
+     * @param {Array} holes - The edited holes
+     * @returns {{newHoles: Array, changedHoles: Array, removedHoles: Array}}
+     *     changedHoles have a new par or distance
+     */
+    diffHoles(originalHoles, holes) {
+        const originals = new Map(originalHoles.map(h => [h.hole_id, h]));
+        return {
+            newHoles: holes.filter(h => !originals.has(h.hole_id)),
+            changedHoles: holes.filter(h => {
+                const original = originals.get(h.hole_id);
+                return original && (original.par !== h.par || (original.distance || null) !== h.distance);
+            }),
+            removedHoles: originalHoles.filter(h => !holes.some(e => e.hole_id === h.hole_id))
+        };
+    }
+};
+
+// Make CourseEditor globally available
+window.CourseEditor = CourseEditor;
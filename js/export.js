@@ -0,0 +1,158 @@
+/**
+ * Disc Golf Tracker - Export Module
+ *
+ * Builds CSV files from the local Storage stores so data can be
+ * exported without opening Google Sheets, including while offline.
+ */
+
+const Export = {
+    // Stores exported one file each, with columns from CONFIG.sheetHeaders
+    entities: ['courses', 'holes', 'layouts', 'rounds', 'scores', 'players'],
+
+    // Columns of the flat scorecard export (one row per player per hole)
+    scorecardHeaders: [
+        'round_date', 'course_name', 'layout_name', 'player_name', 'hole_number',
+        'par', 'distance', 'throws', 'relative_to_par', 'approaches', 'putts', 'round_id'
+    ],
+
+    /**
+     * Escape a single CSV value (RFC 4180)
+     * @param {*} value - The value
+     * @returns {string} The escaped value
+     */
+    escapeValue(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+
+        const str = String(value);
+        if (/[",\r\n]/.test(str)) {
+            return `"${str.replace(/"/g, '""')}"`;
+        }
+        return str;
+    },
+
+    /**
+     * Convert records to CSV text
+     * @param {Array<Object>} records - The records
+     * @param {Array<string>} headers - Column names, in order
+     * @returns {string} CSV text with a header row
+     */
+    toCSV(records, headers) {
+        const lines = [headers.map(h => this.escapeValue(h)).join(',')];
+        records.forEach(record => {
+            lines.push(headers.map(h => this.escapeValue(record[h])).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Join rounds, holes and scores into one scorecard row per score
+     * @param {Object} data - All courses, holes, layouts, rounds, scores and players
+     * @returns {Array<Object>} Rows keyed by scorecardHeaders, oldest round first
+     */
+    buildScorecardRows({ courses, holes, layouts, rounds, scores, players }) {
+        const byId = (items, key) => new Map(items.map(item => [item[key], item]));
+        const courseMap = byId(courses, 'course_id');
+        const holeMap = byId(holes, 'hole_id');
+        const layoutMap = byId(layouts, 'layout_id');
+        const roundMap = byId(rounds, 'round_id');
+        const playerMap = byId(players, 'player_id');
+
+        const rows = [];
+        scores.forEach(score => {
+            const round = roundMap.get(score.round_id);
+            if (!round) return;
+
+            const course = courseMap.get(round.course_id);
+            const hole = holeMap.get(score.hole_id);
+            const layout = round.layout_id ? layoutMap.get(round.layout_id) : null;
+            const player = score.player_id ? playerMap.get(score.player_id) : null;
+            const par = hole ? hole.par : null;
+
+            rows.push({
+                round_date: round.round_date,
+                course_name: course ? course.course_name : '',
+                layout_name: layout ? layout.layout_name : CONFIG.layouts.defaultName,
+                player_name: player ? player.player_name : (score.player_id ? '' : 'You'),
+                hole_number: score.hole_number,
+                par,
+                distance: hole ? hole.distance : null,
+                throws: score.throws,
+                relative_to_par: par ? score.throws - par : null,
+                approaches: score.approaches,
+                putts: score.putts,
+                round_id: round.round_id
+            });
+        });
+
+        return rows.sort((a, b) =>
+            new Date(a.round_date) - new Date(b.round_date) ||
+            a.round_id.localeCompare(b.round_id) ||
+            a.player_name.localeCompare(b.player_name) ||
+            a.hole_number - b.hole_number
+        );
+    },
+
+    /**
+     * Read every exported store from local storage
+     * @returns {Promise<Object>} Records keyed by store name
+     */
+    async loadAll() {
+        const data = {};
+        for (const entity of this.entities) {
+            data[entity] = await Storage.getAll(entity);
+        }
+        return data;
+    },
+
+    /**
+     * Export one store as CSV
+     * @param {string} entity - Store name (see entities)
+     * @returns {Promise<number>} Number of records exported
+     */
+    async exportEntity(entity) {
+        const records = await Storage.getAll(entity);
+        this.download(this.getFilename(entity), this.toCSV(records, CONFIG.sheetHeaders[entity]));
+        return records.length;
+    },
+
+    /**
+     * Export the flat scorecard CSV
+     * @returns {Promise<number>} Number of rows exported
+     */
+    async exportScorecards() {
+        const rows = this.buildScorecardRows(await this.loadAll());
+        this.download(this.getFilename('scorecards'), this.toCSV(rows, this.scorecardHeaders));
+        return rows.length;
+    },
+
+    /**
+     * Build a dated export filename
+     * @param {string} name - What is being exported
+     * @returns {string} Filename such as disc-golf-rounds-2024-06-01.csv
+     */
+    getFilename(name) {
+        return `disc-golf-${name}-${Utils.formatDateForStorage().slice(0, 10)}.csv`;
+    },
+
+    /**
+     * Trigger a browser download of text content
+     * @param {string} filename - The filename
+     * @param {string} content - The file content
+     * @param {string} mimeType - The MIME type
+     */
+    download(filename, content, mimeType = 'text/csv;charset=utf-8') {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+};
+
+// Make Export globally available
+window.Export = Export;
@@ -0,0 +1,350 @@
+/**
+ * Disc Golf Tracker - Import Module
+ *
+ * Imports historical rounds from UDisc's scorecard CSV export. Rows are
+ * parsed into a plan that can be previewed before anything is written,
+ * then saved locally and queued for Google Sheets.
+ */
+
+const Import = {
+    /**
+     * Parse CSV text into rows of cells (RFC 4180 quoting)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows of cells, without blank lines
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(c => c.trim() !== ''));
+    },
+
+    /**
+     * Parse a UDisc date such as "2023-05-14 1527" or "2023-05-14 15:27"
+     * @param {string} value - The date cell
+     * @returns {string|null} ISO date string, or null if unreadable
+     */
+    parseUDiscDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):?(\d{2}))?/.exec((value || '').trim());
+        if (!match) return null;
+
+        const [, year, month, day, hours = '12', minutes = '00'] = match;
+        const date = new Date(+year, +month - 1, +day, +hours, +minutes);
+        return isNaN(date.getTime()) ? null : Utils.formatDateForStorage(date);
+    },
+
+    /**
+     * Parse a UDisc scorecard CSV export into rounds
+     * Each round is a "Par" row followed by one row per player.
+     * @param {string} text - CSV text
+     * @returns {{rounds: Array, errors: Array<string>}} Parsed rounds and problems found
+     */
+    parseUDiscCSV(text) {
+        const [header, ...rows] = this.parseCSV(text);
+        const errors = [];
+
+        if (!header) {
+            return { rounds: [], errors: ['The file is empty'] };
+        }
+
+        const column = name => header.findIndex(h => h.trim().toLowerCase() === name.toLowerCase());
+        const playerCol = column('PlayerName');
+        const courseCol = column('CourseName');
+        const dateCol = column('StartDate') !== -1 ? column('StartDate') : column('Date');
+        const holeCols = header
+            .map((h, index) => ({ match: /^Hole(\d+)$/i.exec(h.trim()), index }))
+            .filter(({ match }) => match)
+            .map(({ match, index }) => ({ number: parseInt(match[1], 10), index }));
+
+        if (playerCol === -1 || courseCol === -1 || dateCol === -1 || holeCols.length === 0) {
+            return { rounds: [], errors: ['This does not look like a UDisc scorecard export'] };
+        }
+
+        const holeValues = row => holeCols
+            .map(({ number, index }) => ({ number, value: parseInt(row[index], 10) }))
+            .filter(({ value }) => !isNaN(value) && value > 0);
+
+        const rounds = [];
+        let current = null;
+
+        rows.forEach((row, rowIndex) => {
+            const playerName = (row[playerCol] || '').trim();
+            const courseName = (row[courseCol] || '').trim();
+            const date = this.parseUDiscDate(row[dateCol]);
+
+            if (playerName.toLowerCase() === 'par') {
+                if (!date) {
+                    errors.push(`Row ${rowIndex + 2}: unreadable date "${row[dateCol] || ''}"`);
+                    current = null;
+                    return;
+                }
+                current = { courseName, date, pars: holeValues(row), players: [] };
+                rounds.push(current);
+                return;
+            }
+
+            if (!current || current.courseName !== courseName) {
+                errors.push(`Row ${rowIndex + 2}: score for ${playerName || 'unknown player'} has no Par row`);
+                return;
+            }
+
+            const throws = holeValues(row);
+            if (throws.length > 0) {
+                current.players.push({ name: playerName, throws });
+            }
+        });
+
+        return { rounds: rounds.filter(r => r.players.length > 0 && r.pars.length > 0), errors };
+    },
+
+    /**
+     * Work out which courses, holes, players, rounds and scores an import would create
+     * Courses are matched by name (case-insensitive) and holes by hole number,
+     * on each course's main layout (UDisc layout names are not used). Existing
+     * courses that gain holes or a later round are updated. Rounds already
+     * saved for the same course and date are skipped.
+     * @param {Array} parsedRounds - Rounds from parseUDiscCSV
+     * @param {Object} existing - Local courses, holes, rounds and players
+     * @returns {Object} Import plan with records to write (courses are new ones,
+     *     updatedCourses existing ones) and a per-course summary
+     */
+    buildImportPlan(parsedRounds, { courses, holes, rounds, players }) {
+        const plan = {
+            courses: [],
+            updatedCourses: [],
+            holes: [],
+            players: [],
+            rounds: [],
+            scores: [],
+            summary: [],
+            skipped: []
+        };
+        const courseByName = new Map(courses.map(c => [c.course_name.toLowerCase(), c]));
+        const playerByName = new Map(players.map(p => [p.player_name.toLowerCase(), p]));
+        const roundKeys = new Set(rounds.map(r => `${r.course_id}|${r.round_date}`));
+        const now = Utils.formatDateForStorage();
+
+        const getSummary = (course, isNew) => {
+            let entry = plan.summary.find(s => s.course_id === course.course_id);
+            if (!entry) {
+                entry = { course_id: course.course_id, course_name: course.course_name, isNew, roundCount: 0, newHoleCount: 0 };
+                plan.summary.push(entry);
+            }
+            return entry;
+        };
+
+        parsedRounds.forEach(parsed => {
+            const validation = Utils.validateCourseName(parsed.courseName);
+            if (!validation.isValid) {
+                plan.skipped.push(`${parsed.courseName || 'Unnamed course'}: ${validation.message}`);
+                return;
+            }
+
+            // Match or create the course
+            let course = courseByName.get(parsed.courseName.toLowerCase());
+            const isNewCourse = !course;
+            if (isNewCourse) {
+                course = {
+                    course_id: Utils.generateId(),
+                    course_name: parsed.courseName,
+                    hole_count: 0,
+                    created_date: now,
+                    last_played: null,
+                    updated_at: now
+                };
+                courseByName.set(parsed.courseName.toLowerCase(), course);
+                plan.courses.push(course);
+            } else if (!plan.updatedCourses.includes(course)) {
+                // Work on a copy, so the course is only changed if the plan is applied
+                course = { ...course };
+                courseByName.set(parsed.courseName.toLowerCase(), course);
+                plan.updatedCourses.push(course);
+            }
+            const summary = getSummary(course, isNewCourse);
+
+            const key = `${course.course_id}|${parsed.date}`;
+            if (roundKeys.has(key)) {
+                plan.skipped.push(`${course.course_name} on ${Utils.formatDate(parsed.date)}: already imported`);
+                return;
+            }
+            roundKeys.add(key);
+
+            // Match or create holes on the course's main layout
+            const courseHoles = Statistics.filterByLayout(
+                [...holes, ...plan.holes].filter(h => h.course_id === course.course_id), ''
+            );
+            const holeByNumber = new Map(courseHoles.map(h => [h.hole_number, h]));
+            parsed.pars.forEach(({ number, value }) => {
+                if (holeByNumber.has(number)) return;
+                const hole = {
+                    hole_id: Utils.generateId(),
+                    course_id: course.course_id,
+                    hole_number: number,
+                    par: value,
+                    distance: null,
+                    layout_id: '',
+                    updated_at: now
+                };
+                holeByNumber.set(number, hole);
+                plan.holes.push(hole);
+                summary.newHoleCount++;
+            });
+            const holeCount = Math.max(course.hole_count || 0, ...parsed.pars.map(p => p.number));
+            if (holeCount !== course.hole_count) {
+                course.hole_count = holeCount;
+                course.updated_at = now;
+            }
+            if (!course.last_played || parsed.date > course.last_played) {
+                course.last_played = parsed.date;
+                course.updated_at = now;
+            }
+
+            // Match or create players
+            const roundPlayers = [];
+            parsed.players.forEach(({ name }) => {
+                let player = playerByName.get(name.toLowerCase());
+                if (!player) {
+                    if (!Utils.validatePlayerName(name).isValid) {
+                        plan.skipped.push(`Player "${name}": invalid name, scores not imported`);
+                        return;
+                    }
+                    player = { player_id: Utils.generateId(), player_name: name, created_date: now, updated_at: now };
+                    playerByName.set(name.toLowerCase(), player);
+                    plan.players.push(player);
+                }
+                roundPlayers.push(player);
+            });
+            if (roundPlayers.length === 0) return;
+
+            const round = {
+                round_id: Utils.generateId(),
+                course_id: course.course_id,
+                round_date: parsed.date,
+                completed: true,
+                total_score: null,
+                total_par: null,
+                player_ids: roundPlayers.map(p => p.player_id).join(','),
+                layout_id: '',
+                updated_at: now
+            };
+
+            parsed.players.forEach(({ name, throws }) => {
+                const player = playerByName.get(name.toLowerCase());
+                if (!roundPlayers.includes(player)) return;
+
+                throws.forEach(({ number, value }) => {
+                    const hole = holeByNumber.get(number);
+                    if (!hole) return;
+                    plan.scores.push({
+                        score_id: Utils.generateId(),
+                        round_id: round.round_id,
+                        hole_id: hole.hole_id,
+                        hole_number: number,
+                        throws: value,
+                        approaches: null,
+                        putts: null,
+                        created_at: now,
+                        player_id: player.player_id,
+                        updated_at: now
+                    });
+                });
+            });
+
+            // Round totals reflect the first player on the card
+            const leadScores = Statistics.filterScoresByPlayer(
+                plan.scores.filter(s => s.round_id === round.round_id), roundPlayers[0].player_id
+            );
+            const totals = Statistics.calculateRunningTotal(leadScores, [...holeByNumber.values()]);
+            round.total_score = totals.totalScore;
+            round.total_par = totals.totalPar;
+
+            plan.rounds.push(round);
+            summary.roundCount++;
+        });
+
+        // Only write courses and holes that end up with a round
+        const playedCourseIds = new Set(plan.rounds.map(r => r.course_id));
+        plan.courses = plan.courses.filter(c => playedCourseIds.has(c.course_id));
+        const originalCourses = new Map(courses.map(c => [c.course_id, c]));
+        plan.updatedCourses = plan.updatedCourses.filter(c => {
+            const original = originalCourses.get(c.course_id);
+            return playedCourseIds.has(c.course_id) &&
+                (c.hole_count !== original.hole_count || c.last_played !== original.last_played);
+        });
+        plan.holes = plan.holes.filter(h => playedCourseIds.has(h.course_id));
+        plan.summary = plan.summary.filter(s => s.roundCount > 0);
+        return plan;
+    },
+
+    /**
+     * Save an import plan locally and queue it for Google Sheets
+     * @param {Object} plan - Plan from buildImportPlan
+     * @returns {Promise<void>}
+     */
+    async applyImportPlan(plan) {
+        await Storage.putMany('courses', [...plan.courses, ...plan.updatedCourses]);
+        await Storage.putMany('holes', plan.holes);
+        await Storage.putMany('players', plan.players);
+        await Storage.putMany('rounds', plan.rounds);
+        await Storage.putMany('scores', plan.scores);
+
+        // Parents before children so every row has its course when it lands
+        for (const course of plan.courses) {
+            await Storage.addPendingSync({ type: 'saveCourse', data: course });
+        }
+        for (const course of plan.updatedCourses) {
+            await Storage.addPendingSync({ type: 'updateCourse', data: course });
+        }
+        if (plan.holes.length > 0) {
+            await Storage.addPendingSync({ type: 'saveHoles', data: plan.holes });
+        }
+        for (const player of plan.players) {
+            await Storage.addPendingSync({ type: 'savePlayer', data: player });
+        }
+        for (const round of plan.rounds) {
+            await Storage.addPendingSync({ type: 'saveRound', data: round });
+        }
+        if (plan.scores.length > 0) {
+            await Storage.addPendingSync({ type: 'saveScores', data: plan.scores });
+        }
+    }
+};
+
+// Make Import globally available
+window.Import = Import;
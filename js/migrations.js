@@ -0,0 +1,164 @@
+/**
+ * Disc Golf Tracker - Database Migrations Module
+ *
+ * Every change to the IndexedDB schema is a migration in the list below:
+ * one per database version, in order. Opening a database runs each
+ * migration newer than the version it was saved with, inside the upgrade
+ * transaction, so a database from any earlier release reaches the current
+ * schema in the same steps. If a migration throws, the upgrade is rolled
+ * back and the database keeps its old version and data.
+ *
+ * To change the schema, append a migration with the next version number.
+ * Never edit one that has shipped: databases already past it will not run
+ * it again.
+ */
+
+const Migrations = {
+    // Migrations by version; each gets (db, transaction) during the upgrade
+    list: [
+        {
+            version: 1,
+            description: 'Courses, holes, rounds, scores and the pending sync queue',
+            migrate(db) {
+                Migrations.createStore(db, 'courses', { keyPath: 'course_id' }, { course_name: 'course_name' });
+                Migrations.createStore(db, 'holes', { keyPath: 'hole_id' }, { course_id: 'course_id' });
+                Migrations.createStore(db, 'rounds', { keyPath: 'round_id' }, { course_id: 'course_id', completed: 'completed' });
+                Migrations.createStore(db, 'scores', { keyPath: 'score_id' }, { round_id: 'round_id', hole_id: 'hole_id' });
+                Migrations.createStore(db, 'pendingSync', { keyPath: 'id', autoIncrement: true });
+            }
+        },
+        {
+            version: 2,
+            description: 'Players roster',
+            migrate(db) {
+                Migrations.createStore(db, 'players', { keyPath: 'player_id' }, { player_name: 'player_name' });
+            }
+        },
+        {
+            version: 3,
+            description: 'Course layouts',
+            migrate(db) {
+                Migrations.createStore(db, 'layouts', { keyPath: 'layout_id' }, { course_id: 'course_id' });
+            }
+        },
+        {
+            version: 4,
+            description: 'Settings the service worker reads for background sync',
+            migrate(db) {
+                Migrations.createStore(db, 'settings', { keyPath: 'key' });
+            }
+        }
+    ],
+
+    /**
+     * Get the database version the migrations bring a database to
+     * @param {Array} [migrations] - Migrations, defaults to the registry
+     * @returns {number} The newest version
+     */
+    getLatestVersion(migrations = this.list) {
+        return migrations.length ? migrations[migrations.length - 1].version : 0;
+    },
+
+    /**
+     * Check that migrations are numbered 1, 2, 3... with no gaps or repeats
+     * @param {Array} migrations - Migrations to check
+     * @throws {Error} When a migration is out of order
+     */
+    validate(migrations) {
+        migrations.forEach((migration, i) => {
+            if (migration.version !== i + 1) {
+                throw new Error(`Migration ${i + 1} has version ${migration.version}; versions must count up from 1`);
+            }
+            if (typeof migration.migrate !== 'function') {
+                throw new Error(`Migration ${migration.version} has no migrate function`);
+            }
+        });
+    },
+
+    /**
+     * Open a database, running any migrations it has not had yet
+     * @param {IDBFactory} factory - Usually the global indexedDB
+     * @param {string} name - The database name
+     * @param {Array} [migrations] - Migrations, defaults to the registry
+     * @returns {Promise<IDBDatabase>} The open database
+     */
+    open(factory, name, migrations = this.list) {
+        this.validate(migrations);
+
+        return new Promise((resolve, reject) => {
+            const request = factory.open(name, this.getLatestVersion(migrations));
+            let migrationError = null;
+
+            request.onerror = () => reject(migrationError || request.error);
+            request.onsuccess = () => resolve(request.result);
+
+            request.onupgradeneeded = (event) => {
+                const transaction = event.target.transaction;
+                try {
+                    this.run(event.target.result, transaction, event.oldVersion, migrations);
+                } catch (error) {
+                    migrationError = error;
+                    transaction.abort();
+                }
+            };
+        });
+    },
+
+    /**
+     * Run the migrations newer than a database's version, oldest first
+     * @param {IDBDatabase} db - The database being upgraded
+     * @param {IDBTransaction} transaction - The upgrade transaction
+     * @param {number} oldVersion - Version the database was at (0 when new)
+     * @param {Array} [migrations] - Migrations, defaults to the registry
+     */
+    run(db, transaction, oldVersion, migrations = this.list) {
+        migrations
+            .filter(migration => migration.version > oldVersion)
+            .forEach(migration => {
+                console.log(`Migrating ${db.name} to version ${migration.version}: ${migration.description}`);
+                migration.migrate(db, transaction);
+            });
+    },
+
+    /**
+     * Create an object store with non-unique indexes
+     * @param {IDBDatabase} db - The database being upgraded
+     * @param {string} name - The store name
+     * @param {Object} options - keyPath and autoIncrement
+     * @param {Object} [indexes] - Key paths by index name
+     * @returns {IDBObjectStore} The new store
+     */
+    createStore(db, name, options, indexes = {}) {
+        const store = db.createObjectStore(name, options);
+        Object.entries(indexes).forEach(([indexName, keyPath]) => {
+            store.createIndex(indexName, keyPath, { unique: false });
+        });
+        return store;
+    },
+
+    /**
+     * Rewrite every record in a store during an upgrade
+     * @param {IDBTransaction} transaction - The upgrade transaction
+     * @param {string} storeName - The store name
+     * @param {Function} update - Called with each record; returns the record
+     *     to save, or null to delete it
+     */
+    updateRecords(transaction, storeName, update) {
+        const store = transaction.objectStore(storeName);
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+            request.result.forEach(record => {
+                const updated = update(record);
+                if (updated === null) {
+                    store.delete(record[store.keyPath]);
+                } else {
+                    store.put(updated);
+                }
+            });
+        };
+    }
+};
+
+// Make Migrations globally available
+window.Migrations = Migrations;
@@ -0,0 +1,387 @@
+/**
+ * Disc Golf Tracker - REST API Client
+ *
+ * Backend adapter for a self-hosted JSON API. Records keep their local
+ * shape; each store is a collection keyed by its ID field:
+ *
+ *   GET    /health
+ *   GET    /:store?updatedSince=ISO  -> { records: [...] }
+ *   PUT    /:store  { records }      -> upsert by ID
+ *   DELETE /:store  { ids }
+ */
+
+const RestAPI = {
+    // Backend adapter identity (see Backend)
+    id: 'rest',
+    name: 'REST API',
+    remote: true,
+
+    // API base URL (set from Settings)
+    baseUrl: null,
+
+    // Queued operation types that write their data to a store as-is
+    upsertTypes: {
+        saveCourse: 'courses',
+        updateCourse: 'courses',
+        saveLayout: 'layouts',
+        updateLayout: 'layouts',
+        savePlayer: 'players',
+        saveHoles: 'holes',
+        updateHole: 'holes',
+        upsertHoles: 'holes',
+        saveRound: 'rounds',
+        updateRound: 'rounds',
+        upsertRound: 'rounds',
+        saveScores: 'scores',
+        upsertScores: 'scores'
+    },
+
+    /**
+     * Set the API base URL
+     * @param {string|null} url - The base URL, without a trailing slash
+     */
+    setBaseUrl(url) {
+        this.baseUrl = url ? url.replace(/\/+$/, '') : null;
+    },
+
+    /**
+     * Get the API base URL
+     * @returns {string|null} The base URL
+     */
+    getBaseUrl() {
+        return this.baseUrl;
+    },
+
+    /**
+     * Check if the API base URL is set
+     * @returns {boolean} Whether configured
+     */
+    isConfigured() {
+        return !!this.baseUrl;
+    },
+
+    // ===================
+    // Core API Methods
+    // ===================
+
+    /**
+     * Make a request to the REST API
+     * @param {string} path - API path
+     * @param {Object} options - Fetch options
+     * @returns {Promise<any>} Response data
+     */
+    async request(path, options = {}) {
+        const headers = {
+            'Content-Type': 'application/json',
+            ...options.headers
+        };
+
+        const response = await fetch(`${this.baseUrl}${path}`, { ...options, headers });
+
+        if (!response.ok) {
+            let errorData;
+            try {
+                errorData = await response.json();
+            } catch {
+                errorData = null;
+            }
+            throw new Error(errorData?.error || `Request failed with status ${response.status}`);
+        }
+
+        if (response.status === 204) return undefined;
+        return response.json();
+    },
+
+    /**
+     * Check API health
+     * @returns {Promise<{status: string}>} Health status
+     */
+    async health() {
+        return this.request('/health');
+    },
+
+    /**
+     * Prepare the backend for use
+     * Collections are created by the server on first write, so there is
+     * nothing to set up beyond reaching it.
+     * @returns {Promise<{success: boolean, created: string[], initialized: string[]}>}
+     */
+    async initialize() {
+        await this.health();
+        return { success: true, created: [], initialized: [] };
+    },
+
+    /**
+     * Get the records of a store
+     * @param {string} entity - Store name (e.g. 'rounds')
+     * @param {Object} options - Options
+     * @param {string} [options.updatedSince] - Only records whose updated_at is at or after this ISO time
+     * @returns {Promise<Array>} Records
+     */
+    async getRecords(entity, options = {}) {
+        const query = options.updatedSince ? `?updatedSince=${encodeURIComponent(options.updatedSince)}` : '';
+        const result = await this.request(`/${entity}${query}`);
+        const records = result?.records || [];
+
+        // Filter here as well in case the API returns every record
+        return options.updatedSince
+            ? records.filter(record => (record.updated_at || '') >= options.updatedSince)
+            : records;
+    },
+
+    /**
+     * Create or replace records by ID, stamping updated_at with the write time
+     * @param {string} entity - Store name
+     * @param {Array<Object>} records - Records to write
+     * @returns {Promise<void>}
+     */
+    async putRecords(entity, records) {
+        const now = Utils.formatDateForStorage();
+        for (const batch of Utils.chunk(records, CONFIG.sync.batchSize)) {
+            await this.request(`/${entity}`, {
+                method: 'PUT',
+                body: JSON.stringify({ records: batch.map(record => ({ ...record, updated_at: now })) })
+            });
+        }
+    },
+
+    /**
+     * Delete records by ID
+     * @param {string} entity - Store name
+     * @param {Array<string>} ids - IDs to delete
+     * @returns {Promise<void>}
+     */
+    async deleteRecords(entity, ids) {
+        if (ids.length === 0) return;
+        await this.request(`/${entity}`, {
+            method: 'DELETE',
+            body: JSON.stringify({ ids })
+        });
+    },
+
+    // ===================
+    // High-Level Operations
+    // ===================
+
+    /**
+     * Load all courses
+     * @returns {Promise<Array>} Array of courses
+     */
+    async loadCourses() {
+        return this.getRecords('courses');
+    },
+
+    /**
+     * Load holes for a specific course
+     * @param {string} courseId - The course ID
+     * @returns {Promise<Array>} Holes sorted by hole_number
+     */
+    async loadHolesForCourse(courseId) {
+        const holes = await this.getRecords('holes');
+        return holes
+            .filter(hole => hole.course_id === courseId)
+            .sort((a, b) => a.hole_number - b.hole_number);
+    },
+
+    /**
+     * Load all completed rounds for a course
+     * @param {string} courseId - The course ID
+     * @returns {Promise<Array>} Array of rounds
+     */
+    async loadRoundsForCourse(courseId) {
+        const rounds = await this.getRecords('rounds');
+        return rounds.filter(round => round.course_id === courseId && round.completed);
+    },
+
+    /**
+     * Load scores for specific rounds
+     * @param {Array<string>} roundIds - Array of round IDs
+     * @returns {Promise<Array>} Array of scores
+     */
+    async loadScoresForRounds(roundIds) {
+        const scores = await this.getRecords('scores');
+        return scores.filter(score => roundIds.includes(score.round_id));
+    },
+
+    /**
+     * Save a course
+     * @param {Object} course - Course data
+     * @returns {Promise<void>}
+     */
+    async saveCourse(course) {
+        await this.putRecords('courses', [course]);
+    },
+
+    /**
+     * Save holes
+     * @param {Array<Object>} holes - Array of hole data
+     * @returns {Promise<void>}
+     */
+    async saveHoles(holes) {
+        await this.putRecords('holes', holes);
+    },
+
+    /**
+     * Save a round
+     * @param {Object} round - Round data
+     * @returns {Promise<void>}
+     */
+    async saveRound(round) {
+        await this.putRecords('rounds', [round]);
+    },
+
+    /**
+     * Save scores
+     * @param {Array<Object>} scores - Array of score data
+     * @returns {Promise<void>}
+     */
+    async saveScores(scores) {
+        await this.putRecords('scores', scores);
+    },
+
+    /**
+     * Save a player
+     * @param {Object} player - Player data
+     * @returns {Promise<void>}
+     */
+    async savePlayer(player) {
+        await this.putRecords('players', [player]);
+    },
+
+    /**
+     * Replace all scores of a round
+     * @param {string} roundId - The round ID
+     * @param {Array<Object>} scores - The round's new scores
+     * @returns {Promise<void>}
+     */
+    async replaceScores(roundId, scores) {
+        const keep = new Set(scores.map(score => score.score_id));
+        const existing = await this.loadScoresForRounds([roundId]);
+        await this.deleteRecords('scores', existing.map(s => s.score_id).filter(id => !keep.has(id)));
+        await this.saveScores(scores);
+    },
+
+    /**
+     * Delete a round and its scores
+     * @param {string} roundId - The round ID
+     * @returns {Promise<void>}
+     */
+    async deleteRound(roundId) {
+        const scores = await this.loadScoresForRounds([roundId]);
+        await this.deleteRecords('scores', scores.map(s => s.score_id));
+        await this.deleteRecords('rounds', [roundId]);
+    },
+
+    /**
+     * Update a course's last_played date
+     * @param {string} courseId - The course ID
+     * @param {string} date - The date string
+     * @returns {Promise<boolean>} Success status
+     */
+    async updateCourseLastPlayed(courseId, date) {
+        const course = (await this.loadCourses()).find(c => c.course_id === courseId);
+
+        if (!course) {
+            console.warn('Course not found for update:', courseId);
+            return false;
+        }
+
+        await this.saveCourse({ ...course, last_played: date });
+        return true;
+    },
+
+    // ===================
+    // Sync Operations
+    // ===================
+
+    /**
+     * Download the records of every store
+     * @param {Object} options - Options
+     * @param {string} [options.updatedSince] - Only records stamped at or after this ISO time
+     * @returns {Promise<Object>} Records by store name
+     */
+    async pull(options = {}) {
+        const data = {};
+        for (const entity of Sync.entities) {
+            data[entity] = await this.getRecords(entity, options);
+        }
+        return data;
+    },
+
+    /**
+     * Upload the pending sync queue once
+     * Use Backend.processPendingSync, which keeps uploads from overlapping.
+     * Operations that depend on a failed one wait for it (see Backend.getDependencies).
+     * @returns {Promise<boolean>} Whether every operation succeeded
+     */
+    async processPendingSync() {
+        const pending = await Storage.getPendingSync();
+        if (pending.length === 0) return true;
+
+        const failed = [];
+        const gate = Backend.createUploadGate();
+
+        for (let i = 0; i < pending.length; i++) {
+            const operation = pending[i];
+            const entity = this.upsertTypes[operation.type];
+
+            if (entity) {
+                // Consecutive writes to the same store go out together
+                const run = [operation];
+                while (i + 1 < pending.length && this.upsertTypes[pending[i + 1].type] === entity) {
+                    run.push(pending[++i]);
+                }
+
+                const held = run.filter(gate.isHeld);
+                held.forEach(op => {
+                    gate.hold(op);
+                    failed.push(op);
+                });
+                const ready = run.filter(op => !held.includes(op));
+                if (ready.length === 0) continue;
+
+                try {
+                    await this.putRecords(entity, ready.flatMap(op => op.data));
+                } catch (error) {
+                    console.error('Failed to process pending operations:', error);
+                    failed.push(...ready.map(op => ({ ...op, error: error.message })));
+                    ready.forEach(gate.hold);
+                }
+                continue;
+            }
+
+            if (gate.isHeld(operation)) {
+                gate.hold(operation);
+                failed.push(operation);
+                continue;
+            }
+
+            try {
+                switch (operation.type) {
+                    case 'replaceScores':
+                        await this.replaceScores(operation.data.roundId, operation.data.scores);
+                        break;
+                    case 'deleteRound':
+                        await this.deleteRound(operation.data.roundId);
+                        break;
+                    case 'deleteHole':
+                        await this.deleteRecords('holes', [operation.data.holeId]);
+                        break;
+                    case 'updateCourseLastPlayed':
+                        await this.updateCourseLastPlayed(operation.data.courseId, operation.data.date);
+                        break;
+                }
+            } catch (error) {
+                console.error('Failed to process pending operation:', error);
+                failed.push({ ...operation, error: error.message });
+                gate.hold(operation);
+            }
+        }
+
+        await Storage.settlePendingSync(pending, failed);
+        return failed.length === 0;
+    }
+};
+
+// Make RestAPI globally available
+window.RestAPI = RestAPI;
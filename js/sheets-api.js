@@ -6,15 +6,69 @@
  */
 
 const SheetsAPI = {
+    // Backend adapter identity (see Backend)
+    id: 'sheets',
+    name: 'Google Sheets',
+    remote: true,
+
+    // API base URL (a custom deployment can be set in Settings)
+    baseUrl: CONFIG.api.baseUrl,
+
     // Spreadsheet ID (set after user connects)
     spreadsheetId: null,
 
+    // Whether the API has the /rows/batch routes; cleared when one is missing
+    batchSupported: true,
+
+    // Whether every tab has had its header row brought up to date this session
+    headersChecked: false,
+
+    /**
+     * Set the API base URL
+     * @param {string|null} url - The base URL, or null for the default
+     */
+    setBaseUrl(url) {
+        this.baseUrl = this.resolveBaseUrl(url);
+        this.batchSupported = true;
+        this.headersChecked = false;
+    },
+
+    /**
+     * Normalize a base URL as entered by the user
+     * @param {string|null} url - The base URL, or empty for the default
+     * @returns {string} The URL without trailing slashes, or the default
+     */
+    resolveBaseUrl(url) {
+        const trimmed = (url || '').trim().replace(/\/+$/, '');
+        return trimmed || CONFIG.api.baseUrl;
+    },
+
+    /**
+     * Get the API base URL
+     * @returns {string} The base URL
+     */
+    getBaseUrl() {
+        return this.baseUrl;
+    },
+
+    /**
+     * Get the service account spreadsheets must be shared with
+     * @param {Object} [health] - Response from health(), which may name it
+     * @param {string} [baseUrl] - The API the response came from
+     * @returns {string} The email, or '' when the API does not say and is not the default
+     */
+    getServiceAccountEmail(health, baseUrl = this.baseUrl) {
+        if (health && health.serviceAccountEmail) return health.serviceAccountEmail;
+        return baseUrl === CONFIG.api.baseUrl ? CONFIG.api.serviceAccountEmail : '';
+    },
+
     /**
      * Set the spreadsheet ID for API calls
      * @param {string} id - The Google Spreadsheet ID
      */
     setSpreadsheetId(id) {
         this.spreadsheetId = id;
+        this.headersChecked = false;
     },
 
     /**
@@ -38,46 +92,123 @@ const SheetsAPI = {
     // ===================
 
     /**
-     * Make an API request to sheets-db-api
+     * Make an API request to sheets-db-api, retrying transient failures
+     * GET and PUT (which repeat safely) are retried after network, timeout
+     * and server errors. Any request is retried when rate limited, since the
+     * API turned it away unprocessed. Retries back off exponentially, or wait
+     * as long as the API's Retry-After header asks.
      * @param {string} path - API path
      * @param {Object} options - Fetch options
      * @returns {Promise<any>} Response data
+     * @throws {ApiError} When the API cannot be reached or the request fails
      */
     async request(path, options = {}) {
-        const url = `${CONFIG.api.baseUrl}${path}`;
+        const method = options.method || 'GET';
+        const idempotent = method === 'GET' || method === 'PUT';
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(path, options);
+            } catch (error) {
+                const canRetry = error.code === 'rate_limited' || (idempotent && ApiError.isRetryable(error));
+                if (!canRetry || attempt >= CONFIG.sync.maxRetries) {
+                    throw error;
+                }
+                const delay = error.retryAfter ??
+                    Utils.getBackoffDelay(attempt, CONFIG.sync.retryDelay, CONFIG.sync.maxRetryDelay);
+                console.warn(`Retrying ${method} ${path} in ${delay}ms:`, error.message);
+                await Utils.sleep(delay);
+            }
+        }
+    },
+
+    /**
+     * Send one API request to sheets-db-api
+     * @param {string} path - API path
+     * @param {Object} options - Fetch options
+     * @returns {Promise<any>} Response data
+     * @throws {ApiError} When the API cannot be reached or the request fails
+     */
+    async send(path, options = {}) {
+        const url = `${this.baseUrl}${path}`;
         const headers = {
             'Content-Type': 'application/json',
             'X-Spreadsheet-Id': this.spreadsheetId,
             ...options.headers
         };
 
-        const response = await fetch(url, { ...options, headers });
+        const response = await this.fetchUrl(url, { ...options, headers });
 
         if (!response.ok) {
             let errorData;
             try {
                 errorData = await response.json();
             } catch {
-                errorData = await response.text();
+                errorData = null;
             }
             const message = typeof errorData === 'object' && errorData?.error
                 ? errorData.error
                 : `Request failed with status ${response.status}`;
-            throw new Error(message);
+            const retryAfter = Number(response.headers?.get('Retry-After'));
+            throw new ApiError(message, {
+                status: response.status,
+                code: this.getErrorCode(response.status, message),
+                retryAfter: retryAfter > 0 ? retryAfter * 1000 : null
+            });
         }
 
         if (response.status === 204) return undefined;
         return response.json();
     },
 
+    /**
+     * Fetch a URL, giving up after CONFIG.sync.requestTimeout
+     * @param {string} url - The URL
+     * @param {Object} [options] - Fetch options
+     * @returns {Promise<Response>} The response
+     * @throws {ApiError} With code network or timeout when there is no response
+     */
+    async fetchUrl(url, options = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CONFIG.sync.requestTimeout);
+
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new ApiError(`Request timed out after ${CONFIG.sync.requestTimeout / 1000}s`, { code: 'timeout' });
+            }
+            throw new ApiError(`Could not reach the API: ${error.message}`, { code: 'network' });
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    /**
+     * Work out what a failed request means
+     * The Google Sheets API's own errors may come back with any status, so
+     * their messages are checked as well.
+     * @param {number} status - HTTP status
+     * @param {string} message - Error message from the API
+     * @returns {string} An ApiError code
+     */
+    getErrorCode(status, message) {
+        if (/permission|PERMISSION_DENIED|does not have access/i.test(message)) return 'forbidden';
+        if (/Requested entity was not found|NOT_FOUND|Unable to parse range/i.test(message)) return 'not_found';
+        if (/RESOURCE_EXHAUSTED|Quota exceeded|rate limit/i.test(message)) return 'rate_limited';
+        return ApiError.codeForStatus(status);
+    },
+
     /**
      * Check API health
-     * @returns {Promise<{status: string}>} Health status
+     * @param {string} [baseUrl] - API to check, defaults to the configured one
+     * @returns {Promise<{status: string, serviceAccountEmail?: string}>} Health status
+     * @throws {ApiError} With code network or server when the API is down
      */
-    async health() {
-        const response = await fetch(`${CONFIG.api.baseUrl}/health`);
+    async health(baseUrl = this.baseUrl) {
+        const response = await this.fetchUrl(`${baseUrl}/health`);
         if (!response.ok) {
-            throw new Error('API health check failed');
+            throw new ApiError('API health check failed', { status: response.status, code: 'server' });
         }
         return response.json();
     },
@@ -106,11 +237,60 @@ const SheetsAPI = {
     /**
      * Get all rows from a sheet
      * @param {string} sheetName - Sheet name
+     * @param {Object} options - Options
+     * @param {string} [options.updatedSince] - Only rows whose updated_at is at or after this ISO time
      * @returns {Promise<Array>} Array of row objects
      */
-    async getRows(sheetName) {
-        const result = await this.request(`/sheets/${encodeURIComponent(sheetName)}/rows`);
-        return result?.rows || [];
+    async getRows(sheetName, options = {}) {
+        const query = options.updatedSince ? `?updatedSince=${encodeURIComponent(options.updatedSince)}` : '';
+        const result = await this.request(`/sheets/${encodeURIComponent(sheetName)}/rows${query}`);
+        const rows = result?.rows || [];
+
+        // Filter here as well in case the API returns every row
+        return options.updatedSince
+            ? rows.filter(row => (row.updated_at || '') >= options.updatedSince)
+            : rows;
+    },
+
+    /**
+     * Get the header row of a sheet
+     * APIs without the /headers route are asked for the rows instead, whose
+     * keys are the headers; a sheet with no rows then has none.
+     * @param {string} sheetName - Sheet name
+     * @returns {Promise<Array<string>>} Column names, in order
+     */
+    async getHeaders(sheetName) {
+        try {
+            const result = await this.request(`/sheets/${encodeURIComponent(sheetName)}/headers`);
+            return result?.headers || [];
+        } catch (error) {
+            if (error.status !== 404 && error.status !== 405) throw error;
+            const rows = await this.getRows(sheetName);
+            return rows.length > 0 ? Object.keys(rows[0]) : [];
+        }
+    },
+
+    /**
+     * Add columns to the end of a sheet's header row
+     * @param {string} sheetName - Sheet name
+     * @param {Array<string>} headers - Column names the sheet does not have yet
+     * @returns {Promise<void>}
+     * @throws {ApiError} With code bad_request, naming the columns to add by
+     *     hand, when the API has no /headers route
+     */
+    async addHeaders(sheetName, headers) {
+        try {
+            await this.request(`/sheets/${encodeURIComponent(sheetName)}/headers`, {
+                method: 'POST',
+                body: JSON.stringify({ headers })
+            });
+        } catch (error) {
+            if (error.status !== 404 && error.status !== 405) throw error;
+            throw new ApiError(
+                `The ${sheetName} tab needs these columns at the end of its header row: ${headers.join(', ')}`,
+                { status: error.status, code: 'bad_request' }
+            );
+        }
     },
 
     /**
@@ -152,13 +332,113 @@ const SheetsAPI = {
         });
     },
 
+    /**
+     * Create several rows in one request
+     * @param {string} sheetName - Sheet name
+     * @param {Array<Object>} rows - Row data, in order
+     * @returns {Promise<{rowIndexes: Array<number>}>} Created row indexes
+     */
+    async createRows(sheetName, rows) {
+        return this.batchRequest(sheetName, {
+            method: 'POST',
+            body: JSON.stringify({ rows })
+        }, async () => {
+            const rowIndexes = [];
+            for (const data of rows) {
+                const result = await this.createRow(sheetName, data);
+                rowIndexes.push(result?.rowIndex);
+            }
+            return { rowIndexes };
+        });
+    },
+
+    /**
+     * Update several rows in one request
+     * @param {string} sheetName - Sheet name
+     * @param {Array<{rowIndex: number, data: Object}>} rows - Row indexes (1-based, data starts at 2) and data
+     * @returns {Promise<void>}
+     */
+    async updateRows(sheetName, rows) {
+        await this.batchRequest(sheetName, {
+            method: 'PUT',
+            body: JSON.stringify({ rows })
+        }, async () => {
+            for (const { rowIndex, data } of rows) {
+                await this.updateRow(sheetName, rowIndex, data);
+            }
+        });
+    },
+
+    /**
+     * Delete several rows in one request
+     * @param {string} sheetName - Sheet name
+     * @param {Array<number>} rowIndexes - Row indexes (1-based, data starts at 2), highest first
+     * @returns {Promise<void>}
+     */
+    async deleteRows(sheetName, rowIndexes) {
+        await this.batchRequest(sheetName, {
+            method: 'DELETE',
+            body: JSON.stringify({ rowIndexes })
+        }, async () => {
+            // Bottom up, so deleting a row never moves the ones still to go
+            for (const rowIndex of rowIndexes.slice().sort((a, b) => b - a)) {
+                await this.deleteRow(sheetName, rowIndex);
+            }
+        });
+    },
+
+    /**
+     * Send a request to a sheet's /rows/batch route, or one request per row without it
+     * The batch routes are served by server/sheets-server.js but may be
+     * missing from other sheets-db-api deployments. A 404 or 405 from one
+     * switches to per-row requests until the API URL changes.
+     * @param {string} sheetName - Sheet name
+     * @param {Object} options - Fetch options for the batch request
+     * @param {Function} fallback - Makes the same change with single-row requests
+     * @returns {Promise<any>} Response data
+     */
+    async batchRequest(sheetName, options, fallback) {
+        if (this.batchSupported) {
+            try {
+                return await this.request(`/sheets/${encodeURIComponent(sheetName)}/rows/batch`, options);
+            } catch (error) {
+                if (error.status !== 404 && error.status !== 405) throw error;
+                console.warn('Batch requests are not supported by this API; sending rows one at a time');
+                this.batchSupported = false;
+            }
+        }
+        return fallback();
+    },
+
     // ===================
     // Sheet Initialization
     // ===================
 
+    /**
+     * Prepare the spreadsheet for use (backend adapter entry point)
+     * @returns {Promise<{success: boolean, created: string[], initialized: string[], upgraded: string[]}>}
+     */
+    async initialize() {
+        return this.initializeSheets();
+    },
+
+    /**
+     * Bring the spreadsheet up to date once per session before reading or writing it
+     * Spreadsheets set up by earlier versions lack newer columns, such as
+     * updated_at, and the API may drop values that have no column.
+     * @returns {Promise<void>}
+     */
+    async ensureSheetHeaders() {
+        if (!this.headersChecked) {
+            await this.initializeSheets();
+        }
+    },
+
     /**
      * Initialize required sheets with headers
-     * @returns {Promise<{success: boolean, created: string[], initialized: string[]}>}
+     * Tabs that already have headers get any columns in CONFIG.sheetHeaders
+     * they are missing added to the end.
+     * @returns {Promise<{success: boolean, created: string[], initialized: string[], upgraded: string[]}>}
      */
     async initializeSheets() {
         const existingSheets = await this.listSheets();
@@ -175,12 +455,15 @@ const SheetsAPI = {
 
         const created = [];
         const initialized = [];
+        const upgraded = [];
 
         const requiredSheets = [
             { name: CONFIG.sheets.courses, headers: CONFIG.sheetHeaders.courses },
             { name: CONFIG.sheets.holes, headers: CONFIG.sheetHeaders.holes },
             { name: CONFIG.sheets.rounds, headers: CONFIG.sheetHeaders.rounds },
-            { name: CONFIG.sheets.scores, headers: CONFIG.sheetHeaders.scores }
+            { name: CONFIG.sheets.scores, headers: CONFIG.sheetHeaders.scores },
+            { name: CONFIG.sheets.players, headers: CONFIG.sheetHeaders.players },
+            { name: CONFIG.sheets.layouts, headers: CONFIG.sheetHeaders.layouts }
         ];
 
         for (const sheet of requiredSheets) {
@@ -200,18 +483,25 @@ const SheetsAPI = {
                 initialized.push(sheet.name);
             } else {
                 // Sheet exists - check if it needs headers initialized
-                const rows = await this.getRows(actualSheetName);
+                const headers = await this.getHeaders(actualSheetName);
 
-                if (rows.length === 0) {
+                if (headers.length === 0) {
                     // Empty sheet - initialize headers
                     await this.initializeSheetHeaders(actualSheetName, sheet.headers);
                     initialized.push(actualSheetName);
+                } else {
+                    // Add columns from newer versions, keeping the existing ones in place
+                    const missing = sheet.headers.filter(header => !headers.includes(header));
+                    if (missing.length > 0) {
+                        await this.addHeaders(actualSheetName, missing);
+                        upgraded.push(actualSheetName);
+                    }
                 }
-                // If sheet has data, assume headers are already set up correctly
             }
         }
 
-        return { success: true, created, initialized };
+        this.headersChecked = true;
+        return { success: true, created, initialized, upgraded };
     },
 
     /**
@@ -226,11 +516,11 @@ const SheetsAPI = {
             placeholderData[header] = '';
         });
 
-        const result = await this.createRow(sheetName, placeholderData);
+        const result = await this.createRows(sheetName, [placeholderData]);
 
         // Delete the placeholder row
-        if (result && result.rowIndex) {
-            await this.deleteRow(sheetName, result.rowIndex);
+        if (result && result.rowIndexes && result.rowIndexes.length > 0) {
+            await this.deleteRows(sheetName, result.rowIndexes);
         }
     },
 
@@ -303,18 +593,68 @@ const SheetsAPI = {
             }));
     },
 
+    /**
+     * Load all players from Google Sheets
+     * @returns {Promise<Array>} Array of players
+     */
+    async loadPlayers() {
+        const players = await this.getRows(CONFIG.sheets.players);
+        return players.filter(player => player.player_id);
+    },
+
+    /**
+     * Load all course layouts from Google Sheets
+     * @returns {Promise<Array>} Array of layouts
+     */
+    async loadLayouts() {
+        const layouts = await this.getRows(CONFIG.sheets.layouts);
+        return layouts
+            .filter(layout => layout.layout_id)
+            .map(layout => ({
+                ...layout,
+                hole_count: parseInt(layout.hole_count, 10) || 18
+            }));
+    },
+
     // ===================
     // Write Operations
     // ===================
 
+    /**
+     * Save a course layout to Google Sheets
+     * @param {Object} layout - The layout data
+     * @returns {Promise<void>}
+     */
+    async saveLayout(layout) {
+        await this.insertRows('layouts', [layout]);
+    },
+
+    /**
+     * Update a course layout in Google Sheets
+     * @param {Object} layout - The layout data
+     * @returns {Promise<boolean>} Success status
+     */
+    async updateLayout(layout) {
+        const result = await this.updateRecords('layouts', [layout]);
+        return result.updated.length > 0;
+    },
+
+    /**
+     * Save a player to Google Sheets
+     * @param {Object} player - The player data
+     * @returns {Promise<void>}
+     */
+    async savePlayer(player) {
+        await this.insertRows('players', [player]);
+    },
+
     /**
      * Save a course to Google Sheets
      * @param {Object} course - The course data
      * @returns {Promise<void>}
      */
     async saveCourse(course) {
-        const data = this.prepareRowData(course, CONFIG.sheetHeaders.courses);
-        await this.createRow(CONFIG.sheets.courses, data);
+        await this.insertRows('courses', [course]);
     },
 
     /**
@@ -323,10 +663,7 @@ const SheetsAPI = {
      * @returns {Promise<void>}
      */
     async saveHoles(holes) {
-        for (const hole of holes) {
-            const data = this.prepareRowData(hole, CONFIG.sheetHeaders.holes);
-            await this.createRow(CONFIG.sheets.holes, data);
-        }
+        await this.insertRows('holes', holes);
     },
 
     /**
@@ -335,8 +672,7 @@ const SheetsAPI = {
      * @returns {Promise<void>}
      */
     async saveRound(round) {
-        const data = this.prepareRowData(round, CONFIG.sheetHeaders.rounds);
-        await this.createRow(CONFIG.sheets.rounds, data);
+        await this.insertRows('rounds', [round]);
     },
 
     /**
@@ -345,32 +681,81 @@ const SheetsAPI = {
      * @returns {Promise<boolean>} Success status
      */
     async updateRound(round) {
-        // Find the row index by round_id
-        const allRounds = await this.getRows(CONFIG.sheets.rounds);
-        const rowIndex = allRounds.findIndex(r => r.round_id === round.round_id);
+        const result = await this.updateRecords('rounds', [round]);
+        return result.updated.length > 0;
+    },
 
-        if (rowIndex === -1) {
-            console.warn('Round not found for update:', round.round_id);
+    /**
+     * Update a course in Google Sheets
+     * @param {Object} course - The course data
+     * @returns {Promise<boolean>} Success status
+     */
+    async updateCourse(course) {
+        const result = await this.updateRecords('courses', [course]);
+        return result.updated.length > 0;
+    },
+
+    /**
+     * Update a hole in Google Sheets
+     * @param {Object} hole - The hole data
+     * @returns {Promise<boolean>} Success status
+     */
+    async updateHole(hole) {
+        const result = await this.updateRecords('holes', [hole]);
+        return result.updated.length > 0;
+    },
+
+    /**
+     * Delete a hole from Google Sheets
+     * @param {string} holeId - The hole ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteHole(holeId) {
+        const apiRowIndex = await this.findRowIndex(CONFIG.sheets.holes, 'hole_id', holeId);
+
+        if (apiRowIndex === null) {
+            console.warn('Hole not found for delete:', holeId);
             return false;
         }
 
-        // Row index in API is 1-based, data starts at row 2
-        const apiRowIndex = rowIndex + 2;
-        const data = this.prepareRowData(round, CONFIG.sheetHeaders.rounds);
-        await this.updateRow(CONFIG.sheets.rounds, apiRowIndex, data);
+        await this.deleteRow(CONFIG.sheets.holes, apiRowIndex);
         return true;
     },
 
+    /**
+     * Delete a round and its scores from Google Sheets
+     * @param {string} roundId - The round ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteRound(roundId) {
+        await this.deleteRowsWhere(CONFIG.sheets.scores, row => row.round_id === roundId);
+        const deleted = await this.deleteRowsWhere(CONFIG.sheets.rounds, row => row.round_id === roundId);
+
+        if (deleted === 0) {
+            console.warn('Round not found for delete:', roundId);
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Replace all scores of a round in Google Sheets
+     * @param {string} roundId - The round ID
+     * @param {Array<Object>} scores - The round's new scores
+     * @returns {Promise<void>}
+     */
+    async replaceScores(roundId, scores) {
+        await this.deleteRowsWhere(CONFIG.sheets.scores, row => row.round_id === roundId);
+        await this.saveScores(scores);
+    },
+
     /**
      * Save scores to Google Sheets
      * @param {Array<Object>} scores - Array of score data
      * @returns {Promise<void>}
      */
     async saveScores(scores) {
-        for (const score of scores) {
-            const data = this.prepareRowData(score, CONFIG.sheetHeaders.scores);
-            await this.createRow(CONFIG.sheets.scores, data);
-        }
+        await this.insertRows('scores', scores);
     },
 
     /**
@@ -393,11 +778,262 @@ const SheetsAPI = {
 
         // Row index in API is 1-based, data starts at row 2
         const apiRowIndex = rowIndex + 2;
-        const data = this.prepareRowData(course, CONFIG.sheetHeaders.courses);
+        const data = this.toSheetRow('courses', course);
         await this.updateRow(CONFIG.sheets.courses, apiRowIndex, data);
         return true;
     },
 
+    /**
+     * Find the API row index of a record by its ID column
+     * @param {string} sheetName - Sheet name
+     * @param {string} keyField - The ID column (e.g. 'hole_id')
+     * @param {string} id - The ID to look for
+     * @returns {Promise<number|null>} Row index (1-based, data starts at 2) or null if not found
+     */
+    async findRowIndex(sheetName, keyField, id) {
+        const rows = await this.getRows(sheetName);
+        const rowIndex = rows.findIndex(row => row[keyField] === id);
+
+        if (rowIndex === -1) return null;
+
+        // Row index in API is 1-based, data starts at row 2
+        return rowIndex + 2;
+    },
+
+    /**
+     * Insert records whose primary key is not in the sheet yet
+     * Rows are sent in batches of CONFIG.sync.batchSize. Safe to retry: rows
+     * saved by an earlier attempt are skipped, and every batch is attempted
+     * even when one fails.
+     * @param {string} entity - Entity name (key of CONFIG.sheets, e.g. 'scores')
+     * @param {Array<Object>} records - Records to insert
+     * @returns {Promise<{created: Array, skipped: Array}>} Records written and records already present
+     * @throws {Error} With `failedItems` holding the records that could not be written (see sendInBatches)
+     */
+    async insertRows(entity, records) {
+        const rowIndexes = await this.getRowIndexes(entity);
+        const keyField = `${entity.slice(0, -1)}_id`;
+        const skipped = [];
+        const missing = [];
+
+        records.forEach(record => {
+            if (rowIndexes.has(record[keyField])) {
+                skipped.push(record);
+            } else {
+                rowIndexes.set(record[keyField], null);
+                missing.push(record);
+            }
+        });
+
+        const created = await this.sendInBatches(entity, 'save', records.length, missing, batch =>
+            this.createRows(CONFIG.sheets[entity], batch.map(record => this.toSheetRow(entity, record)))
+        );
+        return { created, skipped };
+    },
+
+    /**
+     * Update the sheet rows of existing records
+     * Rows are sent in batches of CONFIG.sync.batchSize; records with no row
+     * in the sheet are skipped.
+     * @param {string} entity - Entity name (key of CONFIG.sheets, e.g. 'holes')
+     * @param {Array<Object>} records - Records to update
+     * @returns {Promise<{updated: Array, missing: Array}>} Records written and records not found
+     * @throws {Error} With `failedItems` holding the records that could not be written (see sendInBatches)
+     */
+    async updateRecords(entity, records) {
+        const rowIndexes = await this.getRowIndexes(entity);
+        const keyField = `${entity.slice(0, -1)}_id`;
+        const found = records.filter(record => rowIndexes.has(record[keyField]));
+        const missing = records.filter(record => !rowIndexes.has(record[keyField]));
+
+        missing.forEach(record => {
+            console.warn(`${CONFIG.sheets[entity]} row not found for update:`, record[keyField]);
+        });
+
+        const updated = await this.sendInBatches(entity, 'update', records.length, found, batch =>
+            this.updateRows(CONFIG.sheets[entity], this.toIndexedRows(entity, batch, rowIndexes))
+        );
+        return { updated, missing };
+    },
+
+    /**
+     * Update records that already have a sheet row and insert the rest
+     * @param {string} entity - Entity name (key of CONFIG.sheets, e.g. 'scores')
+     * @param {Array<Object>} records - Records to write
+     * @returns {Promise<{created: Array, updated: Array}>} Records inserted and records updated
+     * @throws {Error} With `failedItems` holding the records that could not be written (see sendInBatches)
+     */
+    async upsertRows(entity, records) {
+        const rowIndexes = await this.getRowIndexes(entity);
+        const keyField = `${entity.slice(0, -1)}_id`;
+
+        // Later copies of a record win
+        const latest = new Map(records.map(record => [record[keyField], record]));
+        const found = [...latest.values()].filter(record => rowIndexes.has(record[keyField]));
+        const missing = [...latest.values()].filter(record => !rowIndexes.has(record[keyField]));
+        const failedItems = { retryable: [], rejected: [] };
+        const errors = [];
+
+        const collect = async (action, items, send) => {
+            try {
+                return await this.sendInBatches(entity, action, items.length, items, send);
+            } catch (error) {
+                failedItems.retryable.push(...error.failedItems.retryable);
+                failedItems.rejected.push(...error.failedItems.rejected);
+                errors.push(error);
+                return items.filter(item =>
+                    !error.failedItems.retryable.includes(item) && !error.failedItems.rejected.includes(item));
+            }
+        };
+
+        const updated = await collect('update', found, batch =>
+            this.updateRows(CONFIG.sheets[entity], this.toIndexedRows(entity, batch, rowIndexes))
+        );
+        const created = await collect('save', missing, batch =>
+            this.createRows(CONFIG.sheets[entity], batch.map(record => this.toSheetRow(entity, record)))
+        );
+
+        if (errors.length > 0) {
+            const count = failedItems.retryable.length + failedItems.rejected.length;
+            throw this.toBatchError(`${count} of ${latest.size} ${entity} rows failed to save`, failedItems, errors);
+        }
+
+        return { created, updated };
+    },
+
+    /**
+     * Map each record ID in a sheet to its API row index
+     * @param {string} entity - Entity name (key of CONFIG.sheets)
+     * @returns {Promise<Map<string, number>>} Row index (1-based, data starts at 2) by ID
+     */
+    async getRowIndexes(entity) {
+        const keyField = `${entity.slice(0, -1)}_id`;
+        const rowIndexes = new Map();
+
+        // Row index in API is 1-based, data starts at row 2
+        (await this.getRows(CONFIG.sheets[entity])).forEach((row, index) => {
+            if (!rowIndexes.has(row[keyField])) rowIndexes.set(row[keyField], index + 2);
+        });
+        return rowIndexes;
+    },
+
+    /**
+     * Pair records with their row indexes for updateRows
+     * @param {string} entity - Entity name
+     * @param {Array<Object>} records - Records that have a sheet row
+     * @param {Map<string, number>} rowIndexes - From getRowIndexes
+     * @returns {Array<{rowIndex: number, data: Object}>} Rows for updateRows
+     */
+    toIndexedRows(entity, records, rowIndexes) {
+        const keyField = `${entity.slice(0, -1)}_id`;
+        return records.map(record => ({
+            rowIndex: rowIndexes.get(record[keyField]),
+            data: this.toSheetRow(entity, record)
+        }));
+    },
+
+    /**
+     * Send records in batches of CONFIG.sync.batchSize, trying every batch
+     * @param {string} entity - Entity name
+     * @param {string} action - What is being done ('save' or 'update'), for the error message
+     * @param {number} total - Number of records in the whole call, for the error message
+     * @param {Array<Object>} records - Records to send
+     * @param {Function} send - Sends one batch of records
+     * @returns {Promise<Array>} Records that were sent
+     * @throws {Error} With `failedItems` holding the records whose batch failed,
+     *     as {retryable, rejected}: rejected ones were refused by the API as bad
+     *     requests and will never succeed; the rest may succeed when sent again
+     */
+    async sendInBatches(entity, action, total, records, send) {
+        const sent = [];
+        const failedItems = { retryable: [], rejected: [] };
+        const errors = [];
+
+        for (const batch of Utils.chunk(records, CONFIG.sync.batchSize)) {
+            try {
+                await send(batch);
+                sent.push(...batch);
+            } catch (error) {
+                failedItems[error.code === 'bad_request' ? 'rejected' : 'retryable'].push(...batch);
+                errors.push(error);
+            }
+        }
+
+        if (errors.length > 0) {
+            const count = failedItems.retryable.length + failedItems.rejected.length;
+            throw this.toBatchError(`${count} of ${total} ${entity} rows failed to ${action}`, failedItems, errors);
+        }
+
+        return sent;
+    },
+
+    /**
+     * Build the error for a bulk write in which some batches failed
+     * It takes the code of a failure that may succeed later when there is one,
+     * so callers still stop while the API is unavailable.
+     * @param {string} summary - What failed, e.g. "3 of 60 scores rows failed to save"
+     * @param {{retryable: Array, rejected: Array}} failedItems - Records that were not written
+     * @param {Array<Error>} errors - Errors of the failed batches
+     * @returns {Error} Error with `failedItems` and `code`
+     */
+    toBatchError(summary, failedItems, errors) {
+        const cause = errors.find(error => error.code !== 'bad_request') || errors[errors.length - 1];
+        const error = new Error(`${summary}: ${cause.message}`);
+        error.failedItems = failedItems;
+        error.code = cause.code;
+        return error;
+    },
+
+    /**
+     * Split the records of a failed write into ones to send again and ones to drop
+     * @param {Error} error - Error from the write; bulk writes carry `failedItems`
+     * @param {Array<Object>} records - Records the write was given
+     * @returns {{retryable: Array, rejected: Array}} Records by whether they may still succeed
+     */
+    getFailedItems(error, records) {
+        if (error.failedItems) return error.failedItems;
+        return error.code === 'bad_request'
+            ? { retryable: [], rejected: records }
+            : { retryable: records, rejected: [] };
+    },
+
+    /**
+     * Delete every row of a sheet that matches a predicate
+     * @param {string} sheetName - Sheet name
+     * @param {Function} predicate - Called with each row object
+     * @returns {Promise<number>} Number of rows deleted
+     */
+    async deleteRowsWhere(sheetName, predicate) {
+        const rows = await this.getRows(sheetName);
+        const apiRowIndexes = [];
+
+        rows.forEach((row, index) => {
+            // Row index in API is 1-based, data starts at row 2
+            if (predicate(row)) apiRowIndexes.push(index + 2);
+        });
+
+        // Delete from the bottom up so earlier row indexes stay valid
+        for (const batch of Utils.chunk(apiRowIndexes.reverse(), CONFIG.sync.batchSize)) {
+            await this.deleteRows(sheetName, batch);
+        }
+        return apiRowIndexes.length;
+    },
+
+    /**
+     * Prepare a record for writing, stamping updated_at with the write time
+     * Other devices pull changes by this stamp, so it marks when the row
+     * reached the sheet rather than when it was edited.
+     * @param {string} entity - Entity name (key of CONFIG.sheetHeaders)
+     * @param {Object} record - The record
+     * @returns {Object} Prepared row data
+     */
+    toSheetRow(entity, record) {
+        return this.prepareRowData(
+            { ...record, updated_at: Utils.formatDateForStorage() },
+            CONFIG.sheetHeaders[entity]
+        );
+    },
+
     /**
      * Prepare row data for API (convert values to strings, handle booleans)
      * @param {Object} data - The raw data
@@ -424,63 +1060,166 @@ const SheetsAPI = {
     // ===================
 
     /**
-     * Sync all data from Google Sheets to local storage
-     * @returns {Promise<boolean>} Success status
+     * Convert sheet rows (all strings) into local records
+     * @param {string} entity - Entity name (key of CONFIG.sheets)
+     * @param {Array<Object>} rows - Rows from getRows
+     * @returns {Array<Object>} Typed records, without blank rows
      */
-    async syncFromSheets() {
-        try {
-            Utils.showLoading('Syncing data...');
+    parseRows(entity, rows) {
+        const keyField = `${entity.slice(0, -1)}_id`;
+        const toInt = value => (value ? parseInt(value, 10) : null);
 
-            // Load all data
-            const courses = await this.loadCourses();
-            const allHoles = await this.getRows(CONFIG.sheets.holes);
-            const allRounds = await this.getRows(CONFIG.sheets.rounds);
-            const allScores = await this.getRows(CONFIG.sheets.scores);
+        return rows.filter(row => row[keyField]).map(row => {
+            switch (entity) {
+                case 'courses':
+                case 'layouts':
+                    return { ...row, hole_count: parseInt(row.hole_count, 10) || 18 };
+                case 'holes':
+                    return {
+                        ...row,
+                        hole_number: parseInt(row.hole_number, 10),
+                        par: parseInt(row.par, 10) || 3,
+                        distance: toInt(row.distance)
+                    };
+                case 'rounds':
+                    return {
+                        ...row,
+                        completed: row.completed === 'TRUE',
+                        total_score: toInt(row.total_score),
+                        total_par: toInt(row.total_par)
+                    };
+                case 'scores':
+                    return {
+                        ...row,
+                        hole_number: parseInt(row.hole_number, 10),
+                        throws: parseInt(row.throws, 10),
+                        approaches: toInt(row.approaches),
+                        putts: toInt(row.putts)
+                    };
+                default:
+                    return row;
+            }
+        });
+    },
 
-            // Store locally
-            await Storage.putMany('courses', courses);
-            await Storage.putMany('holes', allHoles.map(hole => ({
-                ...hole,
-                hole_number: parseInt(hole.hole_number, 10),
-                par: parseInt(hole.par, 10) || 3,
-                distance: hole.distance ? parseInt(hole.distance, 10) : null
-            })));
-            await Storage.putMany('rounds', allRounds.map(round => ({
-                ...round,
-                completed: round.completed === 'TRUE',
-                total_score: round.total_score ? parseInt(round.total_score, 10) : null,
-                total_par: round.total_par ? parseInt(round.total_par, 10) : null
-            })));
-            await Storage.putMany('scores', allScores.map(score => ({
-                ...score,
-                hole_number: parseInt(score.hole_number, 10),
-                throws: parseInt(score.throws, 10),
-                approaches: score.approaches ? parseInt(score.approaches, 10) : null,
-                putts: score.putts ? parseInt(score.putts, 10) : null
-            })));
+    /**
+     * Download rows from every sheet as local records
+     * @param {Object} options - Options
+     * @param {string} [options.updatedSince] - Only rows stamped at or after this ISO time
+     * @returns {Promise<Object>} Records by store name
+     */
+    async pull(options = {}) {
+        await this.ensureSheetHeaders();
 
-            Storage.updateLastSync();
-            Utils.hideLoading();
-            return true;
-        } catch (error) {
-            console.error('Sync error:', error);
-            Utils.hideLoading();
-            throw error;
+        const sheetData = {};
+        for (const entity of Sync.entities) {
+            sheetData[entity] = this.parseRows(entity, await this.getRows(CONFIG.sheets[entity], options));
         }
+        return sheetData;
     },
 
     /**
-     * Process pending sync operations
-     * @returns {Promise<boolean>} Success status
+     * Upload the pending sync queue once
+     * Use Backend.processPendingSync, which keeps uploads from overlapping.
+     * Failed operations stay queued, except ones the API rejected as bad
+     * requests, which could never succeed. Operations that depend on a failed
+     * one wait for it (see Backend.getDependencies). When the API is
+     * unavailable the pass stops and the rest of the queue waits for the next one.
+     * @returns {Promise<boolean>} Whether every operation succeeded
      */
     async processPendingSync() {
-        const pending = Storage.getPendingSync();
+        // Without a spreadsheet every request would be rejected
+        if (!this.isConfigured()) return false;
+
+        const pending = await Storage.getPendingSync();
         if (pending.length === 0) return true;
 
+        // Values written to a column the tab does not have yet would be lost
+        try {
+            await this.ensureSheetHeaders();
+        } catch (error) {
+            console.error('Could not add new columns to the spreadsheet:', error);
+            return false;
+        }
+
         const failed = [];
+        const gate = Backend.createUploadGate();
+
+        // Operations whose consecutive runs are sent together, and the store each writes
+        const batchTypes = {
+            updateCourse: 'courses',
+            updateLayout: 'layouts',
+            updateHole: 'holes',
+            updateRound: 'rounds',
+            upsertRound: 'rounds',
+            upsertHoles: 'holes',
+            upsertScores: 'scores',
+            deleteHole: 'holes'
+        };
 
         for (let i = 0; i < pending.length; i++) {
             const operation = pending[i];
+            const entity = batchTypes[operation.type];
+
+            if (entity) {
+                const run = [operation];
+                while (i + 1 < pending.length && pending[i + 1].type === operation.type) {
+                    run.push(pending[++i]);
+                }
+
+                const held = run.filter(gate.isHeld);
+                held.forEach(op => {
+                    gate.hold(op);
+                    failed.push(op);
+                });
+                const ready = run.filter(op => !held.includes(op));
+                if (ready.length === 0) continue;
+                const records = ready.flatMap(op => op.data);
+
+                try {
+                    if (operation.type === 'deleteHole') {
+                        const holeIds = new Set(records.map(data => data.holeId));
+                        await this.deleteRowsWhere(CONFIG.sheets.holes, row => holeIds.has(row.hole_id));
+                    } else if (operation.type.startsWith('upsert')) {
+                        await this.upsertRows(entity, records);
+                    } else {
+                        await this.updateRecords(entity, records);
+                    }
+                } catch (error) {
+                    console.error('Failed to process pending operations:', error);
+                    const { retryable, rejected } = this.getFailedItems(error, records);
+                    if (rejected.length > 0) {
+                        console.warn(`Dropping ${rejected.length} ${operation.type} rows the API rejected:`, error.message);
+                    }
+                    if (retryable.length > 0) {
+                        if (Array.isArray(operation.data)) {
+                            failed.push({ ...ready[0], data: retryable, error: error.message });
+                        } else {
+                            failed.push(...ready
+                                .filter(op => retryable.includes(op.data))
+                                .map(op => ({ ...op, error: error.message })));
+                        }
+                    }
+                    // What depends on a dropped record can never reach the sheet either
+                    const unsent = [...retryable, ...rejected];
+                    ready
+                        .filter(op => (Array.isArray(op.data) ? op.data : [op.data]).some(record => unsent.includes(record)))
+                        .forEach(gate.hold);
+                    if (ApiError.isRetryable(error)) {
+                        // The API is unavailable; leave the rest for the next pass
+                        failed.push(...pending.slice(i + 1));
+                        break;
+                    }
+                }
+                continue;
+            }
+
+            if (gate.isHeld(operation)) {
+                gate.hold(operation);
+                failed.push(operation);
+                continue;
+            }
+
             try {
                 switch (operation.type) {
                     case 'saveCourse':
@@ -492,25 +1231,47 @@ const SheetsAPI = {
                     case 'saveRound':
                         await this.saveRound(operation.data);
                         break;
-                    case 'updateRound':
-                        await this.updateRound(operation.data);
-                        break;
                     case 'saveScores':
                         await this.saveScores(operation.data);
                         break;
+                    case 'replaceScores':
+                        await this.replaceScores(operation.data.roundId, operation.data.scores);
+                        break;
+                    case 'deleteRound':
+                        await this.deleteRound(operation.data.roundId);
+                        break;
+                    case 'saveLayout':
+                        await this.saveLayout(operation.data);
+                        break;
+                    case 'savePlayer':
+                        await this.savePlayer(operation.data);
+                        break;
                     case 'updateCourseLastPlayed':
                         await this.updateCourseLastPlayed(operation.data.courseId, operation.data.date);
                         break;
                 }
             } catch (error) {
                 console.error('Failed to process pending operation:', error);
-                failed.push(operation);
+                const records = Array.isArray(operation.data) ? operation.data : [operation.data];
+                const { retryable, rejected } = this.getFailedItems(error, records);
+                if (rejected.length > 0) {
+                    console.warn(`Dropping ${operation.type} the API rejected:`, error.message);
+                }
+                if (retryable.length > 0) {
+                    // Batch writes keep only the items that did not make it
+                    const data = Array.isArray(operation.data) ? retryable : operation.data;
+                    failed.push({ ...operation, data, error: error.message });
+                }
+                gate.hold(operation);
+                if (ApiError.isRetryable(error)) {
+                    // The API is unavailable; leave the rest for the next pass
+                    failed.push(...pending.slice(i + 1));
+                    break;
+                }
             }
         }
 
-        // Keep only failed operations
-        Storage.set(CONFIG.storageKeys.pendingSync, failed);
-
+        await Storage.settlePendingSync(pending, failed);
         return failed.length === 0;
     }
 };
@@ -277,6 +277,65 @@ const Statistics = {
         };
     },
 
+    /**
+     * Filter scores down to a single player on the card
+     * Scores recorded without a player_id belong to the solo (unnamed) player.
+     * @param {Array} scores - Array of scores
+     * @param {string|null} playerId - The player ID ('' or null for solo rounds)
+     * @returns {Array} Scores for that player
+     */
+    filterScoresByPlayer(scores, playerId) {
+        const target = playerId || '';
+        return scores.filter(s => (s.player_id || '') === target);
+    },
+
+    /**
+     * Filter holes or rounds down to a single course layout
+     * Records without a layout_id belong to the course's default layout.
+     * @param {Array} items - Holes or rounds
+     * @param {string|null} layoutId - The layout ID ('' or null for the default layout)
+     * @returns {Array} Items on that layout
+     */
+    filterByLayout(items, layoutId) {
+        const target = layoutId || '';
+        return items.filter(item => (item.layout_id || '') === target);
+    },
+
+    /**
+     * Filter rounds by course and date range, newest first
+     * Dates are 'YYYY-MM-DD' strings (as given by date inputs) and are inclusive.
+     * @param {Array} rounds - Array of rounds
+     * @param {Object} filters - Optional courseId, fromDate and toDate
+     * @returns {Array} Matching rounds sorted by round_date descending
+     */
+    filterRounds(rounds, { courseId = '', fromDate = '', toDate = '' } = {}) {
+        const from = fromDate ? new Date(`${fromDate}T00:00:00`) : null;
+        const to = toDate ? new Date(`${toDate}T23:59:59.999`) : null;
+
+        return rounds.filter(round => {
+            if (courseId && round.course_id !== courseId) return false;
+            const date = new Date(round.round_date);
+            if (from && date < from) return false;
+            if (to && date > to) return false;
+            return true;
+        }).sort((a, b) => new Date(b.round_date) - new Date(a.round_date));
+    },
+
+    /**
+     * Calculate running totals for every player on a card
+     * @param {Array} scores - Scores in the round (all players)
+     * @param {Array} holes - Holes for the course
+     * @param {Array} players - Players on the card
+     * @returns {Array} Running totals per player, in card order
+     */
+    calculatePlayerTotals(scores, holes, players) {
+        return players.map(player => ({
+            player_id: player.player_id,
+            player_name: player.player_name,
+            ...this.calculateRunningTotal(this.filterScoresByPlayer(scores, player.player_id), holes)
+        }));
+    },
+
     /**
      * Get trend data for a hole over time
      * @param {string} holeId - The hole ID
@@ -295,6 +354,173 @@ const Statistics = {
             };
         }).filter(item => item.date !== null)
           .sort((a, b) => new Date(a.date) - new Date(b.date));
+    },
+
+    // ===================
+    // Player Dashboard
+    // ===================
+
+    /**
+     * Count scores in each bucket used by Utils.getScoreClass
+     * @param {Array} scores - Array of scores
+     * @param {Array} holes - Holes the scores were played on
+     * @returns {Object} Counts keyed by eagle, birdie, par, bogey and double-bogey, plus total
+     */
+    calculateScoreDistribution(scores, holes) {
+        const distribution = { eagle: 0, birdie: 0, par: 0, bogey: 0, 'double-bogey': 0, total: 0 };
+
+        scores.forEach(score => {
+            const hole = holes.find(h => h.hole_id === score.hole_id);
+            if (!hole || !score.throws) return;
+            distribution[Utils.getScoreClass(score.throws, hole.par || 3)]++;
+            distribution.total++;
+        });
+
+        return distribution;
+    },
+
+    /**
+     * Calculate the average putts per hole
+     * @param {Array} scores - Array of scores
+     * @returns {number|null} Average putts, or null without putt data
+     */
+    calculateAveragePutts(scores) {
+        const puttsValues = scores.map(s => s.putts).filter(v => v !== null && v !== undefined && !isNaN(v));
+        return puttsValues.length > 0 ? Utils.roundTo(Utils.average(puttsValues), 2) : null;
+    },
+
+    /**
+     * Calculate the average score relative to par on par 3, 4 and 5 holes
+     * @param {Array} scores - Array of scores
+     * @param {Array} holes - Holes the scores were played on
+     * @returns {Object} Map of par to {holeCount, avgRelative}
+     */
+    calculateRelativeByPar(scores, holes) {
+        const result = {};
+
+        [3, 4, 5].forEach(par => {
+            const relatives = scores
+                .map(score => ({ score, hole: holes.find(h => h.hole_id === score.hole_id) }))
+                .filter(({ score, hole }) => hole && (hole.par || 3) === par && score.throws)
+                .map(({ score }) => score.throws - par);
+
+            result[par] = {
+                holeCount: relatives.length,
+                avgRelative: relatives.length > 0 ? Utils.roundTo(Utils.average(relatives), 2) : null
+            };
+        });
+
+        return result;
+    },
+
+    /**
+     * Total up every completed round in which all holes of its layout were scored
+     * @param {Array} rounds - Array of rounds
+     * @param {Array} scores - Scores for one player
+     * @param {Array} holes - All holes
+     * @returns {Array} Array of {round, totals} in the order of rounds
+     */
+    getCompleteRoundTotals(rounds, scores, holes) {
+        const results = [];
+
+        rounds.filter(r => r.completed).forEach(round => {
+            const roundScores = scores.filter(s => s.round_id === round.round_id);
+            const roundHoles = this.filterByLayout(holes.filter(h => h.course_id === round.course_id), round.layout_id);
+            if (roundScores.length === 0 || roundScores.length < roundHoles.length) return;
+
+            results.push({ round, totals: this.calculateRunningTotal(roundScores, roundHoles) });
+        });
+
+        return results;
+    },
+
+    /**
+     * Get total score relative to par over time for complete rounds
+     * @param {Array} rounds - Rounds on one course layout
+     * @param {Array} scores - Scores for one player
+     * @param {Array} holes - Holes for the course
+     * @returns {Array} Array of {date, score, par} objects sorted by date
+     */
+    getCourseTrend(rounds, scores, holes) {
+        return this.getCompleteRoundTotals(rounds, scores, holes)
+            .map(({ round, totals }) => ({
+                date: round.round_date,
+                score: totals.relativeToPar,
+                par: totals.totalPar
+            }))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+    },
+
+    /**
+     * Calculate a trailing rolling average
+     * Early points average over however many values are available so far.
+     * @param {Array<number>} values - Values in chronological order
+     * @param {number} window - Number of values to average
+     * @returns {Array<number>} Rolling averages, one per value
+     */
+    calculateRollingAverage(values, window = CONFIG.statistics.trendWindow) {
+        return values.map((value, index) => {
+            const slice = values.slice(Math.max(0, index - window + 1), index + 1);
+            return Utils.roundTo(Utils.average(slice), 2);
+        });
+    },
+
+    /**
+     * Find the best completed round on each course
+     * Only rounds where every hole of the round was scored count.
+     * @param {Array} rounds - Array of rounds
+     * @param {Array} scores - Scores for one player
+     * @param {Array} holes - All holes
+     * @param {Array} courses - All courses
+     * @returns {Array} One entry per course with {course_id, course_name, round_id, date, totalScore, totalPar, relativeToPar}
+     */
+    calculateBestRoundsByCourse(rounds, scores, holes, courses) {
+        const best = {};
+
+        this.getCompleteRoundTotals(rounds, scores, holes).forEach(({ round, totals }) => {
+            const current = best[round.course_id];
+            if (!current || totals.relativeToPar < current.relativeToPar) {
+                best[round.course_id] = {
+                    round_id: round.round_id,
+                    date: round.round_date,
+                    totalScore: totals.totalScore,
+                    totalPar: totals.totalPar,
+                    relativeToPar: totals.relativeToPar
+                };
+            }
+        });
+
+        return Object.keys(best).map(courseId => {
+            const course = courses.find(c => c.course_id === courseId);
+            return {
+                course_id: courseId,
+                course_name: course ? course.course_name : 'Unknown course',
+                ...best[courseId]
+            };
+        }).sort((a, b) => a.course_name.localeCompare(b.course_name));
+    },
+
+    /**
+     * Aggregate one player's statistics across every saved round
+     * @param {Object} data - All rounds, scores, holes and courses
+     * @param {string|null} playerId - The player ID ('' or null for solo rounds)
+     * @returns {Object} Dashboard statistics
+     */
+    calculateDashboardStats({ rounds, scores, holes, courses }, playerId) {
+        const roundIds = new Set(rounds.filter(r => r.completed).map(r => r.round_id));
+        const playerScores = this.filterScoresByPlayer(scores, playerId)
+            .filter(s => roundIds.has(s.round_id));
+        const roundsPlayed = new Set(playerScores.map(s => s.round_id)).size;
+
+        return {
+            hasData: roundsPlayed > 0,
+            roundsPlayed,
+            holesPlayed: playerScores.length,
+            distribution: this.calculateScoreDistribution(playerScores, holes),
+            avgPutts: this.calculateAveragePutts(playerScores),
+            relativeByPar: this.calculateRelativeByPar(playerScores, holes),
+            bestRounds: this.calculateBestRoundsByCourse(rounds, playerScores, holes, courses)
+        };
     }
 };
 
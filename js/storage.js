@@ -3,66 +3,133 @@
  *
  * Handles all local storage operations for offline support and caching.
  * Uses localStorage for simple key-value pairs and IndexedDB for structured data.
+ * Each profile has its own keys and database; the default profile uses the
+ * unsuffixed names, so data from before profiles existed stays where it was.
  */
 
 const Storage = {
-    // IndexedDB database name and version
+    // IndexedDB database name (its version comes from Migrations)
     dbName: 'DiscGolfTrackerDB',
-    dbVersion: 1,
     db: null,
 
+    // Active profile ID
+    profileId: CONFIG.profiles.defaultId,
+
+    // Keys shared by every profile
+    sharedKeys: [CONFIG.storageKeys.profiles, CONFIG.storageKeys.activeProfile],
+
     /**
-     * Initialize the storage system
+     * Initialize the storage system for the active profile
      * @returns {Promise} Resolves when storage is ready
      */
     async init() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, this.dbVersion);
+        const activeId = this.get(CONFIG.storageKeys.activeProfile);
+        this.profileId = this.getProfiles().some(p => p.id === activeId) ? activeId : CONFIG.profiles.defaultId;
 
-            request.onerror = () => {
-                console.error('IndexedDB error:', request.error);
-                // Fall back to localStorage only
-                this.db = null;
-                resolve();
-            };
+        if (typeof indexedDB === 'undefined') {
+            // Fall back to localStorage only
+            this.db = null;
+            return;
+        }
 
-            request.onsuccess = () => {
-                this.db = request.result;
-                console.log('IndexedDB initialized');
-                resolve();
-            };
+        try {
+            this.db = await this.openDatabase();
+            console.log('IndexedDB initialized');
+        } catch (error) {
+            console.error('IndexedDB error:', error);
+            // Fall back to localStorage only
+            this.db = null;
+            return;
+        }
 
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-
-                // Create object stores
-                if (!db.objectStoreNames.contains('courses')) {
-                    const coursesStore = db.createObjectStore('courses', { keyPath: 'course_id' });
-                    coursesStore.createIndex('course_name', 'course_name', { unique: false });
-                }
-
-                if (!db.objectStoreNames.contains('holes')) {
-                    const holesStore = db.createObjectStore('holes', { keyPath: 'hole_id' });
-                    holesStore.createIndex('course_id', 'course_id', { unique: false });
-                }
-
-                if (!db.objectStoreNames.contains('rounds')) {
-                    const roundsStore = db.createObjectStore('rounds', { keyPath: 'round_id' });
-                    roundsStore.createIndex('course_id', 'course_id', { unique: false });
-                    roundsStore.createIndex('completed', 'completed', { unique: false });
-                }
-
-                if (!db.objectStoreNames.contains('scores')) {
-                    const scoresStore = db.createObjectStore('scores', { keyPath: 'score_id' });
-                    scoresStore.createIndex('round_id', 'round_id', { unique: false });
-                    scoresStore.createIndex('hole_id', 'hole_id', { unique: false });
-                }
-
-                if (!db.objectStoreNames.contains('pendingSync')) {
-                    db.createObjectStore('pendingSync', { keyPath: 'id', autoIncrement: true });
-                }
-            };
-        });
+        try {
+            await this.migrateLocalPendingSync();
+        } catch (error) {
+            console.error('Pending sync migration error:', error);
+        }
+    },
+
+    /**
+     * Open the active profile's IndexedDB database, migrating it to the current schema
+     * Also used by the service worker, which has no localStorage.
+     * @returns {Promise<IDBDatabase>} The open database
+     */
+    openDatabase() {
+        return Migrations.open(indexedDB, this.getDbName());
+    },
+
+    // ===================
+    // Profiles
+    // ===================
+
+    /**
+     * Get the IndexedDB database name of a profile
+     * @param {string} [profileId] - The profile ID, defaults to the active one
+     * @returns {string} The database name
+     */
+    getDbName(profileId = this.profileId) {
+        return profileId === CONFIG.profiles.defaultId ? this.dbName : `${this.dbName}_${profileId}`;
+    },
+
+    /**
+     * Get the localStorage key used for a key in a profile
+     * @param {string} key - The storage key from CONFIG.storageKeys
+     * @param {string} [profileId] - The profile ID, defaults to the active one
+     * @returns {string} The key in localStorage
+     */
+    profileKey(key, profileId = this.profileId) {
+        if (profileId === CONFIG.profiles.defaultId || this.sharedKeys.includes(key)) {
+            return key;
+        }
+        return `${key}__${profileId}`;
+    },
+
+    /**
+     * Get every profile, the default one first
+     * @returns {Array<{id: string, name: string}>} The profiles
+     */
+    getProfiles() {
+        const saved = this.get(CONFIG.storageKeys.profiles) || [];
+        const defaultProfile = saved.find(p => p.id === CONFIG.profiles.defaultId) ||
+            { id: CONFIG.profiles.defaultId, name: CONFIG.profiles.defaultName };
+        return [defaultProfile, ...saved.filter(p => p.id !== CONFIG.profiles.defaultId)];
+    },
+
+    /**
+     * Get the active profile
+     * @returns {{id: string, name: string}} The profile
+     */
+    getActiveProfile() {
+        return this.getProfiles().find(p => p.id === this.profileId);
+    },
+
+    /**
+     * Create a profile (it starts with no backend and no data)
+     * @param {string} name - The profile name
+     * @returns {{id: string, name: string}} The new profile
+     */
+    addProfile(name) {
+        const profile = { id: Utils.generateId(), name: name.trim() };
+        this.set(CONFIG.storageKeys.profiles, [...this.getProfiles(), profile]);
+        return profile;
+    },
+
+    /**
+     * Make another profile active and open its database
+     * @param {string} profileId - The profile ID
+     * @returns {Promise} Resolves when the profile's storage is ready
+     */
+    async switchProfile(profileId) {
+        if (!this.getProfiles().some(p => p.id === profileId)) {
+            throw new Error(`Unknown profile: ${profileId}`);
+        }
+
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        this.set(CONFIG.storageKeys.activeProfile, profileId);
+        return this.init();
     },
 
     // ===================
@@ -70,13 +137,13 @@ const Storage = {
     // ===================
 
     /**
-     * Get a value from localStorage
+     * Get a value from localStorage for the active profile
      * @param {string} key - The storage key
      * @returns {*} The parsed value or null
      */
     get(key) {
         try {
-            const value = localStorage.getItem(key);
+            const value = localStorage.getItem(this.profileKey(key));
             return value ? JSON.parse(value) : null;
         } catch (error) {
             console.error('Storage get error:', error);
@@ -85,25 +152,25 @@ const Storage = {
     },
 
     /**
-     * Set a value in localStorage
+     * Set a value in localStorage for the active profile
      * @param {string} key - The storage key
      * @param {*} value - The value to store
      */
     set(key, value) {
         try {
-            localStorage.setItem(key, JSON.stringify(value));
+            localStorage.setItem(this.profileKey(key), JSON.stringify(value));
         } catch (error) {
             console.error('Storage set error:', error);
         }
     },
 
     /**
-     * Remove a value from localStorage
+     * Remove a value from localStorage for the active profile
      * @param {string} key - The storage key
      */
     remove(key) {
         try {
-            localStorage.removeItem(key);
+            localStorage.removeItem(this.profileKey(key));
         } catch (error) {
             console.error('Storage remove error:', error);
         }
@@ -305,45 +372,282 @@ const Storage = {
     // ===================
     // Pending Sync Queue
     // ===================
+    // Operations waiting to be uploaded, oldest first. Each has a unique `id`,
+    // a `seq` giving its place in the queue, and `attempts`/`lastError` from
+    // failed uploads. They live in the pendingSync IndexedDB store (localStorage
+    // when IndexedDB is unavailable).
+
+    // Last queue position handed out
+    lastPendingSeq: 0,
 
     /**
      * Add an operation to the pending sync queue
-     * @param {Object} operation - The operation to queue
+     * @param {Object} operation - The operation to queue ({type, data})
      * @returns {Promise<boolean>} Success status
      */
     async addPendingSync(operation) {
-        const pending = this.get(CONFIG.storageKeys.pendingSync) || [];
-        pending.push({
+        // Time-based, so operations queued in other tabs interleave in order
+        this.lastPendingSeq = Math.max(Date.now() * 1000, this.lastPendingSeq + 1);
+        const queued = {
             ...operation,
-            timestamp: new Date().toISOString()
-        });
-        this.set(CONFIG.storageKeys.pendingSync, pending);
+            id: Utils.generateId(),
+            seq: this.lastPendingSeq,
+            timestamp: new Date().toISOString(),
+            attempts: 0,
+            lastError: null
+        };
+        await this.changePendingSync(() => ({ put: [queued] }));
+
+        if (!Utils.isOnline()) {
+            await this.requestBackgroundSync();
+        }
         return true;
     },
 
     /**
      * Get all pending sync operations
-     * @returns {Array} Pending operations
+     * @returns {Promise<Array>} Pending operations, oldest first
      */
-    getPendingSync() {
-        return this.get(CONFIG.storageKeys.pendingSync) || [];
+    async getPendingSync() {
+        if (!this.db) {
+            return this.readLocalPendingSync();
+        }
+
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction('pendingSync', 'readonly');
+            const request = transaction.objectStore('pendingSync').getAll();
+
+            request.onsuccess = () => resolve(this.sortPendingSync(request.result || []));
+            request.onerror = () => {
+                console.error('getPendingSync error:', request.error);
+                resolve([]);
+            };
+        });
+    },
+
+    /**
+     * Change the pending queue in one step
+     * With IndexedDB the read and the writes share a transaction, so changes
+     * made at the same time (in another tab, or an operation queued while an
+     * upload pass runs) are never lost.
+     * @param {Function} change - Called with the queue, oldest first; returns
+     *     {put: operations to add or replace, remove: IDs to delete}
+     * @returns {Promise<void>}
+     */
+    async changePendingSync(change) {
+        if (!this.db) {
+            const queue = this.readLocalPendingSync();
+            const { put = [], remove = [] } = change(queue);
+            const replaced = new Set([...remove, ...put.map(op => op.id)]);
+            this.set(CONFIG.storageKeys.pendingSync,
+                this.sortPendingSync([...queue.filter(op => !replaced.has(op.id)), ...put]));
+            return;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction('pendingSync', 'readwrite');
+            const store = transaction.objectStore('pendingSync');
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                const { put = [], remove = [] } = change(this.sortPendingSync(request.result || []));
+                remove.forEach(id => store.delete(id));
+                put.forEach(op => store.put(op));
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.error('changePendingSync error:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    },
+
+    /**
+     * Read the localStorage queue, giving operations saved by older versions an ID and position
+     * @returns {Array} Pending operations, oldest first
+     */
+    readLocalPendingSync() {
+        const queue = this.get(CONFIG.storageKeys.pendingSync) || [];
+        if (queue.every(op => op.id && op.seq)) {
+            return this.sortPendingSync(queue);
+        }
+
+        // Older queues are already in order, so number them as they are
+        const numbered = queue.map((op, i) => ({ attempts: 0, lastError: null, ...op, id: op.id || Utils.generateId(), seq: i + 1 }));
+        this.set(CONFIG.storageKeys.pendingSync, numbered);
+        return numbered;
+    },
+
+    /**
+     * Move a queue kept in localStorage by earlier versions into IndexedDB
+     * @returns {Promise<void>}
+     */
+    async migrateLocalPendingSync() {
+        if (!this.db || !Array.isArray(this.get(CONFIG.storageKeys.pendingSync))) return;
+
+        const operations = this.readLocalPendingSync();
+        await this.changePendingSync(() => ({ put: operations }));
+        this.remove(CONFIG.storageKeys.pendingSync);
+    },
+
+    /**
+     * Sort operations into queue order
+     * @param {Array} operations - Pending operations
+     * @returns {Array} The operations, oldest first
+     */
+    sortPendingSync(operations) {
+        return operations.slice().sort((a, b) => (a.seq || 0) - (b.seq || 0));
     },
 
     /**
      * Remove a pending sync operation
-     * @param {number} index - The index to remove
+     * @param {string} id - The operation ID
+     * @returns {Promise<void>}
+     */
+    async removePendingSync(id) {
+        await this.changePendingSync(() => ({ remove: [id] }));
+    },
+
+    /**
+     * Remove every pending sync operation that matches a predicate
+     * @param {Function} predicate - Called with each operation
+     * @returns {Promise<void>}
+     */
+    async removePendingSyncWhere(predicate) {
+        await this.changePendingSync(queue => ({ remove: queue.filter(predicate).map(op => op.id) }));
+    },
+
+    /**
+     * Queue a failed operation to be tried again on the next upload pass
+     * @param {string} id - The operation ID
+     * @returns {Promise<void>}
      */
-    removePendingSync(index) {
-        const pending = this.get(CONFIG.storageKeys.pendingSync) || [];
-        pending.splice(index, 1);
-        this.set(CONFIG.storageKeys.pendingSync, pending);
+    async retryPendingSync(id) {
+        await this.changePendingSync(queue => ({
+            put: queue.filter(op => op.id === id).map(op => ({ ...op, attempts: 0, lastError: null }))
+        }));
+    },
+
+    /**
+     * Store the outcome of an upload pass over the pending queue
+     * Operations that succeeded are removed. Failed ones are kept, with
+     * `attempts` and `lastError` updated when the failure carries an `error`
+     * message (operations that were held back carry none), unless they were
+     * removed meanwhile. Anything queued while the pass ran is untouched.
+     * @param {Array} processed - The queue as it was when the pass started
+     * @param {Array} failed - Operations to retry, possibly with fewer records in `data`
+     * @returns {Promise<void>}
+     */
+    async settlePendingSync(processed, failed) {
+        const retry = new Map(failed.map(op => [op.id, op]));
+        const attemptedAt = new Date().toISOString();
+
+        await this.changePendingSync(queue => {
+            const queued = new Set(queue.map(op => op.id));
+            return {
+                remove: processed.filter(op => !retry.has(op.id)).map(op => op.id),
+                put: failed.filter(op => queued.has(op.id)).map(({ error, ...op }) => (error === undefined ? op : {
+                    ...op,
+                    attempts: (op.attempts || 0) + 1,
+                    lastError: error,
+                    lastAttemptAt: attemptedAt
+                }))
+            };
+        });
     },
 
     /**
      * Clear all pending sync operations
+     * @returns {Promise<void>}
      */
-    clearPendingSync() {
-        this.set(CONFIG.storageKeys.pendingSync, []);
+    async clearPendingSync() {
+        await this.changePendingSync(queue => ({ remove: queue.map(op => op.id) }));
+    },
+
+    // ===================
+    // Background Sync
+    // ===================
+    // While offline, queued operations register a Background Sync tag naming
+    // the profile. When the connection returns the service worker uploads that
+    // profile's queue, even if the app is closed, using the settings saved here
+    // (it cannot read localStorage).
+
+    /**
+     * Get the Background Sync tag for a profile
+     * @param {string} [profileId] - The profile ID, defaults to the active one
+     * @returns {string} The tag
+     */
+    getBackgroundSyncTag(profileId = this.profileId) {
+        const tag = CONFIG.sync.backgroundSyncTag;
+        return profileId === CONFIG.profiles.defaultId ? tag : `${tag}:${profileId}`;
+    },
+
+    /**
+     * Get the profile a Background Sync tag belongs to
+     * @param {string} tag - The tag
+     * @returns {string|null} The profile ID, or null for tags that are not ours
+     */
+    getProfileIdFromSyncTag(tag) {
+        const prefix = CONFIG.sync.backgroundSyncTag;
+        if (tag === prefix) return CONFIG.profiles.defaultId;
+        return tag.startsWith(`${prefix}:`) ? tag.slice(prefix.length + 1) : null;
+    },
+
+    /**
+     * Ask the service worker to upload the queue once the connection returns
+     * Does nothing without IndexedDB (the worker could not read the queue) or
+     * where the browser has no Background Sync.
+     * @returns {Promise<boolean>} Whether a sync was registered
+     */
+    async requestBackgroundSync() {
+        if (!this.db || typeof navigator === 'undefined' || !navigator.serviceWorker) return false;
+
+        try {
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (!registration || !registration.sync) return false;
+
+            await this.saveBackgroundSyncSettings();
+            await registration.sync.register(this.getBackgroundSyncTag());
+            return true;
+        } catch (error) {
+            console.warn('Background sync registration failed:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Save what the service worker needs to reach the active profile's backend
+     * @returns {Promise<void>}
+     */
+    saveBackgroundSyncSettings() {
+        const settings = {
+            key: 'backgroundSync',
+            backend: this.getBackendId(),
+            apiBaseUrl: this.getApiBaseUrl(),
+            spreadsheetId: this.getSpreadsheetId(),
+            restBaseUrl: this.getRestBaseUrl()
+        };
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction('settings', 'readwrite');
+            transaction.objectStore('settings').put(settings);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    /**
+     * Get the settings saved for the service worker
+     * @returns {Promise<Object|null>} {backend, apiBaseUrl, spreadsheetId, restBaseUrl}, or null if none were saved
+     */
+    getBackgroundSyncSettings() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction('settings', 'readonly');
+            const request = transaction.objectStore('settings').get('backgroundSync');
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
     },
 
     // ===================
@@ -393,6 +697,78 @@ const Storage = {
         return this.get(CONFIG.storageKeys.spreadsheetId);
     },
 
+    // ===================
+    // Sheets API Endpoint
+    // ===================
+
+    /**
+     * Save the sheets API base URL (null to use the default)
+     * @param {string|null} url - The base URL
+     */
+    setApiBaseUrl(url) {
+        this.set(CONFIG.storageKeys.apiBaseUrl, url);
+    },
+
+    /**
+     * Get the saved sheets API base URL
+     * @returns {string|null} The base URL, or null for the default
+     */
+    getApiBaseUrl() {
+        return this.get(CONFIG.storageKeys.apiBaseUrl);
+    },
+
+    /**
+     * Save the service account spreadsheets must be shared with
+     * @param {string} email - The service account email ('' when none is needed)
+     */
+    setServiceAccountEmail(email) {
+        this.set(CONFIG.storageKeys.serviceAccountEmail, email);
+    },
+
+    /**
+     * Get the service account spreadsheets must be shared with
+     * @returns {string|null} The email, or null if never fetched
+     */
+    getServiceAccountEmail() {
+        return this.get(CONFIG.storageKeys.serviceAccountEmail);
+    },
+
+    // ===================
+    // Backend
+    // ===================
+
+    /**
+     * Save which backend adapter data is synced with
+     * @param {string} id - The adapter ID (e.g. 'sheets')
+     */
+    setBackendId(id) {
+        this.set(CONFIG.storageKeys.backend, id);
+    },
+
+    /**
+     * Get which backend adapter data is synced with
+     * @returns {string|null} The adapter ID
+     */
+    getBackendId() {
+        return this.get(CONFIG.storageKeys.backend);
+    },
+
+    /**
+     * Save the base URL of the REST backend
+     * @param {string} url - The base URL
+     */
+    setRestBaseUrl(url) {
+        this.set(CONFIG.storageKeys.restBaseUrl, url);
+    },
+
+    /**
+     * Get the base URL of the REST backend
+     * @returns {string|null} The base URL
+     */
+    getRestBaseUrl() {
+        return this.get(CONFIG.storageKeys.restBaseUrl);
+    },
+
     // ===================
     // User Info
     // ===================
@@ -426,9 +802,10 @@ const Storage = {
 
     /**
      * Update last sync timestamp
+     * @param {number|string} [time] - When the sync started (defaults to now)
      */
-    updateLastSync() {
-        this.set(CONFIG.storageKeys.lastSync, new Date().toISOString());
+    updateLastSync(time = Date.now()) {
+        this.set(CONFIG.storageKeys.lastSync, new Date(time).toISOString());
     },
 
     /**
@@ -437,6 +814,22 @@ const Storage = {
      */
     getLastSync() {
         return this.get(CONFIG.storageKeys.lastSync);
+    },
+
+    /**
+     * Update last full (non-incremental) sync timestamp
+     * @param {number|string} [time] - When the sync started (defaults to now)
+     */
+    updateLastFullSync(time = Date.now()) {
+        this.set(CONFIG.storageKeys.lastFullSync, new Date(time).toISOString());
+    },
+
+    /**
+     * Get last full (non-incremental) sync timestamp
+     * @returns {string|null} The last full sync timestamp
+     */
+    getLastFullSync() {
+        return this.get(CONFIG.storageKeys.lastFullSync);
     }
 };
 
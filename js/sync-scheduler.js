@@ -0,0 +1,197 @@
+/**
+ * Disc Golf Tracker - Sync Scheduler Module
+ *
+ * Syncs with the selected backend every CONFIG.sync.interval while the app
+ * is visible and online, and pauses while it is hidden. After a failed sync
+ * it tries again sooner, doubling the wait from CONFIG.sync.retryDelay; once
+ * CONFIG.sync.maxRetries tries in a row have failed it waits
+ * CONFIG.sync.maxRetryDelay between tries until one succeeds.
+ *
+ * Also keeps the header sync indicator showing the last sync time and how
+ * many changes are waiting to upload.
+ */
+
+const SyncScheduler = {
+    // Runs one sync; set by start()
+    syncFn: null,
+
+    // Timer for the next sync
+    timer: null,
+
+    // Sync in progress, so syncs never overlap
+    running: null,
+
+    // Failed syncs in a row
+    failures: 0,
+
+    // Whether the visibility listener is installed
+    listening: false,
+
+    /**
+     * Start syncing periodically
+     * @param {Function} sync - Runs one sync; rejects or resolves false when it fails
+     */
+    start(sync) {
+        this.stop();
+        this.syncFn = sync;
+        this.failures = 0;
+
+        if (!this.listening) {
+            document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+            this.listening = true;
+        }
+
+        this.schedule(CONFIG.sync.interval);
+        this.renderStatus();
+    },
+
+    /**
+     * Stop syncing periodically (a sync in progress still finishes)
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.syncFn = null;
+    },
+
+    /**
+     * Check whether the page is hidden, which pauses syncing
+     * @returns {boolean} Whether hidden
+     */
+    isHidden() {
+        return document.visibilityState === 'hidden';
+    },
+
+    /**
+     * Check whether there is a backend to sync with right now
+     * @returns {boolean} Whether a sync can run
+     */
+    canSync() {
+        return Utils.isOnline() && Backend.isRemote() && Backend.isConfigured();
+    },
+
+    /**
+     * Schedule the next sync
+     * @param {number} delay - Milliseconds from now
+     */
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.tick(), delay);
+    },
+
+    /**
+     * Get how long to wait before the next sync
+     * @returns {number} Milliseconds
+     */
+    getDelay() {
+        const { interval, retryDelay, maxRetries, maxRetryDelay } = CONFIG.sync;
+        if (this.failures === 0) return interval;
+        if (this.failures <= maxRetries) {
+            return Utils.getBackoffDelay(this.failures - 1, retryDelay, maxRetryDelay);
+        }
+        return maxRetryDelay;
+    },
+
+    /**
+     * Run a scheduled sync, then schedule the next one
+     * While hidden nothing is scheduled; handleVisibilityChange picks up again.
+     * @returns {Promise<void>}
+     */
+    async tick() {
+        this.timer = null;
+        if (!this.syncFn || this.isHidden()) return;
+
+        if (this.canSync()) {
+            await this.runNow();
+        } else {
+            this.renderStatus();
+        }
+
+        if (this.syncFn && !this.isHidden() && !this.timer) {
+            this.schedule(this.getDelay());
+        }
+    },
+
+    /**
+     * Sync now, or wait for the sync already in progress
+     * @returns {Promise<boolean>} Whether the sync succeeded
+     */
+    runNow() {
+        if (this.running) return this.running;
+
+        this.running = (async () => {
+            let success = false;
+            try {
+                // Uploads that fail leave the sync resolving false rather than rejecting
+                if (await this.syncFn() === false) {
+                    throw new Error('Some pending uploads failed');
+                }
+                this.failures = 0;
+                success = true;
+            } catch (error) {
+                this.failures++;
+                console.warn(`Scheduled sync failed (${this.failures} in a row):`, error);
+            } finally {
+                this.running = null;
+            }
+            await this.renderStatus();
+            return success;
+        })();
+        return this.running;
+    },
+
+    /**
+     * Pause while the page is hidden, and sync when it is shown again if one is due
+     */
+    handleVisibilityChange() {
+        if (!this.syncFn) return;
+
+        if (this.isHidden()) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            return;
+        }
+
+        const lastSync = Storage.getLastSync();
+        const sinceLastSync = lastSync ? Date.now() - new Date(lastSync).getTime() : Infinity;
+        this.schedule(this.failures > 0 ? this.getDelay() : Math.max(0, CONFIG.sync.interval - sinceLastSync));
+    },
+
+    /**
+     * Describe the sync state for the header indicator
+     * @param {string|null} lastSync - When the last sync started (ISO string)
+     * @param {number} pending - Operations waiting to upload
+     * @returns {string} e.g. "Last synced Jun 1, 2024, 3:45 PM · 2 changes waiting to upload"
+     */
+    describeStatus(lastSync, pending) {
+        const parts = [lastSync ? `Last synced ${Utils.formatDateTime(lastSync)}` : 'Not synced yet'];
+        if (pending > 0) {
+            parts.push(`${pending} change${pending === 1 ? '' : 's'} waiting to upload`);
+        }
+        return parts.join(' · ');
+    },
+
+    /**
+     * Show the last sync time and queue depth in the header sync indicator
+     * The indicator stays visible while a remote backend is in use.
+     * @returns {Promise<void>}
+     */
+    async renderStatus() {
+        const statusEl = document.getElementById('sync-status');
+        if (!statusEl) return;
+
+        const remote = Backend.isRemote() && Backend.isConfigured();
+        const pending = remote ? (await Storage.getPendingSync()).length : 0;
+        const description = this.describeStatus(Storage.getLastSync(), pending);
+
+        statusEl.title = description;
+        statusEl.setAttribute('aria-label', description);
+        const countEl = document.getElementById('sync-pending-count');
+        countEl.textContent = pending > 99 ? '99+' : String(pending);
+        Utils.toggleElement(countEl, pending > 0);
+        Utils.toggleElement(statusEl, remote || statusEl.classList.contains('syncing'));
+    }
+};
+
+// Make SyncScheduler globally available
+window.SyncScheduler = SyncScheduler;
@@ -0,0 +1,308 @@
+/**
+ * Disc Golf Tracker - Sync Module
+ *
+ * Compares local records with Google Sheets rows against the state both
+ * sides had at the last sync (the "base"), so changes made in the app and
+ * changes made directly in the spreadsheet can be told apart. Courses and
+ * rounds changed on both sides become conflicts the user resolves.
+ */
+
+const Sync = {
+    // Stores kept in sync with the spreadsheet, parents before children
+    entities: ['courses', 'layouts', 'holes', 'players', 'rounds', 'scores'],
+
+    // Stores whose both-sides edits are shown to the user instead of auto-resolved
+    conflictEntities: ['courses', 'rounds'],
+
+    /**
+     * Get the primary key field of a store (e.g. 'round_id' for rounds)
+     * @param {string} entity - The store name
+     * @returns {string} The key field
+     */
+    getKeyField(entity) {
+        return `${entity.slice(0, -1)}_id`;
+    },
+
+    /**
+     * Get the synced fields of a store (everything but updated_at)
+     * @param {string} entity - The store name
+     * @returns {Array<string>} Field names in sheet column order
+     */
+    getFields(entity) {
+        return CONFIG.sheetHeaders[entity].filter(field => field !== 'updated_at');
+    },
+
+    /**
+     * Build a comparable signature of a record's synced values
+     * Values are compared as the sheet stores them, so 3 and '3' match.
+     * @param {string} entity - The store name
+     * @param {Object} record - Local record or sheet row
+     * @returns {string} JSON array of the values in column order
+     */
+    getSignature(entity, record) {
+        const fields = this.getFields(entity);
+        const prepared = SheetsAPI.prepareRowData(record, fields);
+        return JSON.stringify(fields.map(field => prepared[field]));
+    },
+
+    /**
+     * Compare the updated_at stamps of two records
+     * @param {Object} a - First record
+     * @param {Object} b - Second record
+     * @returns {boolean} Whether a was changed after b
+     */
+    isNewer(a, b) {
+        return (a.updated_at || '') > (b.updated_at || '');
+    },
+
+    /**
+     * Diff one store's local records with its sheet rows
+     * @param {string} entity - The store name
+     * @param {Array<Object>} localRecords - Records on the device
+     * @param {Array<Object>} sheetRecords - Parsed rows from the sheet
+     * @param {Object} base - Signatures by ID from the last sync
+     * @param {Object} options - Options
+     * @param {boolean} [options.partial] - sheetRecords only holds changed rows, so
+     *   records missing from it are left alone rather than treated as deleted
+     * @returns {{toLocal: Array, toDelete: Array<string>, conflicts: Array, base: Object}}
+     *   Sheet records to save locally, local IDs to delete, conflicts and the new base
+     */
+    diffRecords(entity, localRecords, sheetRecords, base = {}, options = {}) {
+        const keyField = this.getKeyField(entity);
+        const localMap = new Map(localRecords.map(r => [r[keyField], r]));
+        const sheetMap = new Map(sheetRecords.filter(r => r[keyField]).map(r => [r[keyField], r]));
+        const result = { toLocal: [], toDelete: [], conflicts: [], base: options.partial ? { ...base } : {} };
+        const ids = options.partial
+            ? new Set(sheetMap.keys())
+            : new Set([...localMap.keys(), ...sheetMap.keys()]);
+
+        ids.forEach(id => {
+            const local = localMap.get(id);
+            const sheet = sheetMap.get(id);
+            const baseSignature = base[id];
+
+            if (local && sheet) {
+                const localSignature = this.getSignature(entity, local);
+                const sheetSignature = this.getSignature(entity, sheet);
+
+                if (localSignature === sheetSignature) {
+                    result.base[id] = sheetSignature;
+                } else if (baseSignature === sheetSignature) {
+                    // Only changed here; the pending queue will upload it
+                    result.base[id] = baseSignature;
+                } else if (baseSignature === localSignature || baseSignature === undefined) {
+                    // Only changed in the sheet, or never synced: newest wins, sheet on a tie
+                    if (baseSignature !== undefined || !this.isNewer(local, sheet)) {
+                        result.toLocal.push(sheet);
+                    }
+                    result.base[id] = sheetSignature;
+                } else if (this.conflictEntities.includes(entity)) {
+                    result.conflicts.push({ entity, id, local, sheet, base: baseSignature });
+                    result.base[id] = baseSignature;
+                } else {
+                    if (!this.isNewer(local, sheet)) {
+                        result.toLocal.push(sheet);
+                    }
+                    result.base[id] = sheetSignature;
+                }
+            } else if (sheet) {
+                // A synced record missing here was deleted on this device
+                if (baseSignature === undefined) {
+                    result.toLocal.push(sheet);
+                    result.base[id] = this.getSignature(entity, sheet);
+                } else {
+                    result.base[id] = baseSignature;
+                }
+            } else if (baseSignature !== undefined && baseSignature === this.getSignature(entity, local)) {
+                // Deleted from the sheet and untouched here
+                result.toDelete.push(id);
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * Build the record a conflict resolves to
+     * Merging keeps every field changed on only one side; fields changed on
+     * both sides keep the local value.
+     * @param {Object} conflict - Conflict from diffRecords
+     * @param {string} choice - 'local', 'sheet' or 'merge'
+     * @returns {Object} The resolved record
+     */
+    resolveConflict(conflict, choice) {
+        const { entity, local, sheet } = conflict;
+
+        if (choice === 'sheet') return sheet;
+
+        const resolved = { ...local, updated_at: Utils.formatDateForStorage() };
+        if (choice === 'merge') {
+            const baseValues = JSON.parse(conflict.base);
+            this.getFields(entity).forEach((field, index) => {
+                const localValue = SheetsAPI.prepareRowData(local, [field])[field];
+                if (localValue === baseValues[index]) {
+                    resolved[field] = sheet[field];
+                }
+            });
+        }
+        return resolved;
+    },
+
+    /**
+     * List the fields that differ between the two sides of a conflict
+     * @param {Object} conflict - Conflict from diffRecords
+     * @returns {Array<{field: string, local: string, sheet: string}>} Differing fields
+     */
+    getConflictFields(conflict) {
+        const fields = this.getFields(conflict.entity);
+        const local = SheetsAPI.prepareRowData(conflict.local, fields);
+        const sheet = SheetsAPI.prepareRowData(conflict.sheet, fields);
+        return fields
+            .filter(field => local[field] !== sheet[field])
+            .map(field => ({ field, local: local[field], sheet: sheet[field] }));
+    },
+
+    // ===================
+    // Sync State
+    // ===================
+
+    /**
+     * Get the signatures saved at the last sync
+     * @returns {Object} Signatures by store name, then by ID
+     */
+    getBase() {
+        return Storage.get(CONFIG.storageKeys.syncBase) || {};
+    },
+
+    /**
+     * Get conflicts waiting for the user
+     * @returns {Array} Unresolved conflicts
+     */
+    getConflicts() {
+        return Storage.get(CONFIG.storageKeys.syncConflicts) || [];
+    },
+
+    /**
+     * Forget the last sync, e.g. when connecting a different spreadsheet
+     */
+    reset() {
+        Storage.remove(CONFIG.storageKeys.syncBase);
+        Storage.remove(CONFIG.storageKeys.syncConflicts);
+        Storage.remove(CONFIG.storageKeys.lastFullSync);
+    },
+
+    /**
+     * Merge parsed spreadsheet rows into local data and record the new base
+     * @param {Object} sheetData - Parsed sheet rows by store name
+     * @param {Object} options - Options
+     * @param {boolean} [options.partial] - sheetData only holds rows changed since the last sync
+     * @returns {Promise<Array>} Conflicts waiting for the user
+     */
+    async mergeFromSheets(sheetData, options = {}) {
+        const base = this.getBase();
+        const keyOf = (entity, record) => `${entity}:${record[this.getKeyField(entity)]}`;
+        const pulled = new Set(this.entities.flatMap(entity => (sheetData[entity] || []).map(r => keyOf(entity, r))));
+
+        // A partial pull re-checks only the conflicts whose rows it fetched
+        const conflicts = options.partial
+            ? this.getConflicts().filter(c => !pulled.has(`${c.entity}:${c.id}`))
+            : [];
+
+        for (const entity of this.entities) {
+            const local = await Storage.getAll(entity);
+            const diff = this.diffRecords(entity, local, sheetData[entity] || [], base[entity], options);
+
+            if (diff.toLocal.length > 0 || diff.toDelete.length > 0) {
+                const keyField = this.getKeyField(entity);
+                const incoming = new Map(diff.toLocal.map(r => [r[keyField], r]));
+                const records = local
+                    .filter(r => !diff.toDelete.includes(r[keyField]) && !incoming.has(r[keyField]))
+                    .concat(diff.toLocal);
+
+                await Storage.putMany(entity, records);
+                for (const id of diff.toDelete) {
+                    await Storage.delete(entity, id);
+                }
+            }
+
+            base[entity] = diff.base;
+            conflicts.push(...diff.conflicts);
+        }
+
+        Storage.set(CONFIG.storageKeys.syncBase, base);
+        Storage.set(CONFIG.storageKeys.syncConflicts, conflicts);
+        await this.holdConflictedOperations(conflicts);
+        return conflicts;
+    },
+
+    /**
+     * Drop queued uploads that would overwrite a record in conflict
+     * The user's resolution queues the device's version again if it wins,
+     * and a conflicted round's scores whichever version wins.
+     * @param {Array} conflicts - Unresolved conflicts
+     * @returns {Promise<void>}
+     */
+    async holdConflictedOperations(conflicts) {
+        if (conflicts.length === 0) return;
+
+        const idsOf = entity => new Set(conflicts.filter(c => c.entity === entity).map(c => c.id));
+        const courseIds = idsOf('courses');
+        const roundIds = idsOf('rounds');
+        await Storage.removePendingSyncWhere(op => {
+            switch (op.type) {
+                case 'updateCourse':
+                    return courseIds.has(op.data.course_id);
+                case 'updateRound':
+                case 'upsertRound':
+                    return roundIds.has(op.data.round_id);
+                case 'upsertScores':
+                    // Queued a hole or a round at a time, so never mixes rounds
+                    return op.data.some(score => roundIds.has(score.round_id));
+                case 'updateCourseLastPlayed':
+                    return courseIds.has(op.data.courseId);
+                default:
+                    return false;
+            }
+        });
+    },
+
+    /**
+     * Apply the user's choice for a conflict
+     * @param {Object} conflict - Conflict from diffRecords
+     * @param {string} choice - 'local', 'sheet' or 'merge'
+     * @returns {Promise<Object>} The resolved record
+     */
+    async applyResolution(conflict, choice) {
+        const record = this.resolveConflict(conflict, choice);
+        await Storage.put(conflict.entity, record);
+
+        if (choice !== 'sheet') {
+            const type = conflict.entity === 'courses' ? 'updateCourse' : 'updateRound';
+            await Storage.addPendingSync({ type, data: record });
+        }
+
+        // Score uploads were dropped with the round's, whichever round row wins;
+        // the scores were not in conflict, so send the device's again
+        if (conflict.entity === 'rounds') {
+            const scores = await Storage.getByIndex('scores', 'round_id', conflict.id);
+            if (scores.length > 0) {
+                await Storage.addPendingSync({ type: 'upsertScores', data: scores });
+            }
+        }
+
+        // Base on the sheet's version so a kept local change still counts as unsent
+        const base = this.getBase();
+        base[conflict.entity] = base[conflict.entity] || {};
+        base[conflict.entity][conflict.id] = this.getSignature(conflict.entity, conflict.sheet);
+        Storage.set(CONFIG.storageKeys.syncBase, base);
+
+        const remaining = this.getConflicts()
+            .filter(c => !(c.entity === conflict.entity && c.id === conflict.id));
+        Storage.set(CONFIG.storageKeys.syncConflicts, remaining);
+
+        return record;
+    }
+};
+
+// Make Sync globally available
+window.Sync = Sync;
@@ -139,18 +139,102 @@ const Utils = {
      * @returns {object} Validation result with isValid and message
      */
     validateCourseName(name) {
-        const { minLength, maxLength, pattern } = CONFIG.validation.courseName;
+        return this.validateName(name, CONFIG.validation.courseName, 'Course name');
+    },
+
+    /**
+     * Validate a player name
+     * @param {string} name - The player name to validate
+     * @returns {object} Validation result with isValid and message
+     */
+    validatePlayerName(name) {
+        return this.validateName(name, CONFIG.validation.playerName, 'Player name');
+    },
+
+    /**
+     * Validate a layout name
+     * @param {string} name - The layout name to validate
+     * @returns {object} Validation result with isValid and message
+     */
+    validateLayoutName(name) {
+        return this.validateName(name, CONFIG.validation.layoutName, 'Layout name');
+    },
+
+    /**
+     * Extract a spreadsheet ID from a pasted Google Sheets URL
+     * Handles edit and share links, #gid= fragments, /u/0/ account paths and
+     * old ?key= links; anything else is returned trimmed, as a bare ID.
+     * @param {string} input - URL or ID as pasted
+     * @returns {string} The spreadsheet ID (not yet validated)
+     */
+    parseSpreadsheetId(input) {
+        const value = (input || '').trim();
+
+        // Published links (/d/e/...) are not spreadsheet IDs, so they fall through to validation
+        const pathMatch = /\/spreadsheets\/(?:u\/\d+\/)?d\/(?!e\/)([^/?#\s]+)/.exec(value);
+        if (pathMatch) {
+            return pathMatch[1];
+        }
+
+        const keyMatch = /^https?:\/\/.*[?&]key=([^&#\s]+)/.exec(value);
+        if (keyMatch) {
+            return keyMatch[1];
+        }
+
+        return value;
+    },
+
+    /**
+     * Validate the shape of a spreadsheet ID
+     * @param {string} id - The spreadsheet ID
+     * @returns {object} Validation result with isValid and message
+     */
+    validateSpreadsheetId(id) {
+        const { minLength, maxLength, pattern } = CONFIG.validation.spreadsheetId;
+
+        if (!id) {
+            return { isValid: false, message: 'Please enter a Sheet ID or URL' };
+        }
+
+        if (id.length < minLength || id.length > maxLength || !pattern.test(id)) {
+            return {
+                isValid: false,
+                message: 'That is not a valid Sheet ID. Paste the sheet\'s URL, or the long string between /d/ and /edit in it.'
+            };
+        }
+
+        return { isValid: true, message: '' };
+    },
+
+    /**
+     * Validate a profile name
+     * @param {string} name - The profile name to validate
+     * @returns {object} Validation result with isValid and message
+     */
+    validateProfileName(name) {
+        return this.validateName(name, CONFIG.validation.profileName, 'Profile name');
+    },
+
+    /**
+     * Validate a name against length and character rules
+     * @param {string} name - The name to validate
+     * @param {object} rules - minLength, maxLength and pattern from CONFIG.validation
+     * @param {string} label - Field label used in messages (e.g. "Course name")
+     * @returns {object} Validation result with isValid and message
+     */
+    validateName(name, rules, label) {
+        const { minLength, maxLength, pattern } = rules;
 
         if (!name || name.trim().length < minLength) {
-            return { isValid: false, message: 'Course name is required' };
+            return { isValid: false, message: `${label} is required` };
         }
 
         if (name.length > maxLength) {
-            return { isValid: false, message: `Course name must be ${maxLength} characters or less` };
+            return { isValid: false, message: `${label} must be ${maxLength} characters or less` };
         }
 
         if (!pattern.test(name)) {
-            return { isValid: false, message: 'Course name contains invalid characters' };
+            return { isValid: false, message: `${label} contains invalid characters` };
         }
 
         return { isValid: true, message: '' };
@@ -319,8 +403,101 @@ const Utils = {
             groups[value].push(item);
             return groups;
         }, {});
+    },
+
+    /**
+     * Wait for a while
+     * @param {number} ms - Milliseconds to wait
+     * @returns {Promise<void>} Resolves after the wait
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    },
+
+    /**
+     * Get how long to wait before a retry: exponential backoff with jitter
+     * The delay doubles with each attempt up to maxDelay, and a random half
+     * of it is dropped so clients that failed together retry apart.
+     * @param {number} attempt - Retries made so far (0 for the first retry)
+     * @param {number} baseDelay - Delay before the first retry, in milliseconds
+     * @param {number} maxDelay - Longest delay, in milliseconds
+     * @returns {number} Milliseconds to wait
+     */
+    getBackoffDelay(attempt, baseDelay, maxDelay) {
+        const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    },
+
+    /**
+     * Split an array into consecutive chunks
+     * @param {Array} array - The array to split
+     * @param {number} size - Maximum chunk length
+     * @returns {Array<Array>} Chunks, in order
+     */
+    chunk(array, size) {
+        const chunks = [];
+        for (let i = 0; i < array.length; i += size) {
+            chunks.push(array.slice(i, i + size));
+        }
+        return chunks;
     }
 };
 
+/**
+ * Error from a backend API request, with what went wrong in `code`:
+ * network (unreachable), timeout, forbidden (auth or permission),
+ * not_found, rate_limited, bad_request or server
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [details] - Details
+     * @param {number} [details.status] - HTTP status, 0 when there was no response
+     * @param {string} [details.code] - One of the codes above, derived from status if omitted
+     * @param {number} [details.retryAfter] - Milliseconds the server asked to wait before retrying
+     */
+    constructor(message, { status = 0, code, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code || ApiError.codeForStatus(status);
+        this.retryAfter = retryAfter;
+    }
+
+    /**
+     * Whether the same request may succeed if sent again later
+     * @returns {boolean} True for network, timeout, rate_limited and server errors
+     */
+    get retryable() {
+        return ApiError.isRetryable(this);
+    }
+
+    /**
+     * Whether an error's code says the request may succeed if sent again later
+     * Works for any error with a `code`, such as a batch failure carrying the code of one of its ApiErrors.
+     * @param {Error} error - The error
+     * @returns {boolean} True for network, timeout, rate_limited and server errors
+     */
+    static isRetryable(error) {
+        return ['network', 'timeout', 'rate_limited', 'server'].includes(error && error.code);
+    }
+
+    /**
+     * Get the error code for an HTTP status
+     * @param {number} status - HTTP status, 0 when there was no response
+     * @returns {string} The error code
+     */
+    static codeForStatus(status) {
+        if (!status) return 'network';
+        if (status === 401 || status === 403) return 'forbidden';
+        if (status === 404) return 'not_found';
+        if (status === 408) return 'timeout';
+        if (status === 429) return 'rate_limited';
+        if (status < 500) return 'bad_request';
+        return 'server';
+    }
+}
+
 // Make Utils globally available
 window.Utils = Utils;
+window.ApiError = ApiError;
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Generate sw-manifest.js, the list of files the service worker caches
+ *
+ * Each file gets a SHA-256 hash, used as its Subresource Integrity value so
+ * a stale copy from a CDN or the HTTP cache is never cached as the new
+ * version. The manifest version is a hash of all of them: when any file
+ * changes, sw-manifest.js changes, the browser installs the new worker and
+ * it fills a fresh cache.
+ *
+ * Run after changing any app file, and before deploying:
+ *   node scripts/build-sw-manifest.js          Write sw-manifest.js
+ *   node scripts/build-sw-manifest.js --check  Exit 1 if sw-manifest.js is out of date
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_DIR = path.join(__dirname, '..');
+const OUTPUT_FILE = 'sw-manifest.js';
+
+// Cached besides every js/*.js file (paths relative to the project, for GCS deployment)
+const STATIC_FILES = [
+    'index.html',
+    'css/styles.css',
+    'manifest.json',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+/**
+ * Get the Subresource Integrity value of a file
+ * @param {string} file - Path relative to the project
+ * @param {string} rootDir - Project directory
+ * @returns {string} e.g. "sha256-..."
+ */
+function integrity(file, rootDir) {
+    const hash = crypto.createHash('sha256').update(fs.readFileSync(path.join(rootDir, file)));
+    return `sha256-${hash.digest('base64')}`;
+}
+
+/**
+ * Build the manifest from the files on disk
+ * @param {string} [rootDir] - Project directory
+ * @returns {{version: string, files: Object}} Version, and integrity by URL
+ */
+function buildManifest(rootDir = PROJECT_DIR) {
+    const scripts = fs.readdirSync(path.join(rootDir, 'js'))
+        .filter(name => name.endsWith('.js'))
+        .sort()
+        .map(name => `js/${name}`);
+
+    const files = {};
+    [...STATIC_FILES, ...scripts].forEach(file => {
+        files[`./${file}`] = integrity(file, rootDir);
+    });
+
+    const version = crypto.createHash('sha256')
+        .update(JSON.stringify(files))
+        .digest('hex')
+        .slice(0, 12);
+
+    return { version, files };
+}
+
+/**
+ * Render the manifest as the script the service worker imports
+ * @param {{version: string, files: Object}} manifest - From buildManifest
+ * @returns {string} Contents of sw-manifest.js
+ */
+function renderManifest(manifest) {
+    return `/**
+ * Disc Golf Tracker - Service Worker Manifest
+ *
+ * Generated by scripts/build-sw-manifest.js. Do not edit by hand.
+ */
+
+self.SW_MANIFEST = ${JSON.stringify(manifest, null, 4)};
+`;
+}
+
+if (require.main === module) {
+    const outputPath = path.join(PROJECT_DIR, OUTPUT_FILE);
+    const contents = renderManifest(buildManifest());
+
+    if (process.argv.includes('--check')) {
+        const current = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : '';
+        if (current !== contents) {
+            console.error(`${OUTPUT_FILE} is out of date. Run: node scripts/build-sw-manifest.js`);
+            process.exit(1);
+        }
+        console.log(`${OUTPUT_FILE} is up to date`);
+    } else {
+        fs.writeFileSync(outputPath, contents);
+        console.log(`Wrote ${OUTPUT_FILE}`);
+    }
+}
+
+module.exports = { buildManifest, renderManifest };
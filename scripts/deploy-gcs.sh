@@ -6,6 +6,7 @@
 # 1. Google Cloud SDK installed (gcloud)
 # 2. Authenticated with: gcloud auth login
 # 3. Project set with: gcloud config set project YOUR_PROJECT_ID
+# 4. Node.js, to build the service worker manifest
 #
 # Usage:
 #   ./scripts/deploy-gcs.sh BUCKET_NAME
@@ -79,6 +80,10 @@ gsutil web set -m index.html -e index.html "$BUCKET_URL"
 echo -e "${GREEN}Setting public access...${NC}"
 gsutil iam ch allUsers:objectViewer "$BUCKET_URL"
 
+# List the files the service worker caches, with their hashes
+echo -e "${GREEN}Building service worker manifest...${NC}"
+node "$PROJECT_DIR/scripts/build-sw-manifest.js"
+
 # Define files to upload (excluding dev/test files)
 echo -e "${GREEN}Uploading files...${NC}"
 
@@ -100,9 +105,9 @@ done
 gsutil -h "Content-Type:application/manifest+json" -h "Cache-Control:no-cache, max-age=0" \
     cp "$PROJECT_DIR/manifest.json" "$BUCKET_URL/"
 
-# Upload service worker (no cache for updates)
+# Upload service worker and its manifest (no cache for updates)
 gsutil -h "Content-Type:application/javascript" -h "Cache-Control:no-cache, max-age=0" \
-    cp "$PROJECT_DIR/sw.js" "$BUCKET_URL/"
+    cp "$PROJECT_DIR/sw.js" "$PROJECT_DIR/sw-manifest.js" "$BUCKET_URL/"
 
 # Upload icons
 for icon_file in "$PROJECT_DIR"/icons/*.png; do
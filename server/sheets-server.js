@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+/**
+ * Disc Golf Tracker - Reference Sheets Server
+ *
+ * A self-hostable stand-in for the sheets-db-api Cloud Function. Implements
+ * the routes SheetsAPI.request uses and keeps each spreadsheet (selected by
+ * the X-Spreadsheet-Id header) in a JSON file. No dependencies beyond Node.
+ *
+ * Usage: node server/sheets-server.js [--port 8787] [--data ./server/data]
+ * Set SERVICE_ACCOUNT_EMAIL to report one from /health.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Spreadsheet IDs become file names, so only allow what Google IDs contain
+const SPREADSHEET_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Create an error that is sent back with an HTTP status
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Create a store that keeps one JSON file per spreadsheet
+ * @param {string} dataDir - Directory for the JSON files
+ * @returns {{load: Function, save: Function}} The store
+ */
+function createStore(dataDir) {
+    const cache = new Map();
+
+    function filePath(spreadsheetId) {
+        return path.join(dataDir, `${spreadsheetId}.json`);
+    }
+
+    return {
+        /**
+         * Get a spreadsheet, reading it from disk the first time
+         * @param {string} spreadsheetId - The spreadsheet ID
+         * @returns {{sheets: Object}} Sheets by name, each {headers, rows}
+         */
+        load(spreadsheetId) {
+            if (!cache.has(spreadsheetId)) {
+                const file = filePath(spreadsheetId);
+                const doc = fs.existsSync(file)
+                    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+                    : { sheets: {} };
+                cache.set(spreadsheetId, doc);
+            }
+            return cache.get(spreadsheetId);
+        },
+
+        /**
+         * Write a spreadsheet to disk (via a temporary file, so a crash never leaves half a file)
+         * @param {string} spreadsheetId - The spreadsheet ID
+         */
+        save(spreadsheetId) {
+            fs.mkdirSync(dataDir, { recursive: true });
+            const file = filePath(spreadsheetId);
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(cache.get(spreadsheetId), null, 2));
+            fs.renameSync(`${file}.tmp`, file);
+        }
+    };
+}
+
+/**
+ * Convert a value the way Google Sheets stores it
+ */
+function toCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    return String(value);
+}
+
+/**
+ * Build the row object returned by the API, with every header present
+ */
+function toRowObject(sheet, row) {
+    const result = {};
+    sheet.headers.forEach(header => {
+        result[header] = row[header] ?? '';
+    });
+    return result;
+}
+
+/**
+ * Convert request data into a stored row, adding any new columns as headers
+ */
+function toStoredRow(sheet, data, existing = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw httpError(400, 'Row data must be an object');
+    }
+
+    const row = { ...existing };
+    Object.keys(data).forEach(key => {
+        if (!sheet.headers.includes(key)) {
+            sheet.headers.push(key);
+        }
+        row[key] = toCell(data[key]);
+    });
+    return row;
+}
+
+/**
+ * Convert an API row index (1-based, data starts at 2) to an array index
+ */
+function toArrayIndex(sheet, rowIndex) {
+    const index = Number(rowIndex) - 2;
+    if (!Number.isInteger(index) || index < 0 || index >= sheet.rows.length) {
+        throw httpError(404, `Row not found: ${rowIndex}`);
+    }
+    return index;
+}
+
+/**
+ * Handle one API request
+ * @param {Object} store - Store from createStore
+ * @param {Object} request - The request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path with optional query string
+ * @param {Object} request.headers - Lower-case header names
+ * @param {*} request.body - Parsed JSON body, or null
+ * @returns {{status: number, body: *}} Response status and JSON body (undefined for none)
+ */
+function handleRequest(store, { method, path: requestPath, headers = {}, body = null }) {
+    const [pathname, queryString = ''] = requestPath.split('?');
+    const query = new URLSearchParams(queryString);
+
+    if (method === 'GET' && pathname === '/health') {
+        const body = { status: 'ok' };
+        if (process.env.SERVICE_ACCOUNT_EMAIL) {
+            body.serviceAccountEmail = process.env.SERVICE_ACCOUNT_EMAIL;
+        }
+        return { status: 200, body };
+    }
+
+    if (!pathname.startsWith('/sheets')) {
+        throw httpError(404, `Not found: ${pathname}`);
+    }
+
+    const spreadsheetId = headers['x-spreadsheet-id'];
+    if (!spreadsheetId || !SPREADSHEET_ID_PATTERN.test(spreadsheetId)) {
+        throw httpError(400, 'Missing or invalid X-Spreadsheet-Id header');
+    }
+
+    const doc = store.load(spreadsheetId);
+    const save = () => store.save(spreadsheetId);
+
+    // /sheets
+    if (pathname === '/sheets') {
+        if (method === 'GET') {
+            return { status: 200, body: { sheets: Object.keys(doc.sheets).map(title => ({ title })) } };
+        }
+        if (method === 'POST') {
+            const name = body && typeof body.name === 'string' ? body.name.trim() : '';
+            if (!name) throw httpError(400, 'Sheet name is required');
+            if (doc.sheets[name]) throw httpError(409, `Sheet already exists: ${name}`);
+
+            doc.sheets[name] = { headers: [], rows: [] };
+            save();
+            return { status: 201, body: { title: name } };
+        }
+        throw httpError(405, `Method not allowed: ${method}`);
+    }
+
+    const match = /^\/sheets\/([^/]+)\/(?:rows(?:\/([^/]+))?|(headers))$/.exec(pathname);
+    if (!match) {
+        throw httpError(404, `Not found: ${pathname}`);
+    }
+
+    const sheetName = decodeURIComponent(match[1]);
+    const sheet = doc.sheets[sheetName];
+    if (!sheet) {
+        throw httpError(404, `Sheet not found: ${sheetName}`);
+    }
+
+    // /sheets/:name/headers
+    if (match[3]) {
+        if (method === 'GET') {
+            return { status: 200, body: { headers: sheet.headers } };
+        }
+        if (method === 'POST') {
+            if (!body || !Array.isArray(body.headers) || body.headers.some(h => typeof h !== 'string' || !h)) {
+                throw httpError(400, 'headers must be an array of column names');
+            }
+            // New columns go at the end, so existing cells stay where they are
+            body.headers
+                .filter(header => !sheet.headers.includes(header))
+                .forEach(header => sheet.headers.push(header));
+            save();
+            return { status: 200, body: { headers: sheet.headers } };
+        }
+        throw httpError(405, `Method not allowed: ${method}`);
+    }
+
+    // /sheets/:name/rows/batch
+    if (match[2] === 'batch') {
+        if (method === 'POST') {
+            if (!body || !Array.isArray(body.rows)) throw httpError(400, 'rows must be an array');
+            const rows = body.rows.map(data => toStoredRow(sheet, data));
+            const first = sheet.rows.length + 2;
+            sheet.rows.push(...rows);
+            save();
+            return { status: 201, body: { rowIndexes: rows.map((_, i) => first + i) } };
+        }
+        if (method === 'PUT') {
+            if (!body || !Array.isArray(body.rows)) throw httpError(400, 'rows must be an array');
+            // Check every index before changing anything
+            const updates = body.rows.map(({ rowIndex, data }) => [toArrayIndex(sheet, rowIndex), data]);
+            updates.forEach(([index, data]) => {
+                sheet.rows[index] = toStoredRow(sheet, data, sheet.rows[index]);
+            });
+            save();
+            return { status: 200, body: { updated: updates.length } };
+        }
+        if (method === 'DELETE') {
+            if (!body || !Array.isArray(body.rowIndexes)) throw httpError(400, 'rowIndexes must be an array');
+            const indexes = [...new Set(body.rowIndexes.map(rowIndex => toArrayIndex(sheet, rowIndex)))];
+            indexes.sort((a, b) => b - a).forEach(index => sheet.rows.splice(index, 1));
+            save();
+            return { status: 204, body: undefined };
+        }
+        throw httpError(405, `Method not allowed: ${method}`);
+    }
+
+    // /sheets/:name/rows/:index
+    if (match[2] !== undefined) {
+        const index = toArrayIndex(sheet, match[2]);
+
+        if (method === 'GET') {
+            return { status: 200, body: toRowObject(sheet, sheet.rows[index]) };
+        }
+        if (method === 'PUT') {
+            sheet.rows[index] = toStoredRow(sheet, body, sheet.rows[index]);
+            save();
+            return { status: 200, body: { rowIndex: index + 2 } };
+        }
+        if (method === 'DELETE') {
+            sheet.rows.splice(index, 1);
+            save();
+            return { status: 204, body: undefined };
+        }
+        throw httpError(405, `Method not allowed: ${method}`);
+    }
+
+    // /sheets/:name/rows
+    if (method === 'GET') {
+        const updatedSince = query.get('updatedSince');
+        const rows = sheet.rows
+            .map(row => toRowObject(sheet, row))
+            .filter(row => !updatedSince || (row.updated_at || '') >= updatedSince);
+        return { status: 200, body: { rows } };
+    }
+    if (method === 'POST') {
+        sheet.rows.push(toStoredRow(sheet, body));
+        save();
+        return { status: 201, body: { rowIndex: sheet.rows.length + 1 } };
+    }
+    throw httpError(405, `Method not allowed: ${method}`);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - The request
+ * @returns {Promise<*>} Parsed body, or null when empty
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(httpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text) {
+                resolve(null);
+                return;
+            }
+            try {
+                resolve(JSON.parse(text));
+            } catch {
+                reject(httpError(400, 'Request body must be JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Create the HTTP server
+ * @param {Object} options - Options
+ * @param {string} [options.dataDir] - Directory for spreadsheet JSON files
+ * @returns {http.Server} The server (not yet listening)
+ */
+function createServer(options = {}) {
+    const store = createStore(options.dataDir || DEFAULT_DATA_DIR);
+
+    return http.createServer(async (req, res) => {
+        // The app is usually served from another origin
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Spreadsheet-Id');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        let response;
+        try {
+            const body = await readBody(req);
+            response = handleRequest(store, { method: req.method, path: req.url, headers: req.headers, body });
+        } catch (error) {
+            if (!error.status) {
+                console.error('Request failed:', error);
+            }
+            response = { status: error.status || 500, body: { error: error.status ? error.message : 'Internal server error' } };
+        }
+
+        if (response.body === undefined) {
+            res.writeHead(response.status);
+            res.end();
+        } else {
+            res.writeHead(response.status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(response.body));
+        }
+    });
+}
+
+/**
+ * Read --port and --data from the command line, falling back to PORT and DATA_DIR
+ */
+function parseArgs(argv) {
+    const options = {
+        port: Number(process.env.PORT) || DEFAULT_PORT,
+        dataDir: process.env.DATA_DIR || DEFAULT_DATA_DIR
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        if (argv[i] === '--data') options.dataDir = path.resolve(argv[++i]);
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    createServer(options).listen(options.port, () => {
+        console.log(`Sheets server listening on http://localhost:${options.port} (data in ${options.dataDir})`);
+    });
+}
+
+module.exports = { createStore, createServer, handleRequest };
@@ -0,0 +1,32 @@
+/**
+ * Disc Golf Tracker - Service Worker Manifest
+ *
+ * Generated by scripts/build-sw-manifest.js. Do not edit by hand.
+ */
+
+self.SW_MANIFEST = {
+    "version": "65fe6a856bfd",
+    "files": {
+        "./index.html": "sha256-i6EFSt2S2G7EyZnEqTiVpFM5VNJekdKDsVBFdl4QL58=",
+        "./css/styles.css": "sha256-lU2kaegVBITQvtc1N1VcEvKdKoVmlE5apyWReXbWmSw=",
+        "./manifest.json": "sha256-gZlT9iFGn4f4kLdSG3rYJ/kUMYpW1B50TNB4AzWq0So=",
+        "./icons/icon-192.png": "sha256-YAzloQeR4EatRDbZfLtGtlV8IbZXP3nOCCP/x6IYLO4=",
+        "./icons/icon-512.png": "sha256-61Axj7bVJMA5gMJKpgzGLRBP+AbzuZ3uqtaotyNJorw=",
+        "./js/app.js": "sha256-JUURTyOYxt9asO+5puLs10JOe0r+dBiyRPRPBMM/Iu8=",
+        "./js/backend.js": "sha256-mwdl4r3VdTOwO/b6/zt/hacknxR+iVV9T+HdpzbEmik=",
+        "./js/backup.js": "sha256-X7Dq/5m04bJsp8DCOMO5pVfvli+s3q1g28GUqtyxOXw=",
+        "./js/charts.js": "sha256-VG4KkqjgGwf/fT2hYLzrs6oy4TE7AJK/ghWT7kJBk+8=",
+        "./js/config.js": "sha256-RKcgO3qWmbl2aZb7kOy1ALMmLlQkeYV7qMajl/VBAMY=",
+        "./js/course-editor.js": "sha256-TAh4dMFV9D7vzbHyB1J/iBQMUdTx4cyecZuPVgfIA1M=",
+        "./js/export.js": "sha256-ORMrInqZ7/utkb4qMsxwNirVfaSGtJ5HHak1HIZxr6k=",
+        "./js/import.js": "sha256-NucCuHUAWXldxW5eZNYwmpz20LayR7ss9jdslxjCBIM=",
+        "./js/migrations.js": "sha256-S7P/vN555C7aP0BH3aAYiCbGdMmPaxpNPdyeRGFuQ5E=",
+        "./js/rest-api.js": "sha256-hSWQ3Y3ynS90XYPk5X1cbWM79EuPG50g77F/BlljC/g=",
+        "./js/sheets-api.js": "sha256-hEdiUtoVmBwpg5+jpq5oRGHn1ffr0hF5+4g3i9XwgdQ=",
+        "./js/statistics.js": "sha256-bpG/a8G7r0xJFogyLfonX64WyJp5/LjGcbHFdjg0X24=",
+        "./js/storage.js": "sha256-ScqECN7FAhMe2KuY+6VMvfuZAmWEMeqqrq8lotqXH4Q=",
+        "./js/sync-scheduler.js": "sha256-qJVQkySy5D5vkV2tmMPbwjV9GzVP94NZ223uZPWftg0=",
+        "./js/sync.js": "sha256-VM/wCCQFoE2Hl+Q2IX1xPw4X7LON85ucY5yMhy9b4xI=",
+        "./js/utils.js": "sha256-ane+utfFZHFZ81bAef246PvuljOruXUI7MNU5CxXY2A="
+    }
+};
@@ -3,28 +3,36 @@
  *
  * Provides offline functionality by caching app shell and static assets.
  * Implements a cache-first strategy for static resources and network-first
- * for API calls.
+ * for API calls. Uploads the pending sync queue via Background Sync, so
+ * changes made offline reach the backend even after the app is closed.
+ *
+ * A new version installs alongside the running one and waits. The app asks
+ * the user before sending SKIP_WAITING, so assets never change mid-round.
  */
 
-const CACHE_NAME = 'disc-golf-tracker-v5';
-const STATIC_CACHE_NAME = 'disc-golf-static-v5';
-const DATA_CACHE_NAME = 'disc-golf-data-v5';
+// Files to cache, with their hashes, from scripts/build-sw-manifest.js
+importScripts('./sw-manifest.js');
+
+// Cache names carry the manifest version, so each deploy fills a fresh cache
+const STATIC_CACHE_NAME = `disc-golf-static-${SW_MANIFEST.version}`;
+const DATA_CACHE_NAME = `disc-golf-data-${SW_MANIFEST.version}`;
 
 // Files to cache for offline use (relative paths for GCS deployment)
-const STATIC_FILES = [
-    './',
-    './index.html',
-    './css/styles.css',
+const STATIC_FILES = Object.keys(SW_MANIFEST.files);
+
+// App modules the background sync uploads the pending queue with. They
+// export themselves as window.X, which is the worker's global scope here.
+self.window = self;
+importScripts(
     './js/config.js',
     './js/utils.js',
+    './js/migrations.js',
     './js/storage.js',
+    './js/sync.js',
     './js/sheets-api.js',
-    './js/statistics.js',
-    './js/app.js',
-    './manifest.json',
-    './icons/icon-192.png',
-    './icons/icon-512.png'
-];
+    './js/rest-api.js',
+    './js/backend.js'
+);
 
 // External resources that should be cached
 const EXTERNAL_RESOURCES = [
@@ -42,14 +50,20 @@ self.addEventListener('install', (event) => {
         caches.open(STATIC_CACHE_NAME)
             .then((cache) => {
                 console.log('[SW] Caching static files');
-                return cache.addAll(STATIC_FILES);
+                // Bypass the HTTP cache and check each file's hash, so a stale copy fails the install
+                return cache.addAll(STATIC_FILES.map((url) => new Request(url, {
+                    cache: 'reload',
+                    integrity: SW_MANIFEST.files[url]
+                })));
             })
             .then(() => {
+                // Wait for the app to send SKIP_WAITING
                 console.log('[SW] Static files cached');
-                return self.skipWaiting();
             })
             .catch((error) => {
+                // Keep the current version rather than activate a partial cache
                 console.error('[SW] Cache installation failed:', error);
+                throw error;
             })
     );
 });
@@ -108,6 +122,11 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
+    // Leave backend API requests (any other origin) to the network, so syncs never read stale data
+    if (url.origin !== self.location.origin) {
+        return;
+    }
+
     // Handle app requests - cache first with network fallback
     event.respondWith(cacheFirst(request));
 });
@@ -120,8 +139,7 @@ async function cacheFirst(request) {
     const cachedResponse = await caches.match(request);
 
     if (cachedResponse) {
-        // Return cached response and update cache in background
-        updateCache(request);
+        // Cached files belong to this version; a new version brings its own cache
         return cachedResponse;
     }
 
@@ -140,7 +158,7 @@ async function cacheFirst(request) {
 
         // Return offline fallback for navigation requests
         if (request.mode === 'navigate') {
-            return caches.match('/index.html');
+            return caches.match('./index.html');
         }
 
         throw error;
@@ -173,21 +191,8 @@ async function networkFirst(request) {
     }
 }
 
-/**
- * Update cache in background
- */
-async function updateCache(request) {
-    try {
-        const networkResponse = await fetch(request);
-
-        if (networkResponse.ok) {
-            const cache = await caches.open(STATIC_CACHE_NAME);
-            cache.put(request, networkResponse.clone());
-        }
-    } catch (error) {
-        // Silent fail - we already have a cached version
-    }
-}
+// Background upload in progress
+let backgroundSyncRun = Promise.resolve();
 
 /**
  * Background sync for pending data
@@ -195,23 +200,52 @@ async function updateCache(request) {
 self.addEventListener('sync', (event) => {
     console.log('[SW] Sync event:', event.tag);
 
-    if (event.tag === 'sync-pending-data') {
-        event.waitUntil(syncPendingData());
+    const profileId = Storage.getProfileIdFromSyncTag(event.tag);
+    if (profileId !== null) {
+        // Profiles share the Storage and adapter globals, so one upload at a time
+        backgroundSyncRun = backgroundSyncRun.catch(() => {}).then(() => syncPendingData(profileId));
+        event.waitUntil(backgroundSyncRun);
     }
 });
 
 /**
- * Sync pending data to Google Sheets
+ * Upload a profile's pending queue, telling open windows how it went
+ * Rejects when operations are still queued, so the browser tries again later.
+ * @param {string} profileId - The profile whose queue to upload
  */
-async function syncPendingData() {
-    // This would be implemented with the actual sync logic
-    // For now, we just notify the client to handle sync
-    const clients = await self.clients.matchAll();
+async function syncPendingData(profileId) {
+    await notifyClients({ type: 'SYNC_STARTED', profileId });
+
+    let success = false;
+    try {
+        Storage.profileId = profileId;
+        Storage.db = await Storage.openDatabase();
+        const settings = await Storage.getBackgroundSyncSettings();
+        success = settings ? await Backend.processPendingSyncWith(settings) : true;
+    } catch (error) {
+        console.error('[SW] Background sync failed:', error);
+    } finally {
+        if (Storage.db) {
+            Storage.db.close();
+            Storage.db = null;
+        }
+    }
+
+    await notifyClients({ type: 'SYNC_COMPLETE', profileId, success });
+    if (!success) {
+        throw new Error('Pending uploads failed; waiting for the next retry');
+    }
+}
+
+/**
+ * Send a message to every open window of the app
+ * @param {Object} message - The message
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
 
     clients.forEach((client) => {
-        client.postMessage({
-            type: 'SYNC_REQUESTED'
-        });
+        client.postMessage(message);
     });
 }
 
@@ -0,0 +1,221 @@
+/**
+ * Disc Golf Tracker - Backend Module Tests
+ */
+
+(function() {
+    // Get TestRunner from global scope (works in both browser and Node.js)
+    const TR = (typeof TestRunner !== 'undefined') ? TestRunner : window.TestRunner;
+    const test = TR.test.bind(TR);
+    const assertEqual = TR.assertEqual.bind(TR);
+    const assertTrue = TR.assertTrue.bind(TR);
+    const assertFalse = TR.assertFalse.bind(TR);
+
+    /**
+     * Run a test body and put every app storage key back afterwards
+     * @param {Function} fn - Test body
+     */
+    async function withSavedStorage(fn) {
+        const keys = Object.values(CONFIG.storageKeys);
+        const saved = keys.map(key => localStorage.getItem(key));
+        const originalUrl = RestAPI.getBaseUrl();
+        const originalApiUrl = SheetsAPI.getBaseUrl();
+
+        try {
+            await fn();
+        } finally {
+            keys.forEach((key, i) => {
+                if (saved[i] === null) {
+                    localStorage.removeItem(key);
+                } else {
+                    localStorage.setItem(key, saved[i]);
+                }
+            });
+            RestAPI.setBaseUrl(originalUrl);
+            SheetsAPI.setBaseUrl(originalApiUrl);
+        }
+    }
+
+    // =========================================
+    // Adapter Selection Tests
+    // =========================================
+
+    test('Backend uses Google Sheets until another adapter is chosen', async function() {
+        await withSavedStorage(async function() {
+            localStorage.removeItem(CONFIG.storageKeys.backend);
+            assertEqual(Backend.getAdapter(), SheetsAPI);
+
+            Backend.setAdapter('rest');
+            assertEqual(Backend.getAdapter(), RestAPI);
+            assertTrue(Backend.isRemote());
+        });
+    });
+
+    test('Backend.setAdapter rejects unknown adapters', async function() {
+        await withSavedStorage(async function() {
+            let error = null;
+            try {
+                Backend.setAdapter('ftp');
+            } catch (e) {
+                error = e;
+            }
+            assertTrue(error !== null);
+            assertEqual(Backend.getAdapterId(), Storage.getBackendId() || 'sheets');
+        });
+    });
+
+    test('Backend.loadSettings configures the REST adapter from storage', async function() {
+        await withSavedStorage(async function() {
+            Storage.setRestBaseUrl('https://dg.example.com/api');
+            Backend.loadSettings();
+            assertEqual(RestAPI.getBaseUrl(), 'https://dg.example.com/api');
+            assertTrue(RestAPI.isConfigured());
+        });
+    });
+
+    test('Backend.loadSettings points the sheets adapter at a saved API URL', async function() {
+        await withSavedStorage(async function() {
+            Storage.setApiBaseUrl('https://staging.example.com/sheetsApi');
+            Backend.loadSettings();
+            assertEqual(SheetsAPI.getBaseUrl(), 'https://staging.example.com/sheetsApi');
+
+            Storage.setApiBaseUrl(null);
+            Backend.loadSettings();
+            assertEqual(SheetsAPI.getBaseUrl(), CONFIG.api.baseUrl);
+        });
+    });
+
+    // =========================================
+    // Local Adapter Tests
+    // =========================================
+
+    test('Local-only backend never syncs and keeps queued uploads', async function() {
+        await withSavedStorage(async function() {
+            Backend.setAdapter('local');
+            Storage.remove(CONFIG.storageKeys.lastSync);
+            await Storage.addPendingSync({ type: 'savePlayer', data: { player_id: 'p1' } });
+
+            assertFalse(Backend.isRemote());
+            assertTrue(Backend.isConfigured());
+            assertEqual((await Backend.sync()).conflicts.length, 0);
+            assertTrue(await Backend.processPendingSync());
+            assertEqual((await Storage.getPendingSync()).length, 1, 'Uploads wait for a remote backend');
+            assertEqual(Storage.getLastSync(), null, 'Nothing was synced');
+        });
+    });
+
+    // =========================================
+    // Sync Tests
+    // =========================================
+
+    test('Backend.sync pulls from the selected adapter, then uploads the queue', async function() {
+        await withSavedStorage(async function() {
+            const calls = [];
+            const originalPull = RestAPI.pull;
+            const originalProcess = RestAPI.processPendingSync;
+            RestAPI.pull = async function(options) {
+                calls.push(options.updatedSince ? 'pull delta' : 'pull full');
+                return { players: [{ player_id: 'p9', player_name: 'Robin', created_date: '2024-06-01' }] };
+            };
+            let uploaded = true;
+            RestAPI.processPendingSync = async function() {
+                calls.push('upload');
+                return uploaded;
+            };
+
+            try {
+                Storage.set(CONFIG.storageKeys.players, []);
+                Storage.setRestBaseUrl('https://dg.example.com/api');
+                Backend.loadSettings();
+                Backend.setAdapter('rest');
+                Sync.reset();
+
+                assertTrue((await Backend.sync()).uploaded);
+                uploaded = false;
+                assertFalse((await Backend.sync()).uploaded, 'Failed uploads should be reported');
+
+                assertEqual(calls.join(','), 'pull full,upload,pull delta,upload');
+                const players = await Storage.getAll('players');
+                assertEqual(players.map(p => p.player_id).join(','), 'p9');
+            } finally {
+                RestAPI.pull = originalPull;
+                RestAPI.processPendingSync = originalProcess;
+            }
+        });
+    });
+
+    test('Backend.processPendingSyncWith uploads with settings saved for the service worker', async function() {
+        await withSavedStorage(async function() {
+            const originalProcess = RestAPI.processPendingSync;
+            const originalSheetsProcess = SheetsAPI.processPendingSync;
+            const originalSpreadsheetId = SheetsAPI.getSpreadsheetId();
+            const uploads = [];
+            RestAPI.processPendingSync = async function() {
+                uploads.push(`rest ${this.getBaseUrl()}`);
+                return false;
+            };
+            SheetsAPI.processPendingSync = async function() {
+                uploads.push('sheets');
+                return true;
+            };
+
+            try {
+                const settings = { backend: 'rest', apiBaseUrl: null, spreadsheetId: null, restBaseUrl: 'https://dg.example.com/api/' };
+                assertFalse(await Backend.processPendingSyncWith(settings));
+                assertTrue(await Backend.processPendingSyncWith({ ...settings, backend: 'sheets' }),
+                    'Without a spreadsheet there is nothing to upload to');
+                assertTrue(await Backend.processPendingSyncWith({ ...settings, backend: 'local' }));
+                assertEqual(uploads.join(','), 'rest https://dg.example.com/api');
+            } finally {
+                RestAPI.processPendingSync = originalProcess;
+                SheetsAPI.processPendingSync = originalSheetsProcess;
+                SheetsAPI.setSpreadsheetId(originalSpreadsheetId);
+            }
+        });
+    });
+
+    test('Backend.processPendingSync holds the profile upload lock when Web Locks exist', async function() {
+        await withSavedStorage(async function() {
+            const originalProcess = RestAPI.processPendingSync;
+            const locks = [];
+            navigator.locks = {
+                request(name, fn) {
+                    locks.push(name);
+                    return fn();
+                }
+            };
+            RestAPI.processPendingSync = async () => true;
+
+            try {
+                Backend.setAdapter('rest');
+                assertTrue(await Backend.processPendingSync());
+                assertEqual(locks.join(','), `${Storage.getDbName()}-upload`);
+            } finally {
+                delete navigator.locks;
+                RestAPI.processPendingSync = originalProcess;
+            }
+        });
+    });
+
+    test('Backend.processPendingSync runs one upload pass at a time', async function() {
+        await withSavedStorage(async function() {
+            const originalProcess = RestAPI.processPendingSync;
+            let running = 0;
+            let overlapped = false;
+            RestAPI.processPendingSync = async function() {
+                running++;
+                overlapped = overlapped || running > 1;
+                await new Promise(resolve => setTimeout(resolve, 5));
+                running--;
+                return true;
+            };
+
+            try {
+                Backend.setAdapter('rest');
+                await Promise.all([Backend.processPendingSync(), Backend.processPendingSync()]);
+                assertFalse(overlapped, 'Second pass should wait for the first');
+            } finally {
+                RestAPI.processPendingSync = originalProcess;
+            }
+        });
+    });
+})();
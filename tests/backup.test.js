@@ -0,0 +1,152 @@
+/**
+ * Disc Golf Tracker - Backup Module Tests
+ */
+
+(function() {
+    // Get TestRunner from global scope (works in both browser and Node.js)
+    const TR = (typeof TestRunner !== 'undefined') ? TestRunner : window.TestRunner;
+    const test = TR.test.bind(TR);
+    const assertEqual = TR.assertEqual.bind(TR);
+    const assertTrue = TR.assertTrue.bind(TR);
+    const assertFalse = TR.assertFalse.bind(TR);
+
+    function makeBackup(overrides = {}) {
+        return {
+            format: Backup.format,
+            version: Backup.version,
+            created_at: '2024-06-01T12:00:00.000Z',
+            stores: {
+                courses: [{ course_id: 'c1', course_name: 'Maple Hill' }],
+                rounds: [{ round_id: 'r1', course_id: 'c1' }]
+            },
+            currentRound: null,
+            pendingSync: [],
+            ...overrides
+        };
+    }
+
+    // Run a test on empty local data, putting back what was there
+    async function withSavedStorage(fn) {
+        const keys = Object.values(CONFIG.storageKeys);
+        const saved = keys.map(key => localStorage.getItem(key));
+        keys.forEach(key => localStorage.removeItem(key));
+
+        try {
+            await fn();
+        } finally {
+            keys.forEach((key, i) => {
+                if (saved[i] === null) {
+                    localStorage.removeItem(key);
+                } else {
+                    localStorage.setItem(key, saved[i]);
+                }
+            });
+        }
+    }
+
+    // =========================================
+    // validateBackup Tests
+    // =========================================
+
+    test('validateBackup accepts a current backup', function() {
+        const result = Backup.validateBackup(makeBackup());
+        assertTrue(result.isValid, result.message);
+    });
+
+    test('validateBackup rejects other files and newer versions', function() {
+        assertFalse(Backup.validateBackup({ hello: 'world' }).isValid, 'Unknown JSON should be rejected');
+        assertFalse(Backup.validateBackup(null).isValid, 'null should be rejected');
+
+        const newer = Backup.validateBackup(makeBackup({ version: Backup.version + 1 }));
+        assertFalse(newer.isValid, 'Newer schema version should be rejected');
+        assertTrue(newer.message.includes('newer version'), 'Message should explain the version problem');
+    });
+
+    test('validateBackup rejects records without a primary key', function() {
+        const result = Backup.validateBackup(makeBackup({
+            stores: { rounds: [{ course_id: 'c1' }] }
+        }));
+        assertFalse(result.isValid);
+        assertTrue(result.message.includes('rounds'), 'Message should name the damaged store');
+    });
+
+    // =========================================
+    // Merge Tests
+    // =========================================
+
+    test('mergeRecords keeps local records and adds missing ones', function() {
+        const { records, added } = Backup.mergeRecords(
+            [{ round_id: 'r1', total_score: 54 }],
+            [{ round_id: 'r1', total_score: 60 }, { round_id: 'r2', total_score: 58 }],
+            'round_id'
+        );
+        assertEqual(added, 1);
+        assertEqual(records.length, 2);
+        assertEqual(records.find(r => r.round_id === 'r1').total_score, 54, 'Local record should win');
+    });
+
+    test('mergePendingSync skips duplicates and keeps operation order', function() {
+        const op1 = { type: 'saveRound', data: { round_id: 'r1' }, timestamp: '2024-06-01T10:00:00.000Z' };
+        const op2 = { type: 'saveScores', data: [], timestamp: '2024-06-01T10:00:01.000Z' };
+        const op3 = { type: 'savePlayer', data: { player_id: 'p1' }, timestamp: '2024-06-02T09:00:00.000Z' };
+
+        const { operations, added } = Backup.mergePendingSync([op3], [op1, op2, op3]);
+        assertEqual(added, 2);
+        assertEqual(operations.map(op => op.type).join(','), 'saveRound,saveScores,savePlayer');
+    });
+
+    // =========================================
+    // restoreBackup Tests
+    // =========================================
+
+    test('restoreBackup skips pending changes a later sync may have uploaded', async function() {
+        await withSavedStorage(async function() {
+            const backup = makeBackup({
+                pendingSync: [
+                    { id: 'op1', type: 'saveRound', data: { round_id: 'r1' }, timestamp: '2024-06-01T11:00:00.000Z' },
+                    { id: 'op2', type: 'savePlayer', data: { player_id: 'p1' }, timestamp: '2024-06-01T11:30:00.000Z' }
+                ]
+            });
+            // The queue drained in a sync after the backup was made
+            Storage.updateLastSync('2024-06-01T12:30:00.000Z');
+
+            assertEqual((await Backup.getStalePendingSync(backup)).length, 2);
+            const result = await Backup.restoreBackup(backup);
+            assertEqual(result.pendingSync, 0);
+            assertEqual((await Storage.getPendingSync()).length, 0, 'Drained operations should not be queued again');
+            assertEqual(result.rounds, 1, 'Records are still restored');
+
+            await Backup.restoreBackup(backup, { includeStale: true });
+            assertEqual((await Storage.getPendingSync()).map(op => op.id).join(','), 'op1,op2');
+        });
+    });
+
+    test('restoreBackup queues pending changes made since the last sync', async function() {
+        await withSavedStorage(async function() {
+            const backup = makeBackup({
+                pendingSync: [
+                    { id: 'op1', type: 'saveRound', data: { round_id: 'r1' }, timestamp: '2024-06-01T09:00:00.000Z' },
+                    { id: 'op2', type: 'savePlayer', data: { player_id: 'p1' }, timestamp: '2024-06-01T11:00:00.000Z' }
+                ]
+            });
+            Storage.updateLastSync('2024-06-01T10:00:00.000Z');
+
+            const stale = await Backup.getStalePendingSync(backup);
+            assertEqual(stale.map(op => op.id).join(','), 'op1');
+            const result = await Backup.restoreBackup(backup);
+            assertEqual(result.pendingSync, 1);
+            assertEqual((await Storage.getPendingSync()).map(op => op.id).join(','), 'op2');
+        });
+    });
+
+    test('restoreBackup queues every pending change on a device that never synced', async function() {
+        await withSavedStorage(async function() {
+            const backup = makeBackup({
+                pendingSync: [{ id: 'op1', type: 'savePlayer', data: { player_id: 'p1' }, timestamp: '2024-06-01T11:00:00.000Z' }]
+            });
+
+            assertEqual((await Backup.getStalePendingSync(backup)).length, 0);
+            assertEqual((await Backup.restoreBackup(backup)).pendingSync, 1);
+        });
+    });
+})();
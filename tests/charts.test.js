@@ -0,0 +1,45 @@
+/**
+ * Disc Golf Tracker - Charts Module Tests
+ */
+
+(function() {
+    // Get TestRunner from global scope (works in both browser and Node.js)
+    const TR = (typeof TestRunner !== 'undefined') ? TestRunner : window.TestRunner;
+    const test = TR.test.bind(TR);
+    const assertEqual = TR.assertEqual.bind(TR);
+    const assertTrue = TR.assertTrue.bind(TR);
+
+    const series = [
+        { date: '2024-05-01T15:00:00.000Z', score: 4 },
+        { date: '2024-06-01T15:00:00.000Z', score: 3 },
+        { date: '2024-07-01T15:00:00.000Z', score: 2 }
+    ];
+
+    function countMatches(markup, pattern) {
+        return (markup.match(pattern) || []).length;
+    }
+
+    // =========================================
+    // trendChart Tests
+    // =========================================
+
+    test('trendChart returns empty markup with too few points', function() {
+        assertEqual(Charts.trendChart([]), '');
+        assertEqual(Charts.trendChart([series[0]]), '');
+    });
+
+    test('trendChart draws one point per round plus an average line', function() {
+        const svg = Charts.trendChart(series, { referenceValue: 3, referenceLabel: 'Par' });
+        assertTrue(svg.startsWith('<svg'), 'Should return SVG markup');
+        assertEqual(countMatches(svg, /<circle class="trend-point"/g), 3, 'Should draw 3 points');
+        assertTrue(svg.includes('class="trend-average"'), 'Should draw the rolling average');
+        assertTrue(svg.includes('class="trend-reference"'), 'Should draw the par line');
+    });
+
+    test('trendChart draws higher values higher on the chart', function() {
+        const box = { left: 0, top: 0, width: 100, height: 100, min: 2, max: 4 };
+        assertEqual(Charts.scaleY(4, box), 0, 'Max value should be at the top');
+        assertEqual(Charts.scaleY(2, box), 100, 'Min value should be at the bottom');
+        assertEqual(Charts.scaleX(2, 3, box), 100, 'Last point should be at the right edge');
+    });
+})();
@@ -0,0 +1,46 @@
+/**
+ * Disc Golf Tracker - Course Editor Module Tests
+ */
+
+(function() {
+    // Get TestRunner from global scope (works in both browser and Node.js)
+    const TR = (typeof TestRunner !== 'undefined') ? TestRunner : window.TestRunner;
+    const test = TR.test.bind(TR);
+    const assertEqual = TR.assertEqual.bind(TR);
+    const assertTrue = TR.assertTrue.bind(TR);
+
+    // =========================================
+    // Hole Editing Tests
+    // =========================================
+
+    test('resizeHoles adds new holes and restores removed ones', function() {
+        const saved = [1, 2, 3].map(n => ({ hole_id: `h${n}`, hole_number: n, par: 3 }));
+        const createHole = n => ({ hole_id: `new${n}`, hole_number: n, par: 3 });
+
+        const shrunk = CourseEditor.resizeHoles(saved, 2, saved, createHole);
+        assertEqual(shrunk.map(h => h.hole_id).join(','), 'h1,h2');
+
+        const grown = CourseEditor.resizeHoles(shrunk, 4, saved, createHole);
+        assertEqual(grown.map(h => h.hole_id).join(','), 'h1,h2,h3,new4', 'Hole 3 keeps its ID');
+        assertTrue(grown[2] !== saved[2], 'Restored holes are copies');
+        assertEqual(saved.length, 3, 'Saved holes are not changed');
+    });
+
+    test('diffHoles tells added, changed and removed holes apart', function() {
+        const saved = [
+            { hole_id: 'h1', hole_number: 1, par: 3, distance: null },
+            { hole_id: 'h2', hole_number: 2, par: 3, distance: 250 },
+            { hole_id: 'h3', hole_number: 3, par: 4, distance: null }
+        ];
+        const edited = [
+            { ...saved[0] },
+            { ...saved[1], par: 4 },
+            { hole_id: 'h9', hole_number: 3, par: 3, distance: null }
+        ];
+
+        const { newHoles, changedHoles, removedHoles } = CourseEditor.diffHoles(saved, edited);
+        assertEqual(newHoles.map(h => h.hole_id).join(','), 'h9');
+        assertEqual(changedHoles.map(h => h.hole_id).join(','), 'h2');
+        assertEqual(removedHoles.map(h => h.hole_id).join(','), 'h3');
+    });
+})();
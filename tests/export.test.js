@@ -0,0 +1,74 @@
+/**
+ * Disc Golf Tracker - Export Module Tests
+ */
+
+(function() {
+    // Get TestRunner from global scope (works in both browser and Node.js)
+    const TR = (typeof TestRunner !== 'undefined') ? TestRunner : window.TestRunner;
+    const test = TR.test.bind(TR);
+    const assertEqual = TR.assertEqual.bind(TR);
+    const assertTrue = TR.assertTrue.bind(TR);
+
+    // =========================================
+    // toCSV Tests
+    // =========================================
+
+    test('escapeValue quotes commas, quotes and newlines', function() {
+        assertEqual(Export.escapeValue('Maple Hill'), 'Maple Hill');
+        assertEqual(Export.escapeValue('Hill, The'), '"Hill, The"');
+        assertEqual(Export.escapeValue('The "Rock"'), '"The ""Rock"""');
+        assertEqual(Export.escapeValue('a\nb'), '"a\nb"');
+    });
+
+    test('escapeValue writes booleans and empty values like the Sheet', function() {
+        assertEqual(Export.escapeValue(true), 'TRUE');
+        assertEqual(Export.escapeValue(false), 'FALSE');
+        assertEqual(Export.escapeValue(null), '');
+        assertEqual(Export.escapeValue(undefined), '');
+        assertEqual(Export.escapeValue(0), '0');
+    });
+
+    test('toCSV writes a header row and columns in header order', function() {
+        const csv = Export.toCSV(
+            [{ course_name: 'Maple Hill', course_id: 'c1', extra: 'ignored' }],
+            ['course_id', 'course_name']
+        );
+        assertEqual(csv, 'course_id,course_name\r\nc1,Maple Hill\r\n');
+    });
+
+    test('entity exports use the Sheet headers', function() {
+        Export.entities.forEach(entity => {
+            assertTrue(Array.isArray(CONFIG.sheetHeaders[entity]), `Missing sheet headers for ${entity}`);
+        });
+    });
+
+    // =========================================
+    // buildScorecardRows Tests
+    // =========================================
+
+    test('buildScorecardRows joins rounds, holes, courses and players', function() {
+        const rows = Export.buildScorecardRows({
+            courses: [{ course_id: 'c1', course_name: 'Maple Hill' }],
+            holes: [
+                { hole_id: 'h1', course_id: 'c1', hole_number: 1, par: 3, distance: 280 },
+                { hole_id: 'h2', course_id: 'c1', hole_number: 2, par: 4, distance: null }
+            ],
+            layouts: [],
+            rounds: [{ round_id: 'r1', course_id: 'c1', round_date: '2024-06-01T15:00:00.000Z' }],
+            scores: [
+                { round_id: 'r1', hole_id: 'h2', hole_number: 2, throws: 5, approaches: 1, putts: 2, player_id: 'p1' },
+                { round_id: 'r1', hole_id: 'h1', hole_number: 1, throws: 2, approaches: 0, putts: 1, player_id: 'p1' },
+                { round_id: 'missing', hole_id: 'h1', hole_number: 1, throws: 3, player_id: 'p1' }
+            ],
+            players: [{ player_id: 'p1', player_name: 'Sam' }]
+        });
+
+        assertEqual(rows.length, 2, 'Scores without a round should be skipped');
+        assertEqual(rows[0].hole_number, 1, 'Rows should be in hole order');
+        assertEqual(rows[0].course_name, 'Maple Hill');
+        assertEqual(rows[0].layout_name, 'Main');
+        assertEqual(rows[0].player_name, 'Sam');
+        assertEqual(rows[0].relative_to_par, -1);
+        assertEqual(rows[1].relative_to_par, 1);
+    });
+})();
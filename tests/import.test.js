@@ -0,0 +1,166 @@
+/**
+ * Disc Golf Tracker - Import Module Tests
+ */
+
+(function() {
+    // Get TestRunner from global scope (works in both browser and Node.js)
+    const TR = (typeof TestRunner !== 'undefined') ? TestRunner : window.TestRunner;
+    const test = TR.test.bind(TR);
+    const assertEqual = TR.assertEqual.bind(TR);
+    const assertNull = TR.assertNull.bind(TR);
+    const assertTrue = TR.assertTrue.bind(TR);
+    const assertDeepEqual = TR.assertDeepEqual.bind(TR);
+
+    const udiscCSV = [
+        'PlayerName,CourseName,LayoutName,StartDate,EndDate,Total,+/-,RoundRating,Hole1,Hole2,Hole3',
+        'Par,Maple Hill,Main,2024-05-14 1527,2024-05-14 1702,10,,,3,3,4',
+        'Sam,Maple Hill,Main,2024-05-14 1527,2024-05-14 1702,9,-1,,2,3,4',
+        'Alex,Maple Hill,Main,2024-05-14 1527,2024-05-14 1702,12,+2,,4,4,4',
+        'Par,Riverside Park,Main,2024-06-01 0930,2024-06-01 1100,9,,,3,3,3',
+        'Sam,Riverside Park,Main,2024-06-01 0930,2024-06-01 1100,10,+1,,3,4,3'
+    ].join('\r\n');
+
+    function emptyData() {
+        return { courses: [], holes: [], rounds: [], players: [] };
+    }
+
+    // =========================================
+    // parseCSV Tests
+    // =========================================
+
+    test('parseCSV handles quoted commas, escaped quotes and CRLF', function() {
+        const rows = Import.parseCSV('a,"b, c","say ""hi"""\r\n1,2,3\r\n\r\n');
+        assertEqual(rows.length, 2, 'Blank lines should be dropped');
+        assertDeepEqual(rows[0], ['a', 'b, c', 'say "hi"']);
+        assertDeepEqual(rows[1], ['1', '2', '3']);
+    });
+
+    test('parseUDiscDate reads UDisc timestamps as local time', function() {
+        const iso = Import.parseUDiscDate('2024-05-14 1527');
+        const date = new Date(iso);
+        assertEqual(date.getFullYear(), 2024);
+        assertEqual(date.getMonth(), 4);
+        assertEqual(date.getDate(), 14);
+        assertEqual(date.getHours(), 15);
+        assertEqual(date.getMinutes(), 27);
+        assertNull(Import.parseUDiscDate('May 14'), 'Unknown formats should be rejected');
+    });
+
+    // =========================================
+    // parseUDiscCSV Tests
+    // =========================================
+
+    test('parseUDiscCSV groups player rows under their Par row', function() {
+        const { rounds, errors } = Import.parseUDiscCSV(udiscCSV);
+        assertEqual(errors.length, 0);
+        assertEqual(rounds.length, 2);
+        assertEqual(rounds[0].courseName, 'Maple Hill');
+        assertEqual(rounds[0].pars.length, 3);
+        assertEqual(rounds[0].players.length, 2);
+        assertEqual(rounds[0].players[1].name, 'Alex');
+        assertEqual(rounds[0].players[1].throws[0].value, 4);
+    });
+
+    test('parseUDiscCSV rejects files without UDisc columns', function() {
+        const { rounds, errors } = Import.parseUDiscCSV('name,score\nSam,54');
+        assertEqual(rounds.length, 0);
+        assertEqual(errors.length, 1);
+    });
+
+    // =========================================
+    // buildImportPlan Tests
+    // =========================================
+
+    test('buildImportPlan creates new courses, holes, players and scores', function() {
+        const { rounds } = Import.parseUDiscCSV(udiscCSV);
+        const plan = Import.buildImportPlan(rounds, emptyData());
+
+        assertEqual(plan.courses.length, 2);
+        assertEqual(plan.courses[0].hole_count, 3);
+        assertEqual(plan.holes.length, 6);
+        assertEqual(plan.players.length, 2);
+        assertEqual(plan.rounds.length, 2);
+        assertEqual(plan.scores.length, 9);
+        assertTrue(plan.summary.every(s => s.isNew), 'Both courses should be new');
+        assertEqual(plan.rounds[0].total_score, 9, 'Totals should follow the first player');
+        assertEqual(plan.rounds[0].total_par, 10);
+        assertTrue(plan.rounds.every(r => r.completed), 'Imported rounds are completed');
+    });
+
+    test('buildImportPlan merges by course name and hole number', function() {
+        const { rounds } = Import.parseUDiscCSV(udiscCSV);
+        const existing = emptyData();
+        existing.courses = [{ course_id: 'c1', course_name: 'maple hill', hole_count: 2 }];
+        existing.holes = [
+            { hole_id: 'h1', course_id: 'c1', hole_number: 1, par: 3 },
+            { hole_id: 'h2', course_id: 'c1', hole_number: 2, par: 3 }
+        ];
+        existing.players = [{ player_id: 'p1', player_name: 'Sam' }];
+
+        const plan = Import.buildImportPlan(rounds, existing);
+        const maple = plan.summary.find(s => s.course_id === 'c1');
+
+        assertEqual(maple.isNew, false);
+        assertEqual(maple.newHoleCount, 1, 'Only hole 3 should be added');
+        assertEqual(plan.courses.length, 1, 'Only Riverside Park is new');
+        assertEqual(plan.updatedCourses.length, 1);
+        assertEqual(plan.updatedCourses[0].hole_count, 3, 'The merged course should grow to fit hole 3');
+        assertEqual(plan.updatedCourses[0].last_played, plan.rounds[0].round_date);
+        assertEqual(existing.courses[0].hole_count, 2, 'Existing records are left alone until the plan is applied');
+        assertEqual(plan.players.length, 1, 'Sam should be reused');
+        assertTrue(plan.scores.some(s => s.hole_id === 'h1' && s.player_id === 'p1'), 'Scores should use the existing hole');
+    });
+
+    test('buildImportPlan leaves an existing course alone when nothing about it changes', function() {
+        const { rounds } = Import.parseUDiscCSV(udiscCSV);
+        const existing = emptyData();
+        existing.courses = [{ course_id: 'c1', course_name: 'Maple Hill', hole_count: 18, last_played: '2030-01-01T12:00:00.000Z' }];
+
+        const plan = Import.buildImportPlan(rounds, existing);
+        assertEqual(plan.updatedCourses.length, 0);
+        assertEqual(plan.rounds.filter(r => r.course_id === 'c1').length, 1);
+    });
+
+    test('applyImportPlan saves and queues changes to existing courses', async function() {
+        const { rounds } = Import.parseUDiscCSV(udiscCSV);
+        const existing = emptyData();
+        existing.courses = [{ course_id: 'c-import', course_name: 'Maple Hill', hole_count: 2, last_played: null }];
+        const keys = ['courses', 'holes', 'players', 'rounds', 'scores'].map(store => CONFIG.storageKeys[store]);
+        const saved = keys.map(key => localStorage.getItem(key));
+
+        try {
+            await Storage.clearPendingSync();
+            await Import.applyImportPlan(Import.buildImportPlan(rounds, existing));
+
+            const course = await Storage.getById('courses', 'c-import');
+            assertEqual(course.hole_count, 3);
+            const queued = (await Storage.getPendingSync()).filter(op => op.type === 'updateCourse');
+            assertEqual(queued.length, 1);
+            assertEqual(queued[0].data.course_id, 'c-import');
+        } finally {
+            await Storage.clearPendingSync();
+            keys.forEach((key, i) => {
+                if (saved[i] === null) {
+                    localStorage.removeItem(key);
+                } else {
+                    localStorage.setItem(key, saved[i]);
+                }
+            });
+        }
+    });
+
+    test('buildImportPlan skips rounds already imported and invalid course names', function() {
+        const { rounds } = Import.parseUDiscCSV(udiscCSV.replace(/Riverside Park/g, 'Riverside & Co'));
+        const first = Import.buildImportPlan(rounds, emptyData());
+        assertEqual(first.rounds.length, 1, 'Invalid course name should be skipped');
+        assertEqual(first.skipped.length, 1);
+
+        const again = Import.buildImportPlan(rounds, {
+            courses: first.courses,
+            holes: first.holes,
+            rounds: first.rounds,
+            players: first.players
+        });
+        assertEqual(again.rounds.length, 0, 'Re-importing should not duplicate rounds');
+    });
+})();
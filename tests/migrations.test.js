@@ -0,0 +1,480 @@
+/**
+ * Disc Golf Tracker - Database Migrations Tests
+ *
+ * Uses the browser's IndexedDB when there is one, and a small in-memory
+ * stand-in under Node.
+ */
+
+(function() {
+    // Get TestRunner from global scope (works in both browser and Node.js)
+    const TR = (typeof TestRunner !== 'undefined') ? TestRunner : window.TestRunner;
+    const test = TR.test.bind(TR);
+    const assertEqual = TR.assertEqual.bind(TR);
+    const assertTrue = TR.assertTrue.bind(TR);
+    const assertFalse = TR.assertFalse.bind(TR);
+
+    /**
+     * Create an error shaped like the DOMExceptions IndexedDB raises
+     */
+    function domError(name, message) {
+        const error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    /**
+     * Create an in-memory IndexedDB with the parts Migrations and Storage use
+     * Requests succeed asynchronously in the order they were made, a
+     * transaction commits once it has no requests left, and an aborted
+     * transaction puts back everything it changed.
+     * @returns {Object} Object with open(name, version) and deleteDatabase(name)
+     */
+    function createMemoryIndexedDB() {
+        const databases = {};
+        const later = fn => setTimeout(fn, 0);
+        const clone = value => JSON.parse(JSON.stringify(value));
+        const stringList = names => Object.assign(names.slice().sort(), {
+            contains(name) { return this.includes(name); }
+        });
+
+        function copyStores(stores) {
+            const copy = {};
+            Object.entries(stores).forEach(([name, store]) => {
+                copy[name] = { ...store, indexes: { ...store.indexes }, records: new Map(store.records) };
+            });
+            return copy;
+        }
+
+        function sortedRecords(store) {
+            return [...store.records.keys()]
+                .sort((a, b) => (typeof a === typeof b ? (a < b ? -1 : a > b ? 1 : 0) : typeof a === 'number' ? -1 : 1))
+                .map(key => clone(store.records.get(key)));
+        }
+
+        function createTransaction(data, storeNames, mode, onFinish) {
+            const snapshot = { version: data.version, stores: copyStores(data.stores) };
+            let pending = 0;
+            let finished = false;
+
+            const transaction = {
+                mode,
+                error: null,
+                oncomplete: null,
+                onabort: null,
+
+                objectStore(name) {
+                    if ((storeNames && !storeNames.includes(name)) || !data.stores[name]) {
+                        throw domError('NotFoundError', `No object store named ${name}`);
+                    }
+                    return createStoreApi(transaction, data.stores[name], name);
+                },
+
+                abort() {
+                    if (finished) return;
+                    finished = true;
+                    transaction.error = domError('AbortError', 'The transaction was aborted');
+                    data.version = snapshot.version;
+                    data.stores = snapshot.stores;
+                    if (transaction.onabort) transaction.onabort({ target: transaction });
+                    if (onFinish) onFinish(false, transaction.error);
+                },
+
+                request(run) {
+                    const request = { result: undefined, error: null, onsuccess: null, onerror: null };
+                    pending++;
+                    later(() => {
+                        pending--;
+                        if (finished) return;
+                        try {
+                            request.result = run();
+                        } catch (error) {
+                            request.error = error;
+                            if (request.onerror) request.onerror({ target: request });
+                            transaction.abort();
+                            return;
+                        }
+                        try {
+                            if (request.onsuccess) request.onsuccess({ target: request });
+                        } catch (error) {
+                            transaction.abort();
+                            return;
+                        }
+                        transaction.settle();
+                    });
+                    return request;
+                },
+
+                settle() {
+                    later(() => {
+                        if (finished || pending > 0) return;
+                        finished = true;
+                        if (transaction.oncomplete) transaction.oncomplete({ target: transaction });
+                        if (onFinish) onFinish(true);
+                    });
+                }
+            };
+
+            transaction.settle();
+            return transaction;
+        }
+
+        function createStoreApi(transaction, store, name) {
+            const write = run => {
+                if (transaction.mode === 'readonly') {
+                    throw domError('ReadOnlyError', `The transaction is read-only: ${name}`);
+                }
+                return transaction.request(run);
+            };
+            const keyOf = record => {
+                if (record[store.keyPath] === undefined && store.autoIncrement) {
+                    record[store.keyPath] = store.nextKey++;
+                }
+                if (record[store.keyPath] === undefined) {
+                    throw domError('DataError', `Record has no ${store.keyPath}`);
+                }
+                return record[store.keyPath];
+            };
+
+            return {
+                name,
+                keyPath: store.keyPath,
+                autoIncrement: store.autoIncrement,
+                indexNames: stringList(Object.keys(store.indexes)),
+
+                createIndex(indexName, keyPath) {
+                    if (transaction.mode !== 'versionchange') {
+                        throw domError('InvalidStateError', 'Indexes can only be created during an upgrade');
+                    }
+                    store.indexes[indexName] = keyPath;
+                },
+
+                index(indexName) {
+                    if (!(indexName in store.indexes)) {
+                        throw domError('NotFoundError', `No index named ${indexName}`);
+                    }
+                    const keyPath = store.indexes[indexName];
+                    return {
+                        getAll: value => transaction.request(() => sortedRecords(store).filter(r => r[keyPath] === value))
+                    };
+                },
+
+                get: key => transaction.request(() => (store.records.has(key) ? clone(store.records.get(key)) : undefined)),
+                getAll: () => transaction.request(() => sortedRecords(store)),
+                put: record => write(() => {
+                    const copy = clone(record);
+                    store.records.set(keyOf(copy), copy);
+                    return copy[store.keyPath];
+                }),
+                delete: key => write(() => {
+                    store.records.delete(key);
+                })
+            };
+        }
+
+        function connect(name, data) {
+            let upgrade = null;
+            return {
+                name,
+                get version() { return data.version; },
+                get objectStoreNames() { return stringList(Object.keys(data.stores)); },
+
+                startUpgrade(transaction) {
+                    upgrade = transaction;
+                },
+
+                createObjectStore(storeName, options = {}) {
+                    if (!upgrade) {
+                        throw domError('InvalidStateError', 'Stores can only be created during an upgrade');
+                    }
+                    if (data.stores[storeName]) {
+                        throw domError('ConstraintError', `Object store ${storeName} already exists`);
+                    }
+                    data.stores[storeName] = {
+                        keyPath: options.keyPath,
+                        autoIncrement: !!options.autoIncrement,
+                        nextKey: 1,
+                        indexes: {},
+                        records: new Map()
+                    };
+                    return createStoreApi(upgrade, data.stores[storeName], storeName);
+                },
+
+                transaction(storeNames, mode = 'readonly') {
+                    const names = [].concat(storeNames);
+                    names.forEach(storeName => {
+                        if (!data.stores[storeName]) {
+                            throw domError('NotFoundError', `No object store named ${storeName}`);
+                        }
+                    });
+                    return createTransaction(data, names, mode);
+                },
+
+                close() {}
+            };
+        }
+
+        return {
+            open(name, version) {
+                const request = { result: undefined, error: null, transaction: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+                const fail = error => {
+                    request.result = undefined;
+                    request.error = error;
+                    if (request.onerror) request.onerror({ target: request });
+                };
+
+                later(() => {
+                    const data = databases[name] || { version: 0, stores: {} };
+                    if (version < data.version) {
+                        fail(domError('VersionError', `${name} is already at version ${data.version}`));
+                        return;
+                    }
+
+                    const db = connect(name, data);
+                    request.result = db;
+                    if (version === data.version) {
+                        request.onsuccess({ target: request });
+                        return;
+                    }
+
+                    const oldVersion = data.version;
+                    // The upgrade transaction covers every store
+                    const transaction = createTransaction(data, null, 'versionchange', (committed, error) => {
+                        request.transaction = null;
+                        db.startUpgrade(null);
+                        if (committed) {
+                            databases[name] = data;
+                            request.onsuccess({ target: request });
+                        } else {
+                            fail(error);
+                        }
+                    });
+                    data.version = version;
+                    request.transaction = transaction;
+                    db.startUpgrade(transaction);
+
+                    try {
+                        request.onupgradeneeded({ target: request, oldVersion, newVersion: version });
+                    } catch (error) {
+                        transaction.abort();
+                    }
+                });
+                return request;
+            },
+
+            deleteDatabase(name) {
+                const request = { onsuccess: null, onerror: null };
+                later(() => {
+                    delete databases[name];
+                    if (request.onsuccess) request.onsuccess({ target: request });
+                });
+                return request;
+            }
+        };
+    }
+
+    const factory = (typeof indexedDB !== 'undefined') ? indexedDB : createMemoryIndexedDB();
+    let databaseCount = 0;
+
+    /**
+     * Run a test body with a database name of its own, deleting the database afterwards
+     * Migration progress messages are silenced while it runs.
+     * @param {Function} fn - Test body, receives the database name
+     */
+    async function withDatabase(fn) {
+        const name = `DiscGolfTrackerDB_migration_test_${Date.now()}_${++databaseCount}`;
+        const originalLog = console.log;
+        console.log = () => {};
+        try {
+            await fn(name);
+        } finally {
+            console.log = originalLog;
+            await new Promise(resolve => {
+                const request = factory.deleteDatabase(name);
+                request.onsuccess = resolve;
+                request.onerror = resolve;
+            });
+        }
+    }
+
+    /**
+     * Save records and wait for the transaction to commit
+     */
+    function putRecords(db, storeName, records) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            records.forEach(record => store.put(record));
+            transaction.oncomplete = () => resolve();
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Wait for a read request made from a new transaction
+     */
+    function read(db, storeName, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(storeName, 'readonly').objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Data as the first release saved it: no players, layouts or settings
+    const V1_FIXTURE = {
+        courses: [
+            { course_id: 'c1', course_name: 'Maple Hill', hole_count: 2, created_date: '2023-05-01' }
+        ],
+        holes: [
+            { hole_id: 'h2', course_id: 'c1', hole_number: 2, par: 4 },
+            { hole_id: 'h1', course_id: 'c1', hole_number: 1, par: 3 }
+        ],
+        rounds: [
+            { round_id: 'r1', course_id: 'c1', date: '2023-05-02', total_score: 8, completed: true }
+        ],
+        scores: [
+            { score_id: 's1', round_id: 'r1', hole_id: 'h1', hole_number: 1, strokes: 3 },
+            { score_id: 's2', round_id: 'r1', hole_id: 'h2', hole_number: 2, strokes: 5 }
+        ]
+    };
+
+    /**
+     * Create a version 1 database holding V1_FIXTURE, then close it
+     * @param {string} name - The database name
+     */
+    async function createV1Database(name) {
+        const db = await Migrations.open(factory, name, Migrations.list.slice(0, 1));
+        for (const [storeName, records] of Object.entries(V1_FIXTURE)) {
+            await putRecords(db, storeName, records);
+        }
+        db.close();
+    }
+
+    // =========================================
+    // Registry Tests
+    // =========================================
+
+    test('Migrations are numbered from 1 with no gaps', function() {
+        Migrations.validate(Migrations.list);
+        assertEqual(Migrations.getLatestVersion(), Migrations.list.length);
+
+        const gap = [Migrations.list[0], { ...Migrations.list[2] }];
+        let error = null;
+        try {
+            Migrations.validate(gap);
+        } catch (e) {
+            error = e;
+        }
+        assertTrue(error !== null, 'A missing version should be rejected');
+    });
+
+    test('Migrations.run only runs migrations newer than the database', function() {
+        const ran = [];
+        const migrations = [1, 2, 3].map(version => ({
+            version,
+            description: `Step ${version}`,
+            migrate: () => ran.push(version)
+        }));
+
+        const originalLog = console.log;
+        console.log = () => {};
+        try {
+            Migrations.run({ name: 'test' }, null, 1, migrations);
+        } finally {
+            console.log = originalLog;
+        }
+        assertEqual(ran.join(','), '2,3');
+    });
+
+    // =========================================
+    // Upgrade Tests
+    // =========================================
+
+    test('A version 1 database upgrades to the latest schema and keeps its data', async function() {
+        await withDatabase(async function(name) {
+            await createV1Database(name);
+
+            const db = await Migrations.open(factory, name);
+            try {
+                assertEqual(db.version, Migrations.getLatestVersion());
+                ['courses', 'holes', 'rounds', 'scores', 'players', 'layouts', 'pendingSync', 'settings'].forEach(storeName => {
+                    assertTrue(db.objectStoreNames.contains(storeName), `Missing store: ${storeName}`);
+                });
+
+                for (const [storeName, records] of Object.entries(V1_FIXTURE)) {
+                    const saved = await read(db, storeName, store => store.getAll());
+                    assertEqual(saved.length, records.length, `${storeName} should keep every record`);
+                }
+                const holes = await read(db, 'holes', store => store.index('course_id').getAll('c1'));
+                assertEqual(holes.map(h => h.hole_id).join(','), 'h1,h2');
+                const score = await read(db, 'scores', store => store.get('s2'));
+                assertEqual(score.strokes, 5);
+
+                await putRecords(db, 'layouts', [{ layout_id: 'l1', course_id: 'c1', layout_name: 'Long tees' }]);
+                await putRecords(db, 'settings', [{ key: 'backgroundSync', backend: 'rest' }]);
+                const layouts = await read(db, 'layouts', store => store.index('course_id').getAll('c1'));
+                assertEqual(layouts.length, 1);
+            } finally {
+                db.close();
+            }
+        });
+    });
+
+    test('A migration can transform existing records and add indexes', async function() {
+        await withDatabase(async function(name) {
+            await createV1Database(name);
+            const migrations = [...Migrations.list, {
+                version: Migrations.getLatestVersion() + 1,
+                description: 'Give scores a player and drop scores without a hole',
+                migrate(db, transaction) {
+                    Migrations.updateRecords(transaction, 'scores', score =>
+                        (score.hole_id === 'h2' ? null : { ...score, player_id: score.player_id || 'p1' }));
+                    transaction.objectStore('scores').createIndex('player_id', 'player_id', { unique: false });
+                }
+            }];
+
+            const db = await Migrations.open(factory, name, migrations);
+            try {
+                assertEqual(db.version, migrations.length);
+                const scores = await read(db, 'scores', store => store.index('player_id').getAll('p1'));
+                assertEqual(scores.map(s => s.score_id).join(','), 's1');
+                assertEqual((await read(db, 'scores', store => store.getAll())).length, 1);
+            } finally {
+                db.close();
+            }
+        });
+    });
+
+    test('A failed migration leaves the database at its old version', async function() {
+        await withDatabase(async function(name) {
+            await createV1Database(name);
+            const migrations = [...Migrations.list.slice(0, 2), {
+                version: 3,
+                description: 'Broken',
+                migrate(db) {
+                    Migrations.createStore(db, 'layouts', { keyPath: 'layout_id' });
+                    throw new Error('Migration failed');
+                }
+            }];
+
+            let error = null;
+            try {
+                await Migrations.open(factory, name, migrations);
+            } catch (e) {
+                error = e;
+            }
+            assertTrue(error !== null);
+            assertEqual(error.message, 'Migration failed');
+
+            const db = await Migrations.open(factory, name, Migrations.list.slice(0, 1));
+            try {
+                assertEqual(db.version, 1);
+                assertFalse(db.objectStoreNames.contains('players'), 'Earlier steps of the upgrade are rolled back too');
+                assertFalse(db.objectStoreNames.contains('layouts'));
+                assertEqual((await read(db, 'rounds', store => store.getAll())).length, 1);
+            } finally {
+                db.close();
+            }
+        });
+    });
+})();
@@ -0,0 +1,189 @@
+/**
+ * Disc Golf Tracker - REST API Tests
+ *
+ * Runs RestAPI against an in-memory server by replacing `request`.
+ */
+
+(function() {
+    // Get TestRunner from global scope (works in both browser and Node.js)
+    const TR = (typeof TestRunner !== 'undefined') ? TestRunner : window.TestRunner;
+    const test = TR.test.bind(TR);
+    const assertEqual = TR.assertEqual.bind(TR);
+    const assertTrue = TR.assertTrue.bind(TR);
+    const assertFalse = TR.assertFalse.bind(TR);
+
+    /**
+     * Run a test body with RestAPI.request backed by an in-memory server
+     * @param {Object} options - failWhen(method, store): true to fail a request
+     * @param {Function} fn - Test body, receives the server's stores and the request log
+     */
+    async function withMockServer(options, fn) {
+        const server = {};
+        const requests = [];
+        const originalRequest = RestAPI.request;
+        const originalPending = localStorage.getItem(CONFIG.storageKeys.pendingSync);
+        const failWhen = options.failWhen || (() => false);
+
+        RestAPI.request = async function(path, requestOptions = {}) {
+            const [pathname, query = ''] = path.split('?');
+            const entity = pathname.slice(1);
+            const method = requestOptions.method || 'GET';
+            const body = requestOptions.body ? JSON.parse(requestOptions.body) : null;
+            requests.push(`${method} ${entity}`);
+
+            if (failWhen(method, entity)) {
+                throw new Error('Request failed with status 503');
+            }
+            if (entity === 'health') {
+                return { status: 'ok' };
+            }
+
+            const keyField = Sync.getKeyField(entity);
+            const store = server[entity] = server[entity] || [];
+
+            if (method === 'PUT') {
+                body.records.forEach(record => {
+                    const index = store.findIndex(r => r[keyField] === record[keyField]);
+                    if (index >= 0) {
+                        store[index] = record;
+                    } else {
+                        store.push(record);
+                    }
+                });
+                return { success: true };
+            }
+            if (method === 'DELETE') {
+                server[entity] = store.filter(r => !body.ids.includes(r[keyField]));
+                return undefined;
+            }
+
+            const since = query.startsWith('updatedSince=') ? decodeURIComponent(query.slice(13)) : null;
+            return { records: since ? store.filter(r => r.updated_at >= since) : store.slice() };
+        };
+
+        try {
+            await fn(server, requests);
+        } finally {
+            RestAPI.request = originalRequest;
+            if (originalPending === null) {
+                localStorage.removeItem(CONFIG.storageKeys.pendingSync);
+            } else {
+                localStorage.setItem(CONFIG.storageKeys.pendingSync, originalPending);
+            }
+        }
+    }
+
+    function makeScores(count, roundId = 'r1') {
+        return Array.from({ length: count }, (_, i) => ({
+            score_id: `${roundId}-s${i + 1}`,
+            round_id: roundId,
+            hole_id: `h${i + 1}`,
+            hole_number: i + 1,
+            throws: 3,
+            approaches: 0,
+            putts: 1,
+            created_at: '2024-06-01T12:00:00.000Z',
+            player_id: ''
+        }));
+    }
+
+    // =========================================
+    // Record Tests
+    // =========================================
+
+    test('RestAPI.putRecords upserts by ID and stamps the write time', async function() {
+        await withMockServer({}, async function(server) {
+            const before = new Date().toISOString();
+            await RestAPI.saveScores(makeScores(2));
+            await RestAPI.saveScores([{ ...makeScores(1)[0], throws: 5 }]);
+
+            assertEqual(server.scores.length, 2, 'Saving again should replace, not duplicate');
+            assertEqual(server.scores[0].throws, 5);
+            assertTrue(server.scores[0].updated_at >= before, 'updated_at should be the write time');
+        });
+    });
+
+    test('RestAPI.pull with updatedSince returns only records changed since then', async function() {
+        await withMockServer({}, async function(server) {
+            server.rounds = [
+                { round_id: 'r1', completed: true, updated_at: '2024-06-01T10:00:00.000Z' },
+                { round_id: 'r2', completed: true, updated_at: '2024-06-03T10:00:00.000Z' }
+            ];
+
+            const data = await RestAPI.pull({ updatedSince: '2024-06-02T00:00:00.000Z' });
+            assertEqual(data.rounds.map(r => r.round_id).join(','), 'r2');
+            assertEqual(data.courses.length, 0);
+        });
+    });
+
+    // =========================================
+    // processPendingSync Tests
+    // =========================================
+
+    test('RestAPI.processPendingSync sends consecutive writes to a store together', async function() {
+        await withMockServer({}, async function(server, requests) {
+            const scores = makeScores(2);
+            Storage.set(CONFIG.storageKeys.pendingSync, [
+                { type: 'upsertRound', data: { round_id: 'r1', completed: false } },
+                { type: 'upsertScores', data: [scores[0]] },
+                { type: 'upsertScores', data: [scores[1]] },
+                { type: 'saveRound', data: { round_id: 'r1', completed: true } }
+            ]);
+
+            assertTrue(await RestAPI.processPendingSync());
+            assertEqual(requests.join(','), 'PUT rounds,PUT scores,PUT rounds');
+            assertEqual(server.scores.length, 2);
+            assertTrue(server.rounds[0].completed, 'Latest round write should win');
+            assertEqual((await Storage.getPendingSync()).length, 0);
+        });
+    });
+
+    test('RestAPI.processPendingSync deletes a round with its scores', async function() {
+        await withMockServer({}, async function(server) {
+            server.rounds = [{ round_id: 'r1' }, { round_id: 'r2' }];
+            server.scores = [...makeScores(2, 'r1'), ...makeScores(1, 'r2')];
+            Storage.set(CONFIG.storageKeys.pendingSync, [{ type: 'deleteRound', data: { roundId: 'r1' } }]);
+
+            assertTrue(await RestAPI.processPendingSync());
+            assertEqual(server.rounds.map(r => r.round_id).join(','), 'r2');
+            assertEqual(server.scores.map(s => s.round_id).join(','), 'r2');
+        });
+    });
+
+    test('RestAPI.processPendingSync keeps failed operations queued', async function() {
+        const failWhen = (method, entity) => method === 'PUT' && entity === 'scores';
+        await withMockServer({ failWhen }, async function(server) {
+            Storage.set(CONFIG.storageKeys.pendingSync, [
+                { type: 'savePlayer', data: { player_id: 'p1', player_name: 'Sam' } },
+                { type: 'saveScores', data: makeScores(1) }
+            ]);
+
+            assertFalse(await RestAPI.processPendingSync());
+            assertEqual(server.players.length, 1);
+            const pending = await Storage.getPendingSync();
+            assertEqual(pending.length, 1);
+            assertEqual(pending[0].type, 'saveScores');
+            assertEqual(pending[0].attempts, 1);
+            assertEqual(pending[0].lastError, 'Request failed with status 503');
+        });
+    });
+
+    test('RestAPI.processPendingSync holds a round until its course has synced', async function() {
+        const failWhen = (method, entity) => method === 'PUT' && entity === 'holes';
+        await withMockServer({ failWhen }, async function(server, requests) {
+            await Storage.clearPendingSync();
+            await Storage.addPendingSync({ type: 'saveHoles', data: [{ hole_id: 'h1', course_id: 'c1', hole_number: 1 }] });
+            await Storage.addPendingSync({ type: 'upsertRound', data: { round_id: 'r1', course_id: 'c1' } });
+            await Storage.addPendingSync({ type: 'upsertScores', data: makeScores(1) });
+            await Storage.addPendingSync({ type: 'upsertRound', data: { round_id: 'r2', course_id: 'c2' } });
+
+            assertFalse(await RestAPI.processPendingSync());
+            assertEqual(requests.join(','), 'PUT holes,PUT rounds', 'Only the unrelated round is sent');
+            assertEqual(server.rounds.map(r => r.round_id).join(','), 'r2');
+
+            const pending = await Storage.getPendingSync();
+            assertEqual(pending.map(op => op.type).join(','), 'saveHoles,upsertRound,upsertScores', 'Queue order is kept');
+            assertEqual(pending.map(op => op.attempts).join(','), '1,0,0', 'Held operations were not attempted');
+        });
+    });
+})();
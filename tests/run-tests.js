@@ -14,6 +14,7 @@ const context = {
     console: console,
     setTimeout: setTimeout,
     clearTimeout: clearTimeout,
+    AbortController: AbortController,
     Date: Date,
     Math: Math,
     JSON: JSON,
@@ -69,6 +70,44 @@ function loadScript(filePath) {
     script.runInContext(context);
 }
 
+/**
+ * Start sw.js in a global scope of its own, the way the browser starts the worker
+ * Its importScripts loads the real app modules into that scope. Events are
+ * dispatched by calling scope.listeners[type], and messages posted to
+ * windows are collected in scope.messages.
+ * @returns {Object} The worker's global scope
+ */
+function loadServiceWorker() {
+    const rootDir = path.join(__dirname, '..');
+    const scope = {
+        console: console,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        URL: URL,
+        navigator: { onLine: true },
+        location: { origin: 'https://app.example.com' },
+        listeners: {},
+        messages: [],
+        caches: {},
+        clients: {
+            matchAll: async () => [{ postMessage: message => scope.messages.push(message) }]
+        },
+        addEventListener(type, listener) {
+            scope.listeners[type] = listener;
+        },
+        importScripts(...files) {
+            files.forEach(file => {
+                const filePath = path.join(rootDir, file);
+                new vm.Script(fs.readFileSync(filePath, 'utf8'), { filename: filePath }).runInContext(scope);
+            });
+        }
+    };
+    scope.self = scope;
+    vm.createContext(scope);
+    scope.importScripts('sw.js');
+    return scope;
+}
+
 // Load application files
 const jsDir = path.join(__dirname, '..', 'js');
 const testsDir = __dirname;
@@ -84,10 +123,58 @@ try {
     loadScript(path.join(jsDir, 'utils.js'));
     console.log('  Loaded: utils.js');
 
+    // Load database migrations
+    loadScript(path.join(jsDir, 'migrations.js'));
+    console.log('  Loaded: migrations.js');
+
+    // Load storage
+    loadScript(path.join(jsDir, 'storage.js'));
+    console.log('  Loaded: storage.js');
+
+    // Load sheets API
+    loadScript(path.join(jsDir, 'sheets-api.js'));
+    console.log('  Loaded: sheets-api.js');
+
+    // Load REST API
+    loadScript(path.join(jsDir, 'rest-api.js'));
+    console.log('  Loaded: rest-api.js');
+
+    // Load backend registry
+    loadScript(path.join(jsDir, 'backend.js'));
+    console.log('  Loaded: backend.js');
+
     // Load statistics
     loadScript(path.join(jsDir, 'statistics.js'));
     console.log('  Loaded: statistics.js');
 
+    // Load charts
+    loadScript(path.join(jsDir, 'charts.js'));
+    console.log('  Loaded: charts.js');
+
+    // Load export
+    loadScript(path.join(jsDir, 'export.js'));
+    console.log('  Loaded: export.js');
+
+    // Load import
+    loadScript(path.join(jsDir, 'import.js'));
+    console.log('  Loaded: import.js');
+
+    // Load backup
+    loadScript(path.join(jsDir, 'backup.js'));
+    console.log('  Loaded: backup.js');
+
+    // Load sync
+    loadScript(path.join(jsDir, 'sync.js'));
+    console.log('  Loaded: sync.js');
+
+    // Load sync scheduler
+    loadScript(path.join(jsDir, 'sync-scheduler.js'));
+    console.log('  Loaded: sync-scheduler.js');
+
+    // Load course editor
+    loadScript(path.join(jsDir, 'course-editor.js'));
+    console.log('  Loaded: course-editor.js');
+
     // Load test runner
     loadScript(path.join(testsDir, 'test-runner.js'));
     console.log('  Loaded: test-runner.js');
@@ -99,6 +186,57 @@ try {
     loadScript(path.join(testsDir, 'statistics.test.js'));
     console.log('  Loaded: statistics.test.js');
 
+    loadScript(path.join(testsDir, 'charts.test.js'));
+    console.log('  Loaded: charts.test.js');
+
+    loadScript(path.join(testsDir, 'export.test.js'));
+    console.log('  Loaded: export.test.js');
+
+    loadScript(path.join(testsDir, 'import.test.js'));
+    console.log('  Loaded: import.test.js');
+
+    loadScript(path.join(testsDir, 'backup.test.js'));
+    console.log('  Loaded: backup.test.js');
+
+    loadScript(path.join(testsDir, 'storage.test.js'));
+    console.log('  Loaded: storage.test.js');
+
+    loadScript(path.join(testsDir, 'sheets-api.test.js'));
+    console.log('  Loaded: sheets-api.test.js');
+
+    loadScript(path.join(testsDir, 'sync.test.js'));
+    console.log('  Loaded: sync.test.js');
+
+    loadScript(path.join(testsDir, 'rest-api.test.js'));
+    console.log('  Loaded: rest-api.test.js');
+
+    loadScript(path.join(testsDir, 'backend.test.js'));
+    console.log('  Loaded: backend.test.js');
+
+    loadScript(path.join(testsDir, 'migrations.test.js'));
+    console.log('  Loaded: migrations.test.js');
+
+    loadScript(path.join(testsDir, 'sync-scheduler.test.js'));
+    console.log('  Loaded: sync-scheduler.test.js');
+
+    loadScript(path.join(testsDir, 'course-editor.test.js'));
+    console.log('  Loaded: course-editor.test.js');
+
+    // Reference server tests run in Node only
+    context.SheetsServer = require(path.join(__dirname, '..', 'server', 'sheets-server.js'));
+    loadScript(path.join(testsDir, 'sheets-server.test.js'));
+    console.log('  Loaded: sheets-server.test.js');
+
+    // Service worker manifest tests run in Node only
+    context.SWManifest = require(path.join(__dirname, '..', 'scripts', 'build-sw-manifest.js'));
+    loadScript(path.join(testsDir, 'sw-manifest.test.js'));
+    console.log('  Loaded: sw-manifest.test.js');
+
+    // Service worker tests run in Node only
+    context.loadServiceWorker = loadServiceWorker;
+    loadScript(path.join(testsDir, 'service-worker.test.js'));
+    console.log('  Loaded: service-worker.test.js');
+
     loadScript(path.join(testsDir, 'validation.test.js'));
     console.log('  Loaded: validation.test.js');
 
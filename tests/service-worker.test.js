@@ -0,0 +1,77 @@
+/**
+ * Disc Golf Tracker - Service Worker Tests
+ *
+ * Node only: run-tests.js provides loadServiceWorker, which starts sw.js
+ * in a scope of its own.
+ */
+
+(function() {
+    if (typeof loadServiceWorker === 'undefined') return;
+
+    // Get TestRunner from global scope (works in both browser and Node.js)
+    const TR = (typeof TestRunner !== 'undefined') ? TestRunner : window.TestRunner;
+    const test = TR.test.bind(TR);
+    const assertEqual = TR.assertEqual.bind(TR);
+    const assertTrue = TR.assertTrue.bind(TR);
+
+    /**
+     * Start a worker whose upload reports the given result
+     * @param {boolean} success - What the upload pass returns
+     * @returns {{worker: Object, uploads: string[]}} The worker, and "profile backend" per upload
+     */
+    function startWorker(success) {
+        const worker = loadServiceWorker();
+        const uploads = [];
+        worker.Storage.openDatabase = async () => ({ close() {} });
+        worker.Storage.getBackgroundSyncSettings = async () => ({ backend: 'rest', restBaseUrl: 'https://dg.example.com/api' });
+        worker.Backend.processPendingSyncWith = async settings => {
+            uploads.push(`${worker.Storage.profileId} ${settings.backend}`);
+            return success;
+        };
+        return { worker, uploads };
+    }
+
+    /**
+     * Dispatch a Background Sync event
+     * @returns {Promise|null} What the worker passed to waitUntil
+     */
+    function dispatchSync(worker, tag) {
+        let pending = null;
+        worker.listeners.sync({ tag, waitUntil: promise => { pending = promise; } });
+        return pending;
+    }
+
+    // =========================================
+    // Background Sync Tests
+    // =========================================
+
+    test('Service worker uploads each profile queue on Background Sync', async function() {
+        const { worker, uploads } = startWorker(true);
+
+        await dispatchSync(worker, CONFIG.sync.backgroundSyncTag);
+        await dispatchSync(worker, `${CONFIG.sync.backgroundSyncTag}:p2`);
+
+        assertEqual(uploads.join(','), `${CONFIG.profiles.defaultId} rest,p2 rest`);
+        assertEqual(worker.messages.map(m => m.type).join(','), 'SYNC_STARTED,SYNC_COMPLETE,SYNC_STARTED,SYNC_COMPLETE');
+        assertTrue(worker.messages[1].success);
+    });
+
+    test('Service worker rejects a sync whose uploads failed, so the browser retries', async function() {
+        const { worker } = startWorker(false);
+
+        let error = null;
+        try {
+            await dispatchSync(worker, CONFIG.sync.backgroundSyncTag);
+        } catch (e) {
+            error = e;
+        }
+        assertTrue(error !== null);
+        assertEqual(worker.messages[1].success, false);
+    });
+
+    test('Service worker ignores sync tags it did not register', function() {
+        const { worker, uploads } = startWorker(true);
+        assertEqual(dispatchSync(worker, 'some-other-tag'), null);
+        assertEqual(uploads.length, 0);
+    });
+})();
@@ -0,0 +1,774 @@
+/**
+ * Disc Golf Tracker - Sheets API Tests
+ *
+ * Runs SheetsAPI against an in-memory sheet by replacing `request`.
+ */
+
+(function() {
+    // Get TestRunner from global scope (works in both browser and Node.js)
+    const TR = (typeof TestRunner !== 'undefined') ? TestRunner : window.TestRunner;
+    const test = TR.test.bind(TR);
+    const assertEqual = TR.assertEqual.bind(TR);
+    const assertTrue = TR.assertTrue.bind(TR);
+    const assertFalse = TR.assertFalse.bind(TR);
+
+    /**
+     * Run a test body with SheetsAPI.request backed by in-memory sheets
+     * @param {Object} options - failWhen(sheetName, rows): true (or the error to throw) to fail a batch create
+     * @param {Function} fn - Test body, receives the sheets object and the request log
+     */
+    async function withMockSheets(options, fn) {
+        const sheets = {};
+        const requests = [];
+        const originalRequest = SheetsAPI.request;
+        const originalId = SheetsAPI.getSpreadsheetId();
+        const originalPending = localStorage.getItem(CONFIG.storageKeys.pendingSync);
+        const failWhen = options.failWhen || (() => false);
+
+        SheetsAPI.request = async function(path, requestOptions = {}) {
+            const match = /^\/sheets\/([^/]+)\/rows(?:\/(batch|\d+))?(?:\?.*)?$/.exec(path);
+            const sheetName = decodeURIComponent(match[1]);
+            const method = requestOptions.method || 'GET';
+            const body = requestOptions.body ? JSON.parse(requestOptions.body) : null;
+            const sheet = sheets[sheetName] = sheets[sheetName] || [];
+            requests.push(`${method} ${sheetName}`);
+
+            if (method === 'POST') {
+                const failure = failWhen(sheetName, body.rows);
+                if (failure) {
+                    throw failure instanceof Error ? failure : new Error('Request failed with status 503');
+                }
+                const rowIndexes = body.rows.map(row => sheet.push(row) + 1);
+                return { rowIndexes };
+            }
+            if (method === 'PUT') {
+                body.rows.forEach(({ rowIndex, data }) => {
+                    sheet[rowIndex - 2] = data;
+                });
+                return undefined;
+            }
+            if (method === 'DELETE') {
+                const rowIndexes = match[2] === 'batch' ? body.rowIndexes : [Number(match[2])];
+                rowIndexes.forEach(rowIndex => sheet.splice(rowIndex - 2, 1));
+                return undefined;
+            }
+
+            return { rows: sheet.slice() };
+        };
+        SheetsAPI.setSpreadsheetId('test-sheet');
+        // These sheets have no header row to bring up to date
+        SheetsAPI.headersChecked = true;
+
+        try {
+            await fn(sheets, requests);
+        } finally {
+            SheetsAPI.request = originalRequest;
+            SheetsAPI.setSpreadsheetId(originalId);
+            if (originalPending === null) {
+                localStorage.removeItem(CONFIG.storageKeys.pendingSync);
+            } else {
+                localStorage.setItem(CONFIG.storageKeys.pendingSync, originalPending);
+            }
+        }
+    }
+
+    /**
+     * Run a test body with SheetsAPI.request backed by sheets that, like Google
+     * Sheets, keep only the values that have a column
+     * @param {Object} tabs - {headers, rows} by sheet name; tabs created during the test are added
+     * @param {Function} fn - Test body
+     */
+    async function withStrictSheets(tabs, fn) {
+        const originalRequest = SheetsAPI.request;
+        const originalId = SheetsAPI.getSpreadsheetId();
+        const originalPending = localStorage.getItem(CONFIG.storageKeys.pendingSync);
+        const pick = (headers, data) => Object.fromEntries(headers.map(header => [header, data[header] ?? '']));
+
+        SheetsAPI.request = async function(path, requestOptions = {}) {
+            const method = requestOptions.method || 'GET';
+            const body = requestOptions.body ? JSON.parse(requestOptions.body) : null;
+
+            if (path === '/sheets') {
+                if (method === 'POST') {
+                    tabs[body.name] = { headers: [], rows: [] };
+                    return undefined;
+                }
+                return { sheets: Object.keys(tabs).map(title => ({ title })) };
+            }
+
+            const match = /^\/sheets\/([^/]+)\/(headers|rows)/.exec(path);
+            const tab = tabs[decodeURIComponent(match[1])];
+            if (match[2] === 'headers') {
+                if (method === 'POST') {
+                    tab.headers.push(...body.headers.filter(header => !tab.headers.includes(header)));
+                }
+                return { headers: tab.headers.slice() };
+            }
+            if (method === 'POST') {
+                // An empty sheet takes its header row from the first row written
+                if (tab.headers.length === 0) tab.headers.push(...Object.keys(body.rows[0]));
+                return { rowIndexes: body.rows.map(row => tab.rows.push(pick(tab.headers, row)) + 1) };
+            }
+            if (method === 'PUT') {
+                body.rows.forEach(({ rowIndex, data }) => {
+                    tab.rows[rowIndex - 2] = pick(tab.headers, data);
+                });
+                return undefined;
+            }
+            if (method === 'DELETE') {
+                body.rowIndexes.sort((x, y) => y - x).forEach(rowIndex => tab.rows.splice(rowIndex - 2, 1));
+                return undefined;
+            }
+            return { rows: tab.rows.map(row => pick(tab.headers, row)) };
+        };
+        SheetsAPI.setSpreadsheetId('test-sheet');
+
+        try {
+            await fn();
+        } finally {
+            SheetsAPI.request = originalRequest;
+            SheetsAPI.setSpreadsheetId(originalId);
+            if (originalPending === null) {
+                localStorage.removeItem(CONFIG.storageKeys.pendingSync);
+            } else {
+                localStorage.setItem(CONFIG.storageKeys.pendingSync, originalPending);
+            }
+        }
+    }
+
+    /**
+     * Build tabs with the header rows of an earlier version
+     * @param {Array<string>} newColumns - Columns earlier versions did not have
+     * @returns {Object} Tabs for withStrictSheets
+     */
+    function makeOldTabs(newColumns) {
+        const tabs = {};
+        Object.keys(CONFIG.sheets).forEach(entity => {
+            tabs[CONFIG.sheets[entity]] = {
+                headers: CONFIG.sheetHeaders[entity].filter(header => !newColumns.includes(header)),
+                rows: []
+            };
+        });
+        return tabs;
+    }
+
+    /**
+     * Fail the first batch create that contains a given score
+     * @param {string} scoreId - The score ID
+     * @returns {Function} failWhen option
+     */
+    function failOnceWith(scoreId) {
+        let failed = false;
+        return (sheetName, rows) => {
+            if (failed || !rows.some(row => row.score_id === scoreId)) return false;
+            failed = true;
+            return true;
+        };
+    }
+
+    function makeScores(count) {
+        return Array.from({ length: count }, (_, i) => ({
+            score_id: `s${i + 1}`,
+            round_id: 'r1',
+            hole_id: `h${i + 1}`,
+            hole_number: i + 1,
+            throws: 3,
+            approaches: null,
+            putts: null,
+            created_at: '2024-06-01T12:00:00.000Z',
+            player_id: ''
+        }));
+    }
+
+    // =========================================
+    // Endpoint Tests
+    // =========================================
+
+    test('setBaseUrl drops trailing slashes and falls back to the default', function() {
+        const original = SheetsAPI.getBaseUrl();
+        try {
+            SheetsAPI.setBaseUrl('  https://staging.example.com/sheetsApi/ ');
+            assertEqual(SheetsAPI.getBaseUrl(), 'https://staging.example.com/sheetsApi');
+            SheetsAPI.setBaseUrl('');
+            assertEqual(SheetsAPI.getBaseUrl(), CONFIG.api.baseUrl);
+        } finally {
+            SheetsAPI.setBaseUrl(original);
+        }
+    });
+
+    test('getServiceAccountEmail prefers the one reported by the API', function() {
+        const custom = 'https://staging.example.com/sheetsApi';
+        assertEqual(SheetsAPI.getServiceAccountEmail({ serviceAccountEmail: 'sa@staging.example.com' }, custom), 'sa@staging.example.com');
+        assertEqual(SheetsAPI.getServiceAccountEmail({ status: 'ok' }, CONFIG.api.baseUrl), CONFIG.api.serviceAccountEmail);
+        assertEqual(SheetsAPI.getServiceAccountEmail({ status: 'ok' }, custom), '', 'Only the default API has a known account');
+    });
+
+    // =========================================
+    // Error Tests
+    // =========================================
+
+    /**
+     * Run a test body with fetch answered by a stub and no real waiting between retries
+     * @param {Function} respond - Called with the call number and fetch options; returns
+     *     a response, or throws like a failed fetch
+     * @param {Function} fn - Test body, receives the fetch calls and the retry delays
+     */
+    async function withFetch(respond, fn) {
+        const originalFetch = window.fetch;
+        const originalSleep = Utils.sleep;
+        const calls = [];
+        const delays = [];
+        window.fetch = async (url, options = {}) => {
+            calls.push(`${options.method || 'GET'} ${url}`);
+            return respond(calls.length, options);
+        };
+        Utils.sleep = async ms => {
+            delays.push(ms);
+        };
+        try {
+            await fn(calls, delays);
+        } finally {
+            window.fetch = originalFetch;
+            Utils.sleep = originalSleep;
+        }
+    }
+
+    async function requestError() {
+        try {
+            await SheetsAPI.listSheets();
+        } catch (error) {
+            return error;
+        }
+        return null;
+    }
+
+    function errorResponse(status, message, headers = {}) {
+        return {
+            ok: false,
+            status,
+            headers: { get: name => headers[name] ?? null },
+            json: async () => ({ error: message })
+        };
+    }
+
+    function okResponse(body) {
+        return { ok: true, status: 200, json: async () => body };
+    }
+
+    test('request reports a sheet that is not shared as forbidden', async function() {
+        await withFetch(() => errorResponse(500, 'The caller does not have permission'), async function() {
+            const error = await requestError();
+            assertTrue(error instanceof ApiError);
+            assertEqual(error.code, 'forbidden', 'Google permission errors count even as a 500');
+            assertEqual(error.message, 'The caller does not have permission');
+        });
+    });
+
+    test('request tells a missing spreadsheet from an API that is down', async function() {
+        await withFetch(() => errorResponse(404, 'Requested entity was not found.'), async function() {
+            assertEqual((await requestError()).code, 'not_found');
+        });
+        await withFetch(() => errorResponse(503, 'Service Unavailable'), async function(calls) {
+            assertEqual((await requestError()).code, 'server');
+            assertEqual(calls.length, CONFIG.sync.maxRetries + 1, 'Server errors are retried');
+        });
+        await withFetch(() => { throw new TypeError('Failed to fetch'); }, async function() {
+            const error = await requestError();
+            assertEqual(error.code, 'network');
+            assertEqual(error.status, 0);
+        });
+    });
+
+    test('request backs off exponentially between retries', async function() {
+        const respond = call => call < 3 ? errorResponse(502, 'Bad Gateway') : okResponse({ sheets: [{ title: 'Rounds' }] });
+        await withFetch(respond, async function(calls, delays) {
+            const sheets = await SheetsAPI.listSheets();
+
+            assertEqual(sheets.length, 1, 'Third attempt should succeed');
+            assertEqual(delays.length, 2);
+            const base = CONFIG.sync.retryDelay;
+            assertTrue(delays[0] >= base / 2 && delays[0] <= base, `First delay ${delays[0]} should be jittered around ${base}`);
+            assertTrue(delays[1] >= base && delays[1] <= base * 2, `Second delay ${delays[1]} should double`);
+        });
+    });
+
+    test('request retries writes that are not safe to repeat only when rate limited', async function() {
+        const post = () => SheetsAPI.request('/sheets', { method: 'POST', body: '{}' }).catch(error => error);
+
+        await withFetch(() => errorResponse(503, 'Service Unavailable'), async function(calls) {
+            assertEqual((await post()).code, 'server');
+            assertEqual(calls.length, 1, 'A POST may have been applied, so it is not sent twice');
+        });
+        await withFetch(call => call === 1 ? errorResponse(429, 'Too Many Requests', { 'Retry-After': '2' }) : okResponse({}),
+            async function(calls, delays) {
+                await post();
+                assertEqual(calls.length, 2);
+                assertEqual(delays[0], 2000, 'Retry-After should be honored');
+            });
+    });
+
+    test('request gives up on a request that does not answer in time', async function() {
+        const originalSetTimeout = window.setTimeout;
+        // Fire the timeout at once
+        window.setTimeout = (callback, ms) => originalSetTimeout(callback, ms === CONFIG.sync.requestTimeout ? 0 : ms);
+        const hang = (call, options) => new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => {
+                const error = new Error('The operation was aborted');
+                error.name = 'AbortError';
+                reject(error);
+            });
+        });
+
+        try {
+            await withFetch(hang, async function(calls) {
+                const error = await requestError();
+                assertEqual(error.code, 'timeout');
+                assertEqual(calls.length, CONFIG.sync.maxRetries + 1, 'Timeouts are retried');
+            });
+        } finally {
+            window.setTimeout = originalSetTimeout;
+        }
+    });
+
+    // =========================================
+    // insertRows Tests
+    // =========================================
+
+    test('insertRows skips records already in the sheet', async function() {
+        await withMockSheets({}, async function(sheets) {
+            await SheetsAPI.saveScores(makeScores(2));
+            const result = await SheetsAPI.insertRows('scores', makeScores(3));
+
+            assertEqual(result.created.length, 1);
+            assertEqual(result.skipped.length, 2);
+            assertEqual(sheets.Scores.length, 3, 'No score row should be written twice');
+        });
+    });
+
+    test('insertRows sends rows in batches and keeps going after a failed batch', async function() {
+        await withMockSheets({ failWhen: failOnceWith('s60') }, async function(sheets, requests) {
+            let error = null;
+            try {
+                await SheetsAPI.saveScores(makeScores(120));
+            } catch (e) {
+                error = e;
+            }
+
+            assertEqual(requests.filter(r => r === 'POST Scores').length, 3, '120 rows should take 3 batches');
+            assertTrue(error !== null, 'A failed batch should throw');
+            assertEqual(error.failedItems.retryable.length, CONFIG.sync.batchSize);
+            assertEqual(error.failedItems.retryable[0].score_id, 's51');
+            assertEqual(sheets.Scores.length, 120 - CONFIG.sync.batchSize);
+        });
+    });
+
+    test('insertRows groups failed rows by whether the API rejected them', async function() {
+        // One batch the API is down for, and one it refuses, in either order
+        const failures = [
+            new ApiError('Service Unavailable', { status: 503 }),
+            new ApiError('Invalid row data', { status: 400 })
+        ];
+        for (const order of [[0, 1], [1, 0]]) {
+            const failWhen = (sheetName, rows) => {
+                const batch = Math.floor((Number(rows[0].score_id.slice(1)) - 1) / CONFIG.sync.batchSize);
+                return batch < 2 ? failures[order[batch]] : false;
+            };
+            await withMockSheets({ failWhen }, async function() {
+                let error = null;
+                try {
+                    await SheetsAPI.saveScores(makeScores(CONFIG.sync.batchSize * 2 + 1));
+                } catch (e) {
+                    error = e;
+                }
+
+                const retryableBatch = order.indexOf(0);
+                assertEqual(error.failedItems.retryable.length, CONFIG.sync.batchSize);
+                assertEqual(error.failedItems.retryable[0].score_id, `s${retryableBatch * CONFIG.sync.batchSize + 1}`);
+                assertEqual(error.failedItems.rejected.length, CONFIG.sync.batchSize);
+                assertEqual(error.failedItems.rejected[0].score_id, `s${(1 - retryableBatch) * CONFIG.sync.batchSize + 1}`);
+                assertEqual(error.code, 'server', 'The error says the API may take the rest later');
+            });
+        }
+    });
+
+    test('saveRound does not duplicate a round that was already uploaded', async function() {
+        await withMockSheets({}, async function(sheets) {
+            const round = { round_id: 'r1', course_id: 'c1', round_date: '2024-06-01T12:00:00.000Z', completed: true };
+            await SheetsAPI.saveRound(round);
+            await SheetsAPI.saveRound(round);
+            assertEqual(sheets.Rounds.length, 1);
+        });
+    });
+
+    test('insertRows stamps rows with the time they were written', async function() {
+        await withMockSheets({}, async function(sheets) {
+            const before = new Date().toISOString();
+            await SheetsAPI.saveScores(makeScores(1));
+            assertTrue(sheets.Scores[0].updated_at >= before, 'updated_at should be the write time');
+        });
+    });
+
+    test('upsertRows updates existing rows and adds new ones', async function() {
+        await withMockSheets({}, async function(sheets) {
+            await SheetsAPI.saveScores(makeScores(2));
+            const changed = makeScores(3).map(score => ({ ...score, throws: 4 }));
+            const result = await SheetsAPI.upsertRows('scores', changed);
+
+            assertEqual(result.created.length, 1);
+            assertEqual(result.updated.length, 2);
+            assertEqual(sheets.Scores.map(s => s.throws).join(','), '4,4,4');
+        });
+    });
+
+    // =========================================
+    // getRows Tests
+    // =========================================
+
+    test('getRows with updatedSince returns only rows changed since then', async function() {
+        await withMockSheets({}, async function(sheets) {
+            sheets.Rounds = [
+                { round_id: 'r1', updated_at: '2024-06-01T10:00:00.000Z' },
+                { round_id: 'r2', updated_at: '2024-06-03T10:00:00.000Z' },
+                { round_id: 'r3', updated_at: '' }
+            ];
+
+            const rows = await SheetsAPI.getRows('Rounds', { updatedSince: '2024-06-02T00:00:00.000Z' });
+            assertEqual(rows.map(r => r.round_id).join(','), 'r2');
+            assertEqual((await SheetsAPI.getRows('Rounds')).length, 3);
+        });
+    });
+
+    // =========================================
+    // Header Upgrade Tests
+    // =========================================
+
+    test('initializeSheets adds missing columns to tabs that already have data', async function() {
+        const tabs = makeOldTabs(['updated_at']);
+        tabs.Courses.rows.push({ course_id: 'c1', course_name: 'Maple Hill', hole_count: '18', created_date: '2024-05-01', last_played: '' });
+
+        await withStrictSheets(tabs, async function() {
+            const result = await SheetsAPI.initializeSheets();
+            assertEqual(result.created.length, 0);
+            assertEqual(result.upgraded.length, Object.keys(CONFIG.sheets).length);
+            assertEqual(tabs.Courses.headers.join(','), CONFIG.sheetHeaders.courses.join(','), 'updated_at goes at the end');
+            assertEqual(tabs.Courses.rows[0].course_name, 'Maple Hill', 'Existing cells stay in their columns');
+
+            assertEqual((await SheetsAPI.initializeSheets()).upgraded.length, 0, 'Up-to-date tabs are left alone');
+        });
+    });
+
+    test('pull upgrades old headers first, so delta pulls see rows written afterwards', async function() {
+        const tabs = makeOldTabs(['updated_at']);
+        tabs.Courses.rows.push({ course_id: 'c1', course_name: 'Maple Hill', hole_count: '18', created_date: '2024-05-01', last_played: '' });
+        const since = '2024-06-01T00:00:00.000Z';
+
+        await withStrictSheets(tabs, async function() {
+            assertEqual((await SheetsAPI.pull({ updatedSince: since })).courses.length, 0);
+            assertTrue(tabs.Courses.headers.includes('updated_at'));
+
+            await SheetsAPI.updateCourse({ course_id: 'c1', course_name: 'Maple Hill DGC', hole_count: 18, created_date: '2024-05-01' });
+            const changed = (await SheetsAPI.pull({ updatedSince: since })).courses;
+            assertEqual(changed.map(c => c.course_name).join(','), 'Maple Hill DGC');
+        });
+    });
+
+    test('processPendingSync adds player and layout columns before uploading', async function() {
+        const tabs = makeOldTabs(['player_id', 'player_ids', 'layout_id']);
+
+        await withStrictSheets(tabs, async function() {
+            const round = { round_id: 'r1', course_id: 'c1', round_date: '2024-06-01T12:00:00.000Z', completed: true, player_ids: 'p1,p2', layout_id: 'l1' };
+            const scores = [
+                { ...makeScores(1)[0], score_id: 's1', player_id: 'p1' },
+                { ...makeScores(1)[0], score_id: 's2', player_id: 'p2', throws: 4 }
+            ];
+            Storage.set(CONFIG.storageKeys.pendingSync, [
+                { type: 'saveRound', data: round },
+                { type: 'saveScores', data: scores }
+            ]);
+
+            assertTrue(await SheetsAPI.processPendingSync());
+            const data = await SheetsAPI.pull();
+            assertEqual(data.rounds[0].player_ids, 'p1,p2');
+            assertEqual(data.rounds[0].layout_id, 'l1');
+            assertEqual(data.scores.map(s => `${s.player_id}:${s.throws}`).join(','), 'p1:3,p2:4',
+                'Each player keeps their own score');
+        });
+    });
+
+    test('processPendingSync keeps the queue when columns cannot be added', async function() {
+        const tabs = makeOldTabs(['player_id']);
+
+        await withStrictSheets(tabs, async function() {
+            const strictRequest = SheetsAPI.request;
+            SheetsAPI.request = async function(path, requestOptions = {}) {
+                if (path.endsWith('/headers') && requestOptions.method === 'POST') {
+                    throw new ApiError('Not found', { status: 404 });
+                }
+                return strictRequest.call(this, path, requestOptions);
+            };
+            Storage.set(CONFIG.storageKeys.pendingSync, [{ type: 'saveScores', data: makeScores(1) }]);
+
+            assertFalse(await SheetsAPI.processPendingSync());
+            assertEqual((await Storage.getPendingSync()).length, 1);
+            assertEqual(tabs.Scores.rows.length, 0, 'Nothing is written without the column');
+
+            let error = null;
+            try {
+                await SheetsAPI.initializeSheets();
+            } catch (e) {
+                error = e;
+            }
+            assertTrue(error !== null && /Scores tab needs these columns.*player_id/.test(error.message),
+                'The error names the columns to add by hand');
+        });
+    });
+
+    // =========================================
+    // processPendingSync Tests
+    // =========================================
+
+    test('processPendingSync re-queues only the scores that failed mid-batch', async function() {
+        await withMockSheets({ failWhen: failOnceWith('s60') }, async function(sheets) {
+            Storage.set(CONFIG.storageKeys.pendingSync, [
+                { type: 'saveScores', data: makeScores(120), timestamp: '2024-06-01T12:00:00.000Z' }
+            ]);
+
+            assertFalse(await SheetsAPI.processPendingSync(), 'First pass should report a failure');
+            const pending = await Storage.getPendingSync();
+            assertEqual(pending.length, 1);
+            assertEqual(pending[0].type, 'saveScores');
+            assertEqual(pending[0].data.length, CONFIG.sync.batchSize);
+
+            assertTrue(await SheetsAPI.processPendingSync(), 'Retry should succeed');
+            assertEqual((await Storage.getPendingSync()).length, 0);
+
+            const ids = new Set(sheets.Scores.map(s => s.score_id));
+            assertEqual(sheets.Scores.length, 120, 'Every score should be saved exactly once');
+            assertEqual(ids.size, 120);
+        });
+    });
+
+    test('processPendingSync sends a run of hole updates as one batch', async function() {
+        await withMockSheets({}, async function(sheets, requests) {
+            const holes = [1, 2, 3].map(n => ({
+                hole_id: `h${n}`, course_id: 'c1', hole_number: n, par: 3, distance: null, layout_id: ''
+            }));
+            await SheetsAPI.saveHoles(holes);
+            requests.length = 0;
+
+            Storage.set(CONFIG.storageKeys.pendingSync, holes.map(hole => ({
+                type: 'updateHole', data: { ...hole, par: 4 }, timestamp: '2024-06-01T12:00:00.000Z'
+            })));
+            assertTrue(await SheetsAPI.processPendingSync());
+
+            assertEqual(requests.join(','), 'GET Holes,PUT Holes', 'Expected one read and one batch write');
+            assertEqual(sheets.Holes.map(h => h.par).join(','), '4,4,4');
+        });
+    });
+
+    test('deleteRowsWhere removes matching rows from the bottom up', async function() {
+        await withMockSheets({}, async function(sheets) {
+            await SheetsAPI.saveScores(makeScores(5).map((score, i) => ({ ...score, round_id: i % 2 ? 'r2' : 'r1' })));
+            const deleted = await SheetsAPI.deleteRowsWhere('Scores', row => row.round_id === 'r1');
+
+            assertEqual(deleted, 3);
+            assertEqual(sheets.Scores.map(s => s.score_id).join(','), 's2,s4');
+        });
+    });
+
+    test('Bulk writes fall back to one request per row when the API has no batch routes', async function() {
+        const originalRequest = SheetsAPI.request;
+        const originalUrl = SheetsAPI.getBaseUrl();
+        const requests = [];
+        const sheet = [];
+
+        SheetsAPI.request = async function(path, options = {}) {
+            const method = options.method || 'GET';
+            requests.push(`${method} ${path}`);
+            if (path.endsWith('/batch')) {
+                throw new ApiError('Not found', { status: method === 'PUT' ? 405 : 404 });
+            }
+            const rowIndex = Number(path.split('/').pop());
+            if (method === 'POST') {
+                return { rowIndex: sheet.push(JSON.parse(options.body)) + 1 };
+            }
+            if (method === 'PUT') {
+                sheet[rowIndex - 2] = JSON.parse(options.body);
+            }
+            if (method === 'DELETE') {
+                sheet.splice(rowIndex - 2, 1);
+            }
+            return undefined;
+        };
+
+        try {
+            SheetsAPI.setBaseUrl('https://legacy.example.com/sheetsApi');
+            const result = await SheetsAPI.createRows('Players', [{ player_id: 'p1' }, { player_id: 'p2' }, { player_id: 'p3' }]);
+            assertEqual(result.rowIndexes.join(','), '2,3,4');
+            await SheetsAPI.updateRows('Players', [{ rowIndex: 3, data: { player_id: 'p2b' } }]);
+            await SheetsAPI.deleteRows('Players', [2, 4]);
+
+            assertEqual(sheet.map(row => row.player_id).join(','), 'p2b');
+            assertEqual(requests.filter(r => r.endsWith('/batch')).length, 1, 'A missing batch route is only tried once');
+            assertEqual(requests.slice(-2).join(','), 'DELETE /sheets/Players/rows/4,DELETE /sheets/Players/rows/2');
+
+            SheetsAPI.setBaseUrl('https://other.example.com/sheetsApi');
+            assertTrue(SheetsAPI.batchSupported, 'Another API gets the batch routes tried again');
+        } finally {
+            SheetsAPI.request = originalRequest;
+            SheetsAPI.setBaseUrl(originalUrl);
+        }
+    });
+
+    test('updateCourse, updateHole and deleteHole edit the matching rows', async function() {
+        await withMockSheets({}, async function(sheets) {
+            await SheetsAPI.saveCourse({ course_id: 'c1', course_name: 'Maple Hill', hole_count: 3 });
+            await SheetsAPI.saveHoles([1, 2, 3].map(n => ({ hole_id: `h${n}`, course_id: 'c1', hole_number: n, par: 3 })));
+
+            assertTrue(await SheetsAPI.updateCourse({ course_id: 'c1', course_name: 'Maple Hill', hole_count: 2 }));
+            assertTrue(await SheetsAPI.updateHole({ hole_id: 'h2', course_id: 'c1', hole_number: 2, par: 4 }));
+            assertTrue(await SheetsAPI.deleteHole('h3'));
+            assertFalse(await SheetsAPI.deleteHole('h3'), 'A hole that is already gone is reported');
+            assertFalse(await SheetsAPI.updateCourse({ course_id: 'c9', course_name: 'Nowhere' }));
+
+            assertEqual(sheets.Courses[0].hole_count, '2');
+            assertEqual(sheets.Holes.map(h => `${h.hole_id}:${h.par}`).join(','), 'h1:3,h2:4');
+        });
+    });
+
+    test('processPendingSync uploads course editor changes', async function() {
+        await withMockSheets({}, async function(sheets) {
+            await SheetsAPI.saveCourse({ course_id: 'c1', course_name: 'Maple Hill', hole_count: 2 });
+            await SheetsAPI.saveHoles([1, 2].map(n => ({ hole_id: `h${n}`, course_id: 'c1', hole_number: n, par: 3 })));
+
+            Storage.set(CONFIG.storageKeys.pendingSync, [
+                { type: 'updateCourse', data: { course_id: 'c1', course_name: 'Maple Hill West', hole_count: 2 }, timestamp: '2024-06-01T12:00:00.000Z' },
+                { type: 'updateHole', data: { hole_id: 'h1', course_id: 'c1', hole_number: 1, par: 4 }, timestamp: '2024-06-01T12:00:01.000Z' },
+                { type: 'deleteHole', data: { holeId: 'h2' }, timestamp: '2024-06-01T12:00:02.000Z' }
+            ]);
+            assertTrue(await SheetsAPI.processPendingSync());
+
+            assertEqual(sheets.Courses[0].course_name, 'Maple Hill West');
+            assertEqual(sheets.Holes.map(h => `${h.hole_id}:${h.par}`).join(','), 'h1:4');
+            assertEqual((await Storage.getPendingSync()).length, 0);
+        });
+    });
+
+    test('processPendingSync saves a round hole by hole and then finishes it', async function() {
+        await withMockSheets({}, async function(sheets, requests) {
+            const round = { round_id: 'r1', course_id: 'c1', round_date: '2024-06-01T12:00:00.000Z', completed: false };
+            const scores = makeScores(2);
+
+            Storage.set(CONFIG.storageKeys.pendingSync, [
+                { type: 'upsertRound', data: round, timestamp: '2024-06-01T12:00:00.000Z' },
+                { type: 'upsertScores', data: [scores[0]], timestamp: '2024-06-01T12:05:00.000Z' },
+                { type: 'upsertScores', data: [{ ...scores[0], throws: 5 }, scores[1]], timestamp: '2024-06-01T12:10:00.000Z' }
+            ]);
+            assertTrue(await SheetsAPI.processPendingSync());
+            assertEqual(sheets.Rounds[0].completed, 'FALSE', 'Round row should exist before it is finished');
+            assertEqual(requests.filter(r => r === 'POST Scores').length, 1, 'Consecutive hole saves share one batch');
+            assertEqual(sheets.Scores.map(s => s.throws).join(','), '5,3', 'Latest copy of a score wins');
+
+            await Storage.addPendingSync({ type: 'upsertRound', data: { ...round, completed: true } });
+            assertTrue(await SheetsAPI.processPendingSync());
+            assertEqual(sheets.Rounds.length, 1);
+            assertEqual(sheets.Rounds[0].completed, 'TRUE');
+        });
+    });
+
+    test('processPendingSync keeps operations queued while it runs', async function() {
+        await withMockSheets({}, async function(sheets) {
+            const mockRequest = SheetsAPI.request;
+            let queued = false;
+            SheetsAPI.request = async function(path, requestOptions) {
+                // The next hole is saved while the first upload is in flight
+                if (!queued) {
+                    queued = true;
+                    await Storage.addPendingSync({ type: 'upsertScores', data: makeScores(2).slice(1) });
+                }
+                return mockRequest(path, requestOptions);
+            };
+
+            await Storage.addPendingSync({ type: 'upsertScores', data: makeScores(1) });
+            assertTrue(await SheetsAPI.processPendingSync());
+            assertEqual((await Storage.getPendingSync()).length, 1, 'Operation queued mid-run should wait for the next run');
+            assertTrue(await SheetsAPI.processPendingSync());
+            assertEqual((await Storage.getPendingSync()).length, 0);
+            assertEqual(sheets.Scores.length, 2);
+        });
+    });
+
+    test('processPendingSync drops rejected operations and stops while the API is down', async function() {
+        const failWhen = (sheetName, rows) => {
+            if (rows[0].player_id === 'p1') return new ApiError('Invalid row data', { status: 400 });
+            if (rows[0].player_id === 'p2') return new ApiError('Service Unavailable', { status: 503 });
+            return false;
+        };
+        await withMockSheets({ failWhen }, async function(sheets, requests) {
+            Storage.set(CONFIG.storageKeys.pendingSync, ['p1', 'p2', 'p3'].map(id => (
+                { id, type: 'savePlayer', data: { player_id: id, player_name: id } }
+            )));
+
+            assertFalse(await SheetsAPI.processPendingSync());
+            assertEqual((await Storage.getPendingSync()).map(op => op.id).join(','), 'p2,p3',
+                'The rejected operation is dropped; the rest wait for the API');
+            assertEqual(requests.filter(r => r === 'POST Players').length, 2, 'p3 is not attempted');
+        });
+    });
+
+    test('processPendingSync keeps rows the API may take later and drops the ones it rejected', async function() {
+        const failWhen = (sheetName, rows) => {
+            if (rows[0].score_id === 's1') return new ApiError('Invalid row data', { status: 400 });
+            if (rows[0].score_id === `s${CONFIG.sync.batchSize + 1}`) return new ApiError('Service Unavailable', { status: 503 });
+            return false;
+        };
+        await withMockSheets({ failWhen }, async function(sheets) {
+            const scores = makeScores(CONFIG.sync.batchSize * 2 + 1);
+            Storage.set(CONFIG.storageKeys.pendingSync, [{ id: 'op1', type: 'saveScores', data: scores }]);
+
+            assertFalse(await SheetsAPI.processPendingSync());
+            const pending = await Storage.getPendingSync();
+            assertEqual(pending.length, 1);
+            assertEqual(pending[0].data.length, CONFIG.sync.batchSize, 'Only the batch the API was down for stays queued');
+            assertEqual(pending[0].data[0].score_id, `s${CONFIG.sync.batchSize + 1}`);
+            assertEqual(sheets.Scores.length, 1);
+        });
+    });
+
+    test('processPendingSync drops only the rejected batch of a run and holds what depends on it', async function() {
+        const makeHoles = courseId => Array.from({ length: CONFIG.sync.batchSize }, (_, i) => ({
+            hole_id: `${courseId}-h${i + 1}`, course_id: courseId, hole_number: i + 1, par: 3, distance: null, layout_id: ''
+        }));
+        const failWhen = (sheetName, rows) =>
+            sheetName === 'Holes' && rows[0].course_id === 'c1' && new ApiError('Invalid row data', { status: 400 });
+
+        await withMockSheets({ failWhen }, async function(sheets) {
+            Storage.set(CONFIG.storageKeys.pendingSync, [
+                { id: 'op1', type: 'upsertHoles', data: makeHoles('c1') },
+                { id: 'op2', type: 'upsertHoles', data: makeHoles('c2') },
+                { id: 'op3', type: 'upsertRound', data: { round_id: 'r1', course_id: 'c1' } },
+                { id: 'op4', type: 'upsertRound', data: { round_id: 'r2', course_id: 'c2' } },
+                { id: 'op5', type: 'upsertScores', data: [{ ...makeScores(1)[0], round_id: 'r1' }] }
+            ]);
+
+            assertFalse(await SheetsAPI.processPendingSync());
+            assertEqual(sheets.Holes.length, CONFIG.sync.batchSize, 'The other batch of the run is written');
+            assertTrue(sheets.Holes.every(h => h.course_id === 'c2'));
+            assertEqual(sheets.Rounds.map(r => r.round_id).join(','), 'r2');
+            assertEqual((sheets.Scores || []).length, 0, 'Scores wait for their round');
+            assertEqual((await Storage.getPendingSync()).map(op => op.id).join(','), 'op3,op5',
+                'The rejected holes are dropped; the round and scores that need them wait');
+        });
+    });
+
+    test('processPendingSync retrying a whole batch writes no duplicates', async function() {
+        await withMockSheets({}, async function(sheets) {
+            const operation = { type: 'saveScores', data: makeScores(3), timestamp: '2024-06-01T12:00:00.000Z' };
+
+            // Same operation queued twice, e.g. after a retry whose response was lost
+            Storage.set(CONFIG.storageKeys.pendingSync, [operation, operation]);
+            assertTrue(await SheetsAPI.processPendingSync());
+            assertEqual(sheets.Scores.length, 3);
+        });
+    });
+})();
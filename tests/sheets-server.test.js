@@ -0,0 +1,159 @@
+/**
+ * Disc Golf Tracker - Reference Server Tests
+ *
+ * Runs SheetsAPI against server/sheets-server.js in-process, so the app and
+ * the reference backend are checked against the same contract offline.
+ * Node only: run-tests.js provides SheetsServer.
+ */
+
+(function() {
+    if (typeof SheetsServer === 'undefined') return;
+
+    // Get TestRunner from global scope (works in both browser and Node.js)
+    const TR = (typeof TestRunner !== 'undefined') ? TestRunner : window.TestRunner;
+    const test = TR.test.bind(TR);
+    const assertEqual = TR.assertEqual.bind(TR);
+    const assertTrue = TR.assertTrue.bind(TR);
+
+    /**
+     * Run a test body with SheetsAPI.request handled by the reference server
+     * @param {Function} fn - Test body, receives the server's spreadsheets by ID
+     */
+    async function withServer(fn) {
+        const docs = {};
+        const store = {
+            load: id => (docs[id] = docs[id] || { sheets: {} }),
+            save: () => {}
+        };
+        const originalRequest = SheetsAPI.request;
+        const originalId = SheetsAPI.getSpreadsheetId();
+        const originalPending = localStorage.getItem(CONFIG.storageKeys.pendingSync);
+
+        SheetsAPI.request = async function(path, options = {}) {
+            let response;
+            try {
+                response = SheetsServer.handleRequest(store, {
+                    method: options.method || 'GET',
+                    path,
+                    headers: this.spreadsheetId ? { 'x-spreadsheet-id': this.spreadsheetId } : {},
+                    body: options.body ? JSON.parse(options.body) : null
+                });
+            } catch (error) {
+                throw new Error(error.message);
+            }
+            // Round-trip through JSON like a real response
+            return response.body === undefined ? undefined : JSON.parse(JSON.stringify(response.body));
+        };
+        SheetsAPI.setSpreadsheetId('test-sheet');
+
+        try {
+            await fn(docs);
+        } finally {
+            SheetsAPI.request = originalRequest;
+            SheetsAPI.setSpreadsheetId(originalId);
+            if (originalPending === null) {
+                localStorage.removeItem(CONFIG.storageKeys.pendingSync);
+            } else {
+                localStorage.setItem(CONFIG.storageKeys.pendingSync, originalPending);
+            }
+        }
+    }
+
+    function makeScores(count) {
+        return Array.from({ length: count }, (_, i) => ({
+            score_id: `s${i + 1}`,
+            round_id: 'r1',
+            hole_id: `h${i + 1}`,
+            hole_number: i + 1,
+            throws: 3,
+            approaches: 0,
+            putts: 1,
+            created_at: '2024-06-01T12:00:00.000Z',
+            player_id: ''
+        }));
+    }
+
+    // =========================================
+    // Reference Server Tests
+    // =========================================
+
+    test('Reference server: initializeSheets creates every tab with its headers', async function() {
+        await withServer(async function(docs) {
+            const first = await SheetsAPI.initializeSheets();
+            const second = await SheetsAPI.initializeSheets();
+
+            assertEqual(first.created.length, Object.keys(CONFIG.sheets).length);
+            assertEqual(second.created.length, 0, 'Existing tabs should be reused');
+            const rounds = docs['test-sheet'].sheets.Rounds;
+            assertEqual(rounds.headers.join(','), CONFIG.sheetHeaders.rounds.join(','));
+            assertEqual(rounds.rows.length, 0, 'Placeholder row should be removed');
+        });
+    });
+
+    test('Reference server: initializeSheets adds new columns to a tab with data', async function() {
+        await withServer(async function(docs) {
+            docs['test-sheet'] = {
+                sheets: {
+                    Courses: {
+                        headers: ['course_id', 'course_name', 'hole_count', 'created_date', 'last_played'],
+                        rows: [{ course_id: 'c1', course_name: 'Maple Hill', hole_count: '18', created_date: '2024-05-01', last_played: '' }]
+                    }
+                }
+            };
+
+            const result = await SheetsAPI.initializeSheets();
+            assertEqual(result.upgraded.join(','), 'Courses');
+            const courses = docs['test-sheet'].sheets.Courses;
+            assertEqual(courses.headers.join(','), CONFIG.sheetHeaders.courses.join(','));
+            assertEqual((await SheetsAPI.getRows('Courses'))[0].updated_at, '', 'Old rows get an empty cell');
+        });
+    });
+
+    test('Reference server: a round saved hole by hole, then deleted', async function() {
+        await withServer(async function(docs) {
+            await SheetsAPI.initializeSheets();
+            const round = { round_id: 'r1', course_id: 'c1', round_date: '2024-06-01T12:00:00.000Z', completed: false };
+            const scores = makeScores(3);
+
+            Storage.set(CONFIG.storageKeys.pendingSync, [
+                { type: 'upsertRound', data: round },
+                { type: 'upsertScores', data: scores.slice(0, 2) },
+                { type: 'upsertScores', data: [{ ...scores[1], throws: 4 }, scores[2]] },
+                { type: 'upsertRound', data: { ...round, completed: true } }
+            ]);
+            assertTrue(await SheetsAPI.processPendingSync());
+
+            const rows = await SheetsAPI.getRows('Scores');
+            assertEqual(rows.map(r => r.throws).join(','), '3,4,3');
+            assertEqual((await SheetsAPI.getRows('Rounds'))[0].completed, 'TRUE');
+
+            const since = await SheetsAPI.getRows('Scores', { updatedSince: '2999-01-01T00:00:00.000Z' });
+            assertEqual(since.length, 0, 'updatedSince should filter on the server');
+
+            await SheetsAPI.deleteRound('r1');
+            assertEqual(docs['test-sheet'].sheets.Scores.rows.length, 0);
+            assertEqual(docs['test-sheet'].sheets.Rounds.rows.length, 0);
+        });
+    });
+
+    test('Reference server: spreadsheets are kept apart by X-Spreadsheet-Id', async function() {
+        await withServer(async function(docs) {
+            await SheetsAPI.initializeSheets();
+            await SheetsAPI.saveScores(makeScores(1));
+
+            SheetsAPI.setSpreadsheetId('other-sheet');
+            await SheetsAPI.initializeSheets();
+            assertEqual((await SheetsAPI.getRows('Scores')).length, 0);
+            assertEqual(docs['test-sheet'].sheets.Scores.rows.length, 1);
+
+            SheetsAPI.setSpreadsheetId(null);
+            let error = null;
+            try {
+                await SheetsAPI.listSheets();
+            } catch (e) {
+                error = e;
+            }
+            assertTrue(error !== null && /X-Spreadsheet-Id/.test(error.message), 'Missing header should be rejected');
+        });
+    });
+})();
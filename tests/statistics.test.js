@@ -17,7 +17,9 @@
     const mockCONFIG = {
         statistics: {
             minRoundsForAverage: 1,
-            minDataPointsForDetailedStats: 3
+            minDataPointsForDetailedStats: 3,
+            minDataPointsForTrend: 2,
+            trendWindow: 3
         }
     };
 
@@ -39,6 +41,14 @@
             if (diff === 0) return 'E';
             if (diff > 0) return `+${diff}`;
             return `${diff}`;
+        },
+        getScoreClass(score, par) {
+            const diff = score - par;
+            if (diff <= -2) return 'eagle';
+            if (diff === -1) return 'birdie';
+            if (diff === 0) return 'par';
+            if (diff === 1) return 'bogey';
+            return 'double-bogey';
         }
     };
 
@@ -325,6 +335,263 @@
         }
     });
 
+    // =========================================
+    // filterByLayout Tests
+    // =========================================
+
+    test('filterByLayout returns only items on that layout', function() {
+        setupMocks();
+        try {
+            const holes = [
+                { hole_id: 'h1', layout_id: 'long' },
+                { hole_id: 'h2', layout_id: 'short' },
+                { hole_id: 'h3', layout_id: 'long' }
+            ];
+            const result = Statistics.filterByLayout(holes, 'long');
+            assertEqual(result.length, 2, 'Should return 2 holes on the long layout');
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    test('filterByLayout treats untagged items as the default layout', function() {
+        setupMocks();
+        try {
+            const rounds = [
+                { round_id: 'r1' },
+                { round_id: 'r2', layout_id: '' },
+                { round_id: 'r3', layout_id: 'long' }
+            ];
+            const result = Statistics.filterByLayout(rounds, '');
+            assertEqual(result.length, 2, 'Legacy and default rounds should match');
+            assertFalse(result.some(r => r.round_id === 'r3'), 'Named layout round should be excluded');
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    // =========================================
+    // Dashboard Tests
+    // =========================================
+
+    const dashboardHoles = [
+        { hole_id: 'h1', course_id: 'c1', par: 3 },
+        { hole_id: 'h2', course_id: 'c1', par: 4 },
+        { hole_id: 'h3', course_id: 'c1', par: 5 }
+    ];
+
+    test('calculateScoreDistribution buckets scores like getScoreClass', function() {
+        setupMocks();
+        try {
+            const scores = [
+                { hole_id: 'h1', throws: 2 },
+                { hole_id: 'h2', throws: 4 },
+                { hole_id: 'h3', throws: 3 },
+                { hole_id: 'h1', throws: 6 }
+            ];
+            const result = Statistics.calculateScoreDistribution(scores, dashboardHoles);
+            assertEqual(result.birdie, 1);
+            assertEqual(result.par, 1);
+            assertEqual(result.eagle, 1);
+            assertEqual(result['double-bogey'], 1);
+            assertEqual(result.total, 4);
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    test('calculateRelativeByPar averages strokes over par per hole par', function() {
+        setupMocks();
+        try {
+            const scores = [
+                { hole_id: 'h1', throws: 2 },
+                { hole_id: 'h1', throws: 4 },
+                { hole_id: 'h2', throws: 5 }
+            ];
+            const result = Statistics.calculateRelativeByPar(scores, dashboardHoles);
+            assertEqual(result[3].avgRelative, 0, 'Par 3s should average even');
+            assertEqual(result[3].holeCount, 2);
+            assertEqual(result[4].avgRelative, 1, 'Par 4 should average +1');
+            assertNull(result[5].avgRelative, 'Par 5 has no data');
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    test('calculateDashboardStats keeps one player and finds best complete round', function() {
+        setupMocks();
+        try {
+            const rounds = [
+                { round_id: 'r1', course_id: 'c1', round_date: '2024-05-01', completed: true },
+                { round_id: 'r2', course_id: 'c1', round_date: '2024-06-01', completed: true },
+                { round_id: 'r3', course_id: 'c1', round_date: '2024-07-01', completed: true }
+            ];
+            const scores = [
+                { round_id: 'r1', hole_id: 'h1', throws: 3, putts: 1, player_id: 'p1' },
+                { round_id: 'r1', hole_id: 'h2', throws: 4, putts: 2, player_id: 'p1' },
+                { round_id: 'r1', hole_id: 'h3', throws: 5, putts: 1, player_id: 'p1' },
+                { round_id: 'r2', hole_id: 'h1', throws: 2, putts: 0, player_id: 'p1' },
+                { round_id: 'r2', hole_id: 'h2', throws: 3, putts: 1, player_id: 'p1' },
+                { round_id: 'r2', hole_id: 'h3', throws: 5, putts: 1, player_id: 'p1' },
+                { round_id: 'r3', hole_id: 'h1', throws: 2, putts: 1, player_id: 'p1' },
+                { round_id: 'r2', hole_id: 'h1', throws: 9, putts: 4, player_id: 'p2' }
+            ];
+            const courses = [{ course_id: 'c1', course_name: 'Maple Hill' }];
+
+            const result = Statistics.calculateDashboardStats({ rounds, scores, holes: dashboardHoles, courses }, 'p1');
+            assertTrue(result.hasData);
+            assertEqual(result.roundsPlayed, 3);
+            assertEqual(result.holesPlayed, 7);
+            assertEqual(result.avgPutts, 1);
+            assertEqual(result.bestRounds.length, 1);
+            assertEqual(result.bestRounds[0].round_id, 'r2', 'Partial round r3 should not count as best');
+            assertEqual(result.bestRounds[0].relativeToPar, -2);
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    // =========================================
+    // Trend Tests
+    // =========================================
+
+    test('calculateRollingAverage averages a trailing window', function() {
+        setupMocks();
+        try {
+            const result = Statistics.calculateRollingAverage([6, 4, 2, 4], 3);
+            assertDeepEqual(result, [6, 5, 4, 3.33]);
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    test('getCourseTrend returns relative to par for complete rounds by date', function() {
+        setupMocks();
+        try {
+            const holes = [
+                { hole_id: 'h1', course_id: 'c1', par: 3 },
+                { hole_id: 'h2', course_id: 'c1', par: 3 }
+            ];
+            const rounds = [
+                { round_id: 'r2', course_id: 'c1', round_date: '2024-06-01', completed: true },
+                { round_id: 'r1', course_id: 'c1', round_date: '2024-05-01', completed: true },
+                { round_id: 'r3', course_id: 'c1', round_date: '2024-07-01', completed: true }
+            ];
+            const scores = [
+                { round_id: 'r1', hole_id: 'h1', throws: 4 },
+                { round_id: 'r1', hole_id: 'h2', throws: 4 },
+                { round_id: 'r2', hole_id: 'h1', throws: 3 },
+                { round_id: 'r2', hole_id: 'h2', throws: 2 },
+                { round_id: 'r3', hole_id: 'h1', throws: 3 }
+            ];
+            const result = Statistics.getCourseTrend(rounds, scores, holes);
+            assertEqual(result.length, 2, 'Partial round should be skipped');
+            assertEqual(result[0].score, 2, 'Oldest round first');
+            assertEqual(result[1].score, -1);
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    // =========================================
+    // filterRounds Tests
+    // =========================================
+
+    test('filterRounds sorts newest first and filters by course', function() {
+        setupMocks();
+        try {
+            const rounds = [
+                { round_id: 'r1', course_id: 'c1', round_date: '2024-05-01T15:00:00.000Z' },
+                { round_id: 'r2', course_id: 'c2', round_date: '2024-06-01T15:00:00.000Z' },
+                { round_id: 'r3', course_id: 'c1', round_date: '2024-07-01T15:00:00.000Z' }
+            ];
+            const all = Statistics.filterRounds(rounds);
+            assertEqual(all.map(r => r.round_id).join(','), 'r3,r2,r1', 'Should sort by date descending');
+
+            const c1 = Statistics.filterRounds(rounds, { courseId: 'c1' });
+            assertEqual(c1.map(r => r.round_id).join(','), 'r3,r1', 'Should keep only course c1');
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    test('filterRounds applies an inclusive date range', function() {
+        setupMocks();
+        try {
+            const rounds = [
+                { round_id: 'r1', course_id: 'c1', round_date: new Date(2024, 4, 1, 10).toISOString() },
+                { round_id: 'r2', course_id: 'c1', round_date: new Date(2024, 5, 15, 23, 30).toISOString() },
+                { round_id: 'r3', course_id: 'c1', round_date: new Date(2024, 6, 1, 10).toISOString() }
+            ];
+            const result = Statistics.filterRounds(rounds, { fromDate: '2024-05-01', toDate: '2024-06-15' });
+            assertEqual(result.map(r => r.round_id).join(','), 'r2,r1', 'Both ends of the range should be included');
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    // =========================================
+    // filterScoresByPlayer / calculatePlayerTotals Tests
+    // =========================================
+
+    test('filterScoresByPlayer returns only that player\'s scores', function() {
+        setupMocks();
+        try {
+            const scores = [
+                { hole_id: 'h1', player_id: 'p1', throws: 3 },
+                { hole_id: 'h1', player_id: 'p2', throws: 4 },
+                { hole_id: 'h2', player_id: 'p1', throws: 2 }
+            ];
+            const result = Statistics.filterScoresByPlayer(scores, 'p1');
+            assertEqual(result.length, 2, 'Should return 2 scores for p1');
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    test('filterScoresByPlayer treats untagged scores as the solo player', function() {
+        setupMocks();
+        try {
+            const scores = [
+                { hole_id: 'h1', throws: 3 },
+                { hole_id: 'h1', player_id: '', throws: 4 },
+                { hole_id: 'h1', player_id: 'p1', throws: 5 }
+            ];
+            assertEqual(Statistics.filterScoresByPlayer(scores, null).length, 2, 'Solo should match untagged scores');
+            assertEqual(Statistics.filterScoresByPlayer(scores, '').length, 2, 'Empty ID should match untagged scores');
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    test('calculatePlayerTotals returns totals per player in card order', function() {
+        setupMocks();
+        try {
+            const holes = [
+                { hole_id: 'h1', par: 3 },
+                { hole_id: 'h2', par: 4 }
+            ];
+            const players = [
+                { player_id: 'p2', player_name: 'Sam' },
+                { player_id: 'p1', player_name: 'Alex' }
+            ];
+            const scores = [
+                { hole_id: 'h1', player_id: 'p1', throws: 3 },
+                { hole_id: 'h2', player_id: 'p1', throws: 5 },
+                { hole_id: 'h1', player_id: 'p2', throws: 2 }
+            ];
+            const result = Statistics.calculatePlayerTotals(scores, holes, players);
+            assertEqual(result.length, 2, 'Should have totals for 2 players');
+            assertEqual(result[0].player_name, 'Sam', 'First total should be Sam');
+            assertEqual(result[0].totalScore, 2, 'Sam totalScore should be 2');
+            assertEqual(result[0].relativeToPar, -1, 'Sam should be -1');
+            assertEqual(result[1].totalScore, 8, 'Alex totalScore should be 8');
+            assertEqual(result[1].holesCompleted, 2, 'Alex should have 2 holes completed');
+        } finally {
+            teardownMocks();
+        }
+    });
+
     // =========================================
     // isPersonalBest Tests
     // =========================================
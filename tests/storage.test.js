@@ -0,0 +1,229 @@
+/**
+ * Disc Golf Tracker - Storage Module Tests
+ */
+
+(function() {
+    // Get TestRunner from global scope (works in both browser and Node.js)
+    const TR = (typeof TestRunner !== 'undefined') ? TestRunner : window.TestRunner;
+    const test = TR.test.bind(TR);
+    const assertEqual = TR.assertEqual.bind(TR);
+    const assertTrue = TR.assertTrue.bind(TR);
+
+    /**
+     * Run a test body and put the profiles back afterwards
+     * Keys written under profiles created by the test are removed.
+     * @param {Function} fn - Test body
+     */
+    async function withSavedProfiles(fn) {
+        const sharedKeys = [CONFIG.storageKeys.profiles, CONFIG.storageKeys.activeProfile];
+        const saved = sharedKeys.map(key => localStorage.getItem(key));
+        const originalIds = Storage.getProfiles().map(p => p.id);
+        const originalProfileId = Storage.profileId;
+        const originalDb = Storage.db;
+
+        try {
+            await fn();
+        } finally {
+            const created = Storage.getProfiles().filter(p => !originalIds.includes(p.id));
+            if (Storage.db && Storage.db !== originalDb) {
+                Storage.db.close();
+            }
+            created.forEach(profile => {
+                Object.values(CONFIG.storageKeys).forEach(key => {
+                    localStorage.removeItem(Storage.profileKey(key, profile.id));
+                });
+                if (typeof indexedDB !== 'undefined') {
+                    indexedDB.deleteDatabase(Storage.getDbName(profile.id));
+                }
+            });
+            sharedKeys.forEach((key, i) => {
+                if (saved[i] === null) {
+                    localStorage.removeItem(key);
+                } else {
+                    localStorage.setItem(key, saved[i]);
+                }
+            });
+            Storage.profileId = originalProfileId;
+            Storage.db = originalDb;
+        }
+    }
+
+    /**
+     * Run a test body with an empty pending sync queue, restored afterwards
+     * @param {Function} fn - Test body
+     */
+    async function withEmptyQueue(fn) {
+        const saved = localStorage.getItem(CONFIG.storageKeys.pendingSync);
+        localStorage.removeItem(CONFIG.storageKeys.pendingSync);
+
+        try {
+            await fn();
+        } finally {
+            if (saved === null) {
+                localStorage.removeItem(CONFIG.storageKeys.pendingSync);
+            } else {
+                localStorage.setItem(CONFIG.storageKeys.pendingSync, saved);
+            }
+        }
+    }
+
+    // =========================================
+    // Pending Sync Queue Tests
+    // =========================================
+
+    test('Queued operations get unique IDs and keep the order they were added', async function() {
+        await withEmptyQueue(async function() {
+            for (const id of ['p1', 'p2', 'p3']) {
+                await Storage.addPendingSync({ type: 'savePlayer', data: { player_id: id } });
+            }
+
+            const pending = await Storage.getPendingSync();
+            assertEqual(pending.map(op => op.data.player_id).join(','), 'p1,p2,p3');
+            assertEqual(new Set(pending.map(op => op.id)).size, 3);
+            assertTrue(pending.every(op => op.attempts === 0 && op.lastError === null));
+        });
+    });
+
+    test('settlePendingSync counts attempts and keeps operations queued during the pass', async function() {
+        await withEmptyQueue(async function() {
+            for (const id of ['p1', 'p2', 'p3']) {
+                await Storage.addPendingSync({ type: 'savePlayer', data: { player_id: id } });
+            }
+            const [done, rejected, held] = await Storage.getPendingSync();
+            await Storage.addPendingSync({ type: 'savePlayer', data: { player_id: 'p4' } });
+
+            await Storage.settlePendingSync([done, rejected, held], [{ ...rejected, error: 'Quota exceeded' }, held]);
+
+            const pending = await Storage.getPendingSync();
+            assertEqual(pending.map(op => op.data.player_id).join(','), 'p2,p3,p4');
+            assertEqual(pending[0].attempts, 1);
+            assertEqual(pending[0].lastError, 'Quota exceeded');
+            assertTrue(!('error' in pending[0]), 'The error is stored as lastError only');
+            assertEqual(pending[1].attempts, 0, 'Held operations were not attempted');
+
+            await Storage.retryPendingSync(pending[0].id);
+            const retried = (await Storage.getPendingSync())[0];
+            assertEqual(retried.attempts, 0);
+            assertEqual(retried.lastError, null);
+        });
+    });
+
+    test('Queues saved by older versions get IDs without changing order', async function() {
+        await withEmptyQueue(async function() {
+            Storage.set(CONFIG.storageKeys.pendingSync, [
+                { type: 'saveCourse', data: { course_id: 'c1' }, timestamp: '2024-06-01T12:00:00.000Z' },
+                { type: 'saveRound', data: { round_id: 'r1', course_id: 'c1' }, timestamp: '2024-06-01T12:00:00.000Z' }
+            ]);
+            await Storage.addPendingSync({ type: 'savePlayer', data: { player_id: 'p1' } });
+
+            const pending = await Storage.getPendingSync();
+            assertEqual(pending.map(op => op.type).join(','), 'saveCourse,saveRound,savePlayer');
+            assertTrue(pending.every(op => op.id), 'Every operation should have an ID');
+
+            await Storage.removePendingSync(pending[1].id);
+            assertEqual((await Storage.getPendingSync()).map(op => op.type).join(','), 'saveCourse,savePlayer');
+        });
+    });
+
+    // =========================================
+    // Background Sync Tests
+    // =========================================
+
+    test('Background Sync tags name the profile whose queue to upload', function() {
+        const defaultId = CONFIG.profiles.defaultId;
+        assertEqual(Storage.getBackgroundSyncTag(defaultId), CONFIG.sync.backgroundSyncTag);
+        assertEqual(Storage.getProfileIdFromSyncTag(Storage.getBackgroundSyncTag(defaultId)), defaultId);
+        assertEqual(Storage.getProfileIdFromSyncTag(Storage.getBackgroundSyncTag('abc123')), 'abc123');
+        assertEqual(Storage.getProfileIdFromSyncTag('some-other-tag'), null);
+    });
+
+    test('Operations queued offline ask the service worker to upload them', async function() {
+        await withEmptyQueue(async function() {
+            const originalRequest = Storage.requestBackgroundSync;
+            let requests = 0;
+            Storage.requestBackgroundSync = async () => {
+                requests++;
+                return true;
+            };
+
+            try {
+                await Storage.addPendingSync({ type: 'savePlayer', data: { player_id: 'p1' } });
+                assertEqual(requests, 0, 'Online, the app uploads the queue itself');
+
+                navigator.onLine = false;
+                await Storage.addPendingSync({ type: 'savePlayer', data: { player_id: 'p2' } });
+                assertEqual(requests, 1);
+            } finally {
+                navigator.onLine = true;
+                Storage.requestBackgroundSync = originalRequest;
+            }
+        });
+    });
+
+    test('requestBackgroundSync does nothing without IndexedDB', async function() {
+        const originalDb = Storage.db;
+        Storage.db = null;
+        try {
+            assertEqual(await Storage.requestBackgroundSync(), false);
+        } finally {
+            Storage.db = originalDb;
+        }
+    });
+
+    // =========================================
+    // Profile Tests
+    // =========================================
+
+    test('Default profile keeps the original keys and database', function() {
+        const defaultId = CONFIG.profiles.defaultId;
+        assertEqual(Storage.profileKey(CONFIG.storageKeys.spreadsheetId, defaultId), CONFIG.storageKeys.spreadsheetId);
+        assertEqual(Storage.getDbName(defaultId), Storage.dbName);
+        assertEqual(Storage.getProfiles()[0].id, defaultId);
+    });
+
+    test('Profiles keep their spreadsheet and data apart', async function() {
+        await withSavedProfiles(async function() {
+            const defaultId = CONFIG.profiles.defaultId;
+            await Storage.switchProfile(defaultId);
+            const originalSheet = Storage.getSpreadsheetId();
+            const league = Storage.addProfile('League Night');
+
+            await Storage.switchProfile(league.id);
+            assertEqual(Storage.getActiveProfile().name, 'League Night');
+            assertEqual(Storage.getSpreadsheetId(), null, 'A new profile starts unconnected');
+            Storage.setSpreadsheetId('league-sheet');
+            assertTrue(Storage.getDbName() !== Storage.dbName, 'Each profile gets its own database');
+
+            await Storage.switchProfile(defaultId);
+            assertEqual(Storage.getSpreadsheetId(), originalSheet);
+
+            await Storage.switchProfile(league.id);
+            assertEqual(Storage.getSpreadsheetId(), 'league-sheet');
+        });
+    });
+
+    test('Profiles and the active profile are shared across profiles', async function() {
+        await withSavedProfiles(async function() {
+            const league = Storage.addProfile('League Night');
+            await Storage.switchProfile(league.id);
+
+            assertEqual(Storage.profileKey(CONFIG.storageKeys.profiles), CONFIG.storageKeys.profiles);
+            assertTrue(Storage.getProfiles().some(p => p.id === league.id));
+            assertEqual(Storage.get(CONFIG.storageKeys.activeProfile), league.id);
+        });
+    });
+
+    test('switchProfile rejects unknown profiles and stays put', async function() {
+        await withSavedProfiles(async function() {
+            const before = Storage.getActiveProfile().id;
+            let error = null;
+            try {
+                await Storage.switchProfile('nope');
+            } catch (e) {
+                error = e;
+            }
+            assertTrue(error !== null);
+            assertEqual(Storage.getActiveProfile().id, before);
+        });
+    });
+})();
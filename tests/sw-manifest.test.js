@@ -0,0 +1,39 @@
+/**
+ * Disc Golf Tracker - Service Worker Manifest Tests
+ *
+ * Node only: run-tests.js provides SWManifest (scripts/build-sw-manifest.js).
+ */
+
+(function() {
+    if (typeof SWManifest === 'undefined') return;
+
+    // Get TestRunner from global scope (works in both browser and Node.js)
+    const TR = (typeof TestRunner !== 'undefined') ? TestRunner : window.TestRunner;
+    const test = TR.test.bind(TR);
+    const assertEqual = TR.assertEqual.bind(TR);
+    const assertTrue = TR.assertTrue.bind(TR);
+
+    // =========================================
+    // Manifest Tests
+    // =========================================
+
+    test('Service worker manifest lists the app shell and every module', function() {
+        const { files } = SWManifest.buildManifest();
+        const urls = Object.keys(files);
+
+        ['./index.html', './css/styles.css', './manifest.json', './js/app.js', './js/sync-scheduler.js']
+            .forEach(url => assertTrue(urls.includes(url), `${url} should be cached`));
+        assertTrue(urls.every(url => /^sha256-[A-Za-z0-9+/]+=*$/.test(files[url])), 'Every file needs an integrity hash');
+        assertTrue(!urls.some(url => url.includes('test')), 'Tests are not deployed');
+    });
+
+    test('Service worker manifest version follows the file hashes', function() {
+        const manifest = SWManifest.buildManifest();
+        assertEqual(SWManifest.buildManifest().version, manifest.version, 'Same files, same version');
+        assertTrue(/^[0-9a-f]{12}$/.test(manifest.version));
+
+        const rendered = SWManifest.renderManifest(manifest);
+        assertTrue(rendered.includes(`"version": "${manifest.version}"`));
+        assertTrue(rendered.includes('self.SW_MANIFEST = '));
+    });
+})();
@@ -0,0 +1,146 @@
+/**
+ * Disc Golf Tracker - Sync Scheduler Tests
+ */
+
+(function() {
+    // Get TestRunner from global scope (works in both browser and Node.js)
+    const TR = (typeof TestRunner !== 'undefined') ? TestRunner : window.TestRunner;
+    const test = TR.test.bind(TR);
+    const assertEqual = TR.assertEqual.bind(TR);
+    const assertTrue = TR.assertTrue.bind(TR);
+    const assertFalse = TR.assertFalse.bind(TR);
+
+    /**
+     * Run a test body with a scheduler that records, instead of sets, its timers
+     * @param {Object} options - canSync: whether a backend is reachable; hidden: whether the page is hidden
+     * @param {Function} fn - Test body, receives the delays scheduled so far
+     */
+    async function withScheduler(options, fn) {
+        const original = {
+            schedule: SyncScheduler.schedule,
+            canSync: SyncScheduler.canSync,
+            isHidden: SyncScheduler.isHidden,
+            renderStatus: SyncScheduler.renderStatus
+        };
+        const scheduled = [];
+
+        SyncScheduler.schedule = function(delay) {
+            scheduled.push(delay);
+            this.timer = scheduled.length;
+        };
+        SyncScheduler.canSync = () => options.canSync !== false;
+        SyncScheduler.isHidden = () => !!options.hidden;
+        SyncScheduler.renderStatus = async () => {};
+        SyncScheduler.failures = 0;
+
+        try {
+            await fn(scheduled);
+        } finally {
+            Object.assign(SyncScheduler, original);
+            SyncScheduler.syncFn = null;
+            SyncScheduler.timer = null;
+            SyncScheduler.failures = 0;
+        }
+    }
+
+    // =========================================
+    // Scheduling Tests
+    // =========================================
+
+    test('SyncScheduler waits the sync interval, and backs off after failures', async function() {
+        await withScheduler({}, async function() {
+            assertEqual(SyncScheduler.getDelay(), CONFIG.sync.interval);
+
+            SyncScheduler.failures = 1;
+            const first = SyncScheduler.getDelay();
+            assertTrue(first >= CONFIG.sync.retryDelay / 2 && first <= CONFIG.sync.retryDelay);
+
+            SyncScheduler.failures = CONFIG.sync.maxRetries;
+            const last = SyncScheduler.getDelay();
+            assertTrue(last <= CONFIG.sync.retryDelay * Math.pow(2, CONFIG.sync.maxRetries - 1));
+
+            SyncScheduler.failures = CONFIG.sync.maxRetries + 1;
+            assertEqual(SyncScheduler.getDelay(), CONFIG.sync.maxRetryDelay, 'After maxRetries, wait the longest delay');
+        });
+    });
+
+    test('SyncScheduler.tick counts failures in a row and resets on success', async function() {
+        await withScheduler({}, async function(scheduled) {
+            let fail = true;
+            SyncScheduler.syncFn = async () => {
+                if (fail) throw new Error('Request failed with status 503');
+            };
+
+            await SyncScheduler.tick();
+            await SyncScheduler.tick();
+            assertEqual(SyncScheduler.failures, 2);
+            assertTrue(scheduled[1] < CONFIG.sync.interval, 'Retry sooner than the interval');
+
+            fail = false;
+            await SyncScheduler.tick();
+            assertEqual(SyncScheduler.failures, 0);
+            assertEqual(scheduled[2], CONFIG.sync.interval);
+        });
+    });
+
+    test('SyncScheduler pauses while hidden and skips syncs with no backend', async function() {
+        await withScheduler({ hidden: true }, async function(scheduled) {
+            let syncs = 0;
+            SyncScheduler.syncFn = async () => { syncs++; };
+
+            await SyncScheduler.tick();
+            assertEqual(syncs, 0);
+            assertEqual(scheduled.length, 0, 'Nothing is scheduled until the page is shown');
+        });
+
+        await withScheduler({ canSync: false }, async function(scheduled) {
+            let syncs = 0;
+            SyncScheduler.syncFn = async () => { syncs++; };
+
+            await SyncScheduler.tick();
+            assertEqual(syncs, 0);
+            assertEqual(scheduled.join(','), String(CONFIG.sync.interval), 'Check again after the interval');
+        });
+    });
+
+    test('SyncScheduler.runNow never runs two syncs at once', async function() {
+        await withScheduler({}, async function() {
+            let syncs = 0;
+            SyncScheduler.syncFn = async () => {
+                syncs++;
+                await new Promise(resolve => setTimeout(resolve, 5));
+            };
+
+            const results = await Promise.all([SyncScheduler.runNow(), SyncScheduler.runNow()]);
+            assertEqual(syncs, 1);
+            assertTrue(results[0] && results[1]);
+            assertFalse(!!SyncScheduler.running);
+        });
+    });
+
+    test('SyncScheduler.runNow counts a sync that resolves false as a failure', async function() {
+        await withScheduler({}, async function(scheduled) {
+            let uploaded = false;
+            SyncScheduler.syncFn = async () => uploaded;
+
+            assertFalse(await SyncScheduler.runNow());
+            assertEqual(SyncScheduler.failures, 1);
+
+            await SyncScheduler.tick();
+            assertEqual(SyncScheduler.failures, 2);
+            assertTrue(scheduled[0] < CONFIG.sync.interval, 'Retry sooner than the interval');
+
+            uploaded = true;
+            assertTrue(await SyncScheduler.runNow());
+            assertEqual(SyncScheduler.failures, 0);
+        });
+    });
+
+    test('SyncScheduler.describeStatus shows the last sync and queue depth', function() {
+        assertEqual(SyncScheduler.describeStatus(null, 0), 'Not synced yet');
+        const text = SyncScheduler.describeStatus('2024-06-01T15:45:00.000Z', 2);
+        assertTrue(text.startsWith('Last synced '));
+        assertTrue(text.endsWith(' · 2 changes waiting to upload'));
+        assertTrue(SyncScheduler.describeStatus(null, 1).endsWith('1 change waiting to upload'));
+    });
+})();
@@ -0,0 +1,218 @@
+/**
+ * Disc Golf Tracker - Sync Module Tests
+ */
+
+(function() {
+    // Get TestRunner from global scope (works in both browser and Node.js)
+    const TR = (typeof TestRunner !== 'undefined') ? TestRunner : window.TestRunner;
+    const test = TR.test.bind(TR);
+    const assertEqual = TR.assertEqual.bind(TR);
+    const assertTrue = TR.assertTrue.bind(TR);
+
+    function makeRound(overrides = {}) {
+        return {
+            round_id: 'r1',
+            course_id: 'c1',
+            round_date: '2024-06-01T12:00:00.000Z',
+            completed: true,
+            total_score: 54,
+            total_par: 54,
+            player_ids: '',
+            layout_id: '',
+            updated_at: '2024-06-01T12:00:00.000Z',
+            ...overrides
+        };
+    }
+
+    // Run a test against empty storage keys, putting back what was there
+    async function withStorage(keys, fn) {
+        const saved = keys.map(key => Storage.get(CONFIG.storageKeys[key]));
+        keys.forEach(key => Storage.remove(CONFIG.storageKeys[key]));
+        try {
+            await fn();
+        } finally {
+            keys.forEach((key, i) => {
+                if (saved[i] === null) {
+                    Storage.remove(CONFIG.storageKeys[key]);
+                } else {
+                    Storage.set(CONFIG.storageKeys[key], saved[i]);
+                }
+            });
+        }
+    }
+
+    function baseFor(entity, records) {
+        const base = {};
+        records.forEach(r => {
+            base[r[Sync.getKeyField(entity)]] = Sync.getSignature(entity, r);
+        });
+        return base;
+    }
+
+    // =========================================
+    // getSignature Tests
+    // =========================================
+
+    test('getSignature matches local records with their sheet rows', function() {
+        const local = makeRound({ total_score: null });
+        const sheetRow = { ...SheetsAPI.prepareRowData(local, CONFIG.sheetHeaders.rounds), updated_at: '' };
+        assertEqual(Sync.getSignature('rounds', local), Sync.getSignature('rounds', sheetRow));
+    });
+
+    // =========================================
+    // diffRecords Tests
+    // =========================================
+
+    test('diffRecords takes sheet edits when the device is unchanged', function() {
+        const base = baseFor('rounds', [makeRound()]);
+        const sheet = makeRound({ total_score: 52 });
+        const diff = Sync.diffRecords('rounds', [makeRound()], [sheet], base);
+
+        assertEqual(diff.toLocal.length, 1);
+        assertEqual(diff.toLocal[0].total_score, 52);
+        assertEqual(diff.conflicts.length, 0);
+        assertEqual(diff.base.r1, Sync.getSignature('rounds', sheet));
+    });
+
+    test('diffRecords keeps device edits when the sheet is unchanged', function() {
+        const base = baseFor('rounds', [makeRound()]);
+        const diff = Sync.diffRecords('rounds', [makeRound({ total_score: 50 })], [makeRound()], base);
+
+        assertEqual(diff.toLocal.length, 0);
+        assertEqual(diff.conflicts.length, 0);
+        assertEqual(diff.base.r1, base.r1, 'Base should stay until the edit is uploaded');
+    });
+
+    test('diffRecords reports rounds changed on both sides as conflicts', function() {
+        const base = baseFor('rounds', [makeRound()]);
+        const diff = Sync.diffRecords(
+            'rounds',
+            [makeRound({ total_score: 50 })],
+            [makeRound({ round_date: '2024-06-02T12:00:00.000Z' })],
+            base
+        );
+
+        assertEqual(diff.conflicts.length, 1);
+        assertEqual(diff.conflicts[0].id, 'r1');
+        assertEqual(diff.toLocal.length, 0);
+    });
+
+    test('diffRecords lets the newer side win for other stores', function() {
+        const hole = { hole_id: 'h1', course_id: 'c1', hole_number: 1, par: 3, distance: null, layout_id: '' };
+        const base = baseFor('holes', [hole]);
+        const local = { ...hole, par: 4, updated_at: '2024-06-03T00:00:00.000Z' };
+        const sheet = { ...hole, par: 5, updated_at: '2024-06-02T00:00:00.000Z' };
+
+        const diff = Sync.diffRecords('holes', [local], [sheet], base);
+        assertEqual(diff.conflicts.length, 0);
+        assertEqual(diff.toLocal.length, 0, 'Newer local edit should be kept');
+    });
+
+    test('diffRecords adds new sheet rows and handles deletions', function() {
+        const kept = makeRound({ round_id: 'r2' });
+        const deletedInSheet = makeRound({ round_id: 'r3' });
+        const base = baseFor('rounds', [kept, deletedInSheet]);
+
+        const diff = Sync.diffRecords(
+            'rounds',
+            [kept, deletedInSheet, makeRound({ round_id: 'r4' })],
+            [kept, makeRound({ round_id: 'r1' })],
+            base
+        );
+
+        assertEqual(diff.toLocal.map(r => r.round_id).join(','), 'r1', 'New sheet row should be added');
+        assertEqual(diff.toDelete.join(','), 'r3', 'Row removed from the sheet should be removed here');
+        assertTrue(diff.base.r4 === undefined, 'Unsynced local round should not enter the base');
+    });
+
+    test('diffRecords with a partial pull leaves unpulled records alone', function() {
+        const r1 = makeRound();
+        const r2 = makeRound({ round_id: 'r2' });
+        const base = baseFor('rounds', [r1, r2]);
+
+        const diff = Sync.diffRecords('rounds', [r1, r2], [makeRound({ total_score: 49 })], base, { partial: true });
+        assertEqual(diff.toDelete.length, 0, 'Rows missing from a delta are not deletions');
+        assertEqual(diff.toLocal.map(r => r.total_score).join(','), '49');
+        assertEqual(diff.base.r2, base.r2, 'Base of unpulled records should be kept');
+    });
+
+    // =========================================
+    // resolveConflict Tests
+    // =========================================
+
+    test('resolveConflict merges fields changed on one side only', function() {
+        const base = Sync.getSignature('rounds', makeRound());
+        const conflict = {
+            entity: 'rounds',
+            id: 'r1',
+            local: makeRound({ total_score: 50 }),
+            sheet: makeRound({ total_score: 56, round_date: '2024-06-02T12:00:00.000Z' }),
+            base
+        };
+
+        const merged = Sync.resolveConflict(conflict, 'merge');
+        assertEqual(merged.total_score, 50, 'Field changed on both sides keeps the device value');
+        assertEqual(merged.round_date, '2024-06-02T12:00:00.000Z', 'Sheet-only change should be kept');
+
+        assertEqual(Sync.resolveConflict(conflict, 'sheet').total_score, 56);
+        assertEqual(Sync.resolveConflict(conflict, 'local').round_date, '2024-06-01T12:00:00.000Z');
+    });
+
+    test('getConflictFields lists only differing fields', function() {
+        const fields = Sync.getConflictFields({
+            entity: 'courses',
+            local: { course_id: 'c1', course_name: 'Maple Hill', hole_count: 18 },
+            sheet: { course_id: 'c1', course_name: 'Maple Hill DGC', hole_count: '18' }
+        });
+        assertEqual(fields.length, 1);
+        assertEqual(fields[0].field, 'course_name');
+    });
+
+    test('holdConflictedOperations drops every queued upload of a conflicted round', async function() {
+        await withStorage(['pendingSync'], async function() {
+            Storage.set(CONFIG.storageKeys.pendingSync, [
+                { id: 1, type: 'upsertRound', data: makeRound({ completed: false }) },
+                { id: 2, type: 'upsertScores', data: [{ score_id: 's1', round_id: 'r1' }] },
+                { id: 3, type: 'updateRound', data: makeRound() },
+                { id: 4, type: 'upsertScores', data: [{ score_id: 's2', round_id: 'r2' }] },
+                { id: 5, type: 'updateCourse', data: { course_id: 'r1' } },
+                { id: 6, type: 'upsertRound', data: makeRound({ round_id: 'r2' }) }
+            ]);
+
+            await Sync.holdConflictedOperations([{ entity: 'rounds', id: 'r1' }]);
+
+            const pending = await Storage.getPendingSync();
+            assertEqual(pending.map(op => op.id).join(','), '4,5,6',
+                'Only uploads of round r1 should be held; a course with the same ID is not in conflict');
+        });
+    });
+
+    test('applyResolution re-queues the scores of a conflicted round whichever version wins', async function() {
+        await withStorage(['pendingSync', 'rounds', 'scores', 'syncBase', 'syncConflicts'], async function() {
+            Storage.set(CONFIG.storageKeys.scores, [
+                { score_id: 's1', round_id: 'r1' },
+                { score_id: 's2', round_id: 'r2' }
+            ]);
+            const conflict = {
+                entity: 'rounds',
+                id: 'r1',
+                local: makeRound({ total_score: 50 }),
+                sheet: makeRound({ total_score: 56 }),
+                base: Sync.getSignature('rounds', makeRound())
+            };
+
+            await Sync.applyResolution(conflict, 'local');
+
+            const pending = await Storage.getPendingSync();
+            assertEqual(pending.map(op => op.type).join(','), 'updateRound,upsertScores');
+            assertEqual(pending[1].data.map(s => s.score_id).join(','), 's1');
+
+            await Storage.clearPendingSync();
+            await Sync.applyResolution(conflict, 'sheet');
+            const afterSheet = await Storage.getPendingSync();
+            assertEqual(afterSheet.map(op => op.type).join(','), 'upsertScores',
+                'Taking the sheet round uploads no round row, but still the scores');
+            assertEqual(afterSheet[0].data.map(s => s.score_id).join(','), 's1');
+        });
+    });
+})();
@@ -20,6 +20,16 @@
                 minLength: 1,
                 maxLength: 100,
                 pattern: /^[a-zA-Z0-9\s\-']+$/
+            },
+            playerName: {
+                minLength: 1,
+                maxLength: 40,
+                pattern: /^[a-zA-Z0-9\s\-'.]+$/
+            },
+            layoutName: {
+                minLength: 1,
+                maxLength: 40,
+                pattern: /^[a-zA-Z0-9\s\-'.()]+$/
             }
         },
         toast: {
@@ -128,6 +138,118 @@
         }
     });
 
+    // =========================================
+    // validatePlayerName Tests
+    // =========================================
+
+    test('validatePlayerName rejects empty name', function() {
+        setupMocks();
+        try {
+            const result = Utils.validatePlayerName('');
+            assertFalse(result.isValid, 'Empty name should be invalid');
+            assertEqual(result.message, 'Player name is required');
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    test('validatePlayerName rejects name exceeding max length', function() {
+        setupMocks();
+        try {
+            const result = Utils.validatePlayerName('a'.repeat(41));
+            assertFalse(result.isValid, 'Name exceeding max length should be invalid');
+            assertTrue(result.message.includes('40'), 'Message should mention max length');
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    test('validatePlayerName accepts name with initial', function() {
+        setupMocks();
+        try {
+            const result = Utils.validatePlayerName('Paul M.');
+            assertTrue(result.isValid, 'Name with a period should be valid');
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    // =========================================
+    // validateLayoutName Tests
+    // =========================================
+
+    test('validateLayoutName rejects empty name', function() {
+        setupMocks();
+        try {
+            const result = Utils.validateLayoutName('  ');
+            assertFalse(result.isValid, 'Blank name should be invalid');
+            assertEqual(result.message, 'Layout name is required');
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    test('validateLayoutName accepts name with parentheses', function() {
+        setupMocks();
+        try {
+            const result = Utils.validateLayoutName('Long Tees (Blue)');
+            assertTrue(result.isValid, 'Name with parentheses should be valid');
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    // =========================================
+    // parseSpreadsheetId Tests
+    // =========================================
+
+    const SHEET_ID = '1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms';
+
+    test('parseSpreadsheetId extracts the ID from Sheets URLs', function() {
+        setupMocks();
+        try {
+            [
+                `https://docs.google.com/spreadsheets/d/${SHEET_ID}/edit#gid=0`,
+                `https://docs.google.com/spreadsheets/d/${SHEET_ID}/edit?usp=sharing`,
+                `https://docs.google.com/spreadsheets/u/0/d/${SHEET_ID}/edit`,
+                `docs.google.com/spreadsheets/d/${SHEET_ID}`,
+                `https://docs.google.com/spreadsheet/ccc?key=${SHEET_ID}#gid=0`,
+                `  ${SHEET_ID}  `
+            ].forEach(input => {
+                assertEqual(Utils.parseSpreadsheetId(input), SHEET_ID, input);
+            });
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    test('validateSpreadsheetId rejects published links and stray text', function() {
+        setupMocks();
+        try {
+            const published = Utils.parseSpreadsheetId('https://docs.google.com/spreadsheets/d/e/2PACX-1vQabc/pubhtml');
+            assertFalse(Utils.validateSpreadsheetId(published).isValid, 'Published links have no spreadsheet ID');
+            assertFalse(Utils.validateSpreadsheetId('my sheet').isValid);
+            assertEqual(Utils.validateSpreadsheetId('').message, 'Please enter a Sheet ID or URL');
+            assertTrue(Utils.validateSpreadsheetId(SHEET_ID).isValid);
+        } finally {
+            teardownMocks();
+        }
+    });
+
+    // =========================================
+    // validateProfileName Tests
+    // =========================================
+
+    test('validateProfileName accepts an ampersand', function() {
+        setupMocks();
+        try {
+            const result = Utils.validateProfileName('Sam & Alex');
+            assertTrue(result.isValid, 'Name with an ampersand should be valid');
+        } finally {
+            teardownMocks();
+        }
+    });
+
     // =========================================
     // getRelativeScore Tests
     // =========================================
@@ -373,6 +495,17 @@
         assertEqual(result.b.length, 1);
     });
 
+    // =========================================
+    // chunk Tests
+    // =========================================
+
+    test('chunk splits an array into ordered chunks', function() {
+        const chunks = Utils.chunk([1, 2, 3, 4, 5], 2);
+        assertEqual(chunks.length, 3);
+        assertEqual(chunks.map(c => c.join('')).join(','), '12,34,5');
+        assertEqual(Utils.chunk([], 2).length, 0);
+    });
+
     // =========================================
     // deepClone Tests
     // =========================================